@@ -0,0 +1,1775 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * @version 1.0.0
+ * @author anarxyfr
+ * @copyright anarxyfr 2025
+ * @license MIT
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else {
+        const HtmlScript = factory();
+        const currentScript = typeof document !== 'undefined' ? document.currentScript : null;
+        root.HtmlScript = HtmlScript;
+        if (currentScript && currentScript.getAttribute('data-autostart') !== 'false') {
+            root.htmlScript = new HtmlScript({
+                reactive: currentScript.hasAttribute('data-reactive'),
+                prefix: currentScript.getAttribute('data-prefix') || '',
+            });
+        }
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    class HtmlScript {
+        constructor(options = {}) {
+            const { window: win, document: doc, fetch: fetchFn, importModule, ...rest } = options;
+            this.options = { autoStart: true, reactive: false, prefix: '', hydrate: false, ...rest };
+            this.window = win || (doc && doc.defaultView) || (typeof window !== 'undefined' ? window : undefined);
+            this.document = doc || (this.window ? this.window.document : globalThis.document);
+            this.fetch = fetchFn || ((url, init) => fetch(url, init));
+            this.importModule = importModule || (src => import(src));
+            this.scopes = [new Map()];
+            this.functions = new Map();
+            this.callStack = [];
+            this.nativeFunctions = new Map(Object.entries(builtinFunctions));
+            this.tracking = null;
+            this.subscribers = new WeakMap();
+            this.pendingBindings = new Set();
+            this.updateQueue = Promise.resolve();
+            this.ready = false;
+            this.tags = new Map();
+            this.listeners = new Map();
+            this.eventBindings = [];
+            this.startListener = null;
+            if (this.options.autoStart) this.init();
+        }
+
+        getVariables() {
+            return Object.fromEntries(this.scopes[0]);
+        }
+
+        getVariable(name) {
+            for (let i = this.scopes.length - 1; i >= 0; i--) {
+                if (this.scopes[i].has(name)) {
+                    if (this.tracking) this.tracking.push([this.scopes[i], name]);
+                    return this.scopes[i].get(name);
+                }
+            }
+            if (this.tracking) this.tracking.push([this.scopes[0], name]);
+            return undefined;
+        }
+
+        setVariable(name, value, local = true) {
+            const scope = local ? this.scopes[this.scopes.length - 1] : this.scopes[0];
+            scope.set(name, value);
+            this.notify(scope, name);
+        }
+
+        assignVariable(name, value) {
+            for (let i = this.scopes.length - 1; i >= 0; i--) {
+                if (this.scopes[i].has(name)) {
+                    this.scopes[i].set(name, value);
+                    this.notify(this.scopes[i], name);
+                    return;
+                }
+            }
+            this.setVariable(name, value);
+        }
+
+        async bind(node, render) {
+            if (!this.options.reactive) {
+                await render(expr => this.evaluate(expr), this);
+                return;
+            }
+            const binding = { node, render, scopes: this.scopes.slice(), deps: [] };
+            await this.runBinding(binding);
+        }
+
+        // Renders binding on a fork with the scopes it was created in, so an
+        // update can run while the page is still being processed. render gets
+        // the fork to process content with.
+        async runBinding(binding) {
+            const deps = [];
+            const task = this.fork();
+            task.scopes = binding.scopes.slice();
+            task.tracking = null;
+            const evaluate = async (expr) => {
+                const prevTracking = task.tracking;
+                task.tracking = deps;
+                try {
+                    return await task.evaluate(expr);
+                } finally {
+                    task.tracking = prevTracking;
+                }
+            };
+            try {
+                await binding.render(evaluate, task);
+            } finally {
+                this.unsubscribe(binding);
+                binding.deps = deps;
+                deps.forEach(([scope, name]) => {
+                    if (!this.subscribers.has(scope)) this.subscribers.set(scope, new Map());
+                    const byName = this.subscribers.get(scope);
+                    if (!byName.has(name)) byName.set(name, new Set());
+                    byName.get(name).add(binding);
+                });
+            }
+        }
+
+        // Returns an interpreter that shares variables, functions and bindings
+        // with this instance but has its own scope stack, call stack and
+        // dependency tracking.
+        fork() {
+            const fork = Object.create(this);
+            Object.keys(this).forEach(key => {
+                if (taskState.includes(key)) return;
+                Object.defineProperty(fork, key, {
+                    get: () => this[key],
+                    set: (value) => {
+                        this[key] = value;
+                    },
+                    enumerable: true,
+                });
+            });
+            fork.scopes = this.scopes.slice();
+            fork.callStack = this.callStack.slice();
+            fork.tracking = this.tracking;
+            return fork;
+        }
+
+        unsubscribe(binding) {
+            binding.deps.forEach(([scope, name]) => {
+                const byName = this.subscribers.get(scope);
+                if (byName && byName.has(name)) byName.get(name).delete(binding);
+            });
+            binding.deps = [];
+        }
+
+        notify(scope, name) {
+            const byName = this.subscribers.get(scope);
+            if (!byName || !byName.has(name)) return;
+            const wasEmpty = this.pendingBindings.size === 0;
+            byName.get(name).forEach(binding => this.pendingBindings.add(binding));
+            if (wasEmpty && this.pendingBindings.size) {
+                this.updateQueue = this.updateQueue.then(() => this.flushBindings());
+            }
+        }
+
+        async flushBindings() {
+            const bindings = Array.from(this.pendingBindings);
+            this.pendingBindings.clear();
+            for (const binding of bindings) {
+                if (!binding.node.isConnected) {
+                    if (this.ready) this.unsubscribe(binding);
+                    continue;
+                }
+                try {
+                    await this.runBinding(binding);
+                } catch (e) {
+                    console.error('Error updating binding:', e);
+                    this.emit('error', { error: e, node: binding.node });
+                }
+            }
+        }
+
+        createRange(node) {
+            const start = this.document.createComment('hs');
+            const end = this.document.createComment('/hs');
+            node.replaceWith(start, end);
+            return { start, end };
+        }
+
+        fillRange(range, nodes) {
+            let current = range.start.nextSibling;
+            while (current && current !== range.end) {
+                const next = current.nextSibling;
+                current.remove();
+                current = next;
+            }
+            range.end.before(...nodes);
+        }
+
+        async evaluate(expression) {
+            try {
+
+                return await this.safeEvaluate(expression);
+            } catch (e) {
+                console.error('Evaluation error:', expression, e);
+                throw e;
+            }
+        }
+
+        async safeEvaluate(expr) {
+            const tokens = this.tokenize(expr);
+            const ast = this.parse(tokens);
+            return this.evaluateAst(ast);
+        }
+
+        tokenize(expr) {
+            const tokens = [];
+            const operators = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '+', '-', '*', '/', '%', '^', '(', ')', '[', ']', '{', '}', '<', '>', '!', '?', ':', ',', '.', '='];
+            const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+            let i = 0;
+            while (i < expr.length) {
+                const ch = expr[i];
+                if (/\s/.test(ch)) {
+                    i++;
+                    continue;
+                }
+                const afterMember = tokens.length && tokens[tokens.length - 1].value === '.';
+                if (/[0-9]/.test(ch) || (ch === '.' && !afterMember && /[0-9]/.test(expr[i + 1]))) {
+                    const match = /^(?:[0-9]*\.?[0-9]+|[0-9]+\.)(?:[eE][+-]?[0-9]+)?/.exec(expr.slice(i));
+                    tokens.push({ type: 'number', value: parseFloat(match[0]), pos: i });
+                    i += match[0].length;
+                    continue;
+                }
+                if (/[a-zA-Z_$]/.test(ch)) {
+                    const start = i;
+                    let id = '';
+                    while (i < expr.length && /[a-zA-Z0-9_$]/.test(expr[i])) {
+                        id += expr[i++];
+                    }
+                    tokens.push({ type: 'identifier', value: id, pos: start });
+                    continue;
+                }
+                if (ch === '"' || ch === "'") {
+                    const start = i;
+                    let str = '';
+                    i++;
+                    while (i < expr.length && expr[i] !== ch) {
+                        if (expr[i] === '\\') {
+                            const next = expr[i + 1];
+                            if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(expr.substr(i + 2, 4))) {
+                                str += String.fromCharCode(parseInt(expr.substr(i + 2, 4), 16));
+                                i += 6;
+                            } else if (next === 'x' && /^[0-9a-fA-F]{2}$/.test(expr.substr(i + 2, 2))) {
+                                str += String.fromCharCode(parseInt(expr.substr(i + 2, 2), 16));
+                                i += 4;
+                            } else if (next !== undefined) {
+                                str += next in escapes ? escapes[next] : next;
+                                i += 2;
+                            } else {
+                                break;
+                            }
+                        } else {
+                            str += expr[i++];
+                        }
+                    }
+                    if (expr[i] !== ch) throw new Error(`Unterminated string at position ${start}`);
+                    i++;
+                    tokens.push({ type: 'string', value: str, pos: start });
+                    continue;
+                }
+                const op = operators.find(o => expr.startsWith(o, i));
+                if (op) {
+                    tokens.push({ type: 'operator', value: op, pos: i });
+                    i += op.length;
+                    continue;
+                }
+                throw new Error(`Invalid token: ${ch}`);
+            }
+            return tokens;
+        }
+
+        parse(tokens) {
+            const binaryPrecedence = [
+                ['||'],
+                ['&&'],
+                ['==', '!=', '===', '!=='],
+                ['<', '<=', '>', '>='],
+                ['+', '-'],
+                ['*', '/', '%'],
+            ];
+            const keywords = { true: true, false: false, null: null, undefined: undefined };
+            let pos = 0;
+            const peek = () => tokens[pos];
+            const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+            const expect = (value) => {
+                if (!isOperator(value)) {
+                    const token = peek();
+                    throw new Error(token ? `Unexpected token: ${token.value}, expected ${value}` : `Unexpected end of expression, expected ${value}`);
+                }
+                return tokens[pos++];
+            };
+            const parseConditional = () => {
+                const test = parseBinary(0);
+                if (!isOperator('?')) return test;
+                pos++;
+                const consequent = parseConditional();
+                expect(':');
+                const alternate = parseConditional();
+                return { type: 'conditional', test, consequent, alternate };
+            };
+            const parseBinary = (level) => {
+                if (level === binaryPrecedence.length) return parseUnary();
+                let left = parseBinary(level + 1);
+                while (peek() && peek().type === 'operator' && binaryPrecedence[level].includes(peek().value)) {
+                    const operator = tokens[pos++].value;
+                    const right = parseBinary(level + 1);
+                    left = { type: operator === '&&' || operator === '||' ? 'logical' : 'binary', operator, left, right };
+                }
+                return left;
+            };
+            const parseUnary = () => {
+                if (isOperator('!') || isOperator('-') || isOperator('+')) {
+                    const operator = tokens[pos++].value;
+                    return { type: 'unary', operator, argument: parseUnary() };
+                }
+                return parsePower();
+            };
+            const parsePower = () => {
+                const base = parsePostfix();
+                if (!isOperator('^')) return base;
+                pos++;
+                return { type: 'binary', operator: '^', left: base, right: parseUnary() };
+            };
+            const parseList = (close, parseItem) => {
+                const items = [];
+                while (!isOperator(close)) {
+                    items.push(parseItem());
+                    if (!isOperator(',')) break;
+                    pos++;
+                }
+                expect(close);
+                return items;
+            };
+            const parsePostfix = () => {
+                let expr = parsePrimary();
+                for (;;) {
+                    if (isOperator('.')) {
+                        pos++;
+                        const token = tokens[pos++];
+                        if (!token || (token.type !== 'identifier' && token.type !== 'number')) {
+                            throw new Error('Expected property name after .');
+                        }
+                        expr = { type: 'member', object: expr, property: { type: 'literal', value: String(token.value) } };
+                    } else if (isOperator('[')) {
+                        pos++;
+                        const property = parseConditional();
+                        expect(']');
+                        expr = { type: 'member', object: expr, property };
+                    } else if (isOperator('(')) {
+                        if (expr.type !== 'identifier') throw new Error('Only named functions can be called');
+                        pos++;
+                        expr = { type: 'call', name: expr.name, arguments: parseList(')', parseConditional) };
+                    } else {
+                        return expr;
+                    }
+                }
+            };
+            const parseProperty = () => {
+                const token = tokens[pos++];
+                if (!token) throw new Error('Unexpected end of expression');
+                if (token.type === 'operator' && token.value === '[') {
+                    const key = parseConditional();
+                    expect(']');
+                    expect(':');
+                    return { key, value: parseConditional() };
+                }
+                if (token.type !== 'identifier' && token.type !== 'string' && token.type !== 'number') {
+                    throw new Error(`Unexpected token: ${token.value}`);
+                }
+                const key = { type: 'literal', value: String(token.value) };
+                if (token.type === 'identifier' && !isOperator(':')) {
+                    return { key, value: { type: 'identifier', name: token.value } };
+                }
+                expect(':');
+                return { key, value: parseConditional() };
+            };
+            const parsePrimary = () => {
+                const token = tokens[pos++];
+                if (!token) throw new Error('Unexpected end of expression');
+                if (token.type === 'number' || token.type === 'string') {
+                    return { type: 'literal', value: token.value };
+                }
+                if (token.type === 'identifier') {
+                    if (Object.prototype.hasOwnProperty.call(keywords, token.value)) {
+                        return { type: 'literal', value: keywords[token.value] };
+                    }
+                    return { type: 'identifier', name: token.value };
+                }
+                if (token.value === '(') {
+                    const expr = parseConditional();
+                    expect(')');
+                    return expr;
+                }
+                if (token.value === '[') {
+                    return { type: 'array', elements: parseList(']', parseConditional) };
+                }
+                if (token.value === '{') {
+                    return { type: 'object', properties: parseList('}', parseProperty) };
+                }
+                throw new Error(`Unexpected token: ${token.value}`);
+            };
+            const ast = parseConditional();
+            if (pos < tokens.length) throw new Error(`Unexpected token: ${tokens[pos].value}`);
+            return ast;
+        }
+
+        async evaluateAst(node) {
+            switch (node.type) {
+                case 'literal':
+                    return node.value;
+                case 'identifier': {
+                    const val = this.getVariable(node.name);
+                    if (val === undefined) throw new Error(`Undefined variable: ${node.name}`);
+                    return val;
+                }
+                case 'unary': {
+                    const arg = await this.evaluateAst(node.argument);
+                    switch (node.operator) {
+                        case '!': return !arg;
+                        case '-': return -arg;
+                        case '+': return +arg;
+                    }
+                    break;
+                }
+                case 'logical': {
+                    const left = await this.evaluateAst(node.left);
+                    if (node.operator === '&&') return left ? await this.evaluateAst(node.right) : left;
+                    return left ? left : await this.evaluateAst(node.right);
+                }
+                case 'conditional':
+                    return await this.evaluateAst(node.test) ? await this.evaluateAst(node.consequent) : await this.evaluateAst(node.alternate);
+                case 'member':
+                    return this.getProperty(await this.evaluateAst(node.object), await this.evaluateAst(node.property));
+                case 'call': {
+                    const args = [];
+                    for (const arg of node.arguments) {
+                        args.push(await this.evaluateAst(arg));
+                    }
+                    return this.callFunction(node.name, args);
+                }
+                case 'array': {
+                    const arr = [];
+                    for (const element of node.elements) {
+                        arr.push(await this.evaluateAst(element));
+                    }
+                    return arr;
+                }
+                case 'object': {
+                    const obj = {};
+                    for (const { key, value } of node.properties) {
+                        obj[this.checkPropertyKey(await this.evaluateAst(key))] = await this.evaluateAst(value);
+                    }
+                    return obj;
+                }
+                case 'binary': {
+                    const a = await this.evaluateAst(node.left);
+                    const b = await this.evaluateAst(node.right);
+                    switch (node.operator) {
+                        case '+': return a + b;
+                        case '-': return a - b;
+                        case '*': return a * b;
+                        case '/': return a / b;
+                        case '%': return a % b;
+                        case '^': return Math.pow(a, b);
+                        case '==': return a == b;
+                        case '!=': return a != b;
+                        case '===': return a === b;
+                        case '!==': return a !== b;
+                        case '<': return a < b;
+                        case '<=': return a <= b;
+                        case '>': return a > b;
+                        case '>=': return a >= b;
+                    }
+                    break;
+                }
+            }
+            throw new Error(`Invalid operator: ${node.operator || node.type}`);
+        }
+
+        defineFunction(name, fn) {
+            if (!/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name)) throw new Error(`Invalid function name: ${name}`);
+            if (typeof fn !== 'function') throw new Error(`Function ${name} must be a function`);
+            this.nativeFunctions.set(name, fn);
+        }
+
+        async callFunction(name, args) {
+            const f = this.functions.get(name);
+            if (f) {
+                const { value } = await this.runFunction(f, args);
+                return value;
+            }
+            const fn = this.nativeFunctions.get(name);
+            if (!fn) throw new Error(`Function ${name} not found`);
+            return fn.apply(this, args);
+        }
+
+        checkPropertyKey(key) {
+            key = String(key);
+            if (key === '__proto__' || key === 'prototype' || key === 'constructor') {
+                throw new Error(`Access to property ${key} is not allowed`);
+            }
+            return key;
+        }
+
+        getProperty(obj, key) {
+            if (obj === null || obj === undefined) {
+                throw new Error(`Cannot read property ${key} of ${obj}`);
+            }
+            if (obj instanceof Map) return obj.get(key);
+            return obj[this.checkPropertyKey(key)];
+        }
+
+        isPathAssignment(path) {
+            try {
+                return this.tokenize(path).some(t => t.type === 'operator' && t.value === '=');
+            } catch (e) {
+                return false;
+            }
+        }
+
+        async setPath(name, path) {
+            const tokens = this.tokenize(path);
+            const eq = tokens.findIndex(t => t.type === 'operator' && t.value === '=');
+            if (eq < 1) throw new Error(`Invalid property assignment: ${path}`);
+            const target = this.parse([{ type: 'identifier', value: name, pos: 0 }, ...tokens.slice(0, eq)]);
+            if (target.type !== 'member') throw new Error(`Invalid property assignment: ${path}`);
+            const obj = await this.evaluateAst(target.object);
+            const key = this.checkPropertyKey(await this.evaluateAst(target.property));
+            const value = await this.evaluateAst(this.parse(tokens.slice(eq + 1)));
+            if (obj === null || typeof obj !== 'object') {
+                throw new Error(`Cannot set property ${key} of ${obj}`);
+            }
+            if (obj instanceof Map) {
+                obj.set(key, value);
+            } else {
+                obj[key] = value;
+            }
+        }
+
+        parseTemplate(text) {
+            const segments = [];
+            const pattern = /\{\{\{([\s\S]+?)\}\}\}|\{\{([\s\S]+?)\}\}/g;
+            let last = 0;
+            let match;
+            while ((match = pattern.exec(text))) {
+                if (match.index > last) segments.push({ type: 'text', value: text.slice(last, match.index) });
+                const raw = match[1] !== undefined;
+                segments.push({ type: 'expression', expression: (raw ? match[1] : match[2]).trim(), raw });
+                last = pattern.lastIndex;
+            }
+            if (last < text.length) segments.push({ type: 'text', value: text.slice(last) });
+            return segments;
+        }
+
+        async renderTemplate(segments, evaluate) {
+            const parts = [];
+            for (const segment of segments) {
+                if (segment.type === 'text') {
+                    parts.push({ value: segment.value, raw: false });
+                } else {
+                    const value = await evaluate(segment.expression);
+                    parts.push({ value: builtinFunctions.str(value), raw: segment.raw });
+                }
+            }
+            return parts;
+        }
+
+        async processText(node) {
+            const text = node.textContent;
+            if (!text.includes('{{')) return;
+            const segments = this.parseTemplate(text);
+            if (!segments.some(segment => segment.raw)) {
+                await this.bind(node, async (evaluate) => {
+                    const parts = await this.renderTemplate(segments, evaluate);
+                    node.textContent = parts.map(part => part.value).join('');
+                });
+                return;
+            }
+            const range = this.options.reactive ? this.createRange(node) : null;
+            await this.bind(range ? range.start : node, async (evaluate) => {
+                const parts = await this.renderTemplate(segments, evaluate);
+                const nodes = parts.map(part => {
+                    if (!part.raw) return this.document.createTextNode(part.value);
+                    const template = this.document.createElement('template');
+                    template.innerHTML = part.value;
+                    return template.content;
+                });
+                if (range) {
+                    this.fillRange(range, nodes);
+                } else {
+                    node.replaceWith(...nodes);
+                }
+            });
+        }
+
+        async interpolateAttributes(node) {
+            for (const attr of Array.from(node.attributes)) {
+                if (!attr.value.includes('{{')) continue;
+                const name = attr.name;
+                const segments = this.parseTemplate(attr.value);
+                await this.bind(node, async (evaluate) => {
+                    const parts = await this.renderTemplate(segments, evaluate);
+                    node.setAttribute(name, parts.map(part => part.value).join(''));
+                });
+            }
+        }
+
+        static registerTag(name, handler) {
+            HtmlScript.tags.set(HtmlScript.normalizeTagName(name), HtmlScript.normalizeTagHandler(name, handler));
+        }
+
+        static normalizeTagName(name) {
+            if (typeof name !== 'string' || !/^[a-zA-Z][a-zA-Z0-9-]*$/.test(name)) throw new Error(`Invalid tag name: ${name}`);
+            return name.toLowerCase();
+        }
+
+        static normalizeTagHandler(name, handler) {
+            if (typeof handler === 'function') handler = { process: handler };
+            if (!handler || typeof handler !== 'object') throw new Error(`Invalid handler for tag ${name}`);
+            const children = handler.children || 'skip';
+            if (!['skip', 'before', 'after'].includes(children)) {
+                throw new Error(`Invalid children option for tag ${name}: ${children}`);
+            }
+            if (handler.process !== undefined && typeof handler.process !== 'function') {
+                throw new Error(`process for tag ${name} must be a function`);
+            }
+            return { ...handler, children };
+        }
+
+        registerTag(name, handler) {
+            this.tags.set(HtmlScript.normalizeTagName(name), HtmlScript.normalizeTagHandler(name, handler));
+        }
+
+        resolveTag(tagName) {
+            const prefix = this.options.prefix;
+            if (!prefix) return tagName;
+            return tagName.startsWith(prefix) ? tagName.slice(prefix.length) : null;
+        }
+
+        // Returns the element after node if it is the given tag (such as the
+        // <else> of an <if>), with the prefix applied like any other tag.
+        nextTag(node, tag) {
+            const next = node.nextElementSibling;
+            return next && this.resolveTag(next.tagName.toLowerCase()) === tag ? next : null;
+        }
+
+        getTagHandler(tag) {
+            return this.tags.get(tag) || HtmlScript.tags.get(tag);
+        }
+
+        createContext(node, tag) {
+            return {
+                htmlScript: this,
+                tag,
+                node,
+                evaluate: (expr) => this.evaluate(expr),
+                interpolate: async (text) => {
+                    const parts = await this.renderTemplate(this.parseTemplate(text), expr => this.evaluate(expr));
+                    return parts.map(part => part.value).join('');
+                },
+                getVariable: (name) => this.getVariable(name),
+                setVariable: (name, value, local) => this.setVariable(name, value, local),
+                pushScope: (variables = {}) => {
+                    this.scopes.push(variables instanceof Map ? variables : new Map(Object.entries(variables)));
+                },
+                popScope: () => this.scopes.pop(),
+                processChildren: (target = node) => this.processChildren(target),
+                processNode: (target) => this.processNode(target),
+                error: (message) => {
+                    throw new Error(`<${tag}>: ${message}`);
+                },
+            };
+        }
+
+        async processNode(node) {
+            if (node.nodeType === 3) {
+                await this.processText(node);
+                return;
+            }
+            if (node.nodeType !== 1) return;
+            const tagName = node.tagName.toLowerCase();
+            const tag = this.resolveTag(tagName);
+            const handler = tag && this.getTagHandler(tag);
+            this.callStack.push(tagName);
+            try {
+                if (this.callStack.length > 50) {
+                    throw new Error('Recursion depth exceeded');
+                }
+                if (handler) {
+                    if (handler.children === 'before') await this.processChildren(node);
+                    if (handler.process) await handler.process(node, this.createContext(node, tag));
+                    if (handler.children === 'after') await this.processChildren(node);
+                } else if (tagName !== 'script' && tagName !== 'style') {
+                    await this.interpolateAttributes(node);
+                    await this.processChildren(node);
+                }
+            } catch (e) {
+                if (!(e instanceof CustomBreakError) && !(e instanceof CustomContinueError) && !(e instanceof CustomReturnError)) {
+                    console.error('Error processing node:', tagName, e, 'Stack:', this.callStack.join(' > '));
+                }
+                throw e;
+            } finally {
+                this.callStack.pop();
+            }
+        }
+
+        async processChildren(node) {
+            const children = Array.from(node.childNodes);
+            for (const child of children) {
+                if (child.parentNode !== node) continue;
+                await this.processNode(child);
+            }
+        }
+
+        async processAll() {
+            await this.run(this.document.body);
+        }
+
+        async run(root = this.document.body, { variables } = {}) {
+            if (variables) {
+                const entries = variables instanceof Map ? Array.from(variables) : Object.entries(variables);
+                entries.forEach(([name, value]) => this.setVariable(name, value, false));
+            }
+            this.emit('beforeProcess', { root });
+            try {
+                await this.processChildren(root);
+            } catch (e) {
+                this.emit('error', { error: e, root });
+                throw e;
+            }
+            this.ready = true;
+            const result = this.getVariables();
+            this.emit('afterProcess', { root, variables: result });
+            return result;
+        }
+
+        on(event, listener) {
+            if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+            this.listeners.get(event).add(listener);
+            return this;
+        }
+
+        off(event, listener) {
+            const listeners = this.listeners.get(event);
+            if (listeners) listeners.delete(listener);
+            return this;
+        }
+
+        emit(event, detail) {
+            const listeners = this.listeners.get(event);
+            if (!listeners) return;
+            listeners.forEach(listener => {
+                try {
+                    listener(detail);
+                } catch (e) {
+                    console.error(`Error in ${event} listener:`, e);
+                }
+            });
+        }
+
+        destroy() {
+            if (this.startListener) {
+                this.document.removeEventListener('DOMContentLoaded', this.startListener);
+                this.startListener = null;
+            }
+            this.eventBindings.forEach(({ target, event, listener, options }) => target.removeEventListener(event, listener, options));
+            this.eventBindings = [];
+            this.pendingBindings.clear();
+            this.subscribers = new WeakMap();
+            this.listeners.clear();
+        }
+
+        async processStore(node) {
+            const name = node.getAttribute('name');
+            const value = node.getAttribute('value');
+            const type = node.getAttribute('type');
+            const local = node.getAttribute('local') !== 'false';
+            const val = await this.evaluate(value);
+            if (type && typeof val !== type) {
+                throw new Error(`Type mismatch for ${name}: expected ${type}, got ${typeof val}`);
+            }
+            this.setVariable(name, val, local);
+            node.remove();
+        }
+
+        async processMan(node) {
+            const name = node.getAttribute('name');
+            const operation = node.getAttribute('operation');
+            const type = node.getAttribute('type');
+            let val = this.getVariable(name);
+            if (val === undefined) throw new Error(`Variable ${name} not found`);
+            let newVal;
+            if ((operation.startsWith('.') || operation.startsWith('[')) && this.isPathAssignment(operation)) {
+                await this.setPath(name, operation);
+                newVal = val;
+            } else if (operation.startsWith('.')) {
+
+                console.warn('Using unsafe eval for object manipulation');
+                newVal = new Function('val', `val${operation}; return val;`)(val);
+            } else {
+
+                newVal = await this.safeEvaluate(val + operation);
+            }
+            if (type && typeof newVal !== type) {
+                throw new Error(`Type mismatch after manipulation for ${name}: expected ${type}, got ${typeof newVal}`);
+            }
+            this.assignVariable(name, newVal);
+            node.remove();
+        }
+
+        async processCalc(node) {
+            const expression = node.getAttribute('expression');
+            const type = node.getAttribute('type');
+            await this.bind(node, async (evaluate) => {
+                const result = await evaluate(expression);
+                if (type && typeof result !== type) {
+                    throw new Error(`Type mismatch in calc: expected ${type}, got ${typeof result}`);
+                }
+                node.textContent = result;
+            });
+        }
+
+        async processIf(node) {
+            const condition = node.getAttribute('condition');
+            const elseNode = this.nextTag(node, 'else');
+            if (this.options.reactive) {
+                await this.processReactiveIf(node, condition, elseNode);
+                return;
+            }
+            const cond = await this.evaluate(condition);
+            if (cond) {
+                await this.processChildren(node);
+                node.replaceWith(...node.childNodes);
+                if (elseNode) elseNode.remove();
+            } else {
+                node.remove();
+                if (elseNode) {
+                    await this.processChildren(elseNode);
+                    elseNode.replaceWith(...elseNode.childNodes);
+                }
+            }
+        }
+
+        async processReactiveIf(node, condition, elseNode) {
+            const branches = { then: node.cloneNode(true), else: elseNode ? elseNode.cloneNode(true) : null };
+            const range = this.createRange(node);
+            if (elseNode) elseNode.remove();
+            let current;
+            await this.bind(range.start, async (evaluate, task) => {
+                const cond = Boolean(await evaluate(condition));
+                if (cond === current) return;
+                current = cond;
+                const branch = cond ? branches.then : branches.else;
+                const content = branch ? branch.cloneNode(true) : null;
+                if (content) await task.processChildren(content);
+                this.fillRange(range, content ? Array.from(content.childNodes) : []);
+            });
+        }
+
+        async processFor(node) {
+            const init = node.getAttribute('init');
+            const condition = node.getAttribute('condition');
+            const increment = node.getAttribute('increment');
+            if (init) {
+                const initParts = init.split('=');
+                if (initParts.length === 2) {
+                    const name = initParts[0].trim();
+                    const val = await this.evaluate(initParts[1].trim());
+                    this.setVariable(name, val);
+                } else {
+                    await this.evaluate(init);
+                }
+            }
+            await this.processLoop(node, {
+                condition: () => this.evaluate(condition),
+                step: () => this.evaluate(increment),
+            });
+        }
+
+        async processWhile(node) {
+            const condition = node.getAttribute('condition');
+            await this.processLoop(node, {
+                condition: () => this.evaluate(condition),
+            });
+        }
+
+        async processEach(node) {
+            const source = node.getAttribute('source');
+            const itemName = node.getAttribute('item') || 'item';
+            const indexName = node.getAttribute('index');
+            const keyName = node.getAttribute('key');
+            const emptyNode = this.nextTag(node, 'empty');
+            const entries = this.toEntries(await this.evaluate(source));
+            if (!entries.length) {
+                node.remove();
+                if (emptyNode) {
+                    await this.processChildren(emptyNode);
+                    emptyNode.replaceWith(...emptyNode.childNodes);
+                }
+                return;
+            }
+            if (emptyNode) emptyNode.remove();
+            let i = 0;
+            await this.processLoop(node, {
+                condition: () => i < entries.length,
+                step: () => i++,
+                scope: () => {
+                    const [key, value] = entries[i];
+                    const scope = new Map([[itemName, value]]);
+                    if (indexName) scope.set(indexName, i);
+                    if (keyName) scope.set(keyName, key);
+                    return scope;
+                },
+            });
+        }
+
+        toEntries(collection) {
+            if (collection === null || collection === undefined) return [];
+            if (Array.isArray(collection) || typeof collection === 'string') return Array.from(collection).map((value, i) => [i, value]);
+            if (collection instanceof Map) return Array.from(collection.entries());
+            if (collection instanceof Set) return Array.from(collection).map((value, i) => [i, value]);
+            if (typeof collection[Symbol.iterator] === 'function') return Array.from(collection).map((value, i) => [i, value]);
+            if (typeof collection === 'object') return Object.entries(collection);
+            throw new Error(`Cannot iterate over ${typeof collection}`);
+        }
+
+        async processLoop(node, { condition, step, scope }) {
+            const template = node.cloneNode(true);
+            node.innerHTML = '';
+            while (await condition()) {
+                const iteration = template.cloneNode(true);
+                if (scope) this.scopes.push(scope());
+                try {
+                    await this.processChildren(iteration);
+                    node.append(...iteration.childNodes);
+                } catch (e) {
+                    if (e instanceof CustomBreakError) {
+                        break;
+                    } else if (e instanceof CustomReturnError) {
+                        // Keeps the output up to the <return> in place of the loop and
+                        // marks the spot, so the function body is cut after it.
+                        this.truncateAfter(iteration, e.node);
+                        const end = this.document.createTextNode('');
+                        node.append(...iteration.childNodes, end);
+                        node.replaceWith(...node.childNodes);
+                        e.node = end;
+                        throw e;
+                    } else if (!(e instanceof CustomContinueError)) {
+                        throw e;
+                    }
+                } finally {
+                    if (scope) this.scopes.pop();
+                }
+                if (step) await step();
+            }
+            node.replaceWith(...node.childNodes);
+        }
+
+        async processReturn(node) {
+            const expr = node.getAttribute('expression');
+            throw new CustomReturnError(expr ? await this.evaluate(expr) : undefined, node);
+        }
+
+        processFunc(node) {
+            const name = node.getAttribute('name');
+            const params = this.parseParams(node.getAttribute('params'));
+            const body = node.cloneNode(true);
+            const closure = this.scopes.slice();
+            this.functions.set(name, { name, params, body, closure });
+            if (this.options.hydrate) {
+                node.setAttribute('hidden', '');
+            } else {
+                node.remove();
+            }
+        }
+
+        parseParams(paramsStr) {
+            if (!paramsStr || !paramsStr.trim()) return [];
+            const parts = [];
+            let depth = 0;
+            let start = 0;
+            this.tokenize(paramsStr).forEach(token => {
+                if (token.type !== 'operator') return;
+                if ('([{'.includes(token.value)) depth++;
+                else if (')]}'.includes(token.value)) depth--;
+                else if (token.value === ',' && depth === 0) {
+                    parts.push(paramsStr.slice(start, token.pos));
+                    start = token.pos + 1;
+                }
+            });
+            parts.push(paramsStr.slice(start));
+            return parts.map((part, i) => {
+                const match = /^\s*(\.\.\.)?\s*([a-zA-Z_$][a-zA-Z0-9_$]*)\s*(?:=([\s\S]+))?$/.exec(part);
+                if (!match) throw new Error(`Invalid parameter: ${part.trim()}`);
+                const param = { name: match[2], rest: Boolean(match[1]), defaultValue: match[3] ? match[3].trim() : null };
+                if (param.rest && (i !== parts.length - 1 || param.defaultValue)) {
+                    throw new Error(`Rest parameter ${param.name} must be last and cannot have a default`);
+                }
+                return param;
+            });
+        }
+
+        async processCall(node) {
+            const funcName = node.getAttribute('func');
+            const argsStr = node.getAttribute('args');
+            const varName = node.getAttribute('var');
+            const f = this.functions.get(funcName);
+            if (!f) throw new Error(`Function ${funcName} not found`);
+            const args = argsStr ? await this.evaluate(`[${argsStr}]`) : [];
+            const { value, body } = await this.runFunction(f, args);
+            if (varName) {
+                this.setVariable(varName, value);
+                node.remove();
+            } else {
+                node.replaceWith(...body.childNodes);
+            }
+        }
+
+        async runFunction(f, args) {
+            const hasRest = f.params.length && f.params[f.params.length - 1].rest;
+            if (!hasRest && args.length > f.params.length) throw new Error('Argument count mismatch');
+            const prevScopes = this.scopes;
+            this.scopes = [...f.closure, new Map()];
+            this.callStack.push(`${f.name}()`);
+            try {
+                for (let i = 0; i < f.params.length; i++) {
+                    const param = f.params[i];
+                    let value = param.rest ? args.slice(i) : args[i];
+                    if (value === undefined && param.defaultValue !== null) {
+                        value = await this.evaluate(param.defaultValue);
+                    } else if (value === undefined) {
+                        throw new Error(`Missing argument ${param.name} for function ${f.name}`);
+                    }
+                    this.setVariable(param.name, value);
+                }
+                const body = f.body.cloneNode(true);
+                let value = undefined;
+                try {
+                    await this.processChildren(body);
+                } catch (e) {
+                    if (!(e instanceof CustomReturnError)) throw e;
+                    value = e.value;
+                    this.truncateAfter(body, e.node);
+                }
+                return { value, body };
+            } finally {
+                this.callStack.pop();
+                this.scopes = prevScopes;
+            }
+        }
+
+        truncateAfter(root, node) {
+            if (!node || !root.contains(node)) return;
+            const controlTags = ['if', 'else', 'for', 'while', 'each', 'empty', 'scope', 'try', 'catch'];
+            let current = node;
+            while (current !== root) {
+                const parent = current.parentNode;
+                while (current.nextSibling) current.nextSibling.remove();
+                if (current === node) current.remove();
+                else if (controlTags.includes(this.resolveTag(current.tagName.toLowerCase()))) current.replaceWith(...current.childNodes);
+                current = parent;
+            }
+        }
+
+        async processScope(node) {
+            this.scopes.push(new Map());
+            await this.processChildren(node);
+            node.replaceWith(...node.childNodes);
+            this.scopes.pop();
+        }
+
+        processInput(node) {
+            const varName = node.getAttribute('var');
+            const promptText = node.getAttribute('prompt') || '';
+            const value = this.window.prompt(promptText);
+            this.setVariable(varName, value);
+            node.remove();
+        }
+
+        async processOutput(node) {
+            const expr = node.getAttribute('expression');
+            await this.bind(node, async (evaluate) => {
+                const value = await evaluate(expr);
+                node.textContent = value.toString();
+            });
+        }
+
+        async processTry(node) {
+            const catchNode = this.nextTag(node, 'catch');
+            const catchVar = catchNode ? catchNode.getAttribute('var') || 'e' : 'e';
+            try {
+                await this.processChildren(node);
+                node.replaceWith(...node.childNodes);
+                if (catchNode) catchNode.remove();
+            } catch (e) {
+                node.remove();
+                if (catchNode) {
+                    this.setVariable(catchVar, e);
+                    await this.processChildren(catchNode);
+                    catchNode.replaceWith(...catchNode.childNodes);
+                } else {
+                    throw e;
+                }
+            }
+        }
+
+        async processImport(node) {
+            const src = node.getAttribute('src');
+            const type = node.getAttribute('type') || 'script';
+            const namespace = node.getAttribute('namespace');
+            try {
+                const response = await this.fetch(src);
+                const text = await response.text();
+                if (namespace) {
+                    this.scopes.push(new Map());
+                }
+                if (type === 'module') {
+                    const module = await this.importModule(src);
+                    this.setVariable(namespace || 'imported', module);
+                } else if (type === 'plugin') {
+                    const module = await this.importModule(src);
+                    await this.usePlugin(module.default || module);
+                } else if (type === 'script') {
+                    new (this.window ? this.window.Function : Function)(text)();
+                } else if (type === 'html') {
+                    const div = this.document.createElement('div');
+                    div.innerHTML = text;
+                    await this.processChildren(div);
+                    node.replaceWith(...div.childNodes);
+                }
+                if (namespace) {
+                    this.scopes.pop();
+                }
+            } catch (e) {
+                console.error(`Import failed from ${src}:`, e);
+            }
+            node.remove();
+        }
+
+        async usePlugin(plugin) {
+            if (typeof plugin === 'function') {
+                await plugin(this, HtmlScript);
+            } else if (plugin && plugin.tags) {
+                Object.entries(plugin.tags).forEach(([name, handler]) => this.registerTag(name, handler));
+            } else {
+                throw new Error('Plugin must be a function or an object with tags');
+            }
+        }
+
+        processOn(node) {
+            const event = node.getAttribute('event');
+            const selector = node.getAttribute('selector');
+            const body = node.cloneNode(true);
+            if (this.options.hydrate) {
+                node.setAttribute('hidden', '');
+                return;
+            }
+            node.remove();
+            const elems = this.document.querySelectorAll(selector);
+            elems.forEach(elem => {
+                const listener = async (evt) => {
+                    this.scopes.push(new Map());
+                    try {
+                        this.setVariable('event', evt);
+                        const clone = body.cloneNode(true);
+                        await this.processChildren(clone);
+                    } catch (e) {
+                        this.emit('error', { error: e, node: elem });
+                    } finally {
+                        this.scopes.pop();
+                    }
+                };
+                elem.addEventListener(event, listener);
+                this.eventBindings.push({ target: elem, event, listener });
+            });
+        }
+
+        processDebug(node) {
+            const varName = node.getAttribute('var');
+            if (varName) {
+                console.dir(this.getVariable(varName));
+            } else {
+                console.log('Debug point reached', new Error().stack);
+            }
+            node.remove();
+        }
+
+        async processHttp(node) {
+            const method = node.getAttribute('method')?.toUpperCase() || 'GET';
+            const url = node.getAttribute('url');
+            const headersStr = node.getAttribute('headers');
+            const bodyStr = node.getAttribute('body');
+            const varName = node.getAttribute('var');
+
+            try {
+                const headers = headersStr ? await this.evaluate(headersStr) : {};
+                const body = bodyStr ? JSON.stringify(await this.evaluate(bodyStr)) : null;
+                const options = {
+                    method,
+                    headers,
+                    body: method !== 'GET' && method !== 'HEAD' ? body : null,
+                };
+
+                const response = await this.fetch(url, options);
+                let result;
+                if (response.headers.get('content-type')?.includes('application/json')) {
+                    result = await response.json();
+                } else {
+                    result = await response.text();
+                }
+
+                if (varName) {
+                    this.setVariable(varName, result);
+                    node.remove();
+                } else {
+                    node.textContent = JSON.stringify(result);
+                }
+            } catch (e) {
+                console.error('HTTP request failed:', url, e);
+                if (varName) {
+                    this.setVariable(varName, { error: e.message });
+                    node.remove();
+                } else {
+                    node.textContent = `Error: ${e.message}`;
+                }
+            }
+        }
+
+        async processJson(node) {
+            const varName = node.getAttribute('var');
+            const action = node.getAttribute('action') || 'parse';
+            const source = node.getAttribute('source') || node.textContent.trim();
+            try {
+                let result;
+                if (action === 'parse') {
+                    result = JSON.parse(source);
+                } else if (action === 'stringify') {
+                    const data = await this.evaluate(source);
+                    result = JSON.stringify(data);
+                } else {
+                    throw new Error('Invalid JSON action');
+                }
+                if (varName) {
+                    this.setVariable(varName, result);
+                    node.remove();
+                } else {
+                    node.textContent = result.toString();
+                }
+            } catch (e) {
+                console.error('JSON processing error:', e);
+                if (varName) {
+                    this.setVariable(varName, { error: e.message });
+                    node.remove();
+                } else {
+                    node.textContent = `Error: ${e.message}`;
+                }
+            }
+        }
+
+        async processCsv(node) {
+            const varName = node.getAttribute('var');
+            const action = node.getAttribute('action') || 'parse';
+            const source = node.getAttribute('source') || node.textContent.trim();
+            try {
+                let result;
+                if (action === 'parse') {
+                    const rows = source.split('\n').map(row => row.split(',').map(cell => cell.trim()));
+                    result = rows;
+                } else if (action === 'stringify') {
+                    let data = await this.evaluate(source);
+                    if (!Array.isArray(data)) throw new Error('CSV stringify requires an array');
+                    if (data.length > 0 && typeof data[0] === 'object') {
+                        const keys = Object.keys(data[0]);
+                        const csvRows = [keys.join(',')];
+                        data.forEach(obj => {
+                            csvRows.push(keys.map(key => obj[key] ?? '').join(','));
+                        });
+                        result = csvRows.join('\n');
+                    } else {
+                        result = data.map(row => row.join(',')).join('\n');
+                    }
+                } else {
+                    throw new Error('Invalid CSV action');
+                }
+                if (varName) {
+                    this.setVariable(varName, result);
+                    node.remove();
+                } else {
+                    node.textContent = result.toString();
+                }
+            } catch (e) {
+                console.error('CSV processing error:', e);
+                if (varName) {
+                    this.setVariable(varName, { error: e.message });
+                    node.remove();
+                } else {
+                    node.textContent = `Error: ${e.message}`;
+                }
+            }
+        }
+
+        async processIni(node) {
+            const varName = node.getAttribute('var');
+            const action = node.getAttribute('action') || 'parse';
+            const source = node.getAttribute('source') || node.textContent.trim();
+            try {
+                let result;
+                if (action === 'parse') {
+                    const obj = {};
+                    let currentSection = null;
+                    source.split('\n').forEach(line => {
+                        line = line.trim();
+                        if (!line || line.startsWith(';') || line.startsWith('#')) return;
+                        if (line.match(/^\[.*\]$/)) {
+                            currentSection = line.slice(1, -1);
+                            obj[currentSection] = {};
+                        } else if (line.includes('=') && currentSection) {
+                            const [key, value] = line.split('=').map(s => s.trim());
+                            obj[currentSection][key] = value;
+                        }
+                    });
+                    result = obj;
+                } else if (action === 'stringify') {
+                    const data = await this.evaluate(source);
+                    const lines = [];
+                    for (const [section, props] of Object.entries(data)) {
+                        lines.push(`[${section}]`);
+                        for (const [key, value] of Object.entries(props)) {
+                            lines.push(`${key}=${value}`);
+                        }
+                    }
+                    result = lines.join('\n');
+                } else {
+                    throw new Error('Invalid INI action');
+                }
+                if (varName) {
+                    this.setVariable(varName, result);
+                    node.remove();
+                } else {
+                    node.textContent = result.toString();
+                }
+            } catch (e) {
+                console.error('INI processing error:', e);
+                if (varName) {
+                    this.setVariable(varName, { error: e.message });
+                    node.remove();
+                } else {
+                    node.textContent = `Error: ${e.message}`;
+                }
+            }
+        }
+
+        async processXml(node) {
+            const varName = node.getAttribute('var');
+            const action = node.getAttribute('action') || 'parse';
+            const source = node.getAttribute('source') || node.textContent.trim();
+            try {
+                let result;
+                if (action === 'parse') {
+                    const parser = new this.window.DOMParser();
+                    const xmlDoc = parser.parseFromString(source, 'application/xml');
+                    const errorNode = xmlDoc.querySelector('parsererror');
+                    if (errorNode) throw new Error('Invalid XML');
+                    result = this.xmlToObject(xmlDoc.documentElement);
+                } else if (action === 'stringify') {
+                    const data = await this.evaluate(source);
+                    result = this.objectToXml(data);
+                } else {
+                    throw new Error('Invalid XML action');
+                }
+                if (varName) {
+                    this.setVariable(varName, result);
+                    node.remove();
+                } else {
+                    node.textContent = result.toString();
+                }
+            } catch (e) {
+                console.error('XML processing error:', e);
+                if (varName) {
+                    this.setVariable(varName, { error: e.message });
+                    node.remove();
+                } else {
+                    node.textContent = `Error: ${e.message}`;
+                }
+            }
+        }
+
+        xmlToObject(node) {
+            const obj = { name: node.tagName };
+            if (node.attributes) {
+                obj.attributes = {};
+                for (const attr of node.attributes) {
+                    obj.attributes[attr.name] = attr.value;
+                }
+            }
+            if (node.childNodes.length === 1 && node.childNodes[0].nodeType === 3) {
+                obj.text = node.childNodes[0].textContent.trim();
+            } else {
+                obj.children = [];
+                for (const child of node.childNodes) {
+                    if (child.nodeType === 1) {
+                        obj.children.push(this.xmlToObject(child));
+                    }
+                }
+            }
+            return obj;
+        }
+
+        objectToXml(obj, tagName = 'root') {
+            tagName = obj.name || tagName;
+            let xml = `<${tagName}`;
+            if (obj.attributes) {
+                for (const [key, value] of Object.entries(obj.attributes)) {
+                    xml += ` ${key}="${value}"`;
+                }
+            }
+            xml += '>';
+            if (obj.text) {
+                xml += obj.text;
+            } else if (obj.children) {
+                for (const child of obj.children) {
+                    xml += this.objectToXml(child);
+                }
+            }
+            xml += `</${tagName}>`;
+            return xml;
+        }
+
+        async processYml(node) {
+            const varName = node.getAttribute('var');
+            const action = node.getAttribute('action') || 'parse';
+            const source = node.getAttribute('source') || node.textContent.trim();
+            try {
+                let result;
+                if (action === 'parse') {
+                    result = this.parseYml(source);
+                } else if (action === 'stringify') {
+                    const data = await this.evaluate(source);
+                    result = this.stringifyYml(data);
+                } else {
+                    throw new Error('Invalid YML action');
+                }
+                if (varName) {
+                    this.setVariable(varName, result);
+                    node.remove();
+                } else {
+                    node.textContent = result.toString();
+                }
+            } catch (e) {
+                console.error('YML processing error:', e);
+                if (varName) {
+                    this.setVariable(varName, { error: e.message });
+                    node.remove();
+                } else {
+                    node.textContent = `Error: ${e.message}`;
+                }
+            }
+        }
+
+        parseYml(source) {
+            const lines = source.split('\n');
+            const stack = [];
+            let root = {};
+            let current = root;
+            let lastIndent = 0;
+            lines.forEach((line, index) => {
+                if (line.trim() === '' || line.trim().startsWith('#')) return;
+                const indent = line.match(/^\s*/) [0].length;
+                const trimmed = line.trim();
+                if (indent < lastIndent) {
+                    for (let j = 0; j < (lastIndent - indent) / 2; j++) {
+                        stack.pop();
+                    }
+                    current = stack[stack.length - 1] || root;
+                } else if (indent > lastIndent) {
+                    if (indent - lastIndent !== 2) throw new Error('Invalid indentation at line ' + (index + 1));
+                }
+                lastIndent = indent;
+                if (trimmed.startsWith('-')) {
+                    const valueStr = trimmed.slice(1).trim();
+                    if (Array.isArray(current)) {
+                        const lastItem = current[current.length - 1];
+                        if (valueStr.includes(':')) {
+                            const [key, value] = valueStr.split(':').map(s => s.trim());
+                            lastItem[key] = this.parseYmlValue(value);
+                        } else {
+                            current.push(this.parseYmlValue(valueStr));
+                        }
+                    } else {
+                        const newArray = [];
+                        current = newArray;
+                        stack[stack.length - 1][Object.keys(stack[stack.length - 1])[Object.keys(stack[stack.length - 1]).length - 1]] = newArray;
+                        stack.push(newArray);
+                        newArray.push(this.parseYmlValue(valueStr));
+                    }
+                } else if (trimmed.includes(':')) {
+                    const [key, valueStr] = trimmed.split(':').map(s => s.trim());
+                    const value = this.parseYmlValue(valueStr);
+                    if (value === undefined) {
+                        const newObj = {};
+                        current[key] = newObj;
+                        stack.push(current);
+                        current = newObj;
+                    } else {
+                        current[key] = value;
+                    }
+                } else {
+                    throw new Error('Invalid YAML syntax at line ' + (index + 1));
+                }
+            });
+            return root;
+        }
+
+        parseYmlValue(valueStr) {
+            if (valueStr === '') return undefined;
+            if (!isNaN(valueStr)) return Number(valueStr);
+            if (valueStr === 'true') return true;
+            if (valueStr === 'false') return false;
+            if (valueStr.startsWith('"') && valueStr.endsWith('"')) return valueStr.slice(1, -1);
+            return valueStr;
+        }
+
+        stringifyYml(obj, indent = 0) {
+            let result = '';
+            const space = ' '.repeat(indent);
+            for (const [key, value] of Object.entries(obj)) {
+                if (Array.isArray(value)) {
+                    result += `${space}${key}:\n`;
+                    value.forEach(item => {
+                        if (typeof item === 'object') {
+                            result += `${space}  - \n${this.stringifyYml(item, indent + 4)}`;
+                        } else {
+                            result += `${space}  - ${item}\n`;
+                        }
+                    });
+                } else if (typeof value === 'object' && value !== null) {
+                    result += `${space}${key}:\n${this.stringifyYml(value, indent + 2)}`;
+                } else {
+                    result += `${space}${key}: ${value}\n`;
+                }
+            }
+            return result;
+        }
+
+        init() {
+            const start = () => {
+                this.startListener = null;
+                this.processAll().catch(() => {});
+            };
+            if (this.document.readyState === 'loading') {
+                this.startListener = start;
+                this.document.addEventListener('DOMContentLoaded', start, { once: true });
+            } else {
+                start();
+            }
+        }
+    }
+
+    HtmlScript.tags = new Map();
+
+    Object.entries({
+        store: 'processStore',
+        man: 'processMan',
+        calc: 'processCalc',
+        if: 'processIf',
+        for: 'processFor',
+        while: 'processWhile',
+        each: 'processEach',
+        func: 'processFunc',
+        call: 'processCall',
+        return: 'processReturn',
+        scope: 'processScope',
+        input: 'processInput',
+        output: 'processOutput',
+        try: 'processTry',
+        import: 'processImport',
+        on: 'processOn',
+        debug: 'processDebug',
+        http: 'processHttp',
+        json: 'processJson',
+        csv: 'processCsv',
+        ini: 'processIni',
+        xml: 'processXml',
+        yml: 'processYml',
+        yaml: 'processYml',
+    }).forEach(([tag, method]) => {
+        HtmlScript.registerTag(tag, { process: (node, ctx) => ctx.htmlScript[method](node) });
+    });
+
+    ['else', 'catch', 'empty'].forEach(tag => HtmlScript.registerTag(tag, { children: 'after' }));
+
+    HtmlScript.registerTag('break', () => {
+        throw new CustomBreakError();
+    });
+
+    HtmlScript.registerTag('continue', () => {
+        throw new CustomContinueError();
+    });
+
+    // Properties that each fork() keeps for itself instead of sharing.
+    const taskState = ['scopes', 'callStack', 'tracking'];
+
+    const toDate = (value) => {
+        const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+        if (isNaN(date.getTime())) throw new Error(`Invalid date: ${value}`);
+        return date;
+    };
+
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+    const builtinFunctions = {
+        abs: Math.abs,
+        ceil: Math.ceil,
+        floor: Math.floor,
+        trunc: Math.trunc,
+        sign: Math.sign,
+        sqrt: Math.sqrt,
+        cbrt: Math.cbrt,
+        exp: Math.exp,
+        pow: Math.pow,
+        sin: Math.sin,
+        cos: Math.cos,
+        tan: Math.tan,
+        asin: Math.asin,
+        acos: Math.acos,
+        atan: Math.atan,
+        atan2: Math.atan2,
+        hypot: Math.hypot,
+        log: (x, base) => (base === undefined ? Math.log(x) : Math.log(x) / Math.log(base)),
+        log10: Math.log10,
+        log2: Math.log2,
+        round: (x, digits = 0) => {
+            const factor = Math.pow(10, digits);
+            return Math.round(x * factor) / factor;
+        },
+        min: (...values) => Math.min(...(values.length === 1 && Array.isArray(values[0]) ? values[0] : values)),
+        max: (...values) => Math.max(...(values.length === 1 && Array.isArray(values[0]) ? values[0] : values)),
+        clamp: (x, min, max) => Math.min(Math.max(x, min), max),
+        random: (min, max) => {
+            if (min === undefined) return Math.random();
+            if (max === undefined) [min, max] = [0, min];
+            return Math.floor(Math.random() * (max - min)) + min;
+        },
+        sum: (arr) => arr.reduce((total, x) => total + x, 0),
+        avg: (arr) => (arr.length ? arr.reduce((total, x) => total + x, 0) / arr.length : NaN),
+        num: (x) => Number(x),
+        int: (x) => parseInt(x, 10),
+        str: (x) => (x === null || x === undefined ? '' : typeof x === 'object' ? JSON.stringify(x) : String(x)),
+        bool: (x) => Boolean(x),
+
+        len: (x) => {
+            if (x === null || x === undefined) return 0;
+            if (typeof x === 'string' || Array.isArray(x)) return x.length;
+            if (x instanceof Map || x instanceof Set) return x.size;
+            if (typeof x === 'object') return Object.keys(x).length;
+            throw new Error(`len() not supported for ${typeof x}`);
+        },
+        upper: (s) => String(s).toUpperCase(),
+        lower: (s) => String(s).toLowerCase(),
+        capitalize: (s) => String(s).charAt(0).toUpperCase() + String(s).slice(1),
+        trim: (s) => String(s).trim(),
+        trimStart: (s) => String(s).trimStart(),
+        trimEnd: (s) => String(s).trimEnd(),
+        padStart: (s, length, fill = ' ') => String(s).padStart(length, fill),
+        padEnd: (s, length, fill = ' ') => String(s).padEnd(length, fill),
+        repeat: (s, count) => String(s).repeat(count),
+        replace: (s, search, replacement) => String(s).split(search).join(replacement),
+        split: (s, separator = ',') => String(s).split(separator),
+        startsWith: (s, prefix) => String(s).startsWith(prefix),
+        endsWith: (s, suffix) => String(s).endsWith(suffix),
+        substring: (s, start, end) => String(s).substring(start, end),
+
+        contains: (x, item) => (typeof x === 'string' ? x.includes(item) : Array.isArray(x) ? x.includes(item) : item in Object(x)),
+        indexOf: (x, item) => x.indexOf(item),
+        slice: (x, start, end) => x.slice(start, end),
+        concat: (x, ...rest) => x.concat(...rest),
+        join: (arr, separator = ',') => arr.join(separator),
+        reverse: (x) => (typeof x === 'string' ? [...x].reverse().join('') : [...x].reverse()),
+        sort: (arr, key) => [...arr].sort((a, b) => {
+            const x = key === undefined ? a : a[key];
+            const y = key === undefined ? b : b[key];
+            return x < y ? -1 : x > y ? 1 : 0;
+        }),
+        unique: (arr) => [...new Set(arr)],
+        first: (arr) => arr[0],
+        last: (arr) => arr[arr.length - 1],
+        pluck: (arr, key) => arr.map(item => item[key]),
+        range: (start, end, step = 1) => {
+            if (end === undefined) [start, end] = [0, start];
+            if (step === 0) throw new Error('range() step cannot be 0');
+            const result = [];
+            for (let i = start; step > 0 ? i < end : i > end; i += step) result.push(i);
+            return result;
+        },
+        keys: (obj) => (obj instanceof Map ? [...obj.keys()] : Object.keys(obj)),
+        values: (obj) => (obj instanceof Map || obj instanceof Set ? [...obj.values()] : Object.values(obj)),
+        entries: (obj) => (obj instanceof Map ? [...obj.entries()] : Object.entries(obj)),
+
+        type: (x) => (x === null ? 'null' : Array.isArray(x) ? 'array' : x instanceof Date ? 'date' : typeof x),
+        isNumber: (x) => typeof x === 'number' && !isNaN(x),
+        isString: (x) => typeof x === 'string',
+        isBoolean: (x) => typeof x === 'boolean',
+        isArray: (x) => Array.isArray(x),
+        isObject: (x) => x !== null && typeof x === 'object' && !Array.isArray(x),
+        isNull: (x) => x === null || x === undefined,
+        isEmpty: (x) => x === null || x === undefined || x === '' || (typeof x === 'object' && builtinFunctions.len(x) === 0),
+
+        now: () => Date.now(),
+        today: () => {
+            const date = new Date();
+            date.setHours(0, 0, 0, 0);
+            return date;
+        },
+        date: (...args) => (args.length > 1 ? new Date(args[0], args[1] - 1, args[2] ?? 1, args[3] ?? 0, args[4] ?? 0, args[5] ?? 0) : toDate(args.length ? args[0] : Date.now())),
+        year: (d) => toDate(d).getFullYear(),
+        month: (d) => toDate(d).getMonth() + 1,
+        day: (d) => toDate(d).getDate(),
+        weekday: (d) => toDate(d).getDay(),
+        hour: (d) => toDate(d).getHours(),
+        minute: (d) => toDate(d).getMinutes(),
+        second: (d) => toDate(d).getSeconds(),
+        timestamp: (d) => toDate(d).getTime(),
+        addDays: (d, days) => {
+            const date = toDate(d);
+            date.setDate(date.getDate() + days);
+            return date;
+        },
+        diffDays: (a, b) => Math.round((toDate(a).getTime() - toDate(b).getTime()) / 86400000),
+        formatDate: (d, format = 'YYYY-MM-DD') => {
+            const date = toDate(d);
+            const parts = {
+                YYYY: date.getFullYear(),
+                MM: pad(date.getMonth() + 1),
+                DD: pad(date.getDate()),
+                HH: pad(date.getHours()),
+                mm: pad(date.getMinutes()),
+                ss: pad(date.getSeconds()),
+                SSS: pad(date.getMilliseconds(), 3),
+            };
+            return String(format).replace(/YYYY|MM|DD|HH|mm|ss|SSS/g, token => parts[token]);
+        },
+        isoDate: (d) => toDate(d).toISOString(),
+
+        toJson: (x, indent) => JSON.stringify(x, null, indent),
+        fromJson: (s) => JSON.parse(s),
+    };
+
+    class CustomBreakError extends Error {
+        constructor() {
+            super('break');
+        }
+    }
+
+    class CustomContinueError extends Error {
+        constructor() {
+            super('continue');
+        }
+    }
+
+    class CustomReturnError extends Error {
+        constructor(value, node) {
+            super('return');
+            this.value = value;
+            this.node = node;
+        }
+    }
+
+    return HtmlScript;
+});
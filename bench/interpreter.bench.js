@@ -0,0 +1,91 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * Interpreter benchmarks. Runs each page with the compile phase turned off
+ * (tokenize and parse on every evaluation, full tree walks) and on, and
+ * prints the median time of each. Both columns use the same build, so they
+ * only show what the compile option saves. The baseline column times
+ * bench/baseline/htmlscript.js, the interpreter as it was before the compile
+ * phase; pass --baseline with another build of htmlscript.js to time that
+ * instead. Requires jsdom (npm install jsdom).
+ *
+ * Usage: node bench/interpreter.bench.js [--runs 5] [--rows 10000] [--baseline path/to/htmlscript.js]
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const HtmlScript = require('../htmlscript.js');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const i = args.indexOf(name);
+    return i >= 0 ? args[i + 1] : fallback;
+};
+const runs = Number(option('--runs', 5));
+const rows = Number(option('--rows', 10000));
+const baselinePath = option('--baseline', path.join(__dirname, 'baseline', 'htmlscript.js'));
+const Baseline = require(path.resolve(baselinePath));
+
+// The pages stick to tags every build supports, so they also run against --baseline.
+const cases = {
+    'loop with interpolation': `
+        <store name="i" value="0"></store>
+        <ul><while condition="i < ${rows}">
+            <li><b>{{ i }}</b><b>{{ i * 2 + 1 }}</b><b class="{{ i % 2 == 0 ? 'even' : 'odd' }}">row</b><span>static</span></li>
+            <man name="i" operation="+1"></man>
+        </while></ul>`,
+    'each over records': `
+        <store name="items" value="range(${rows})"></store>
+        <ul><each source="items" item="n" index="i">
+            <li><if condition="n % 3 == 0"><b>{{ n }}</b></if><else>{{ i }}</else><em>static</em></li>
+        </each></ul>`,
+    'function calls': `
+        <func name="square" params="x"><return expression="x * x"></return></func>
+        <store name="total" value="0"></store>
+        <store name="i" value="0"></store>
+        <while condition="i < ${Math.ceil(rows / 10)}">
+            <p>{{ square(i) + square(i + 1) }}</p>
+            <man name="i" operation="+1"></man>
+        </while>`,
+};
+
+async function time(html, Interpreter, compile) {
+    const dom = new JSDOM(`<!DOCTYPE html><body>${html}</body>`);
+    const htmlScript = new Interpreter({ window: dom.window, autoStart: false, compile });
+    const start = process.hrtime.bigint();
+    await htmlScript.run(dom.window.document.body);
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+    dom.window.close();
+    return elapsed;
+}
+
+async function median(html, Interpreter, compile) {
+    const times = [];
+    for (let i = 0; i < runs; i++) {
+        times.push(await time(html, Interpreter, compile));
+    }
+    times.sort((a, b) => a - b);
+    return times[Math.floor(times.length / 2)];
+}
+
+async function main() {
+    console.log(`rows: ${rows}, runs: ${runs}, baseline: ${path.relative(process.cwd(), path.resolve(baselinePath))}`);
+    const ms = (value) => `${value.toFixed(1).padStart(9)} ms`;
+    for (const [name, html] of Object.entries(cases)) {
+        const interpreted = await median(html, HtmlScript, false);
+        const compiled = await median(html, HtmlScript, true);
+        let line = `${name.padEnd(30)} interpreted ${ms(interpreted)}   compiled ${ms(compiled)}   ${(interpreted / compiled).toFixed(2)}x`;
+        const baseline = await median(html, Baseline, false);
+        line += `   baseline ${ms(baseline)}   ${(baseline / compiled).toFixed(2)}x`;
+        console.log(line);
+    }
+}
+
+main().catch(e => {
+    console.error(e);
+    process.exitCode = 1;
+});
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * Command line prerenderer. Runs HtmlScript over a page in a jsdom window and
+ * writes the processed HTML. Requires the jsdom package (npm install jsdom).
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const HtmlScript = require('../htmlscript.js');
+
+const usage = `Usage: htmlscript render <input.html> [-o <output.html>] [options]
+
+Options:
+  -o, --output <file>   Write the result to a file instead of stdout
+  --fixtures <dir>      Serve absolute http(s) URLs from <dir>/<host>/<path> or <dir>/<path>
+  --base-url <url>      URL the page is served from, used to resolve relative URLs
+  --allow-network       Fetch absolute URLs that have no fixture from the network
+  --mock <file>         Answer requests from a JSON route table (see MockTransport in the README)
+  --record <file>       Write the responses of requests without a mock route to <file> as a route table
+  --no-hydrate          Remove <on>, <func> and <component> instead of keeping them for the browser
+  --no-state            Do not embed the final global variables as <store> tags
+  --strict              Fail on invalid data in <json>, <csv>, <ini>, <xml>, <yml> and <http>
+  --safe                Run in safe mode: no JavaScript from the page, limited loops, depth and run time
+  --origin <origin>     Allow requests to <origin>, or below a file: directory, in safe mode
+                        (repeatable; default: the input file's directory)
+  -h, --help            Show this help`;
+
+const contentTypes = {
+    '.json': 'application/json',
+    '.html': 'text/html',
+    '.htm': 'text/html',
+    '.js': 'text/javascript',
+    '.mjs': 'text/javascript',
+    '.csv': 'text/csv',
+    '.xml': 'application/xml',
+    '.yml': 'application/yaml',
+    '.yaml': 'application/yaml',
+    '.ini': 'text/plain',
+    '.txt': 'text/plain',
+};
+
+function parseArgs(argv) {
+    const args = { command: null, input: null, output: null, fixtures: null, mock: null, record: null, baseUrl: null, allowNetwork: false, hydrate: true, state: true, strict: false, safe: false, origins: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '-o':
+            case '--output':
+                args.output = value();
+                break;
+            case '--fixtures':
+                args.fixtures = path.resolve(value());
+                break;
+            case '--mock':
+                args.mock = path.resolve(value());
+                break;
+            case '--record':
+                args.record = path.resolve(value());
+                break;
+            case '--base-url':
+                args.baseUrl = value();
+                break;
+            case '--allow-network':
+                args.allowNetwork = true;
+                break;
+            case '--no-hydrate':
+                args.hydrate = false;
+                break;
+            case '--no-state':
+                args.state = false;
+                break;
+            case '--strict':
+                args.strict = true;
+                break;
+            case '--safe':
+                args.safe = true;
+                break;
+            case '--origin':
+                args.origins.push(value());
+                break;
+            case '-h':
+            case '--help':
+                args.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+                if (!args.command) args.command = arg;
+                else if (!args.input) args.input = arg;
+                else throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+    return args;
+}
+
+function loadJsdom() {
+    try {
+        return require('jsdom');
+    } catch (e) {
+        throw new Error('htmlscript render needs jsdom. Install it with: npm install jsdom');
+    }
+}
+
+function createResolver({ baseUrl, fixtures, allowNetwork }) {
+    const findFixture = (url) => {
+        if (!fixtures) return null;
+        const pathname = decodeURIComponent(url.pathname);
+        const candidates = [path.join(fixtures, url.host, pathname), path.join(fixtures, pathname)];
+        for (const candidate of candidates) {
+            for (const file of [candidate, `${candidate}.json`, path.join(candidate, 'index.json')]) {
+                if (file.startsWith(fixtures) && fs.existsSync(file) && fs.statSync(file).isFile()) return file;
+            }
+        }
+        return null;
+    };
+    return (src) => {
+        const url = new URL(src, baseUrl);
+        if (url.protocol === 'file:') return { file: fileURLToPath(url), url };
+        if (url.protocol === 'http:' || url.protocol === 'https:') {
+            const file = findFixture(url);
+            if (file) return { file, url };
+            if (allowNetwork) return { url };
+            throw new Error(`No fixture for ${url.href} (use --fixtures or --allow-network)`);
+        }
+        throw new Error(`Unsupported URL: ${url.href}`);
+    };
+}
+
+function createFetch(resolve) {
+    return async (src, init = {}) => {
+        const { file, url } = resolve(src);
+        if (!file) return fetch(url.href, init);
+        if (!fs.existsSync(file)) {
+            return new Response(`Not found: ${src}`, { status: 404, headers: { 'content-type': 'text/plain' } });
+        }
+        const type = contentTypes[path.extname(file).toLowerCase()] || 'application/octet-stream';
+        return new Response(fs.readFileSync(file), { status: 200, headers: { 'content-type': type } });
+    };
+}
+
+// Reads a route table for MockTransport. file fixtures are relative to the table.
+function loadRoutes(file) {
+    const routes = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.values(routes).forEach(response => {
+        if (response && typeof response.file === 'string' && !/^[a-z][a-z\d+.-]*:/i.test(response.file)) {
+            response.file = pathToFileURL(path.resolve(path.dirname(file), response.file)).href;
+        }
+    });
+    return routes;
+}
+
+function isSerializable(value) {
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) return true;
+    if (Array.isArray(value)) return value.every(isSerializable);
+    if (typeof value === 'object') {
+        const proto = Object.getPrototypeOf(value);
+        return (proto === Object.prototype || proto === null) && Object.values(value).every(isSerializable);
+    }
+    return false;
+}
+
+function embedState(document, variables) {
+    const stores = Object.entries(variables)
+        .filter(([, value]) => isSerializable(value))
+        .map(([name, value]) => {
+            const store = document.createElement('store');
+            store.setAttribute('name', name);
+            store.setAttribute('value', JSON.stringify(value));
+            store.setAttribute('local', 'false');
+            store.setAttribute('hidden', '');
+            return store;
+        });
+    document.body.prepend(...stores);
+}
+
+async function render(args) {
+    const { JSDOM } = loadJsdom();
+    const inputPath = path.resolve(args.input);
+    const html = fs.readFileSync(inputPath, 'utf8');
+    const baseUrl = args.baseUrl || pathToFileURL(inputPath).href;
+    const dom = new JSDOM(html, { url: baseUrl, includeNodeLocations: true });
+    const resolve = createResolver({ baseUrl, fixtures: args.fixtures, allowNetwork: args.allowNetwork });
+    const transport = args.mock || args.record
+        ? new HtmlScript.MockTransport(args.mock ? loadRoutes(args.mock) : {}, { record: Boolean(args.record), passthrough: Boolean(args.record) })
+        : null;
+    const htmlScript = new HtmlScript({
+        window: dom.window,
+        fetch: createFetch(resolve),
+        transport,
+        importModule: (src) => {
+            const { file, url } = resolve(src);
+            return import(file ? pathToFileURL(file).href : url.href);
+        },
+        autoStart: false,
+        hydrate: args.hydrate,
+        strict: args.strict,
+        safe: args.safe,
+        origins: args.origins.length ? args.origins : null,
+        locate: (node) => {
+            const location = dom.nodeLocation(node);
+            return location && { line: location.startLine, column: location.startCol };
+        },
+    });
+    const variables = await htmlScript.run(dom.window.document.body);
+    if (args.record) fs.writeFileSync(args.record, `${JSON.stringify(transport, null, 2)}\n`);
+    if (args.hydrate && args.state) embedState(dom.window.document, variables);
+    const output = dom.serialize();
+    htmlScript.destroy();
+    dom.window.close();
+    return output;
+}
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    if (args.help || !args.command) {
+        console.log(usage);
+        return args.help ? 0 : 1;
+    }
+    if (args.command !== 'render') throw new Error(`Unknown command: ${args.command}`);
+    if (!args.input) throw new Error('Missing input file');
+    const output = await render(args);
+    if (args.output) {
+        fs.writeFileSync(args.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+    return 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, e => {
+    console.error(`htmlscript: ${e.message}`);
+    process.exitCode = 1;
+});
@@ -7,885 +7,4385 @@
  * @license MIT
  */
 
-class HtmlScript {
-    constructor() {
-        this.scopes = [new Map()];
-        this.functions = new Map();
-        this.callStack = [];
-        this.init();
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else {
+        const HtmlScript = factory();
+        const currentScript = typeof document !== 'undefined' ? document.currentScript : null;
+        root.HtmlScript = HtmlScript;
+        if (currentScript && currentScript.getAttribute('data-autostart') !== 'false') {
+            root.htmlScript = new HtmlScript({
+                reactive: currentScript.hasAttribute('data-reactive'),
+                strict: currentScript.hasAttribute('data-strict'),
+                safe: currentScript.hasAttribute('data-safe'),
+                overlay: currentScript.hasAttribute('data-overlay'),
+                debug: currentScript.hasAttribute('data-debug'),
+                trace: currentScript.hasAttribute('data-trace'),
+                prefix: currentScript.getAttribute('data-prefix') || '',
+            });
+        }
     }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    class HtmlScript {
+        constructor(options = {}) {
+            const { window: win, document: doc, fetch: fetchFn, transport, importModule, ...rest } = options;
+            this.options = { autoStart: true, reactive: false, prefix: '', hydrate: false, compile: true, strict: false, overlay: false, locate: null, debug: false, trace: false, traceLimit: 1000, baseUrl: '', headers: null, safe: false, origins: null, maxDepth: 50, maxIterations: Infinity, timeLimit: Infinity, ...(rest.safe ? safeLimits : {}), ...rest };
+            this.window = win || (doc && doc.defaultView) || (typeof window !== 'undefined' ? window : undefined);
+            this.document = doc || (this.window ? this.window.document : globalThis.document);
+            this.fetch = fetchFn || ((url, init) => fetch(url, init));
+            this.transport = transport || null;
+            this.importModule = importModule || (src => import(src));
+            this.scopes = [new Map()];
+            this.functions = new Map();
+            this.callStack = [];
+            this.nativeFunctions = new Map(Object.entries(builtinFunctions));
+            this.tracking = null;
+            this.subscribers = new WeakMap();
+            this.pendingBindings = new Set();
+            this.updateQueue = Promise.resolve();
+            this.ready = false;
+            this.tags = new Map();
+            this.listeners = new Map();
+            this.eventBindings = [];
+            this.expressionCache = new Map();
+            this.templateCache = new Map();
+            this.templateParts = new WeakMap();
+            this.startListener = null;
+            this.overlay = null;
+            this.tracing = this.options.trace;
+            this.traceLog = [];
+            this.paused = null;
+            this.resumePause = null;
+            this.stepDepth = null;
+            this.inspector = null;
+            this.requests = new Set();
+            this.tryDepth = 0;
+            this.boundControls = new WeakMap();
+            this.handlers = new Map();
+            this.handlerQueue = Promise.resolve();
+            this.timers = new Set();
+            this.signal = null;
+            this.deadline = null;
+            this.modules = new Map();
+            this.moduleScopes = new WeakMap();
+            if (this.options.autoStart) this.init();
+        }
+
+        getVariables() {
+            return Object.fromEntries(this.scopes[0]);
+        }
 
-    getVariable(name) {
-        for (let i = this.scopes.length - 1; i >= 0; i--) {
-            if (this.scopes[i].has(name)) {
-                return this.scopes[i].get(name);
+        getVariable(name) {
+            for (let i = this.scopes.length - 1; i >= 0; i--) {
+                if (this.scopes[i].has(name)) {
+                    if (this.tracking) this.tracking.push([this.scopes[i], name]);
+                    return this.scopes[i].get(name);
+                }
             }
+            if (this.tracking) this.tracking.push([this.scopes[0], name]);
+            return undefined;
         }
-        return undefined;
-    }
 
-    setVariable(name, value, local = true) {
-        if (local) {
-            this.scopes[this.scopes.length - 1].set(name, value);
-        } else {
-            this.scopes[0].set(name, value);
+        setVariable(name, value, local = true) {
+            this.writeVariable(local ? this.scopes.length - 1 : 0, name, value);
         }
-    }
 
-    evaluate(expression) {
-        try {
-            
-            return this.safeEvaluate(expression);
-        } catch (e) {
-            console.error('Evaluation error:', expression, e);
-            throw e;
+        assignVariable(name, value) {
+            for (let i = this.scopes.length - 1; i >= 0; i--) {
+                if (this.scopes[i].has(name)) {
+                    this.writeVariable(i, name, value);
+                    return;
+                }
+            }
+            this.setVariable(name, value);
         }
-    }
 
-    safeEvaluate(expr) {
-        const tokens = this.tokenize(expr);
-        const postfix = this.toPostfix(tokens);
-        return this.evaluatePostfix(postfix);
-    }
+        writeVariable(depth, name, value) {
+            const scope = this.scopes[depth];
+            if (this.tracing) this.record({ type: 'write', name, oldValue: scope.get(name), value, depth });
+            scope.set(name, value);
+            this.notify(scope, name);
+        }
 
-    tokenize(expr) {
-        const tokens = [];
-        let i = 0;
-        while (i < expr.length) {
-            const ch = expr[i];
-            if (/\s/.test(ch)) {
-                i++;
-                continue;
+        async bind(node, render) {
+            if (!this.options.reactive) {
+                await render(expr => this.evaluate(expr), this);
+                return;
             }
-            if (/[0-9]/.test(ch)) {
-                let num = '';
-                while (i < expr.length && /[0-9.]/.test(expr[i])) {
-                    num += expr[i++];
+            const binding = { node, render, scopes: this.scopes.slice(), deps: [] };
+            await this.runBinding(binding);
+        }
+
+        // Renders binding on a fork with the scopes it was created in, so an
+        // update can run while the page is still being processed. render gets
+        // the fork to process content with. Updates run outside any <try>.
+        async runBinding(binding, { update = false } = {}) {
+            const deps = [];
+            const task = this.fork(this.signal);
+            task.scopes = binding.scopes.slice();
+            task.tracking = null;
+            if (update) task.tryDepth = 0;
+            const evaluate = async (expr) => {
+                const prevTracking = task.tracking;
+                task.tracking = deps;
+                try {
+                    return await task.evaluate(expr);
+                } finally {
+                    task.tracking = prevTracking;
                 }
-                tokens.push({ type: 'number', value: parseFloat(num) });
-                continue;
+            };
+            try {
+                await binding.render(evaluate, task);
+            } finally {
+                this.unsubscribe(binding);
+                binding.deps = deps;
+                deps.forEach(([scope, name]) => {
+                    if (!this.subscribers.has(scope)) this.subscribers.set(scope, new Map());
+                    const byName = this.subscribers.get(scope);
+                    if (!byName.has(name)) byName.set(name, new Set());
+                    byName.get(name).add(binding);
+                });
+            }
+        }
+
+        // Returns an interpreter that shares variables, functions, bindings,
+        // listeners and options with this instance but has its own scope stack,
+        // call stack, dependency tracking, <try> depth and deadline, so reactive
+        // updates, event handlers and the branches of <parallel>, <race>,
+        // <timeout> and <interval> can run while other work is waiting. It stops
+        // at the next tag once signal is aborted.
+        fork(signal) {
+            const fork = Object.create(this);
+            Object.keys(this).forEach(key => {
+                if (taskState.includes(key)) return;
+                Object.defineProperty(fork, key, {
+                    get: () => this[key],
+                    set: (value) => {
+                        this[key] = value;
+                    },
+                    enumerable: true,
+                });
+            });
+            fork.scopes = this.scopes.slice();
+            fork.callStack = this.callStack.slice();
+            fork.tracking = this.tracking;
+            fork.signal = signal;
+            fork.deadline = this.deadline;
+            fork.tryDepth = this.tryDepth;
+            return fork;
+        }
+
+        unsubscribe(binding) {
+            binding.deps.forEach(([scope, name]) => {
+                const byName = this.subscribers.get(scope);
+                if (byName && byName.has(name)) byName.get(name).delete(binding);
+            });
+            binding.deps = [];
+        }
+
+        notify(scope, name) {
+            const byName = this.subscribers.get(scope);
+            if (!byName || !byName.has(name)) return;
+            const wasEmpty = this.pendingBindings.size === 0;
+            byName.get(name).forEach(binding => this.pendingBindings.add(binding));
+            if (wasEmpty && this.pendingBindings.size) {
+                this.updateQueue = this.updateQueue.then(() => this.flushBindings()).catch(e => this.reportError(this.toHtmlScriptError(e)));
             }
-            if (/[a-zA-Z_]/.test(ch)) {
-                let id = '';
-                while (i < expr.length && /[a-zA-Z0-9_]/.test(expr[i])) {
-                    id += expr[i++];
+        }
+
+        async flushBindings() {
+            const bindings = Array.from(this.pendingBindings);
+            this.pendingBindings.clear();
+            for (const binding of bindings) {
+                if (!binding.node.isConnected) {
+                    if (this.ready) this.unsubscribe(binding);
+                    continue;
+                }
+                try {
+                    await this.runBinding(binding, { update: true });
+                } catch (e) {
+                    this.reportError(this.toHtmlScriptError(e, binding.node), { node: binding.node });
                 }
-                tokens.push({ type: 'identifier', value: id });
-                continue;
             }
-            if ('+-*/()^'.includes(ch)) {
-                tokens.push({ type: 'operator', value: ch });
-                i++;
-                continue;
+        }
+
+        createRange(node) {
+            const start = this.document.createComment('hs');
+            const end = this.document.createComment('/hs');
+            node.replaceWith(start, end);
+            return { start, end };
+        }
+
+        fillRange(range, nodes) {
+            let current = range.start.nextSibling;
+            while (current && current !== range.end) {
+                const next = current.nextSibling;
+                current.remove();
+                current = next;
             }
-            throw new Error(`Invalid token: ${ch}`);
+            range.end.before(...nodes);
         }
-        return tokens;
-    }
 
-    toPostfix(tokens) {
-        const output = [];
-        const operators = [];
-        const precedence = { '^': 4, '*': 3, '/': 3, '+': 2, '-': 2 };
-        const associativity = { '^': 'right', '*': 'left', '/': 'left', '+': 'left', '-': 'left' };
-        tokens.forEach(token => {
-            if (token.type === 'number' || token.type === 'identifier') {
-                output.push(token);
-            } else if (token.type === 'operator') {
-                if (token.value === '(') {
-                    operators.push(token);
-                } else if (token.value === ')') {
-                    while (operators.length && operators[operators.length - 1].value !== '(') {
-                        output.push(operators.pop());
+        async evaluate(expression) {
+            try {
+                if (typeof expression !== 'string') throw new HtmlScriptError('Missing expression');
+                const value = await this.safeEvaluate(expression);
+                if (this.tracing) this.record({ type: 'expression', expression, value });
+                return value;
+            } catch (e) {
+                if (e instanceof CustomBreakError || e instanceof CustomContinueError || e instanceof CustomReturnError) throw e;
+                const error = this.toHtmlScriptError(e);
+                if (!error.node && error.expression === undefined) error.expression = expression;
+                throw error;
+            }
+        }
+
+        async safeEvaluate(expr) {
+            if (this.options.compile) return this.compileExpression(expr)(this);
+            const tokens = this.tokenize(expr);
+            const ast = this.parse(tokens);
+            return this.evaluateAst(ast);
+        }
+
+        tokenize(expr) {
+            const tokens = [];
+            const operators = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '+', '-', '*', '/', '%', '^', '(', ')', '[', ']', '{', '}', '<', '>', '!', '?', ':', ',', '.', '='];
+            const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+            let i = 0;
+            while (i < expr.length) {
+                const ch = expr[i];
+                if (/\s/.test(ch)) {
+                    i++;
+                    continue;
+                }
+                const afterMember = tokens.length && tokens[tokens.length - 1].value === '.';
+                if (/[0-9]/.test(ch) || (ch === '.' && !afterMember && /[0-9]/.test(expr[i + 1]))) {
+                    const match = /^(?:[0-9]*\.?[0-9]+|[0-9]+\.)(?:[eE][+-]?[0-9]+)?/.exec(expr.slice(i));
+                    tokens.push({ type: 'number', value: parseFloat(match[0]), pos: i });
+                    i += match[0].length;
+                    continue;
+                }
+                if (/[a-zA-Z_$]/.test(ch)) {
+                    const start = i;
+                    let id = '';
+                    while (i < expr.length && /[a-zA-Z0-9_$]/.test(expr[i])) {
+                        id += expr[i++];
                     }
-                    operators.pop();
-                } else {
-                    while (operators.length && operators[operators.length - 1].value !== '(' &&
-                        (precedence[operators[operators.length - 1].value] > precedence[token.value] ||
-                         (precedence[operators[operators.length - 1].value] === precedence[token.value] &&
-                          associativity[token.value] === 'left'))) {
-                        output.push(operators.pop());
+                    tokens.push({ type: 'identifier', value: id, pos: start });
+                    continue;
+                }
+                if (ch === '"' || ch === "'") {
+                    const start = i;
+                    let str = '';
+                    i++;
+                    while (i < expr.length && expr[i] !== ch) {
+                        if (expr[i] === '\\') {
+                            const next = expr[i + 1];
+                            if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(expr.substr(i + 2, 4))) {
+                                str += String.fromCharCode(parseInt(expr.substr(i + 2, 4), 16));
+                                i += 6;
+                            } else if (next === 'x' && /^[0-9a-fA-F]{2}$/.test(expr.substr(i + 2, 2))) {
+                                str += String.fromCharCode(parseInt(expr.substr(i + 2, 2), 16));
+                                i += 4;
+                            } else if (next !== undefined) {
+                                str += next in escapes ? escapes[next] : next;
+                                i += 2;
+                            } else {
+                                break;
+                            }
+                        } else {
+                            str += expr[i++];
+                        }
                     }
-                    operators.push(token);
+                    if (expr[i] !== ch) throw new HtmlScriptError('Unterminated string', { column: start + 1 });
+                    i++;
+                    tokens.push({ type: 'string', value: str, pos: start });
+                    continue;
                 }
+                const op = operators.find(o => expr.startsWith(o, i));
+                if (op) {
+                    tokens.push({ type: 'operator', value: op, pos: i });
+                    i += op.length;
+                    continue;
+                }
+                throw new HtmlScriptError(`Invalid token: ${ch}`, { column: i + 1 });
             }
-        });
-        while (operators.length) {
-            output.push(operators.pop());
+            tokens.end = expr.length;
+            return tokens;
         }
-        return output;
-    }
 
-    evaluatePostfix(postfix) {
-        const stack = [];
-        postfix.forEach(token => {
-            if (token.type === 'number') {
-                stack.push(token.value);
-            } else if (token.type === 'identifier') {
-                const val = this.getVariable(token.value);
-                if (val === undefined) throw new Error(`Undefined variable: ${token.value}`);
-                stack.push(val);
-            } else if (token.type === 'operator') {
-                const b = stack.pop();
-                const a = stack.pop();
-                switch (token.value) {
-                    case '+': stack.push(a + b); break;
-                    case '-': stack.push(a - b); break;
-                    case '*': stack.push(a * b); break;
-                    case '/': stack.push(a / b); break;
-                    case '^': stack.push(Math.pow(a, b)); break;
-                    default: throw new Error(`Invalid operator: ${token.value}`);
+        parse(tokens) {
+            const binaryPrecedence = [
+                ['||'],
+                ['&&'],
+                ['==', '!=', '===', '!=='],
+                ['<', '<=', '>', '>='],
+                ['+', '-'],
+                ['*', '/', '%'],
+            ];
+            const keywords = { true: true, false: false, null: null, undefined: undefined };
+            let pos = 0;
+            const fail = (message, token) => {
+                const at = token ? token.pos : tokens.end;
+                return new HtmlScriptError(message, { column: at === undefined ? undefined : at + 1 });
+            };
+            const peek = () => tokens[pos];
+            const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+            const expect = (value) => {
+                if (!isOperator(value)) {
+                    const token = peek();
+                    throw fail(token ? `Unexpected token: ${token.value}, expected ${value}` : `Unexpected end of expression, expected ${value}`, token);
                 }
-            }
-        });
-        return stack[0];
-    }
-
-    async processNode(node) {
-        if (node.nodeType !== 1) return;
-        const tag = node.tagName.toLowerCase();
-        this.callStack.push(tag);
-        if (this.callStack.length > 50) {
-            throw new Error('Recursion depth exceeded');
+                return tokens[pos++];
+            };
+            const parseConditional = () => {
+                const test = parseBinary(0);
+                if (!isOperator('?')) return test;
+                pos++;
+                const consequent = parseConditional();
+                expect(':');
+                const alternate = parseConditional();
+                return { type: 'conditional', test, consequent, alternate };
+            };
+            const parseBinary = (level) => {
+                if (level === binaryPrecedence.length) return parseUnary();
+                let left = parseBinary(level + 1);
+                while (peek() && peek().type === 'operator' && binaryPrecedence[level].includes(peek().value)) {
+                    const operator = tokens[pos++].value;
+                    const right = parseBinary(level + 1);
+                    left = { type: operator === '&&' || operator === '||' ? 'logical' : 'binary', operator, left, right };
+                }
+                return left;
+            };
+            const parseUnary = () => {
+                if (isOperator('!') || isOperator('-') || isOperator('+')) {
+                    const operator = tokens[pos++].value;
+                    return { type: 'unary', operator, argument: parseUnary() };
+                }
+                return parsePower();
+            };
+            const parsePower = () => {
+                const base = parsePostfix();
+                if (!isOperator('^')) return base;
+                pos++;
+                return { type: 'binary', operator: '^', left: base, right: parseUnary() };
+            };
+            const parseList = (close, parseItem) => {
+                const items = [];
+                while (!isOperator(close)) {
+                    items.push(parseItem());
+                    if (!isOperator(',')) break;
+                    pos++;
+                }
+                expect(close);
+                return items;
+            };
+            const parsePostfix = () => {
+                let expr = parsePrimary();
+                for (;;) {
+                    if (isOperator('.')) {
+                        const dot = tokens[pos++];
+                        const token = tokens[pos++];
+                        if (!token || (token.type !== 'identifier' && token.type !== 'number')) {
+                            throw fail('Expected property name after .', token || dot);
+                        }
+                        expr = { type: 'member', object: expr, property: { type: 'literal', value: String(token.value) }, pos: token.pos };
+                    } else if (isOperator('[')) {
+                        const bracket = tokens[pos++];
+                        const property = parseConditional();
+                        expect(']');
+                        expr = { type: 'member', object: expr, property, pos: bracket.pos };
+                    } else if (isOperator('(')) {
+                        const name = calleeName(expr);
+                        if (name === null) throw fail('Only named functions can be called', peek());
+                        let root = expr;
+                        while (root.type === 'member') root = root.object;
+                        pos++;
+                        expr = { type: 'call', name, arguments: parseList(')', parseConditional), pos: root.pos };
+                    } else {
+                        return expr;
+                    }
+                }
+            };
+            const parseProperty = () => {
+                const token = tokens[pos++];
+                if (!token) throw fail('Unexpected end of expression');
+                if (token.type === 'operator' && token.value === '[') {
+                    const key = parseConditional();
+                    expect(']');
+                    expect(':');
+                    return { key, value: parseConditional() };
+                }
+                if (token.type !== 'identifier' && token.type !== 'string' && token.type !== 'number') {
+                    throw fail(`Unexpected token: ${token.value}`, token);
+                }
+                const key = { type: 'literal', value: String(token.value) };
+                if (token.type === 'identifier' && !isOperator(':')) {
+                    return { key, value: { type: 'identifier', name: token.value, pos: token.pos } };
+                }
+                expect(':');
+                return { key, value: parseConditional() };
+            };
+            const parsePrimary = () => {
+                const token = tokens[pos++];
+                if (!token) throw fail('Unexpected end of expression');
+                if (token.type === 'number' || token.type === 'string') {
+                    return { type: 'literal', value: token.value };
+                }
+                if (token.type === 'identifier') {
+                    if (Object.prototype.hasOwnProperty.call(keywords, token.value)) {
+                        return { type: 'literal', value: keywords[token.value] };
+                    }
+                    return { type: 'identifier', name: token.value, pos: token.pos };
+                }
+                if (token.value === '(') {
+                    const expr = parseConditional();
+                    expect(')');
+                    return expr;
+                }
+                if (token.value === '[') {
+                    return { type: 'array', elements: parseList(']', parseConditional) };
+                }
+                if (token.value === '{') {
+                    return { type: 'object', properties: parseList('}', parseProperty) };
+                }
+                throw fail(`Unexpected token: ${token.value}`, token);
+            };
+            const ast = parseConditional();
+            if (pos < tokens.length) throw fail(`Unexpected token: ${tokens[pos].value}`, tokens[pos]);
+            return ast;
         }
-        let handled = true;
-        try {
-            switch (tag) {
-                case 'store':
-                    this.processStore(node);
-                    break;
-                case 'man':
-                    this.processMan(node);
-                    break;
-                case 'calc':
-                    this.processCalc(node);
-                    break;
-                case 'if':
-                    await this.processIf(node);
-                    break;
-                case 'else':
-                    handled = false;
-                    break;
-                case 'for':
-                    await this.processFor(node);
-                    break;
-                case 'while':
-                    await this.processWhile(node);
-                    break;
-                case 'func':
-                    this.processFunc(node);
-                    break;
-                case 'call':
-                    await this.processCall(node);
-                    break;
-                case 'scope':
-                    await this.processScope(node);
-                    break;
-                case 'input':
-                    this.processInput(node);
-                    break;
-                case 'output':
-                    this.processOutput(node);
-                    break;
-                case 'try':
-                    await this.processTry(node);
-                    break;
-                case 'catch':
-                    handled = false;
-                    break;
-                case 'import':
-                    await this.processImport(node);
-                    break;
-                case 'on':
-                    this.processOn(node);
-                    break;
-                case 'debug':
-                    this.processDebug(node);
-                    break;
-                case 'http':
-                    await this.processHttp(node);
-                    break;
-                case 'json':
-                    this.processJson(node);
-                    break;
-                case 'csv':
-                    this.processCsv(node);
-                    break;
-                case 'ini':
-                    this.processIni(node);
-                    break;
-                case 'xml':
-                    this.processXml(node);
-                    break;
-                case 'yml':
-                case 'yaml':
-                    this.processYml(node);
-                    break;
-                case 'break':
-                    throw new CustomBreakError();
-                case 'continue':
-                    throw new CustomContinueError();
-                default:
-                    handled = false;
-                    break;
-            }
-            if (!handled) {
-                await this.processChildren(node);
+
+        async evaluateAst(node) {
+            switch (node.type) {
+                case 'literal':
+                    return node.value;
+                case 'identifier': {
+                    const val = this.getVariable(node.name);
+                    if (val === undefined) throw new HtmlScriptError(`Undefined variable: ${node.name}`, { column: node.pos + 1 });
+                    return val;
+                }
+                case 'unary':
+                    return unaryOperators[node.operator](await this.evaluateAst(node.argument));
+                case 'logical': {
+                    const left = await this.evaluateAst(node.left);
+                    if (node.operator === '&&') return left ? await this.evaluateAst(node.right) : left;
+                    return left ? left : await this.evaluateAst(node.right);
+                }
+                case 'conditional':
+                    return await this.evaluateAst(node.test) ? await this.evaluateAst(node.consequent) : await this.evaluateAst(node.alternate);
+                case 'member':
+                    return this.getProperty(await this.evaluateAst(node.object), await this.evaluateAst(node.property), node.pos);
+                case 'call': {
+                    if (!this.findFunction(node.name) && !this.nativeFunctions.has(node.name)) {
+                        throw new HtmlScriptError(`Function ${node.name} not found`, { column: node.pos + 1 });
+                    }
+                    const args = [];
+                    for (const arg of node.arguments) {
+                        args.push(await this.evaluateAst(arg));
+                    }
+                    return this.callFunction(node.name, args);
+                }
+                case 'array': {
+                    const arr = [];
+                    for (const element of node.elements) {
+                        arr.push(await this.evaluateAst(element));
+                    }
+                    return arr;
+                }
+                case 'object': {
+                    const obj = {};
+                    for (const { key, value } of node.properties) {
+                        obj[this.checkPropertyKey(await this.evaluateAst(key))] = await this.evaluateAst(value);
+                    }
+                    return obj;
+                }
+                case 'binary': {
+                    const a = await this.evaluateAst(node.left);
+                    const b = await this.evaluateAst(node.right);
+                    return binaryOperators[node.operator](a, b);
+                }
             }
-        } catch (e) {
-            if (!(e instanceof CustomBreakError) && !(e instanceof CustomContinueError)) {
-                console.error('Error processing node:', tag, e, 'Stack:', this.callStack.join(' > '));
+            throw new Error(`Invalid operator: ${node.operator || node.type}`);
+        }
+
+        // Compiled expressions take the interpreter they run on, so forks share the cache.
+        compileExpression(expr) {
+            let compiled = cacheGet(this.expressionCache, expr);
+            if (!compiled) {
+                compiled = this.compileAst(this.parse(this.tokenize(expr)));
+                cacheSet(this.expressionCache, expr, compiled);
             }
-            throw e;
-        } finally {
-            this.callStack.pop();
+            return compiled;
         }
-    }
 
-    async processChildren(node) {
-        const children = Array.from(node.childNodes);
-        for (const child of children) {
-            await this.processNode(child);
+        containsCall(node) {
+            switch (node.type) {
+                case 'call': return true;
+                case 'unary': return this.containsCall(node.argument);
+                case 'binary':
+                case 'logical': return this.containsCall(node.left) || this.containsCall(node.right);
+                case 'conditional': return this.containsCall(node.test) || this.containsCall(node.consequent) || this.containsCall(node.alternate);
+                case 'member': return this.containsCall(node.object) || this.containsCall(node.property);
+                case 'array': return node.elements.some(element => this.containsCall(element));
+                case 'object': return node.properties.some(({ key, value }) => this.containsCall(key) || this.containsCall(value));
+                default: return false;
+            }
         }
-    }
 
-    async processAll() {
-        await this.processChildren(document.body);
-    }
+        // Compiles an AST node to a closure that takes the interpreter to run on.
+        // Nodes that contain a call return async closures, the rest stay synchronous.
+        compileAst(node) {
+            const async = this.containsCall(node);
+            switch (node.type) {
+                case 'literal': {
+                    const value = node.value;
+                    return () => value;
+                }
+                case 'identifier': {
+                    const { name, pos } = node;
+                    return (ctx) => {
+                        const val = ctx.getVariable(name);
+                        if (val === undefined) throw new HtmlScriptError(`Undefined variable: ${name}`, { column: pos + 1 });
+                        return val;
+                    };
+                }
+                case 'unary': {
+                    const operator = unaryOperators[node.operator];
+                    const argument = this.compileAst(node.argument);
+                    if (async) return async (ctx) => operator(await argument(ctx));
+                    return (ctx) => operator(argument(ctx));
+                }
+                case 'binary': {
+                    const operator = binaryOperators[node.operator];
+                    const left = this.compileAst(node.left);
+                    const right = this.compileAst(node.right);
+                    if (async) return async (ctx) => operator(await left(ctx), await right(ctx));
+                    return (ctx) => operator(left(ctx), right(ctx));
+                }
+                case 'logical': {
+                    const left = this.compileAst(node.left);
+                    const right = this.compileAst(node.right);
+                    if (async) {
+                        if (node.operator === '&&') return async (ctx) => (await left(ctx)) && right(ctx);
+                        return async (ctx) => (await left(ctx)) || right(ctx);
+                    }
+                    if (node.operator === '&&') return (ctx) => left(ctx) && right(ctx);
+                    return (ctx) => left(ctx) || right(ctx);
+                }
+                case 'conditional': {
+                    const test = this.compileAst(node.test);
+                    const consequent = this.compileAst(node.consequent);
+                    const alternate = this.compileAst(node.alternate);
+                    if (async) return async (ctx) => ((await test(ctx)) ? consequent(ctx) : alternate(ctx));
+                    return (ctx) => (test(ctx) ? consequent(ctx) : alternate(ctx));
+                }
+                case 'member': {
+                    const object = this.compileAst(node.object);
+                    const property = this.compileAst(node.property);
+                    const pos = node.pos;
+                    if (async) return async (ctx) => ctx.getProperty(await object(ctx), await property(ctx), pos);
+                    return (ctx) => ctx.getProperty(object(ctx), property(ctx), pos);
+                }
+                case 'call': {
+                    const { name, pos } = node;
+                    const args = node.arguments.map(arg => this.compileAst(arg));
+                    return async (ctx) => {
+                        if (!ctx.findFunction(name) && !ctx.nativeFunctions.has(name)) {
+                            throw new HtmlScriptError(`Function ${name} not found`, { column: pos + 1 });
+                        }
+                        const values = [];
+                        for (const arg of args) {
+                            values.push(await arg(ctx));
+                        }
+                        return ctx.callFunction(name, values);
+                    };
+                }
+                case 'array': {
+                    const elements = node.elements.map(element => this.compileAst(element));
+                    if (async) {
+                        return async (ctx) => {
+                            const arr = [];
+                            for (const element of elements) {
+                                arr.push(await element(ctx));
+                            }
+                            return arr;
+                        };
+                    }
+                    return (ctx) => elements.map(element => element(ctx));
+                }
+                case 'object': {
+                    const properties = node.properties.map(({ key, value }) => [this.compileAst(key), this.compileAst(value)]);
+                    if (async) {
+                        return async (ctx) => {
+                            const obj = {};
+                            for (const [key, value] of properties) {
+                                obj[ctx.checkPropertyKey(await key(ctx))] = await value(ctx);
+                            }
+                            return obj;
+                        };
+                    }
+                    return (ctx) => {
+                        const obj = {};
+                        properties.forEach(([key, value]) => {
+                            obj[ctx.checkPropertyKey(key(ctx))] = value(ctx);
+                        });
+                        return obj;
+                    };
+                }
+            }
+            throw new Error(`Invalid operator: ${node.operator || node.type}`);
+        }
 
-    processStore(node) {
-        const name = node.getAttribute('name');
-        const value = node.getAttribute('value');
-        const type = node.getAttribute('type');
-        const local = node.getAttribute('local') !== 'false';
-        const val = this.evaluate(value);
-        if (type && typeof val !== type) {
-            throw new Error(`Type mismatch for ${name}: expected ${type}, got ${typeof val}`);
-        }
-        this.setVariable(name, val, local);
-        node.remove();
-    }
+        defineFunction(name, fn) {
+            if (!/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name)) throw new Error(`Invalid function name: ${name}`);
+            if (typeof fn !== 'function') throw new Error(`Function ${name} must be a function`);
+            this.nativeFunctions.set(name, fn);
+        }
 
-    processMan(node) {
-        const name = node.getAttribute('name');
-        const operation = node.getAttribute('operation');
-        const type = node.getAttribute('type');
-        let val = this.getVariable(name);
-        if (val === undefined) throw new Error(`Variable ${name} not found`);
-        let newVal;
-        if (operation.startsWith('.')) {
-            
-            console.warn('Using unsafe eval for object manipulation');
-            newVal = new Function('val', `val${operation}; return val;`)(val);
-        } else {
-            
-            newVal = this.safeEvaluate(val + operation);
+        async callFunction(name, args) {
+            const f = this.findFunction(name);
+            if (f) {
+                const { value } = await this.runFunction(f, args);
+                return value;
+            }
+            const fn = this.nativeFunctions.get(name);
+            if (!fn) throw new Error(`Function ${name} not found`);
+            if (this.tracing) this.record({ type: 'call', name, args, native: true });
+            return fn.apply(this, args);
         }
-        if (type && typeof newVal !== type) {
-            throw new Error(`Type mismatch after manipulation for ${name}: expected ${type}, got ${typeof newVal}`);
+
+        checkPropertyKey(key) {
+            key = String(key);
+            if (key === '__proto__' || key === 'prototype' || key === 'constructor') {
+                throw new Error(`Access to property ${key} is not allowed`);
+            }
+            return key;
         }
-        this.setVariable(name, newVal);
-        node.remove();
-    }
 
-    processCalc(node) {
-        const expression = node.getAttribute('expression');
-        const type = node.getAttribute('type');
-        const result = this.evaluate(expression);
-        if (type && typeof result !== type) {
-            throw new Error(`Type mismatch in calc: expected ${type}, got ${typeof result}`);
+        getProperty(obj, key, pos) {
+            if (obj === null || obj === undefined) {
+                throw new HtmlScriptError(`Cannot read property ${key} of ${obj}`, { column: pos === undefined ? undefined : pos + 1 });
+            }
+            if (obj instanceof Map) return obj.get(key);
+            return obj[this.checkPropertyKey(key)];
         }
-        node.innerText = result;
-    }
 
-    async processIf(node) {
-        const condition = node.getAttribute('condition');
-        const cond = this.evaluate(condition);
-        const elseNode = node.nextElementSibling && node.nextElementSibling.tagName.toLowerCase() === 'else' ? node.nextElementSibling : null;
-        if (cond) {
-            await this.processChildren(node);
-            node.replaceWith(...node.childNodes);
-            if (elseNode) elseNode.remove();
-        } else {
-            node.remove();
-            if (elseNode) {
-                await this.processChildren(elseNode);
-                elseNode.replaceWith(...elseNode.childNodes);
+        isPathAssignment(path) {
+            try {
+                return this.tokenize(path).some(t => t.type === 'operator' && t.value === '=');
+            } catch (e) {
+                return false;
             }
         }
-    }
 
-    async processFor(node) {
-        const init = node.getAttribute('init');
-        const condition = node.getAttribute('condition');
-        const increment = node.getAttribute('increment');
-        if (init) {
-            const initParts = init.split('=');
-            if (initParts.length === 2) {
-                const name = initParts[0].trim();
-                const val = this.evaluate(initParts[1].trim());
-                this.setVariable(name, val);
+        async setPath(name, path) {
+            const tokens = this.tokenize(path);
+            const eq = tokens.findIndex(t => t.type === 'operator' && t.value === '=');
+            if (eq < 1) throw new Error(`Invalid property assignment: ${path}`);
+            const target = this.parse([{ type: 'identifier', value: name, pos: 0 }, ...tokens.slice(0, eq)]);
+            if (target.type !== 'member') throw new Error(`Invalid property assignment: ${path}`);
+            const obj = await this.evaluateAst(target.object);
+            const key = this.checkPropertyKey(await this.evaluateAst(target.property));
+            const value = await this.evaluateAst(this.parse(tokens.slice(eq + 1)));
+            if (obj === null || typeof obj !== 'object') {
+                throw new Error(`Cannot set property ${key} of ${obj}`);
+            }
+            this.checkPathTarget(obj, `${name}${path.slice(0, path.indexOf('=')).trim()}`);
+            if (obj instanceof Map) {
+                obj.set(key, value);
             } else {
-                this.evaluate(init);
+                obj[key] = value;
             }
         }
-        const template = node.cloneNode(true);
-        node.innerHTML = '';
-        while (this.evaluate(condition)) {
-            const iteration = template.cloneNode(true);
-            try {
-                await this.processChildren(iteration);
-            } catch (e) {
-                if (e instanceof CustomBreakError) {
-                    break;
-                } else if (e instanceof CustomContinueError) {
-                    this.evaluate(increment);
-                    continue;
-                } else {
-                    throw e;
-                }
+
+        // In safe mode, properties can only be written on plain objects and
+        // arrays, so a page cannot change DOM nodes, window or document.
+        checkPathTarget(obj, path) {
+            if (!this.options.safe || Array.isArray(obj)) return;
+            const proto = Object.getPrototypeOf(obj);
+            if (proto === Object.prototype || proto === null) return;
+            const type = proto.constructor && proto.constructor.name ? proto.constructor.name : 'this object';
+            throw policyError(`Writing ${path} on ${type}`);
+        }
+
+        parseTemplate(text) {
+            const cached = this.options.compile && cacheGet(this.templateCache, text);
+            if (cached) return cached;
+            const segments = [];
+            const pattern = /\{\{\{([\s\S]+?)\}\}\}|\{\{([\s\S]+?)\}\}/g;
+            let last = 0;
+            let match;
+            while ((match = pattern.exec(text))) {
+                if (match.index > last) segments.push({ type: 'text', value: text.slice(last, match.index) });
+                const raw = match[1] !== undefined;
+                segments.push({ type: 'expression', expression: (raw ? match[1] : match[2]).trim(), raw });
+                last = pattern.lastIndex;
             }
-            node.appendChild(iteration);
-            this.evaluate(increment);
+            if (last < text.length) segments.push({ type: 'text', value: text.slice(last) });
+            if (this.options.compile) cacheSet(this.templateCache, text, segments);
+            return segments;
         }
-        node.replaceWith(...node.childNodes);
-    }
 
-    async processWhile(node) {
-        const condition = node.getAttribute('condition');
-        const template = node.cloneNode(true);
-        node.innerHTML = '';
-        while (this.evaluate(condition)) {
-            const iteration = template.cloneNode(true);
-            try {
-                await this.processChildren(iteration);
-            } catch (e) {
-                if (e instanceof CustomBreakError) {
-                    break;
-                } else if (e instanceof CustomContinueError) {
-                    continue;
+        async renderTemplate(segments, evaluate) {
+            const parts = [];
+            for (const segment of segments) {
+                if (segment.type === 'text') {
+                    parts.push({ value: segment.value, raw: false });
                 } else {
-                    throw e;
+                    const value = await evaluate(segment.expression);
+                    parts.push({ value: builtinFunctions.str(value), raw: segment.raw });
                 }
             }
-            node.appendChild(iteration);
+            return parts;
         }
-        node.replaceWith(...node.childNodes);
-    }
 
-    processFunc(node) {
-        const name = node.getAttribute('name');
-        const params = node.getAttribute('params') ? node.getAttribute('params').split(',').map(p => p.trim()) : [];
-        const body = node.cloneNode(true);
-        const closedScope = new Map([...this.scopes.flatMap(s => [...s.entries()])]); 
-        this.functions.set(name, { params, body, closedScope });
-        node.remove();
-    }
-
-    async processCall(node) {
-        const funcName = node.getAttribute('func');
-        const argsStr = node.getAttribute('args');
-        const varName = node.getAttribute('var');
-        const f = this.functions.get(funcName);
-        if (!f) throw new Error(`Function ${funcName} not found`);
-        const args = argsStr ? this.evaluate(`[${argsStr}]`) : [];
-        if (args.length !== f.params.length) throw new Error('Argument count mismatch');
-        const prevScopes = this.scopes;
-        this.scopes = [new Map(f.closedScope)];
-        f.params.forEach((p, i) => this.setVariable(p, args[i]));
-        const bodyClone = f.body.cloneNode(true);
-        await this.processChildren(bodyClone);
-        let retVal = undefined;
-        const returnTags = bodyClone.querySelectorAll('return');
-        Array.from(returnTags).forEach(returnTag => {
-            const expr = returnTag.getAttribute('expression');
-            retVal = this.evaluate(expr);
-            returnTag.remove();
-        });
-        if (varName) {
-            this.setVariable(varName, retVal);
-            node.remove();
-        } else {
-            node.replaceWith(...bodyClone.childNodes);
+        async processText(node) {
+            const text = node.textContent;
+            if (!text.includes('{{')) return;
+            const segments = this.parseTemplate(text);
+            if (!segments.some(segment => segment.raw)) {
+                await this.bind(node, async (evaluate) => {
+                    const parts = await this.renderTemplate(segments, evaluate);
+                    node.textContent = parts.map(part => part.value).join('');
+                });
+                return;
+            }
+            if (this.options.safe) throw policyError('Raw HTML output ({{{ }}})');
+            const range = this.options.reactive ? this.createRange(node) : null;
+            await this.bind(range ? range.start : node, async (evaluate) => {
+                const parts = await this.renderTemplate(segments, evaluate);
+                const nodes = parts.map(part => {
+                    if (!part.raw) return this.document.createTextNode(part.value);
+                    const template = this.document.createElement('template');
+                    template.innerHTML = part.value;
+                    return template.content;
+                });
+                if (range) {
+                    this.fillRange(range, nodes);
+                } else {
+                    node.replaceWith(...nodes);
+                }
+            });
         }
-        this.scopes = prevScopes;
-    }
 
-    async processScope(node) {
-        this.scopes.push(new Map());
-        await this.processChildren(node);
-        node.replaceWith(...node.childNodes);
-        this.scopes.pop();
-    }
+        async interpolateAttributes(node) {
+            for (const attr of Array.from(node.attributes)) {
+                if (!attr.value.includes('{{')) continue;
+                const name = attr.name;
+                const segments = this.parseTemplate(attr.value);
+                await this.bind(node, async (evaluate) => {
+                    const parts = await this.renderTemplate(segments, evaluate);
+                    node.setAttribute(name, parts.map(part => part.value).join(''));
+                });
+            }
+        }
 
-    processInput(node) {
-        const varName = node.getAttribute('var');
-        const promptText = node.getAttribute('prompt') || '';
-        const value = prompt(promptText);
-        this.setVariable(varName, value);
-        node.remove();
-    }
+        async interpolate(text) {
+            const parts = await this.renderTemplate(this.parseTemplate(text), expr => this.evaluate(expr));
+            return parts.map(part => part.value).join('');
+        }
 
-    processOutput(node) {
-        const expr = node.getAttribute('expression');
-        const value = this.evaluate(expr);
-        node.innerText = value.toString();
-    }
+        static registerTag(name, handler) {
+            HtmlScript.tags.set(HtmlScript.normalizeTagName(name), HtmlScript.normalizeTagHandler(name, handler));
+        }
 
-    async processTry(node) {
-        const catchNode = node.nextElementSibling && node.nextElementSibling.tagName.toLowerCase() === 'catch' ? node.nextElementSibling : null;
-        const catchVar = catchNode ? catchNode.getAttribute('var') || 'e' : 'e';
-        try {
-            await this.processChildren(node);
-            node.replaceWith(...node.childNodes);
-            if (catchNode) catchNode.remove();
-        } catch (e) {
-            node.remove();
-            if (catchNode) {
-                this.setVariable(catchVar, e);
-                await this.processChildren(catchNode);
-                catchNode.replaceWith(...catchNode.childNodes);
-            } else {
-                throw e;
-            }
+        static normalizeTagName(name) {
+            if (typeof name !== 'string' || !/^[a-zA-Z][a-zA-Z0-9-]*$/.test(name)) throw new Error(`Invalid tag name: ${name}`);
+            return name.toLowerCase();
         }
-    }
 
-    async processImport(node) {
-        const src = node.getAttribute('src');
-        const type = node.getAttribute('type') || 'script';
-        const namespace = node.getAttribute('namespace');
-        try {
-            const response = await fetch(src);
-            const text = await response.text();
-            if (namespace) {
-                this.scopes.push(new Map());
-            }
-            if (type === 'module') {
-                const module = await import(src);
-                this.setVariable(namespace || 'imported', module);
-            } else if (type === 'script') {
-                new Function(text)();
-            } else if (type === 'html') {
-                const div = document.createElement('div');
-                div.innerHTML = text;
-                await this.processChildren(div);
-                node.replaceWith(...div.childNodes);
+        static normalizeTagHandler(name, handler) {
+            if (typeof handler === 'function') handler = { process: handler };
+            if (!handler || typeof handler !== 'object') throw new Error(`Invalid handler for tag ${name}`);
+            const children = handler.children || 'skip';
+            if (!['skip', 'before', 'after'].includes(children)) {
+                throw new Error(`Invalid children option for tag ${name}: ${children}`);
             }
-            if (namespace) {
-                this.scopes.pop();
+            if (handler.process !== undefined && typeof handler.process !== 'function') {
+                throw new Error(`process for tag ${name} must be a function`);
             }
-        } catch (e) {
-            console.error(`Import failed from ${src}:`, e);
+            return { ...handler, children };
         }
-        node.remove();
-    }
 
-    processOn(node) {
-        const event = node.getAttribute('event');
-        const selector = node.getAttribute('selector');
-        const body = node.cloneNode(true);
-        node.remove();
-        const elems = document.querySelectorAll(selector);
-        elems.forEach(elem => {
-            elem.addEventListener(event, async (evt) => {
-                this.scopes.push(new Map());
-                this.setVariable('event', evt);
-                const clone = body.cloneNode(true);
-                await this.processChildren(clone);
-                this.scopes.pop();
-            });
-        });
-    }
+        registerTag(name, handler) {
+            this.tags.set(HtmlScript.normalizeTagName(name), HtmlScript.normalizeTagHandler(name, handler));
+        }
 
-    processDebug(node) {
-        const varName = node.getAttribute('var');
-        if (varName) {
-            console.dir(this.getVariable(varName));
-        } else {
-            console.log('Debug point reached', new Error().stack);
+        resolveTag(tagName) {
+            const prefix = this.options.prefix;
+            if (!prefix) return tagName;
+            return tagName.startsWith(prefix) ? tagName.slice(prefix.length) : null;
         }
-        node.remove();
-    }
 
-    async processHttp(node) {
-        const method = node.getAttribute('method')?.toUpperCase() || 'GET';
-        const url = node.getAttribute('url');
-        const headersStr = node.getAttribute('headers');
-        const bodyStr = node.getAttribute('body');
-        const varName = node.getAttribute('var');
-        
-        try {
-            const headers = headersStr ? this.evaluate(headersStr) : {};
-            const body = bodyStr ? JSON.stringify(this.evaluate(bodyStr)) : null;
-            const options = {
-                method,
-                headers,
-                body: method !== 'GET' && method !== 'HEAD' ? body : null,
+        // Returns the element after node if it is the given tag (such as the
+        // <else> of an <if>), with the prefix applied like any other tag.
+        nextTag(node, tag) {
+            const next = node.nextElementSibling;
+            return next && this.resolveTag(next.tagName.toLowerCase()) === tag ? next : null;
+        }
+
+        getTagHandler(tag) {
+            return this.tags.get(tag) || HtmlScript.tags.get(tag);
+        }
+
+        createContext(node, tag) {
+            return {
+                htmlScript: this,
+                tag,
+                node,
+                evaluate: (expr) => this.evaluate(expr),
+                interpolate: (text) => this.interpolate(text),
+                getVariable: (name) => this.getVariable(name),
+                setVariable: (name, value, local) => this.setVariable(name, value, local),
+                pushScope: (variables = {}) => {
+                    this.scopes.push(variables instanceof Map ? variables : new Map(Object.entries(variables)));
+                },
+                popScope: () => this.scopes.pop(),
+                processChildren: (target = node) => this.processChildren(target),
+                processNode: (target) => this.processNode(target),
+                error: (message) => {
+                    throw new Error(`<${tag}>: ${message}`);
+                },
             };
+        }
 
-            const response = await fetch(url, options);
-            let result;
-            if (response.headers.get('content-type')?.includes('application/json')) {
-                result = await response.json();
-            } else {
-                result = await response.text();
+        // Lists the nodes of template that need processing, once per template:
+        // tags with a handler, text with {{ }} and elements with {{ }} in an
+        // attribute or a binding. Each part has the child indexes leading to its
+        // node and the tags around it. Returns null when compile is off.
+        compileTemplate(template) {
+            if (!this.options.compile) return null;
+            let parts = this.templateParts.get(template);
+            if (!parts) {
+                parts = [];
+                this.compileParts(template, [], [], parts);
+                this.templateParts.set(template, parts);
             }
-            
-            if (varName) {
-                this.setVariable(varName, result);
-                node.remove();
-            } else {
-                node.innerText = JSON.stringify(result);
+            return parts;
+        }
+
+        compileParts(node, path, stack, parts) {
+            Array.from(node.childNodes).forEach((child, i) => {
+                const childPath = [...path, i];
+                if (child.nodeType === 3) {
+                    if (child.textContent.includes('{{')) parts.push({ path: childPath, stack, element: false });
+                    return;
+                }
+                if (child.nodeType !== 1) return;
+                const tagName = child.tagName.toLowerCase();
+                const tag = this.resolveTag(tagName);
+                if (tag && this.getTagHandler(tag)) {
+                    parts.push({ path: childPath, stack, element: false });
+                    return;
+                }
+                if (tagName === 'script' || tagName === 'style') return;
+                if (Array.from(child.attributes).some(attr => attr.value.includes('{{')) || isBindable(child)) {
+                    parts.push({ path: childPath, stack, element: true });
+                }
+                this.compileParts(child, childPath, [...stack, tagName], parts);
+            });
+        }
+
+        // Processes clone, a fresh copy of template. With compile on, only the
+        // parts of the template are visited instead of walking every node.
+        async processClone(clone, template) {
+            const parts = this.compileTemplate(template);
+            if (!parts) {
+                await this.processChildren(clone);
+                return;
             }
-        } catch (e) {
-            console.error('HTTP request failed:', url, e);
-            if (varName) {
-                this.setVariable(varName, { error: e.message });
-                node.remove();
-            } else {
-                node.innerText = `Error: ${e.message}`;
+            // Nodes are found before any is processed, since handlers change the tree.
+            const nodes = parts.map(({ path }) => path.reduce((node, i) => node.childNodes[i], clone));
+            const parents = nodes.map(node => node.parentNode);
+            for (let i = 0; i < parts.length; i++) {
+                if (nodes[i].parentNode !== parents[i]) continue;
+                const { stack, element } = parts[i];
+                this.callStack.push(...stack);
+                try {
+                    await this.processNode(nodes[i], element);
+                } finally {
+                    this.callStack.length -= stack.length;
+                }
             }
         }
-    }
 
-    processJson(node) {
-        const varName = node.getAttribute('var');
-        const action = node.getAttribute('action') || 'parse';
-        const source = node.getAttribute('source') || node.innerText.trim();
-        try {
-            let result;
-            if (action === 'parse') {
-                result = JSON.parse(source);
-            } else if (action === 'stringify') {
-                const data = this.evaluate(source);
-                result = JSON.stringify(data);
-            } else {
-                throw new Error('Invalid JSON action');
+        // part is true for an element of a compiled template, whose children are parts of their own.
+        async processNode(node, part = false) {
+            if (this.signal && this.signal.aborted) throw new HtmlScriptError('Cancelled', { type: 'cancelled' });
+            this.checkTimeLimit();
+            if (node.nodeType === 3) {
+                await this.processText(node);
+                return;
             }
-            if (varName) {
-                this.setVariable(varName, result);
-                node.remove();
-            } else {
-                node.innerText = result.toString();
+            if (node.nodeType !== 1) return;
+            const tagName = node.tagName.toLowerCase();
+            const tag = this.resolveTag(tagName);
+            const handler = tag && this.getTagHandler(tag);
+            this.callStack.push(tagName);
+            try {
+                if (this.callStack.length > this.options.maxDepth) {
+                    throw new HtmlScriptError(`Recursion depth exceeded (maxDepth is ${this.options.maxDepth})`, { type: 'limit' });
+                }
+                if (handler) {
+                    if (this.tracing) this.record({ type: 'tag', tag: tagName, path: this.describeNode(node).path });
+                    if (this.stepDepth !== null && this.callStack.length <= this.stepDepth) await this.pause(node);
+                    if (handler.children === 'before') await this.processChildren(node);
+                    if (handler.process) await handler.process(node, this.createContext(node, tag));
+                    if (handler.children === 'after') await this.processChildren(node);
+                } else if (tagName !== 'script' && tagName !== 'style') {
+                    await this.interpolateAttributes(node);
+                    if (isBindable(node)) {
+                        if (tagName === 'form') this.bindForm(node);
+                        else await this.bindControl(node, node.getAttribute('bind'));
+                    }
+                    if (!part) await this.processChildren(node);
+                }
+            } catch (e) {
+                if (e instanceof CustomBreakError || e instanceof CustomContinueError || e instanceof CustomReturnError) throw e;
+                throw this.toHtmlScriptError(e, node);
+            } finally {
+                this.callStack.pop();
             }
-        } catch (e) {
-            console.error('JSON processing error:', e);
-            if (varName) {
-                this.setVariable(varName, { error: e.message });
-                node.remove();
-            } else {
-                node.innerText = `Error: ${e.message}`;
+        }
+
+        toHtmlScriptError(e, node) {
+            const error = e instanceof HtmlScriptError ? e : new HtmlScriptError(e && e.message !== undefined ? e.message : String(e), { cause: e });
+            // Text nodes and range markers are reported on the element around them.
+            if (node && node.nodeType !== 1) node = node.parentElement;
+            if (!node || error.node) return error;
+            const { path, root } = this.describeNode(node);
+            error.node = node;
+            error.tag = node.tagName.toLowerCase();
+            error.path = path;
+            error.pathRoot = root;
+            error.tagStack = this.callStack.join(' > ');
+            if (error.expression !== undefined && error.attribute === undefined) {
+                const attr = Array.from(node.attributes).find(({ value }) => value === error.expression)
+                    || Array.from(node.attributes).find(({ value }) => value.includes('{{') && value.includes(error.expression));
+                if (attr) error.attribute = attr.name;
             }
+            error.line = this.locateNode(node);
+            return error;
         }
-    }
 
-    processCsv(node) {
-        const varName = node.getAttribute('var');
-        const action = node.getAttribute('action') || 'parse';
-        const source = node.getAttribute('source') || node.innerText.trim();
-        try {
-            let result;
-            if (action === 'parse') {
-                const rows = source.split('\n').map(row => row.split(',').map(cell => cell.trim()));
-                result = rows;
-            } else if (action === 'stringify') {
-                let data = this.evaluate(source);
-                if (!Array.isArray(data)) throw new Error('CSV stringify requires an array');
-                if (data.length > 0 && typeof data[0] === 'object') {
-                    const keys = Object.keys(data[0]);
-                    const csvRows = [keys.join(',')];
-                    data.forEach(obj => {
-                        csvRows.push(keys.map(key => obj[key] ?? '').join(','));
-                    });
-                    result = csvRows.join('\n');
-                } else {
-                    result = data.map(row => row.join(',')).join('\n');
+        // Builds a selector-like path for node. root is the detached element the
+        // path starts at (a loop iteration or function body clone), or null when
+        // the path is anchored at body or at an element with an id.
+        describeNode(node) {
+            const segments = [];
+            let current = node;
+            for (;;) {
+                const tag = current.tagName.toLowerCase();
+                const parent = current.parentNode;
+                if (current.id) {
+                    segments.unshift(`${tag}#${current.id}`);
+                    return { path: segments.join(' > '), root: null };
                 }
-            } else {
-                throw new Error('Invalid CSV action');
+                const sameTag = parent ? Array.from(parent.children).filter(child => child.tagName === current.tagName) : [];
+                segments.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})` : tag);
+                if (tag === 'body' || !parent || parent.nodeType !== 1) {
+                    return { path: segments.join(' > '), root: tag === 'body' ? null : current };
+                }
+                current = parent;
             }
-            if (varName) {
-                this.setVariable(varName, result);
-                node.remove();
-            } else {
-                node.innerText = result.toString();
+        }
+
+        locateNode(node) {
+            if (!this.options.locate) return undefined;
+            for (let current = node; current; current = current.parentNode) {
+                const location = this.options.locate(current);
+                if (location) return location.line;
             }
-        } catch (e) {
-            console.error('CSV processing error:', e);
-            if (varName) {
-                this.setVariable(varName, { error: e.message });
-                node.remove();
-            } else {
-                node.innerText = `Error: ${e.message}`;
+            return undefined;
+        }
+
+        // Re-anchors an error raised inside clone (a detached copy of the loop or
+        // function element described by origin) on the element's place in the page.
+        relocateError(e, clone, origin) {
+            if (!(e instanceof HtmlScriptError) || !e.pathRoot || e.pathRoot !== clone) return e;
+            const inner = e.path.split(' > ').slice(1);
+            e.path = [origin.path, ...inner].join(' > ');
+            e.pathRoot = origin.root;
+            if (e.line === undefined) e.line = origin.line;
+            return e;
+        }
+
+        reportError(error, detail) {
+            console.error(error instanceof HtmlScriptError ? error.format() : error);
+            this.emit('error', { error, ...detail });
+            if (this.options.overlay) this.showErrorOverlay(error);
+        }
+
+        showErrorOverlay(error) {
+            const doc = this.document;
+            if (!doc || !doc.body) return;
+            if (!this.overlay || !this.overlay.isConnected) {
+                this.overlay = doc.createElement('div');
+                this.overlay.setAttribute('data-htmlscript-overlay', '');
+                this.overlay.style.cssText = 'position:fixed;left:0;right:0;bottom:0;max-height:50%;overflow:auto;z-index:2147483647;'
+                    + 'margin:0;padding:12px 16px;background:#1e1e1e;color:#f8f8f2;border-top:3px solid #e5484d;font:13px/1.5 monospace;';
+                const close = doc.createElement('button');
+                close.textContent = '\u00d7';
+                close.setAttribute('aria-label', 'Dismiss');
+                close.style.cssText = 'float:right;background:none;border:0;color:inherit;font-size:18px;cursor:pointer;';
+                close.addEventListener('click', () => this.overlay.remove());
+                this.overlay.appendChild(close);
+                doc.body.appendChild(this.overlay);
             }
+            const entry = doc.createElement('pre');
+            entry.style.cssText = 'margin:0 0 8px;white-space:pre-wrap;';
+            entry.textContent = error instanceof HtmlScriptError ? error.format() : String(error && error.stack || error);
+            this.overlay.appendChild(entry);
         }
-    }
 
-    processIni(node) {
-        const varName = node.getAttribute('var');
-        const action = node.getAttribute('action') || 'parse';
-        const source = node.getAttribute('source') || node.innerText.trim();
-        try {
-            let result;
-            if (action === 'parse') {
-                const obj = {};
-                let currentSection = null;
-                source.split('\n').forEach(line => {
-                    line = line.trim();
-                    if (!line || line.startsWith(';') || line.startsWith('#')) return;
-                    if (line.match(/^\[.*\]$/)) {
-                        currentSection = line.slice(1, -1);
-                        obj[currentSection] = {};
-                    } else if (line.includes('=') && currentSection) {
-                        const [key, value] = line.split('=').map(s => s.trim());
-                        obj[currentSection][key] = value;
-                    }
-                });
-                result = obj;
-            } else if (action === 'stringify') {
-                const data = this.evaluate(source);
-                const lines = [];
-                for (const [section, props] of Object.entries(data)) {
-                    lines.push(`[${section}]`);
-                    for (const [key, value] of Object.entries(props)) {
-                        lines.push(`${key}=${value}`);
-                    }
+        async processChildren(node) {
+            const children = [];
+            for (let child = node.firstChild; child; child = child.nextSibling) {
+                children.push(child);
+            }
+            for (const child of children) {
+                if (child.parentNode !== node) continue;
+                await this.processNode(child);
+            }
+        }
+
+        async processAll() {
+            await this.run(this.document.body);
+        }
+
+        async run(root = this.document.body, { variables } = {}) {
+            if (variables) {
+                const entries = variables instanceof Map ? Array.from(variables) : Object.entries(variables);
+                entries.forEach(([name, value]) => this.setVariable(name, value, false));
+            }
+            this.emit('beforeProcess', { root });
+            try {
+                await this.withTimeLimit(() => this.processChildren(root));
+            } catch (e) {
+                const error = e instanceof CustomBreakError || e instanceof CustomContinueError || e instanceof CustomReturnError ? e : this.toHtmlScriptError(e);
+                this.reportError(error, { root });
+                throw error;
+            }
+            this.ready = true;
+            if (this.inspector) this.renderInspector('Finished');
+            const result = this.getVariables();
+            this.emit('afterProcess', { root, variables: result });
+            return result;
+        }
+
+        on(event, listener) {
+            if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+            this.listeners.get(event).add(listener);
+            return this;
+        }
+
+        off(event, listener) {
+            const listeners = this.listeners.get(event);
+            if (listeners) listeners.delete(listener);
+            return this;
+        }
+
+        emit(event, detail) {
+            const listeners = this.listeners.get(event);
+            if (!listeners) return;
+            listeners.forEach(listener => {
+                try {
+                    listener(detail);
+                } catch (e) {
+                    console.error(`Error in ${event} listener:`, e);
                 }
-                result = lines.join('\n');
-            } else {
-                throw new Error('Invalid INI action');
+            });
+        }
+
+        destroy() {
+            if (this.startListener) {
+                this.document.removeEventListener('DOMContentLoaded', this.startListener);
+                this.startListener = null;
             }
-            if (varName) {
-                this.setVariable(varName, result);
-                node.remove();
+            this.eventBindings.forEach(({ target, event, listener, options }) => target.removeEventListener(event, listener, options));
+            this.eventBindings = [];
+            this.handlers.clear();
+            this.timers.forEach(stop => stop());
+            this.timers.clear();
+            this.requests.forEach(controller => controller.abort());
+            this.requests.clear();
+            this.pendingBindings.clear();
+            this.subscribers = new WeakMap();
+            this.listeners.clear();
+            this.stepDepth = null;
+            this.resume();
+            if (this.inspector) this.inspector.remove();
+            this.inspector = null;
+        }
+
+        async processStore(node) {
+            const name = node.getAttribute('name');
+            const value = node.getAttribute('value');
+            const type = node.getAttribute('type');
+            const local = node.getAttribute('local') !== 'false';
+            const val = await this.evaluate(value);
+            if (type && typeof val !== type) {
+                throw new Error(`Type mismatch for ${name}: expected ${type}, got ${typeof val}`);
+            }
+            this.setVariable(name, val, local);
+            node.remove();
+        }
+
+        async processMan(node) {
+            const name = node.getAttribute('name');
+            const operation = node.getAttribute('operation');
+            const type = node.getAttribute('type');
+            let val = this.getVariable(name);
+            if (val === undefined) throw new Error(`Variable ${name} not found`);
+            let newVal;
+            if ((operation.startsWith('.') || operation.startsWith('[')) && this.isPathAssignment(operation)) {
+                await this.setPath(name, operation);
+                newVal = val;
+            } else if (operation.startsWith('.')) {
+                if (this.options.safe) throw policyError(`<man operation="${operation}"> runs JavaScript`);
+                console.warn('Using unsafe eval for object manipulation');
+                newVal = new Function('val', `val${operation}; return val;`)(val);
             } else {
-                node.innerText = result.toString();
+                // val + operation is a new string for every value, so it bypasses the expression cache.
+                newVal = await this.evaluateAst(this.parse(this.tokenize(val + operation)));
             }
-        } catch (e) {
-            console.error('INI processing error:', e);
-            if (varName) {
-                this.setVariable(varName, { error: e.message });
-                node.remove();
+            if (type && typeof newVal !== type) {
+                throw new Error(`Type mismatch after manipulation for ${name}: expected ${type}, got ${typeof newVal}`);
+            }
+            if (typeof newVal === 'string' || Array.isArray(newVal)) checkSize(this, `<man name="${name}">`, newVal.length);
+            this.assignVariable(name, newVal);
+            node.remove();
+        }
+
+        async processCalc(node) {
+            const expression = node.getAttribute('expression');
+            const type = node.getAttribute('type');
+            await this.bind(node, async (evaluate) => {
+                const result = await evaluate(expression);
+                if (type && typeof result !== type) {
+                    throw new Error(`Type mismatch in calc: expected ${type}, got ${typeof result}`);
+                }
+                node.textContent = result;
+            });
+        }
+
+        async processIf(node) {
+            const condition = node.getAttribute('condition');
+            const elseNode = this.nextTag(node, 'else');
+            if (this.options.reactive) {
+                await this.processReactiveIf(node, condition, elseNode);
+                return;
+            }
+            const cond = await this.evaluate(condition);
+            if (cond) {
+                await this.processChildren(node);
+                node.replaceWith(...node.childNodes);
+                if (elseNode) elseNode.remove();
             } else {
-                node.innerText = `Error: ${e.message}`;
+                node.remove();
+                if (elseNode) {
+                    await this.processChildren(elseNode);
+                    elseNode.replaceWith(...elseNode.childNodes);
+                }
             }
         }
-    }
 
-    processXml(node) {
-        const varName = node.getAttribute('var');
-        const action = node.getAttribute('action') || 'parse';
-        const source = node.getAttribute('source') || node.innerText.trim();
-        try {
-            let result;
-            if (action === 'parse') {
-                const parser = new DOMParser();
-                const xmlDoc = parser.parseFromString(source, 'application/xml');
-                const errorNode = xmlDoc.querySelector('parsererror');
-                if (errorNode) throw new Error('Invalid XML');
-                result = this.xmlToObject(xmlDoc.documentElement);
-            } else if (action === 'stringify') {
-                const data = this.evaluate(source);
-                result = this.objectToXml(data);
+        async processReactiveIf(node, condition, elseNode) {
+            const branches = { then: node.cloneNode(true), else: elseNode ? elseNode.cloneNode(true) : null };
+            const range = this.createRange(node);
+            if (elseNode) elseNode.remove();
+            let current;
+            await this.bind(range.start, async (evaluate, task) => {
+                const cond = Boolean(await evaluate(condition));
+                if (cond === current) return;
+                current = cond;
+                const branch = cond ? branches.then : branches.else;
+                const content = branch ? branch.cloneNode(true) : null;
+                if (content) await task.processChildren(content);
+                this.fillRange(range, content ? Array.from(content.childNodes) : []);
+            });
+        }
+
+        async processFor(node) {
+            const init = node.getAttribute('init');
+            const condition = node.getAttribute('condition');
+            const increment = node.getAttribute('increment');
+            if (init) await this.evaluateStatement(init, true);
+            await this.processLoop(node, {
+                condition: () => this.evaluate(condition),
+                step: increment ? () => this.evaluateStatement(increment, false) : null,
+            });
+        }
+
+        async evaluateStatement(statement, declare) {
+            const match = /^\s*([a-zA-Z_$][a-zA-Z0-9_$]*)\s*(\+\+|--|[-+*\/%^]?=(?!=))([\s\S]*)$/.exec(statement);
+            if (!match) return this.evaluate(statement);
+            const [, name, operator, rest] = match;
+            let value;
+            if (operator === '++' || operator === '--') {
+                if (rest.trim()) throw new Error(`Invalid statement: ${statement}`);
+                value = binaryOperators[operator[0]](this.getVariable(name), 1);
+            } else if (operator === '=') {
+                value = await this.evaluate(rest);
             } else {
-                throw new Error('Invalid XML action');
+                value = binaryOperators[operator[0]](this.getVariable(name), await this.evaluate(rest));
             }
-            if (varName) {
-                this.setVariable(varName, result);
+            if (declare) {
+                this.setVariable(name, value);
+            } else {
+                this.assignVariable(name, value);
+            }
+            return value;
+        }
+
+        async processWhile(node) {
+            const condition = node.getAttribute('condition');
+            await this.processLoop(node, {
+                condition: () => this.evaluate(condition),
+            });
+        }
+
+        async processEach(node) {
+            const source = node.getAttribute('source');
+            const itemName = node.getAttribute('item') || 'item';
+            const indexName = node.getAttribute('index');
+            const keyName = node.getAttribute('key');
+            const emptyNode = this.nextTag(node, 'empty');
+            const entries = this.toEntries(await this.evaluate(source));
+            if (!entries.length) {
                 node.remove();
+                if (emptyNode) {
+                    await this.processChildren(emptyNode);
+                    emptyNode.replaceWith(...emptyNode.childNodes);
+                }
+                return;
+            }
+            if (emptyNode) emptyNode.remove();
+            let i = 0;
+            await this.processLoop(node, {
+                condition: () => i < entries.length,
+                step: () => i++,
+                scope: () => {
+                    const [key, value] = entries[i];
+                    const scope = new Map([[itemName, value]]);
+                    if (indexName) scope.set(indexName, i);
+                    if (keyName) scope.set(keyName, key);
+                    return scope;
+                },
+            });
+        }
+
+        toEntries(collection) {
+            if (collection === null || collection === undefined) return [];
+            if (Array.isArray(collection) || typeof collection === 'string') return Array.from(collection).map((value, i) => [i, value]);
+            if (collection instanceof Map) return Array.from(collection.entries());
+            if (collection instanceof Set) return Array.from(collection).map((value, i) => [i, value]);
+            if (typeof collection[Symbol.iterator] === 'function') return Array.from(collection).map((value, i) => [i, value]);
+            if (typeof collection === 'object') return Object.entries(collection);
+            throw new Error(`Cannot iterate over ${typeof collection}`);
+        }
+
+        async processLoop(node, { condition, step, scope }) {
+            const template = node.cloneNode(true);
+            const output = this.document.createDocumentFragment();
+            node.innerHTML = '';
+            let count = 0;
+            while (await condition()) {
+                if (++count > this.options.maxIterations) {
+                    throw new HtmlScriptError(`Loop exceeded ${this.options.maxIterations} iterations (maxIterations)`, { type: 'limit' });
+                }
+                this.checkTimeLimit();
+                const iteration = template.cloneNode(true);
+                if (scope) this.scopes.push(scope());
+                try {
+                    await this.processClone(iteration, template);
+                    output.append(...iteration.childNodes);
+                } catch (e) {
+                    if (e instanceof CustomBreakError) {
+                        break;
+                    } else if (e instanceof CustomReturnError) {
+                        // Keeps the output up to the <return> in place of the loop and
+                        // marks the spot, so the function body is cut after it.
+                        this.truncateAfter(iteration, e.node);
+                        const end = this.document.createTextNode('');
+                        output.append(...iteration.childNodes, end);
+                        node.replaceWith(output);
+                        e.node = end;
+                        throw e;
+                    } else if (!(e instanceof CustomContinueError)) {
+                        throw this.relocateError(e, iteration, { ...this.describeNode(node), line: this.locateNode(node) });
+                    }
+                } finally {
+                    if (scope) this.scopes.pop();
+                }
+                if (step) await step();
+            }
+            node.replaceWith(output);
+        }
+
+        async processReturn(node) {
+            const expr = node.getAttribute('expression');
+            throw new CustomReturnError(expr ? await this.evaluate(expr) : undefined, node);
+        }
+
+        processFunc(node) {
+            const name = node.getAttribute('name');
+            const params = this.parseParams(node.getAttribute('params'));
+            const body = node.cloneNode(true);
+            const closure = this.scopes.slice();
+            const location = { ...this.describeNode(node), line: this.locateNode(node) };
+            (this.currentModule() || this).functions.set(name, { name, params, body, closure, location });
+            if (this.options.hydrate) {
+                node.setAttribute('hidden', '');
             } else {
-                node.innerText = result.toString();
+                node.remove();
             }
-        } catch (e) {
-            console.error('XML processing error:', e);
+        }
+
+        parseParams(paramsStr) {
+            if (!paramsStr || !paramsStr.trim()) return [];
+            const parts = [];
+            let depth = 0;
+            let start = 0;
+            this.tokenize(paramsStr).forEach(token => {
+                if (token.type !== 'operator') return;
+                if ('([{'.includes(token.value)) depth++;
+                else if (')]}'.includes(token.value)) depth--;
+                else if (token.value === ',' && depth === 0) {
+                    parts.push(paramsStr.slice(start, token.pos));
+                    start = token.pos + 1;
+                }
+            });
+            parts.push(paramsStr.slice(start));
+            return parts.map((part, i) => {
+                const match = /^\s*(\.\.\.)?\s*([a-zA-Z_$][a-zA-Z0-9_$]*)\s*(?:=([\s\S]+))?$/.exec(part);
+                if (!match) throw new Error(`Invalid parameter: ${part.trim()}`);
+                const param = { name: match[2], rest: Boolean(match[1]), defaultValue: match[3] ? match[3].trim() : null };
+                if (param.rest && (i !== parts.length - 1 || param.defaultValue)) {
+                    throw new Error(`Rest parameter ${param.name} must be last and cannot have a default`);
+                }
+                return param;
+            });
+        }
+
+        async processCall(node) {
+            const funcName = node.getAttribute('func');
+            const argsStr = node.getAttribute('args');
+            const varName = node.getAttribute('var');
+            const f = this.findFunction(funcName);
+            if (!f) throw new Error(`Function ${funcName} not found`);
+            const args = argsStr ? await this.evaluate(`[${argsStr}]`) : [];
+            const { value, body } = await this.runFunction(f, args);
             if (varName) {
-                this.setVariable(varName, { error: e.message });
+                this.setVariable(varName, value);
                 node.remove();
             } else {
-                node.innerText = `Error: ${e.message}`;
+                node.replaceWith(...body.childNodes);
             }
         }
-    }
 
-    xmlToObject(node) {
-        const obj = { name: node.tagName };
-        if (node.attributes) {
-            obj.attributes = {};
-            for (const attr of node.attributes) {
-                obj.attributes[attr.name] = attr.value;
+        async runFunction(f, args) {
+            if (f.native) {
+                if (this.tracing) this.record({ type: 'call', name: f.name, args, native: true });
+                return { value: await f.native(...args), body: this.document.createDocumentFragment() };
             }
-        }
-        if (node.childNodes.length === 1 && node.childNodes[0].nodeType === 3) {
-            obj.text = node.childNodes[0].textContent.trim();
-        } else {
-            obj.children = [];
-            for (const child of node.childNodes) {
-                if (child.nodeType === 1) {
-                    obj.children.push(this.xmlToObject(child));
+            const hasRest = f.params.length && f.params[f.params.length - 1].rest;
+            if (!hasRest && args.length > f.params.length) throw new Error('Argument count mismatch');
+            const prevScopes = this.scopes;
+            this.scopes = [...f.closure, new Map()];
+            if (this.tracing) this.record({ type: 'call', name: f.name, args });
+            this.callStack.push(`${f.name}()`);
+            try {
+                for (let i = 0; i < f.params.length; i++) {
+                    const param = f.params[i];
+                    let value = param.rest ? args.slice(i) : args[i];
+                    if (value === undefined && param.defaultValue !== null) {
+                        value = await this.evaluate(param.defaultValue);
+                    } else if (value === undefined) {
+                        throw new Error(`Missing argument ${param.name} for function ${f.name}`);
+                    }
+                    this.setVariable(param.name, value);
+                }
+                const body = f.body.cloneNode(true);
+                let value = undefined;
+                try {
+                    await this.processClone(body, f.body);
+                } catch (e) {
+                    if (!(e instanceof CustomReturnError)) throw this.relocateError(e, body, f.location);
+                    value = e.value;
+                    this.truncateAfter(body, e.node);
                 }
+                return { value, body };
+            } finally {
+                this.callStack.pop();
+                this.scopes = prevScopes;
             }
         }
-        return obj;
-    }
 
-    objectToXml(obj, tagName = 'root') {
-        tagName = obj.name || tagName;
-        let xml = `<${tagName}`;
-        if (obj.attributes) {
-            for (const [key, value] of Object.entries(obj.attributes)) {
-                xml += ` ${key}="${value}"`;
+        truncateAfter(root, node) {
+            if (!node || !root.contains(node)) return;
+            const controlTags = ['if', 'else', 'for', 'while', 'each', 'empty', 'scope', 'try', 'catch'];
+            let current = node;
+            while (current !== root) {
+                const parent = current.parentNode;
+                while (current.nextSibling) current.nextSibling.remove();
+                if (current === node) current.remove();
+                else if (controlTags.includes(this.resolveTag(current.tagName.toLowerCase()))) current.replaceWith(...current.childNodes);
+                current = parent;
             }
         }
-        xml += '>';
-        if (obj.text) {
-            xml += obj.text;
-        } else if (obj.children) {
-            for (const child of obj.children) {
-                xml += this.objectToXml(child);
+
+        // <component name="user-card" props="name, avatar = ''"> defines the tag
+        // <user-card>. Like a function, its body sees the scope the component was
+        // defined in, plus its props.
+        processComponent(node) {
+            const name = (node.getAttribute('name') || '').toLowerCase();
+            if (!/^[a-z][a-z0-9]*(?:-[a-z0-9]+)+$/.test(name)) throw new Error(`Invalid component name: ${name || '(missing)'} (use a name with a hyphen, such as user-card)`);
+            const component = {
+                name,
+                params: this.parseParams(node.getAttribute('props')),
+                body: node.cloneNode(true),
+                closure: this.scopes.slice(),
+                shadow: node.hasAttribute('shadow'),
+                location: { ...this.describeNode(node), line: this.locateNode(node) },
+            };
+            this.registerTag(name, { process: (host) => this.renderComponent(component, host) });
+            if (this.options.hydrate) {
+                node.setAttribute('hidden', '');
+            } else {
+                node.remove();
             }
         }
-        xml += `</${tagName}>`;
-        return xml;
-    }
 
-    processYml(node) {
-        const varName = node.getAttribute('var');
-        const action = node.getAttribute('action') || 'parse';
-        const source = node.getAttribute('source') || node.innerText.trim();
-        try {
-            let result;
-            if (action === 'parse') {
-                result = this.parseYml(source);
-            } else if (action === 'stringify') {
-                const data = this.evaluate(source);
-                result = this.stringifyYml(data);
-            } else {
-                throw new Error('Invalid YML action');
+        // Expands one use of a component. Props and slot content are evaluated
+        // in the caller's scope, the body in a new scope of the component.
+        async renderComponent(component, host) {
+            const attributes = new Map(Array.from(host.attributes, attr => [attr.name, attr.value]));
+            const values = new Map();
+            for (const param of component.params) {
+                const attribute = kebabCase(param.name);
+                if (param.rest || !attributes.has(attribute)) continue;
+                values.set(param.name, await this.readProp(attributes.get(attribute)));
+                attributes.delete(attribute);
             }
-            if (varName) {
-                this.setVariable(varName, result);
-                node.remove();
+            const rest = component.params.find(param => param.rest);
+            const extra = {};
+            for (const [attribute, text] of attributes) {
+                extra[rest ? camelCase(attribute) : attribute] = rest ? await this.readProp(text) : await this.interpolate(text);
+            }
+            if (rest) values.set(rest.name, extra);
+            const slots = new Map();
+            if (component.shadow) {
+                // Light DOM children stay in the host and are slotted by the browser.
+                await this.processChildren(host);
             } else {
-                node.innerText = result.toString();
+                Array.from(host.childNodes).forEach(child => {
+                    const slotName = (child.nodeType === 1 && child.getAttribute('slot')) || '';
+                    if (!slots.has(slotName)) slots.set(slotName, this.document.createDocumentFragment());
+                    if (slotName) child.removeAttribute('slot');
+                    slots.get(slotName).append(child);
+                });
+                for (const content of slots.values()) await this.processChildren(content);
             }
-        } catch (e) {
-            console.error('YML processing error:', e);
-            if (varName) {
-                this.setVariable(varName, { error: e.message });
+            const body = component.body.cloneNode(true);
+            const prevScopes = this.scopes;
+            this.scopes = [...component.closure, new Map()];
+            try {
+                for (const param of component.params) {
+                    let value = values.get(param.name);
+                    if (value === undefined && param.defaultValue !== null) {
+                        value = await this.evaluate(param.defaultValue);
+                    } else if (value === undefined) {
+                        throw new Error(`Missing prop ${param.name} for <${component.name}>`);
+                    }
+                    this.setVariable(param.name, value);
+                }
+                await this.processClone(body, component.body);
+            } catch (e) {
+                throw this.relocateError(e, body, component.location);
+            } finally {
+                this.scopes = prevScopes;
+            }
+            if (component.shadow) {
+                const root = host.shadowRoot || host.attachShadow({ mode: 'open' });
+                while (root.firstChild) root.firstChild.remove();
+                root.append(...body.childNodes);
+                return;
+            }
+            // A <slot> shows the content passed for its name, or its own content as a fallback.
+            Array.from(body.querySelectorAll('slot')).forEach(slot => {
+                const content = slots.get(slot.getAttribute('name') || '');
+                const filled = content && Array.from(content.childNodes).some(child => child.nodeType === 1 || child.textContent.trim());
+                slot.replaceWith(...(filled ? content.childNodes : slot.childNodes));
+            });
+            // Attributes that are not props, such as class and id, go to the single root element.
+            const roots = Array.from(body.childNodes).filter(child => child.nodeType === 1 || (child.nodeType === 3 && child.textContent.trim()));
+            if (!rest && roots.length === 1 && roots[0].nodeType === 1) {
+                Object.entries(extra).forEach(([attribute, value]) => {
+                    if (attribute === 'class') roots[0].classList.add(...value.split(/\s+/).filter(Boolean));
+                    else if (!roots[0].hasAttribute(attribute)) roots[0].setAttribute(attribute, value);
+                });
+            }
+            host.replaceWith(...body.childNodes);
+        }
+
+        // A prop that is a single {{ expr }} passes the value itself, so objects
+        // and numbers keep their type; any other text is interpolated.
+        async readProp(text) {
+            const segments = this.parseTemplate(text);
+            if (segments.length === 1 && segments[0].type === 'expression' && !segments[0].raw) return this.evaluate(segments[0].expression);
+            return this.interpolate(text);
+        }
+
+        // Returns an AbortController that is also aborted when this task is cancelled.
+        linkedController() {
+            const controller = new AbortController();
+            if (this.signal && this.signal.aborted) controller.abort();
+            else if (this.signal) this.signal.addEventListener('abort', () => controller.abort(), { once: true });
+            return controller;
+        }
+
+        async readMs(node, attr = 'ms') {
+            if (!node.hasAttribute(attr)) throw new Error(`Missing ${attr}`);
+            const value = await this.evaluate(node.getAttribute(attr));
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) throw new Error(`Invalid ${attr}: ${describeValue(value)}`);
+            return value;
+        }
+
+        async processWait(node) {
+            await delay(await this.readMs(node), this.signal);
+            await this.processChildren(node);
+            node.replaceWith(...node.childNodes);
+        }
+
+        async processTimeout(node) {
+            const ms = await this.readMs(node);
+            const controller = this.linkedController();
+            let timer = null;
+            const expired = new Promise((resolve, reject) => {
+                timer = setTimeout(() => {
+                    controller.abort();
+                    reject(new HtmlScriptError(`Timed out after ${ms}ms`, { type: 'timeout' }));
+                }, ms);
+            });
+            const run = this.fork(controller.signal).processChildren(node);
+            try {
+                await Promise.race([run, expired]);
+            } catch (e) {
+                run.catch(() => {});
                 node.remove();
-            } else {
-                node.innerText = `Error: ${e.message}`;
+                throw e;
+            } finally {
+                clearTimeout(timer);
             }
+            node.replaceWith(...node.childNodes);
         }
-    }
 
-    parseYml(source) {
-        const lines = source.split('\n');
-        const stack = [];
-        let root = {};
-        let current = root;
-        let lastIndent = 0;
-        lines.forEach((line, index) => {
-            if (line.trim() === '' || line.trim().startsWith('#')) return;
-            const indent = line.match(/^\s*/) [0].length;
-            const trimmed = line.trim();
-            if (indent < lastIndent) {
-                for (let j = 0; j < (lastIndent - indent) / 2; j++) {
-                    stack.pop();
-                }
-                current = stack[stack.length - 1] || root;
-            } else if (indent > lastIndent) {
-                if (indent - lastIndent !== 2) throw new Error('Invalid indentation at line ' + (index + 1));
-            }
-            lastIndent = indent;
-            if (trimmed.startsWith('-')) {
-                const valueStr = trimmed.slice(1).trim();
-                if (Array.isArray(current)) {
-                    const lastItem = current[current.length - 1];
-                    if (valueStr.includes(':')) {
-                        const [key, value] = valueStr.split(':').map(s => s.trim());
-                        lastItem[key] = this.parseYmlValue(value);
-                    } else {
-                        current.push(this.parseYmlValue(valueStr));
+        // Processes every child at the same time and continues when all are done.
+        // The first error cancels the other branches and is thrown.
+        async processParallel(node) {
+            const controller = this.linkedController();
+            let error = null;
+            await Promise.all(Array.from(node.childNodes).map(child => this.fork(controller.signal).processNode(child).catch(e => {
+                if (!error) error = e;
+                controller.abort();
+            })));
+            if (error) throw error;
+            node.replaceWith(...node.childNodes);
+        }
+
+        // Processes the child elements at the same time. The first to finish
+        // wins: the others are cancelled and their output removed, and an
+        // error from the winner is thrown.
+        async processRace(node) {
+            const varName = node.getAttribute('var');
+            const racers = Array.from(node.children).map(child => {
+                const start = this.document.createComment('race');
+                const end = this.document.createComment('/race');
+                child.before(start);
+                child.after(end);
+                return { child, start, end };
+            });
+            const controller = this.linkedController();
+            let winner = -1;
+            try {
+                await new Promise((resolve, reject) => {
+                    if (!racers.length) resolve();
+                    racers.forEach(({ child }, index) => {
+                        this.fork(controller.signal).processNode(child).then(() => {
+                            if (winner === -1) winner = index;
+                            resolve();
+                        }, (e) => {
+                            if (winner === -1) winner = index;
+                            reject(e);
+                        });
+                    });
+                });
+            } finally {
+                controller.abort();
+                racers.forEach(({ start, end }, index) => {
+                    if (index !== winner) {
+                        while (start.nextSibling && start.nextSibling !== end) start.nextSibling.remove();
                     }
-                } else {
-                    const newArray = [];
-                    current = newArray;
-                    stack[stack.length - 1][Object.keys(stack[stack.length - 1])[Object.keys(stack[stack.length - 1]).length - 1]] = newArray;
-                    stack.push(newArray);
-                    newArray.push(this.parseYmlValue(valueStr));
-                }
-            } else if (trimmed.includes(':')) {
-                const [key, valueStr] = trimmed.split(':').map(s => s.trim());
-                const value = this.parseYmlValue(valueStr);
-                if (value === undefined) {
-                    const newObj = {};
-                    current[key] = newObj;
-                    stack.push(current);
-                    current = newObj;
-                } else {
-                    current[key] = value;
+                    start.remove();
+                    end.remove();
+                });
+            }
+            if (varName) this.setVariable(varName, winner);
+            node.replaceWith(...node.childNodes);
+        }
+
+        // Renders the content now and then again every ms milliseconds in the
+        // background, until the until expression is true, times runs are done,
+        // or <off name> or destroy() stops it.
+        async processInterval(node) {
+            const ms = await this.readMs(node);
+            const times = node.hasAttribute('times') ? Number(node.getAttribute('times')) : Infinity;
+            if (!(times >= 1)) throw new Error(`Invalid times: ${node.getAttribute('times')}`);
+            const until = node.getAttribute('until');
+            const name = node.getAttribute('name');
+            const indexName = node.getAttribute('index');
+            const body = node.cloneNode(true);
+            const scopes = this.scopes.slice();
+            const controller = this.linkedController();
+            const origin = { ...this.describeNode(node), line: this.locateNode(node) };
+            const range = this.createRange(node);
+            let count = 0;
+            let timer = null;
+            const stop = () => {
+                clearTimeout(timer);
+                controller.abort();
+                this.timers.delete(stop);
+                if (name && this.handlers.get(name) === stop) this.handlers.delete(name);
+            };
+            const tick = async () => {
+                const task = this.fork(controller.signal);
+                task.scopes = [...scopes, new Map(indexName ? [[indexName, count]] : [])];
+                const clone = body.cloneNode(true);
+                try {
+                    await task.withTimeLimit(() => task.processChildren(clone));
+                    this.fillRange(range, Array.from(clone.childNodes));
+                } catch (e) {
+                    throw this.relocateError(e, clone, origin);
                 }
-            } else {
-                throw new Error('Invalid YAML syntax at line ' + (index + 1));
+                count++;
+                return count >= times || Boolean(until && await task.evaluate(until));
+            };
+            const schedule = () => {
+                timer = setTimeout(async () => {
+                    let done;
+                    try {
+                        done = await tick();
+                    } catch (e) {
+                        if (controller.signal.aborted) return;
+                        this.reportError(this.toHtmlScriptError(e), { node: range.start.parentNode });
+                    }
+                    if (done) stop();
+                    else if (!controller.signal.aborted) schedule();
+                }, ms);
+            };
+            this.timers.add(stop);
+            if (name) {
+                if (this.handlers.has(name)) this.handlers.get(name)();
+                this.handlers.set(name, stop);
             }
-        });
-        return root;
-    }
+            try {
+                if (await tick()) {
+                    stop();
+                    return;
+                }
+            } catch (e) {
+                stop();
+                throw e;
+            }
+            schedule();
+        }
 
-    parseYmlValue(valueStr) {
-        if (valueStr === '') return undefined;
-        if (!isNaN(valueStr)) return Number(valueStr);
-        if (valueStr === 'true') return true;
-        if (valueStr === 'false') return false;
-        if (valueStr.startsWith('"') && valueStr.endsWith('"')) return valueStr.slice(1, -1);
-        return valueStr;
-    }
+        async processScope(node) {
+            this.scopes.push(new Map());
+            await this.processChildren(node);
+            node.replaceWith(...node.childNodes);
+            this.scopes.pop();
+        }
 
-    stringifyYml(obj, indent = 0) {
-        let result = '';
-        const space = ' '.repeat(indent);
-        for (const [key, value] of Object.entries(obj)) {
-            if (Array.isArray(value)) {
-                result += `${space}${key}:\n`;
-                value.forEach(item => {
-                    if (typeof item === 'object') {
-                        result += `${space}  - \n${this.stringifyYml(item, indent + 4)}`;
+        // Keeps a form control and the variable or member path (user.email) in
+        // its bind attribute in sync in both directions.
+        async bindControl(node, path) {
+            if (!/^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*$/.test(path)) throw new Error(`Invalid bind path: ${path}`);
+            const [root, ...keys] = path.split('.');
+            if (keys.some(key => key === '__proto__' || key === 'constructor' || key === 'prototype')) throw new Error(`Invalid bind path: ${path}`);
+            const scopes = this.scopes.slice();
+            // Reads and writes go through a fork with the scopes the control was bound in.
+            const scoped = () => {
+                const task = this.fork(null);
+                task.scopes = scopes.slice();
+                task.tracking = null;
+                return task;
+            };
+            const read = () => keys.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scoped().getVariable(root));
+            // Missing objects along the path are created, as <form submit> does for values.
+            const write = (value) => {
+                const task = scoped();
+                if (!keys.length) {
+                    task.assignVariable(root, value);
+                    return;
+                }
+                let object = task.getVariable(root);
+                if (object === undefined || object === null) object = {};
+                let target = object;
+                keys.forEach((key, i) => {
+                    const name = [root, ...keys.slice(0, i)].join('.');
+                    if (target === null || typeof target !== 'object') throw new Error(`Cannot bind ${path}: ${name} is not an object`);
+                    this.checkPathTarget(target, `${name}.${key}`);
+                    if (i === keys.length - 1) {
+                        setOwn(target, key, value);
                     } else {
-                        result += `${space}  - ${item}\n`;
+                        if (target[key] === undefined || target[key] === null) setOwn(target, key, {});
+                        target = target[key];
                     }
                 });
-            } else if (typeof value === 'object' && value !== null) {
-                result += `${space}${key}:\n${this.stringifyYml(value, indent + 2)}`;
-            } else {
-                result += `${space}${key}: ${value}\n`;
+                task.assignVariable(root, object);
+            };
+            const control = { node, path, scopes, read, validate: () => this.validateControl(node, control) };
+            this.boundControls.set(node, control);
+            if (read() === undefined) {
+                const initial = readControl(node, undefined);
+                if (initial !== undefined) write(initial);
             }
+            const errorName = node.getAttribute('error');
+            if (errorName && scoped().getVariable(errorName) === undefined) this.setVariable(errorName, '');
+            let touched = false;
+            // Events of this control that are queued but not yet written. Until
+            // they are, updates leave the control alone so the input is not lost.
+            let pending = 0;
+            const listener = () => {
+                pending++;
+                this.enqueue(async () => {
+                    try {
+                        const value = readControl(node, read());
+                        if (!sameValue(value, read())) write(value);
+                        touched = true;
+                        await control.validate();
+                    } catch (e) {
+                        this.reportError(this.toHtmlScriptError(e, node), { node });
+                    } finally {
+                        pending--;
+                    }
+                });
+            };
+            (node.hasAttribute('lazy') ? ['change'] : ['input', 'change']).forEach(event => {
+                node.addEventListener(event, listener);
+                this.eventBindings.push({ target: node, event, listener });
+            });
+            const binding = {
+                node,
+                scopes,
+                deps: [],
+                render: async (evaluate) => {
+                    const value = await evaluate(path);
+                    if (!pending) writeControl(node, value);
+                    if (touched) await control.validate();
+                },
+            };
+            await this.runBinding(binding);
         }
-        return result;
-    }
 
-    init() {
-        document.addEventListener('DOMContentLoaded', async () => {
-            await this.processAll();
-        });
-    }
-}
+        // Checks the control's constraints (required, min, pattern, type, ...)
+        // and its validate expression. Sets aria-invalid and the variable named
+        // by the error attribute, and resolves to the message ('' when valid).
+        async validateControl(node, control) {
+            if (node.hasAttribute('validate')) {
+                const task = this.fork(null);
+                task.scopes = [...control.scopes, new Map([['value', control.read()]])];
+                const valid = await task.evaluate(node.getAttribute('validate'));
+                node.setCustomValidity(valid ? '' : node.getAttribute('validate-message') || 'Invalid value');
+            }
+            let message = '';
+            if (node.validity && !node.validity.valid) {
+                const rule = Object.keys(validityRules).find(flag => node.validity[flag]);
+                message = (rule && node.getAttribute(`${validityRules[rule]}-message`)) || node.validationMessage || 'Invalid value';
+            }
+            node.setAttribute('aria-invalid', message ? 'true' : 'false');
+            if (node.hasAttribute('error')) {
+                const task = this.fork(null);
+                task.scopes = control.scopes.slice();
+                task.assignVariable(node.getAttribute('error'), message);
+            }
+            return message;
+        }
 
-class CustomBreakError extends Error {
-    constructor() {
-        super('break');
-    }
-}
+        bindForm(form) {
+            const expr = form.getAttribute('submit');
+            const scopes = this.scopes.slice();
+            const listener = (event) => {
+                event.preventDefault();
+                this.enqueue(task => task.submitForm(form, expr, scopes, event));
+            };
+            form.addEventListener('submit', listener);
+            this.eventBindings.push({ target: form, event: 'submit', listener });
+        }
 
-class CustomContinueError extends Error {
-    constructor() {
-        super('continue');
-    }
-}
+        // Runs the submit expression of a <form> with values, the bound values
+        // collected into an object, once every bound control in it is valid.
+        // Called on the fork the handler queue gives it.
+        async submitForm(form, expr, scopes, event) {
+            try {
+                const values = {};
+                const errors = {};
+                let firstInvalid = null;
+                for (const element of Array.from(form.elements)) {
+                    const control = this.boundControls.get(element);
+                    if (!control) continue;
+                    const message = await control.validate();
+                    if (message && !(control.path in errors)) errors[control.path] = message;
+                    if (message && !firstInvalid) firstInvalid = element;
+                    const keys = control.path.split('.');
+                    const target = keys.slice(0, -1).reduce((object, key) => {
+                        if (!Object.prototype.hasOwnProperty.call(object, key)) setOwn(object, key, {});
+                        return object[key];
+                    }, values);
+                    setOwn(target, keys[keys.length - 1], control.read());
+                }
+                if (firstInvalid) {
+                    if (typeof firstInvalid.focus === 'function') firstInvalid.focus();
+                    this.emit('invalid', { form, errors });
+                    return;
+                }
+                this.scopes = [...scopes, new Map([['values', values], ['event', event], ['form', form]])];
+                if (expr) await this.evaluate(expr);
+            } catch (e) {
+                this.reportError(this.toHtmlScriptError(e, form), { node: form });
+            }
+        }
+
+        async processOutput(node) {
+            const expr = node.getAttribute('expression');
+            await this.bind(node, async (evaluate) => {
+                const value = await evaluate(expr);
+                node.textContent = value.toString();
+            });
+        }
+
+        async processTry(node) {
+            const catchNode = this.nextTag(node, 'catch');
+            const catchVar = catchNode ? catchNode.getAttribute('var') || 'e' : 'e';
+            try {
+                this.tryDepth++;
+                try {
+                    await this.processChildren(node);
+                } finally {
+                    this.tryDepth--;
+                }
+                node.replaceWith(...node.childNodes);
+                if (catchNode) catchNode.remove();
+            } catch (e) {
+                node.remove();
+                if (catchNode) {
+                    this.setVariable(catchVar, e);
+                    await this.processChildren(catchNode);
+                    catchNode.replaceWith(...catchNode.childNodes);
+                } else {
+                    throw e;
+                }
+            }
+        }
+
+        // Loads src as a module and brings its exports into scope: under the
+        // variable named by namespace, or one by one when there is none.
+        async processImport(node) {
+            const src = node.getAttribute('src');
+            const type = node.getAttribute('type') || 'script';
+            const namespace = node.getAttribute('namespace') || (type === 'module' ? 'imported' : null);
+            try {
+                if (!src) throw new Error('Missing src');
+                if (!moduleTypes.includes(type)) throw new Error(`Invalid import type: ${type}`);
+                if (this.options.safe && type !== 'html') throw policyError(`<import type="${type}"> runs JavaScript`);
+                if (namespace && !/^[A-Za-z_$][\w$]*$/.test(namespace)) throw new Error(`Invalid namespace: ${namespace}`);
+                const module = await this.loadModule(this.resolveImport(src), type);
+                const table = (this.currentModule() || this).functions;
+                if (namespace) {
+                    this.setVariable(namespace, { ...module.variables });
+                    module.functions.forEach((f, name) => table.set(`${namespace}.${name}`, f));
+                } else {
+                    Object.entries(module.variables).forEach(([name, value]) => this.setVariable(name, value));
+                    module.functions.forEach((f, name) => table.set(name, f));
+                }
+                if (module.content) {
+                    node.replaceWith(module.content.cloneNode(true));
+                    return;
+                }
+            } catch (e) {
+                const error = this.toHtmlScriptError(e, node);
+                if (this.throwsErrors(node)) throw error;
+                this.reportError(error, { node });
+            }
+            node.remove();
+        }
+
+        // Resolves src against the module that imports it, or against the
+        // baseUrl option and the page.
+        resolveImport(src) {
+            const importer = this.currentModule();
+            try {
+                return new URL(importer ? src : this.withBaseUrl(src), importer ? importer.url : this.document.baseURI).href;
+            } catch (e) {
+                return src;
+            }
+        }
+
+        // Returns the module whose code is running: the nearest scope that is a
+        // module's top-level scope.
+        currentModule() {
+            for (let i = this.scopes.length - 1; i >= 0; i--) {
+                const module = this.moduleScopes.get(this.scopes[i]);
+                if (module) return module;
+            }
+            return null;
+        }
 
-const htmlScript = new HtmlScript();
+        findFunction(name) {
+            const module = this.currentModule();
+            return (module && module.functions.get(name)) || this.functions.get(name);
+        }
 
+        // Each URL is loaded and run once per type; later imports reuse the
+        // result. A URL that is still loading further up the import chain is a cycle.
+        async loadModule(url, type) {
+            const importer = this.currentModule();
+            const chain = importer ? importer.chain : [];
+            if (chain.includes(url)) {
+                throw new HtmlScriptError(`Circular import: ${[...chain.slice(chain.indexOf(url)), url].join(' -> ')}`, { type: 'cycle' });
+            }
+            const key = `${type} ${url}`;
+            if (!this.modules.has(key)) {
+                const loading = this.runModule(url, type, [...chain, url]);
+                this.modules.set(key, loading);
+                loading.catch(() => this.modules.delete(key));
+            }
+            return this.modules.get(key);
+        }
 
+        async runModule(url, type, chain) {
+            const module = { url, chain, variables: {}, functions: new Map(), content: null };
+            if (type === 'module' || type === 'plugin') {
+                const exports = await this.importModule(url);
+                if (type === 'plugin') {
+                    await this.usePlugin(exports.default || exports);
+                    return module;
+                }
+                Object.keys(exports).forEach(name => {
+                    if (typeof exports[name] === 'function') module.functions.set(name, { name, native: exports[name] });
+                    else module.variables[name] = exports[name];
+                });
+                return module;
+            }
+            const response = await this.send({ url, type: 'import' });
+            if (!response.ok) {
+                throw new HttpError(`HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}: GET ${url}`, { type: 'status', method: 'GET', url, status: response.status });
+            }
+            const text = await response.text();
+            if (type === 'script') {
+                new (this.window ? this.window.Function : Function)(text)();
+                return module;
+            }
+            // An HTML module runs in its own top-level scope below the page's
+            // globals, so only what it exports is visible to the importer.
+            const scope = new Map();
+            const state = { url, chain, functions: new Map(), exports: new Map() };
+            this.moduleScopes.set(scope, state);
+            const div = this.document.createElement('div');
+            div.innerHTML = text;
+            const prevScopes = this.scopes;
+            this.scopes = [this.scopes[0], scope];
+            try {
+                await this.processChildren(div);
+            } finally {
+                this.scopes = prevScopes;
+            }
+            state.exports.forEach((entry, name) => {
+                if (entry) {
+                    module.variables[name] = entry.value;
+                } else if (state.functions.has(name)) {
+                    module.functions.set(name, state.functions.get(name));
+                } else if (scope.has(name)) {
+                    module.variables[name] = scope.get(name);
+                    // Exporting a namespace re-exports its functions too.
+                    state.functions.forEach((f, key) => {
+                        if (key.startsWith(`${name}.`)) module.functions.set(key, f);
+                    });
+                } else {
+                    throw new HtmlScriptError(`Export ${name} is not defined in ${url}`);
+                }
+            });
+            module.content = this.document.createDocumentFragment();
+            module.content.append(...div.childNodes);
+            return module;
+        }
+
+        // <export name="a, b"> exports variables and functions of the module
+        // by name once it has run; <export name="a" value="expr"> exports a value.
+        async processExport(node) {
+            const module = this.currentModule();
+            if (!module || !module.exports) throw new Error('<export> can only be used in a module loaded with <import type="html">');
+            const names = (node.getAttribute('name') || '').split(',').map(name => name.trim()).filter(Boolean);
+            if (!names.length) throw new Error('Missing name');
+            const invalid = names.find(name => !/^[A-Za-z_$][\w$]*$/.test(name));
+            if (invalid) throw new Error(`Invalid export name: ${invalid}`);
+            if (node.hasAttribute('value')) {
+                if (names.length > 1) throw new Error('value can only be used with a single name');
+                module.exports.set(names[0], { value: await this.evaluate(node.getAttribute('value')) });
+            } else {
+                names.forEach(name => module.exports.set(name, null));
+            }
+            node.remove();
+        }
+
+        async usePlugin(plugin) {
+            if (typeof plugin === 'function') {
+                await plugin(this, HtmlScript);
+            } else if (plugin && plugin.tags) {
+                Object.entries(plugin.tags).forEach(([name, handler]) => this.registerTag(name, handler));
+            } else {
+                throw new Error('Plugin must be a function or an object with tags');
+            }
+        }
+
+        // Attaches the body of an <on> tag as an event handler. With selector,
+        // the listener is delegated: it sits on the target (document by
+        // default) and runs for events from matching elements, including
+        // elements added later.
+        processOn(node) {
+            if (this.options.hydrate) {
+                node.setAttribute('hidden', '');
+                return;
+            }
+            const spec = node.getAttribute('event');
+            if (!spec) throw new Error('Missing event');
+            const [event, ...modifiers] = spec.split('.');
+            const selector = node.getAttribute('selector');
+            const name = node.getAttribute('name');
+            const timing = (attr) => {
+                if (!node.hasAttribute(attr)) return 0;
+                const value = Number(node.getAttribute(attr));
+                if (!Number.isFinite(value) || value < 0) throw new Error(`Invalid ${attr}: ${node.getAttribute(attr)}`);
+                return value;
+            };
+            const debounce = timing('debounce');
+            const throttle = timing('throttle');
+            const targetSpec = node.getAttribute('target');
+            const targets = !targetSpec || targetSpec === 'document' ? [this.document] : targetSpec === 'window' ? [this.window] : Array.from(this.document.querySelectorAll(targetSpec));
+            const has = (modifier) => modifiers.includes(modifier);
+            const keys = modifiers.filter(modifier => !eventModifiers.includes(modifier));
+            const bubbles = !nonBubblingEvents.includes(event);
+            // Events that do not bubble reach a delegated listener in the capture phase.
+            const options = { capture: has('capture') || Boolean(selector && !bubbles), passive: has('passive') };
+            const body = node.cloneNode(true);
+            const scopes = this.scopes.slice();
+            node.remove();
+            const run = (evt, target) => this.enqueue(async (task) => {
+                task.scopes = [...scopes, new Map([['event', evt], ['target', target]])];
+                try {
+                    await task.processChildren(body.cloneNode(true));
+                } catch (e) {
+                    this.reportError(this.toHtmlScriptError(e), { node: target });
+                }
+            });
+            let timer = null;
+            let last = -Infinity;
+            const listener = (evt) => {
+                let target = evt.currentTarget;
+                if (selector) {
+                    let element = evt.target;
+                    if (element && element.nodeType !== 1) element = element.parentElement;
+                    if (!element || typeof element.closest !== 'function') return;
+                    target = bubbles ? element.closest(selector) : element.matches(selector) ? element : null;
+                    if (!target || (typeof evt.currentTarget.contains === 'function' && !evt.currentTarget.contains(target))) return;
+                }
+                if (has('self') && evt.target !== target) return;
+                if (keys.length && !matchesKeys(evt, keys)) return;
+                if (has('prevent')) evt.preventDefault();
+                if (has('stop')) evt.stopPropagation();
+                if (has('once')) remove();
+                if (debounce) {
+                    clearTimeout(timer);
+                    timer = setTimeout(() => {
+                        if (has('once') || this.eventBindings.includes(entries[0])) run(evt, target);
+                    }, debounce);
+                    return;
+                }
+                if (throttle) {
+                    const now = Date.now();
+                    if (now - last < throttle) return;
+                    last = now;
+                }
+                run(evt, target);
+            };
+            const entries = targets.map(target => ({ target, event, listener, options }));
+            const remove = () => {
+                clearTimeout(timer);
+                entries.forEach(entry => entry.target.removeEventListener(event, listener, options));
+                this.eventBindings = this.eventBindings.filter(entry => !entries.includes(entry));
+                if (name && this.handlers.get(name) === remove) this.handlers.delete(name);
+            };
+            entries.forEach(entry => entry.target.addEventListener(event, listener, options));
+            this.eventBindings.push(...entries);
+            if (name) {
+                if (this.handlers.has(name)) this.handlers.get(name)();
+                this.handlers.set(name, remove);
+            }
+        }
+
+        // Event handlers run one at a time, in the order the events arrived.
+        // Each gets a fork with its own scopes and time limit, outside any <try>,
+        // so it can run while run() or a reactive update is waiting.
+        enqueue(task) {
+            const result = this.handlerQueue.then(() => {
+                const fork = this.fork(null);
+                fork.tryDepth = 0;
+                return fork.withTimeLimit(() => task(fork));
+            });
+            this.handlerQueue = result.catch(() => {});
+            return result;
+        }
+
+        processOff(node) {
+            const name = node.getAttribute('name');
+            if (!name) throw new Error('Missing name');
+            const remove = this.handlers.get(name);
+            if (remove) remove();
+            node.remove();
+        }
+
+        async processDebug(node) {
+            const varName = node.getAttribute('var');
+            if (node.hasAttribute('trace')) {
+                this.tracing = node.getAttribute('trace') !== 'off';
+            }
+            if (node.hasAttribute('break')) {
+                if (this.options.debug) {
+                    await this.pause(node);
+                } else {
+                    console.log('Breakpoint skipped, debug mode is off:', this.describeNode(node).path);
+                }
+            }
+            if (varName) {
+                console.dir(this.getVariable(varName));
+            } else if (!node.hasAttribute('trace') && !node.hasAttribute('break')) {
+                console.log('Debug point reached', new Error().stack);
+            }
+            node.remove();
+        }
+
+        record(entry) {
+            entry.stack = this.callStack.join(' > ');
+            this.traceLog.push(entry);
+            if (this.traceLog.length > this.options.traceLimit) this.traceLog.shift();
+            this.emit('trace', entry);
+        }
+
+        // Suspends the interpreter at node until resume() or step() is called.
+        async pause(node) {
+            this.stepDepth = null;
+            const callStack = this.callStack.slice();
+            this.paused = { node, tag: node.tagName.toLowerCase(), path: this.describeNode(node).path, callStack };
+            if (this.options.debug) this.renderInspector();
+            this.emit('pause', this.paused);
+            const action = await new Promise(resolve => {
+                this.resumePause = resolve;
+            });
+            this.paused = null;
+            this.resumePause = null;
+            if (action === 'step') this.stepDepth = callStack.length;
+            if (this.inspector) this.renderInspector('Running');
+            this.emit('resume', { action });
+        }
+
+        resume() {
+            if (this.resumePause) this.resumePause('continue');
+        }
+
+        // Resumes and pauses again at the next tag that is not nested in the current one.
+        step() {
+            if (this.resumePause) this.resumePause('step');
+        }
+
+        renderInspector(status) {
+            const doc = this.document;
+            if (!doc || !doc.body) return;
+            if (!this.inspector || !this.inspector.isConnected) {
+                this.inspector = doc.createElement('div');
+                this.inspector.setAttribute('data-htmlscript-inspector', '');
+                this.inspector.style.cssText = 'position:fixed;top:12px;right:12px;width:360px;max-height:80%;overflow:auto;z-index:2147483646;'
+                    + 'padding:10px 12px;background:#1e1e1e;color:#f8f8f2;border:1px solid #555;border-radius:6px;font:12px/1.5 monospace;';
+                doc.body.appendChild(this.inspector);
+            }
+            const panel = this.inspector;
+            panel.textContent = '';
+            const add = (tag, text, css) => {
+                const el = doc.createElement(tag);
+                if (text !== undefined) el.textContent = text;
+                if (css) el.style.cssText = css;
+                panel.appendChild(el);
+                return el;
+            };
+            const section = (title, lines) => {
+                add('div', title, 'margin-top:8px;font-weight:bold;color:#8be9fd;');
+                add('pre', lines.length ? lines.join('\n') : '(empty)', 'margin:0;white-space:pre-wrap;');
+            };
+            const paused = this.paused;
+            add('div', paused ? `Paused at <${paused.tag}> (${paused.path})` : status || 'Running', 'font-weight:bold;');
+            const button = (label, enabled, action) => {
+                const el = add('button', label, 'margin:6px 6px 0 0;');
+                el.disabled = !enabled;
+                el.addEventListener('click', action);
+            };
+            button('Step over', paused, () => this.step());
+            button('Continue', paused, () => this.resume());
+            button('Close', true, () => {
+                panel.remove();
+                this.inspector = null;
+            });
+            section('Call stack', (paused ? paused.callStack : this.callStack).slice().reverse());
+            const scopes = [];
+            for (let depth = this.scopes.length - 1; depth >= 0; depth--) {
+                scopes.push(depth === 0 ? 'global' : `scope ${depth}`);
+                this.scopes[depth].forEach((value, name) => scopes.push(`  ${name} = ${describeValue(value)}`));
+            }
+            section('Scopes', scopes);
+            section('Functions', Array.from(this.functions, ([name, f]) => `${name}(${f.native ? '...' : f.params.map(p => (p.rest ? '...' : '') + p.name).join(', ')})`));
+            if (this.tracing || this.traceLog.length) {
+                section('Trace', this.traceLog.slice(-20).map(describeTraceEntry));
+            }
+        }
+
+        // Every request made by <http> and <import> goes through send. Requests
+        // get the baseUrl and headers options (imports are already resolved
+        // against baseUrl); then the transport option (a function or an object
+        // with send) handles the request, and next(request) passes it on to fetch.
+        async send({ url, method = 'GET', headers = {}, body = null, signal, credentials, type = 'http' }) {
+            const request = { url: this.withBaseUrl(url), method, headers: { ...headers }, body, signal, credentials, type };
+            const defaults = this.options.headers;
+            const extra = typeof defaults === 'function' ? await defaults({ ...request }) : defaults;
+            const names = Object.keys(request.headers).map(name => name.toLowerCase());
+            Object.entries(extra || {}).forEach(([name, value]) => {
+                if (!names.includes(name.toLowerCase())) request.headers[name] = value;
+            });
+            this.checkOrigin(request.url);
+            if (this.tracing) this.record({ type: 'request', method: request.method, url: request.url });
+            const next = ({ url: target, type: kind, credentials: mode, ...init }) => this.fetch(target, mode ? { ...init, credentials: mode } : init);
+            const response = await (!this.transport ? next(request)
+                : typeof this.transport === 'function' ? this.transport(request, next) : this.transport.send(request, next));
+            // A redirect must not lead outside the allowed origins either.
+            if (response && response.url) this.checkOrigin(response.url);
+            return response;
+        }
+
+        // In safe mode, or when the origins option is set, requests may only go to
+        // the listed origins (by default the page's own). A URL without an origin,
+        // such as a file: URL, is only allowed inside a listed directory.
+        checkOrigin(url) {
+            const { safe, origins } = this.options;
+            if (!safe && !origins) return;
+            const base = this.document ? this.document.baseURI : undefined;
+            let target;
+            try {
+                target = new URL(url, base);
+            } catch (e) {
+                throw new HtmlScriptError(`Invalid request URL: ${url}`, { type: 'policy', url });
+            }
+            const allowed = (origins || [base]).map(allowedScope).filter(Boolean);
+            const ok = target.origin !== 'null'
+                ? allowed.includes(target.origin)
+                : allowed.some(scope => scope.endsWith('/') && target.href.startsWith(scope));
+            if (!ok) {
+                const name = target.origin !== 'null' ? target.origin : target.href;
+                throw new HtmlScriptError(`Requests to ${name} are not allowed (allowed origins: ${allowed.join(', ') || 'none'})`, { type: 'policy', url });
+            }
+        }
+
+        // Runs task with the timeLimit option counted from now, for run() and
+        // for each event handler and <interval> tick.
+        async withTimeLimit(task) {
+            if (!(this.options.timeLimit < Infinity)) return task();
+            const prevDeadline = this.deadline;
+            this.deadline = Date.now() + this.options.timeLimit;
+            try {
+                return await task();
+            } finally {
+                this.deadline = prevDeadline;
+            }
+        }
+
+        checkTimeLimit() {
+            if (this.deadline !== null && Date.now() > this.deadline) {
+                throw new HtmlScriptError(`Time limit of ${this.options.timeLimit}ms exceeded (timeLimit)`, { type: 'limit' });
+            }
+        }
+
+        // Prefixes a URL that is not absolute with the baseUrl option.
+        withBaseUrl(url) {
+            const { baseUrl } = this.options;
+            if (!baseUrl || /^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(url)) return url;
+            return `${baseUrl.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+        }
+
+        async processHttp(node) {
+            const varName = node.getAttribute('var');
+            const controller = this.linkedController();
+            this.requests.add(controller);
+            let unbind = null;
+            try {
+                unbind = this.bindAbort(node.getAttribute('abort-on'), controller);
+                const request = await this.httpRequest(node);
+                const response = await this.sendHttp(request, controller.signal);
+                if (varName) {
+                    this.setVariable(varName, response);
+                    node.remove();
+                } else {
+                    node.textContent = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+                }
+            } catch (e) {
+                this.failFormat(node, varName, e, e instanceof HttpError && e.response ? e.response : {});
+            } finally {
+                this.requests.delete(controller);
+                if (unbind) unbind();
+            }
+        }
+
+        async httpRequest(node) {
+            const method = (node.getAttribute('method') || 'GET').toUpperCase();
+            let url = await this.interpolate(node.getAttribute('url') || '');
+            if (!url) throw new Error('Missing url');
+            if (node.hasAttribute('params')) url = appendQuery(url, await this.evaluate(node.getAttribute('params')));
+            const headerValue = node.hasAttribute('headers') ? await this.evaluate(node.getAttribute('headers')) : null;
+            const headers = headerValue instanceof Map ? Object.fromEntries(headerValue) : { ...headerValue };
+            let body = null;
+            if (node.hasAttribute('body') && method !== 'GET' && method !== 'HEAD') {
+                body = encodeBody(await this.evaluate(node.getAttribute('body')), node.getAttribute('body-type') || 'json', headers);
+            }
+            const number = (name, fallback) => {
+                if (!node.hasAttribute(name)) return fallback;
+                const value = Number(node.getAttribute(name));
+                if (!Number.isFinite(value) || value < 0) throw new Error(`Invalid ${name}: ${node.getAttribute(name)}`);
+                return value;
+            };
+            const responseType = node.getAttribute('response-type') || 'auto';
+            if (!['auto', 'json', 'text', 'blob', 'arraybuffer'].includes(responseType)) throw new Error(`Invalid response-type: ${responseType}`);
+            const request = {
+                url,
+                method,
+                headers,
+                body,
+                responseType,
+                timeout: number('timeout', 0),
+                retry: Math.floor(number('retry', 0)),
+                retryDelay: number('retry-delay', 500),
+            };
+            if (node.hasAttribute('credentials')) request.credentials = node.getAttribute('credentials');
+            return request;
+        }
+
+        // Sends request, retrying network errors, timeouts and 408, 429 and 5xx
+        // responses with exponential backoff (or the server's Retry-After).
+        async sendHttp({ retry, retryDelay, ...request }, signal) {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await this.fetchHttp(request, signal);
+                } catch (e) {
+                    const retryable = e.type === 'network' || e.type === 'timeout' || (e.type === 'status' && (e.status === 408 || e.status === 429 || e.status >= 500));
+                    if (!retryable || attempt >= retry) throw e;
+                    const retryAfter = e.response && Number(e.response.headers['retry-after']);
+                    const wait = retryAfter >= 0 ? retryAfter * 1000 : retryDelay * 2 ** attempt;
+                    if (this.tracing) this.record({ type: 'retry', url: request.url, attempt: attempt + 1, wait, error: e.message });
+                    try {
+                        await delay(wait, signal);
+                    } catch (abortError) {
+                        throw new HttpError('Request aborted', { type: 'abort', method: request.method, url: request.url, status: 0, cause: abortError });
+                    }
+                }
+            }
+        }
+
+        async fetchHttp({ url, method, headers, body, responseType, timeout, credentials }, signal) {
+            const controller = new AbortController();
+            const abort = () => controller.abort();
+            let timedOut = false;
+            const timer = timeout > 0 ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout) : null;
+            if (signal.aborted) abort();
+            else signal.addEventListener('abort', abort, { once: true });
+            const fail = (e, type) => {
+                if (timedOut) return new HttpError(`Request timed out after ${timeout}ms`, { type: 'timeout', method, url, status: 0, cause: e });
+                if (signal.aborted) return new HttpError('Request aborted', { type: 'abort', method, url, status: 0, cause: e });
+                return new HttpError(`${type === 'network' ? 'Request failed' : 'Invalid response body'}: ${e.message}`, { type, method, url, status: 0, cause: e });
+            };
+            try {
+                let response;
+                try {
+                    response = await this.send({ url, method, headers, body, credentials, signal: controller.signal });
+                } catch (e) {
+                    throw e instanceof HtmlScriptError && e.type === 'policy' ? e : fail(e, 'network');
+                }
+                const responseHeaders = {};
+                response.headers.forEach((value, name) => {
+                    responseHeaders[name] = value;
+                });
+                let data;
+                try {
+                    data = await readResponse(response, responseType, responseHeaders['content-type'] || '');
+                } catch (e) {
+                    throw fail(e, 'parse');
+                }
+                const result = { status: response.status, ok: response.ok, headers: responseHeaders, data };
+                if (!response.ok) {
+                    throw new HttpError(`HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}: ${method} ${url}`, { type: 'status', method, url, status: response.status, response: result });
+                }
+                return result;
+            } finally {
+                clearTimeout(timer);
+                signal.removeEventListener('abort', abort);
+            }
+        }
+
+        // Aborts controller when the event in spec ("click #cancel", "keydown
+        // window") fires. Returns a function that removes the listeners.
+        bindAbort(spec, controller) {
+            if (!spec || !spec.trim()) return null;
+            const [event, ...rest] = spec.trim().split(/\s+/);
+            const selector = rest.join(' ');
+            const targets = !selector || selector === 'document' ? [this.document] : selector === 'window' ? [this.window] : Array.from(this.document.querySelectorAll(selector));
+            const listener = () => controller.abort();
+            targets.forEach(target => target.addEventListener(event, listener));
+            return () => targets.forEach(target => target.removeEventListener(event, listener));
+        }
+
+        async processJson(node) {
+            const varName = node.getAttribute('var');
+            const action = node.getAttribute('action') || 'parse';
+            const source = node.getAttribute('source') || node.textContent.trim();
+            try {
+                let result;
+                if (action === 'parse') {
+                    result = JSON.parse(source);
+                } else if (action === 'stringify') {
+                    const data = await this.evaluate(source);
+                    result = JSON.stringify(data);
+                } else {
+                    throw new Error('Invalid JSON action');
+                }
+                if (varName) {
+                    this.setVariable(varName, result);
+                    node.remove();
+                } else {
+                    node.textContent = result.toString();
+                }
+            } catch (e) {
+                this.failFormat(node, varName, e);
+            }
+        }
+
+        async processCsv(node) {
+            const varName = node.getAttribute('var');
+            const action = node.getAttribute('action') || 'parse';
+            const source = node.getAttribute('source') || node.textContent.trim();
+            try {
+                const options = this.csvOptions(node);
+                let result;
+                if (action === 'parse') {
+                    result = this.parseCsv(source, options);
+                } else if (action === 'stringify') {
+                    result = this.stringifyCsv(await this.evaluate(source), options);
+                } else {
+                    throw new Error('Invalid CSV action');
+                }
+                if (varName) {
+                    this.setVariable(varName, result);
+                    node.remove();
+                } else {
+                    node.textContent = typeof result === 'string' ? result : JSON.stringify(result);
+                }
+            } catch (e) {
+                this.failFormat(node, varName, e);
+            }
+        }
+
+        csvOptions(node) {
+            const delimiters = { tab: '\t', '\\t': '\t', comma: ',', semicolon: ';', pipe: '|' };
+            const delimiter = node.getAttribute('delimiter') || ',';
+            const quote = node.getAttribute('quote') || '"';
+            const options = {
+                delimiter: delimiters[delimiter] || delimiter,
+                quote,
+                header: node.hasAttribute('header') ? node.getAttribute('header') !== 'false' : undefined,
+                skipEmpty: node.hasAttribute('skip-empty') && node.getAttribute('skip-empty') !== 'false',
+                comment: node.getAttribute('comment') || null,
+                typed: node.hasAttribute('typed') && node.getAttribute('typed') !== 'false',
+                trim: node.getAttribute('trim') !== 'false',
+                columns: node.hasAttribute('columns') ? node.getAttribute('columns').split(',').map(column => column.trim()) : null,
+                newline: node.getAttribute('newline') === 'crlf' ? '\r\n' : '\n',
+            };
+            if (options.delimiter.length !== 1 || /[\r\n]/.test(options.delimiter)) throw new Error(`Invalid CSV delimiter: ${delimiter}`);
+            if (quote.length !== 1 || /[\r\n]/.test(quote) || quote === options.delimiter) throw new Error(`Invalid CSV quote: ${quote}`);
+            return options;
+        }
+
+        // RFC 4180 reader. Quoted fields may contain delimiters, doubled quotes and
+        // line breaks; unquoted fields are trimmed unless trim is false.
+        parseCsv(text, { delimiter = ',', quote = '"', header = false, skipEmpty = false, comment = null, typed = false, trim = true } = {}) {
+            const rows = [];
+            let row = [];
+            let field = '';
+            let quoted = false;
+            let line = 1;
+            let quoteLine = 0;
+            let i = 0;
+            const endField = () => {
+                if (quoted) {
+                    row.push(field);
+                } else {
+                    const value = trim ? field.trim() : field;
+                    row.push(typed && (rows.length || !header) ? typeCsvValue(value) : value);
+                }
+                field = '';
+                quoted = false;
+            };
+            const endRow = () => {
+                endField();
+                if (!skipEmpty || row.some(cell => cell !== '')) rows.push(row);
+                row = [];
+            };
+            while (i < text.length) {
+                const ch = text[i];
+                if (comment && !row.length && !field && !quoted && text.startsWith(comment, i)) {
+                    const end = text.indexOf('\n', i);
+                    i = end === -1 ? text.length : end + 1;
+                    line++;
+                    continue;
+                }
+                if (ch === quote && !quoted && !field.trim()) {
+                    field = '';
+                    quoted = true;
+                    quoteLine = line;
+                    for (i++; ; i++) {
+                        if (i >= text.length) throw new Error(`Unterminated quoted field starting at line ${quoteLine}`);
+                        if (text[i] === quote) {
+                            if (text[i + 1] !== quote) break;
+                            i++;
+                        } else if (text[i] === '\n') {
+                            line++;
+                        }
+                        field += text[i];
+                    }
+                    i++;
+                } else if (ch === delimiter) {
+                    endField();
+                    i++;
+                } else if (ch === '\r' || ch === '\n') {
+                    endRow();
+                    i += ch === '\r' && text[i + 1] === '\n' ? 2 : 1;
+                    line++;
+                } else if (quoted) {
+                    if (!/\s/.test(ch)) throw new Error(`Unexpected character after quoted field at line ${line}`);
+                    i++;
+                } else {
+                    field += ch;
+                    i++;
+                }
+            }
+            if (field || quoted || row.length) endRow();
+            if (!header) return rows;
+            const keys = rows.shift() || [];
+            return rows.map(cells => {
+                const obj = {};
+                keys.forEach((key, index) => {
+                    obj[key] = index < cells.length ? cells[index] : '';
+                });
+                return obj;
+            });
+        }
+
+        stringifyCsv(data, { delimiter = ',', quote = '"', header, columns = null, newline = '\n' } = {}) {
+            if (!Array.isArray(data)) throw new Error('CSV stringify requires an array');
+            const field = (value) => {
+                if (value === null || value === undefined) return '';
+                let text;
+                if (value instanceof Date) text = value.toISOString();
+                else if (typeof value === 'object') text = JSON.stringify(value);
+                else text = String(value);
+                if (text.includes(delimiter) || text.includes(quote) || /[\r\n]/.test(text) || /^\s|\s$/.test(text)) {
+                    return quote + text.split(quote).join(quote + quote) + quote;
+                }
+                return text;
+            };
+            let rows;
+            if (data.length && data.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+                const records = data.map(row => (row instanceof Map ? Object.fromEntries(row) : row));
+                const keys = columns || Array.from(new Set(records.flatMap(record => Object.keys(record))));
+                rows = records.map(record => keys.map(key => record[key]));
+                if (header !== false) rows.unshift(keys);
+            } else {
+                rows = data.map(row => {
+                    if (!Array.isArray(row)) throw new Error('CSV stringify requires an array of arrays or of objects');
+                    return columns ? columns.map(index => row[index]) : row;
+                });
+            }
+            return rows.map(row => row.map(field).join(delimiter)).join(newline);
+        }
+
+        async processIni(node) {
+            const varName = node.getAttribute('var');
+            const action = node.getAttribute('action') || 'parse';
+            const source = node.getAttribute('source') || node.textContent.trim();
+            try {
+                const typed = node.hasAttribute('typed') && node.getAttribute('typed') !== 'false';
+                let result;
+                if (action === 'parse') {
+                    result = this.parseIni(source, { typed });
+                } else if (action === 'stringify') {
+                    result = this.stringifyIni(await this.evaluate(source));
+                } else {
+                    throw new Error('Invalid INI action');
+                }
+                if (varName) {
+                    this.setVariable(varName, result);
+                    node.remove();
+                } else {
+                    node.textContent = typeof result === 'string' ? result : JSON.stringify(result);
+                }
+            } catch (e) {
+                this.failFormat(node, varName, e);
+            }
+        }
+
+        // Reads global keys, [sections] (a dotted name like [a.b] nests), key = value
+        // or key: value pairs, k[] = v arrays, quoted values, ; and # comments and
+        // lines continued with a trailing backslash.
+        parseIni(text, { typed = false } = {}) {
+            const escapes = { n: '\n', t: '\t', r: '\r', 0: '\0' };
+            const root = {};
+            let section = root;
+            const lines = text.replace(/\r\n?/g, '\n').split('\n');
+            const sectionFor = (name, lineNumber) => {
+                let target = root;
+                name.split('.').map(part => part.trim()).forEach(part => {
+                    if (!part) throw new Error(`Invalid section name [${name}] at line ${lineNumber}`);
+                    if (!Object.prototype.hasOwnProperty.call(target, part)) setOwn(target, part, {});
+                    target = target[part];
+                    if (target === null || typeof target !== 'object' || Array.isArray(target)) {
+                        throw new Error(`Section [${name}] conflicts with key ${part} at line ${lineNumber}`);
+                    }
+                });
+                return target;
+            };
+            const parseValue = (raw, lineNumber) => {
+                if (raw[0] !== '"' && raw[0] !== "'") {
+                    const comment = /(?:^|\s)[;#]/.exec(raw);
+                    const value = comment ? raw.slice(0, comment.index).trim() : raw;
+                    return typed ? typeIniValue(value) : value;
+                }
+                const quote = raw[0];
+                let value = '';
+                let i = 1;
+                for (; i < raw.length && raw[i] !== quote; i++) {
+                    if (raw[i] === '\\' && quote === '"' && i + 1 < raw.length) {
+                        const next = raw[++i];
+                        if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(raw.substr(i + 1, 4))) {
+                            value += String.fromCharCode(parseInt(raw.substr(i + 1, 4), 16));
+                            i += 4;
+                        } else {
+                            value += next in escapes ? escapes[next] : next;
+                        }
+                    } else {
+                        value += raw[i];
+                    }
+                }
+                if (i >= raw.length) throw new Error(`Unterminated quoted value at line ${lineNumber}`);
+                const rest = raw.slice(i + 1).trim();
+                if (rest && rest[0] !== ';' && rest[0] !== '#') throw new Error(`Unexpected text after quoted value at line ${lineNumber}`);
+                return value;
+            };
+            for (let index = 0; index < lines.length; index++) {
+                const lineNumber = index + 1;
+                let line = lines[index].trim();
+                while (line.endsWith('\\') && index + 1 < lines.length) {
+                    line = line.slice(0, -1) + lines[++index].trim();
+                }
+                if (!line || line[0] === ';' || line[0] === '#') continue;
+                if (line[0] === '[') {
+                    const match = /^\[([^\]]*)\]\s*(?:[;#].*)?$/.exec(line);
+                    if (!match) throw new Error(`Invalid section header at line ${lineNumber}`);
+                    section = sectionFor(match[1].trim(), lineNumber);
+                    continue;
+                }
+                const match = /^([^=:]*?)\s*[=:]\s*(.*)$/.exec(line);
+                if (!match && /\s/.test(line)) throw new Error(`Invalid line ${lineNumber}: ${line}`);
+                const key = match ? match[1] : line;
+                if (!key) throw new Error(`Missing key at line ${lineNumber}`);
+                const value = match ? parseValue(match[2], lineNumber) : true;
+                if (key.endsWith('[]')) {
+                    const name = key.slice(0, -2).trim();
+                    if (!Object.prototype.hasOwnProperty.call(section, name)) setOwn(section, name, []);
+                    if (!Array.isArray(section[name])) throw new Error(`Key ${name} is not an array at line ${lineNumber}`);
+                    section[name].push(value);
+                } else {
+                    setOwn(section, key, value);
+                }
+            }
+            return root;
+        }
+
+        stringifyIni(data) {
+            if (data === null || typeof data !== 'object' || Array.isArray(data)) throw new Error('INI stringify requires an object');
+            const entries = (obj) => (obj instanceof Map ? Array.from(obj, ([key, value]) => [String(key), value]) : Object.entries(obj));
+            const isSection = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !(value instanceof Set);
+            const format = (value) => {
+                if (value === null || value === undefined) return '';
+                const text = value instanceof Date ? value.toISOString() : String(value);
+                if (/^\s|\s$|^["']|(?:^|\s)[;#]|\\$|[\x00-\x1f\x7f]/.test(text)) {
+                    return `"${text.replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t').replace(/[\x00-\x1f\x7f]/g, ch => `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`)}"`;
+                }
+                return text;
+            };
+            const checkKey = (key) => {
+                if (!key || /[=:\[\]\r\n]/.test(key) || /^[;#\s]|\s$/.test(key)) throw new Error(`Invalid INI key: ${key}`);
+                return key;
+            };
+            // A dot in a section name would read back as a nested section.
+            const checkSection = (key) => {
+                if (key.includes('.')) throw new Error(`Invalid INI section name: ${key} (dots separate nested sections)`);
+                return checkKey(key);
+            };
+            const blocks = [];
+            const write = (obj, name) => {
+                const lines = [];
+                const sections = [];
+                entries(obj).forEach(([key, value]) => {
+                    if (value === undefined || typeof value === 'function') return;
+                    if (isSection(value)) {
+                        checkSection(key);
+                        sections.push([name ? `${name}.${key}` : key, value]);
+                    } else if (Array.isArray(value) || value instanceof Set) {
+                        Array.from(value).forEach(item => {
+                            if (item !== null && typeof item === 'object' && !(item instanceof Date)) throw new Error(`INI cannot store nested values in ${key}[]`);
+                            lines.push(`${checkKey(key)}[]=${format(item)}`);
+                        });
+                    } else {
+                        lines.push(`${checkKey(key)}=${format(value)}`);
+                    }
+                });
+                if (name === null) {
+                    if (lines.length) blocks.push(lines.join('\n'));
+                } else {
+                    if (lines.length || !sections.length) blocks.push([`[${name}]`, ...lines].join('\n'));
+                }
+                sections.forEach(([sectionName, value]) => write(value, sectionName));
+            };
+            write(data, null);
+            return blocks.join('\n\n');
+        }
+
+        async processXml(node) {
+            const varName = node.getAttribute('var');
+            const action = node.getAttribute('action') || 'parse';
+            // Markup written inside the tag has been parsed as HTML, so it is read back as serialized markup.
+            const source = node.getAttribute('source') || (node.children.length ? node.innerHTML : node.textContent).trim();
+            try {
+                const whitespace = node.getAttribute('whitespace') === 'preserve';
+                let result;
+                if (action === 'parse') {
+                    result = this.parseXml(source, { whitespace });
+                } else if (action === 'stringify') {
+                    const indent = node.hasAttribute('indent') ? parseInt(node.getAttribute('indent'), 10) || 0 : node.hasAttribute('pretty') ? 2 : 0;
+                    const declaration = node.hasAttribute('declaration') && node.getAttribute('declaration') !== 'false';
+                    result = this.objectToXml(await this.evaluate(source), { indent, declaration });
+                } else if (action === 'query') {
+                    const xpath = node.getAttribute('xpath');
+                    if (!xpath) throw new Error('XML query requires an xpath attribute');
+                    let xml = node.hasAttribute('source') ? await this.evaluate(source) : source;
+                    if (xml !== null && typeof xml === 'object') xml = this.objectToXml(xml);
+                    const namespaces = node.hasAttribute('namespaces') ? await this.evaluate(node.getAttribute('namespaces')) : null;
+                    result = this.queryXml(String(xml), xpath, { namespaces, whitespace, first: node.hasAttribute('first') });
+                } else {
+                    throw new Error('Invalid XML action');
+                }
+                if (varName) {
+                    this.setVariable(varName, result);
+                    node.remove();
+                } else {
+                    node.textContent = typeof result === 'string' ? result : JSON.stringify(result);
+                }
+            } catch (e) {
+                this.failFormat(node, varName, e);
+            }
+        }
+
+        // Whether an error of node's tag is thrown instead of reported: in strict
+        // mode, with a strict attribute, while a <try> is running (including loop
+        // bodies and functions called from it), or in a cancelled branch of
+        // <race>, <timeout> or <parallel>, which must not store its failure.
+        throwsErrors(node) {
+            if (this.signal && this.signal.aborted) return true;
+            return Boolean(this.options.strict || node.hasAttribute('strict') || this.tryDepth > 0);
+        }
+
+        // Reports e and stores { ...result, error } in varName. In strict mode, or
+        // inside a <try>, the error is thrown instead so <catch> can handle it.
+        failFormat(node, varName, e, result = {}) {
+            const error = this.toHtmlScriptError(e, node);
+            if (this.throwsErrors(node)) throw error;
+            this.reportError(error, { node });
+            if (varName) {
+                this.setVariable(varName, { ...result, error: error.message });
+                node.remove();
+            } else {
+                node.textContent = `Error: ${error.message}`;
+            }
+        }
+
+        parseXmlDocument(source) {
+            const xmlDoc = new this.window.DOMParser().parseFromString(source, 'application/xml');
+            const errorNode = xmlDoc.querySelector('parsererror');
+            if (errorNode) {
+                const detail = errorNode.textContent.trim().split('\n')[0];
+                throw new Error(detail ? `Invalid XML: ${detail}` : 'Invalid XML');
+            }
+            return xmlDoc;
+        }
+
+        parseXml(source, options = {}) {
+            const xmlDoc = this.parseXmlDocument(source);
+            const root = this.xmlToObject(xmlDoc.documentElement, options);
+            // The XML declaration is not part of the DOM, so it is read from the source text.
+            const declaration = /^\uFEFF?\s*<\?xml\s([^?]*)\?>/.exec(source);
+            if (declaration) {
+                root.declaration = {};
+                declaration[1].replace(/([\w-]+)\s*=\s*(["'])(.*?)\2/g, (match, key, quote, value) => {
+                    root.declaration[key] = value;
+                });
+            }
+            const prolog = [];
+            const epilog = [];
+            let target = prolog;
+            for (const child of xmlDoc.childNodes) {
+                if (child === xmlDoc.documentElement) {
+                    target = epilog;
+                } else {
+                    const value = this.xmlToObject(child, options);
+                    if (value) target.push(value);
+                }
+            }
+            if (prolog.length) root.prolog = prolog;
+            if (epilog.length) root.epilog = epilog;
+            return root;
+        }
+
+        xmlToObject(node, { whitespace = false } = {}) {
+            switch (node.nodeType) {
+                case 1: {
+                    const obj = { type: 'element', name: node.tagName, namespace: node.namespaceURI || null, attributes: {}, children: [] };
+                    for (const attr of node.attributes) {
+                        setOwn(obj.attributes, attr.name, attr.value);
+                    }
+                    for (const child of node.childNodes) {
+                        const value = this.xmlToObject(child, { whitespace });
+                        if (value) obj.children.push(value);
+                    }
+                    obj.text = obj.children.map(child => (child.type === 'element' ? child.text : child.type === 'text' || child.type === 'cdata' ? child.value : '')).join('');
+                    return obj;
+                }
+                case 2:
+                    return node.value;
+                case 3:
+                    return whitespace || node.data.trim() ? { type: 'text', value: node.data } : null;
+                case 4:
+                    return { type: 'cdata', value: node.data };
+                case 7:
+                    return { type: 'pi', target: node.target, value: node.data };
+                case 8:
+                    return { type: 'comment', value: node.data };
+                case 9:
+                    return this.xmlToObject(node.documentElement, { whitespace });
+                case 10:
+                    return { type: 'doctype', name: node.name, publicId: node.publicId || null, systemId: node.systemId || null };
+                default:
+                    return null;
+            }
+        }
+
+        objectToXml(obj, { indent = 0, declaration = false } = {}) {
+            if (obj === null || typeof obj !== 'object') throw new Error('XML stringify requires an element object');
+            const unit = ' '.repeat(Math.max(0, indent));
+            const checkName = (name) => {
+                if (!/^[\p{L}_][\p{L}\p{N}_.-]*(?::[\p{L}_][\p{L}\p{N}_.-]*)?$/u.test(name)) throw new Error(`Invalid XML name: ${name}`);
+                return name;
+            };
+            const checkChars = (text) => {
+                if (/[\x00-\x08\x0b\x0c\x0e-\x1f\uFFFE\uFFFF]/.test(text)) throw new Error('Text contains characters that are not allowed in XML');
+                return text;
+            };
+            const escapeText = (value) => checkChars(String(value)).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            const escapeAttribute = (value) => escapeText(value).replace(/"/g, '&quot;').replace(/\t/g, '&#9;').replace(/\n/g, '&#10;').replace(/\r/g, '&#13;');
+            const isInline = (child) => child === null || typeof child !== 'object' || child.type === 'text' || child.type === 'cdata';
+            const write = (node, depth, scope, inline) => {
+                if (node === null || node === undefined) return '';
+                if (typeof node !== 'object') return escapeText(node);
+                const type = node.type || 'element';
+                const value = node.value === null || node.value === undefined ? '' : String(node.value);
+                switch (type) {
+                    case 'text':
+                        return escapeText(value);
+                    case 'cdata':
+                        return `<![CDATA[${checkChars(value).split(']]>').join(']]]]><![CDATA[>')}]]>`;
+                    case 'comment':
+                        if (/--|-$/.test(value)) throw new Error('XML comments cannot contain "--" or end with "-"');
+                        return `<!--${checkChars(value)}-->`;
+                    case 'pi':
+                        if (/^xml$/i.test(checkName(String(node.target)))) throw new Error('Use the declaration option for the XML declaration');
+                        if (value.includes('?>')) throw new Error('XML processing instructions cannot contain "?>"');
+                        return `<?${node.target}${value ? ` ${checkChars(value)}` : ''}?>`;
+                    case 'doctype': {
+                        const external = node.publicId ? ` PUBLIC "${node.publicId}" "${node.systemId || ''}"` : node.systemId ? ` SYSTEM "${node.systemId}"` : '';
+                        return `<!DOCTYPE ${checkName(String(node.name))}${external}>`;
+                    }
+                    case 'element':
+                        break;
+                    default:
+                        throw new Error(`Unknown XML node type: ${type}`);
+                }
+                const name = checkName(String(node.name || 'root'));
+                const declared = new Map(scope);
+                let attributes = '';
+                for (const [key, attrValue] of Object.entries(node.attributes || {})) {
+                    checkName(key);
+                    if (key === 'xmlns') declared.set('', String(attrValue));
+                    else if (key.startsWith('xmlns:')) declared.set(key.slice(6), String(attrValue));
+                    attributes += ` ${key}="${escapeAttribute(attrValue)}"`;
+                }
+                // Declare the element's namespace when no attribute or ancestor already does.
+                if ('namespace' in node) {
+                    const prefix = name.includes(':') ? name.slice(0, name.indexOf(':')) : '';
+                    const namespace = node.namespace || '';
+                    if ((declared.get(prefix) || '') !== namespace) {
+                        if (prefix && !namespace) throw new Error(`Prefix ${prefix} requires a namespace`);
+                        attributes += ` ${prefix ? `xmlns:${prefix}` : 'xmlns'}="${escapeAttribute(namespace)}"`;
+                        declared.set(prefix, namespace);
+                    }
+                }
+                let children = Array.isArray(node.children) ? node.children : [];
+                if (!children.length && node.text !== undefined && node.text !== null && node.text !== '') children = [{ type: 'text', value: node.text }];
+                if (!children.length) return `<${name}${attributes}/>`;
+                // Whitespace inside mixed content is significant, so it is never indented.
+                const compact = inline || !unit || children.some(isInline);
+                const content = children.map(child => {
+                    const xml = write(child, depth + 1, declared, compact);
+                    return compact ? xml : `\n${unit.repeat(depth + 1)}${xml}`;
+                }).join('');
+                return `<${name}${attributes}>${content}${compact ? '' : `\n${unit.repeat(depth)}`}</${name}>`;
+            };
+            const parts = [];
+            // A parsed declaration is written back with only the attributes it had.
+            const info = obj.declaration || (declaration ? { version: '1.0', encoding: 'UTF-8' } : null);
+            if (info) {
+                parts.push(`<?xml version="${escapeAttribute(info.version || '1.0')}"${info.encoding ? ` encoding="${escapeAttribute(info.encoding)}"` : ''}${info.standalone ? ` standalone="${escapeAttribute(info.standalone)}"` : ''}?>`);
+            }
+            const scope = new Map([['xml', 'http://www.w3.org/XML/1998/namespace']]);
+            (obj.prolog || []).forEach(child => parts.push(write(child, 0, scope, false)));
+            parts.push(write(obj, 0, scope, false));
+            (obj.epilog || []).forEach(child => parts.push(write(child, 0, scope, false)));
+            return parts.join('\n');
+        }
+
+        queryXml(source, xpath, { namespaces = null, whitespace = false, first = false } = {}) {
+            const xmlDoc = this.parseXmlDocument(source);
+            const { XPathResult } = this.window;
+            // Prefixes resolve through the namespaces option, falling back to declarations on the root element.
+            const resolver = namespaces
+                ? (prefix) => (Object.prototype.hasOwnProperty.call(namespaces, prefix) ? namespaces[prefix] : xmlDoc.documentElement.lookupNamespaceURI(prefix))
+                : (prefix) => xmlDoc.documentElement.lookupNamespaceURI(prefix);
+            let result;
+            try {
+                result = xmlDoc.evaluate(xpath, xmlDoc, resolver, XPathResult.ANY_TYPE, null);
+            } catch (e) {
+                throw new Error(`Invalid XPath ${xpath}: ${e.message}`);
+            }
+            switch (result.resultType) {
+                case XPathResult.NUMBER_TYPE:
+                    return result.numberValue;
+                case XPathResult.STRING_TYPE:
+                    return result.stringValue;
+                case XPathResult.BOOLEAN_TYPE:
+                    return result.booleanValue;
+                default: {
+                    const values = [];
+                    for (let match = result.iterateNext(); match; match = result.iterateNext()) {
+                        const value = match.nodeType === 3 ? match.data : this.xmlToObject(match, { whitespace: true });
+                        if (value !== null) values.push(value);
+                        if (first) break;
+                    }
+                    return first ? (values.length ? values[0] : null) : values;
+                }
+            }
+        }
+
+        async processYml(node) {
+            const varName = node.getAttribute('var');
+            const action = node.getAttribute('action') || 'parse';
+            const source = node.getAttribute('source') || dedent(node.textContent);
+            try {
+                const options = { multi: node.hasAttribute('multi') && node.getAttribute('multi') !== 'false' };
+                let result;
+                if (action === 'parse') {
+                    result = this.parseYml(source, options);
+                } else if (action === 'stringify') {
+                    const data = await this.evaluate(source);
+                    result = this.stringifyYml(data, options);
+                } else {
+                    throw new Error('Invalid YML action');
+                }
+                if (varName) {
+                    this.setVariable(varName, result);
+                    node.remove();
+                } else {
+                    node.textContent = typeof result === 'string' ? result : JSON.stringify(result);
+                }
+            } catch (e) {
+                this.failFormat(node, varName, e);
+            }
+        }
+
+        // YAML 1.2 reader for the core schema: block and flow collections, plain,
+        // quoted and block scalars, anchors, aliases, merge keys and --- documents.
+        parseYml(source, { multi = false } = {}) {
+            const src = source.replace(/\r\n?/g, '\n');
+            const anchors = new Map();
+            const flowIndicators = ',[]{}';
+            const escapes = { 0: '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029' };
+            const tags = ['str', 'int', 'float', 'bool', 'null', 'seq', 'map'];
+            let pos = 0;
+            const fail = (message, at = pos) => {
+                const before = src.slice(0, at);
+                return new Error(`${message} at line ${before.split('\n').length}, column ${at - before.lastIndexOf('\n')}`);
+            };
+            const lineStart = (at = pos) => src.lastIndexOf('\n', at - 1) + 1;
+            const column = (at = pos) => at - lineStart(at);
+            const isBlank = (at) => at >= src.length || src[at] === ' ' || src[at] === '\t' || src[at] === '\n';
+            const atLineEnd = () => pos >= src.length || src[pos] === '\n';
+            const isMarker = (at = pos) => column(at) === 0 && (src.startsWith('---', at) || src.startsWith('...', at)) && isBlank(at + 3);
+            const isEntry = (at = pos) => src[at] === '-' && isBlank(at + 1);
+            const skipInline = () => {
+                while (src[pos] === ' ' || src[pos] === '\t') pos++;
+                if (src[pos] === '#' && (pos === 0 || isBlank(pos - 1))) {
+                    while (!atLineEnd()) pos++;
+                }
+            };
+            const skipLines = () => {
+                for (;;) {
+                    skipInline();
+                    if (src[pos] !== '\n') break;
+                    pos++;
+                }
+                const indentation = src.slice(lineStart(), pos);
+                if (pos < src.length && !indentation.trim() && indentation.includes('\t')) {
+                    throw fail('Tabs are not allowed in indentation');
+                }
+            };
+            // Checks that nothing but a comment follows a value on its line. Block
+            // collections and block scalars end at the start of the next line instead.
+            const endLine = () => {
+                skipInline();
+                if (!atLineEnd() && src.slice(lineStart(), pos).trim()) {
+                    throw fail(src[pos] === ':' ? 'Unexpected mapping value (check the indentation)' : 'Unexpected content');
+                }
+            };
+            const isKeyAhead = () => {
+                let i = pos;
+                if (src[i] === '"' || src[i] === "'") {
+                    const quote = src[i];
+                    for (i++; i < src.length && src[i] !== '\n'; i++) {
+                        if (src[i] === '\\' && quote === '"') {
+                            i++;
+                        } else if (src[i] === quote) {
+                            if (quote === "'" && src[i + 1] === "'") {
+                                i++;
+                                continue;
+                            }
+                            break;
+                        }
+                    }
+                    if (src[i] !== quote) return false;
+                    for (i++; src[i] === ' ' || src[i] === '\t'; i++);
+                    return src[i] === ':' && isBlank(i + 1);
+                }
+                if (src[i] === '[' || src[i] === '{') return false;
+                for (; i < src.length && src[i] !== '\n'; i++) {
+                    if (src[i] === ':' && isBlank(i + 1)) return true;
+                    if (src[i] === '#' && isBlank(i - 1)) return false;
+                }
+                return false;
+            };
+            const readName = () => {
+                const start = pos;
+                while (!isBlank(pos) && !flowIndicators.includes(src[pos])) pos++;
+                return src.slice(start, pos);
+            };
+            const readProperties = () => {
+                const props = { anchor: null, tag: null };
+                while (src[pos] === '&' || src[pos] === '!') {
+                    const start = pos;
+                    const name = readName();
+                    if (name[0] === '&') {
+                        if (name.length < 2) throw fail('Missing anchor name', start);
+                        props.anchor = name.slice(1);
+                    } else if (name === '!') {
+                        props.tag = 'str';
+                    } else if (name.startsWith('!!') && tags.includes(name.slice(2))) {
+                        props.tag = name.slice(2);
+                    } else {
+                        throw fail(`Unsupported tag: ${name}`, start);
+                    }
+                    skipInline();
+                }
+                return props;
+            };
+            const readAlias = (props) => {
+                const start = pos;
+                if (props.anchor !== null || props.tag !== null) throw fail('An alias cannot have an anchor or a tag');
+                pos++;
+                const name = readName();
+                if (!anchors.has(name)) throw fail(`Unknown alias: ${name}`, start);
+                return anchors.get(name);
+            };
+            const resolveScalar = (text, plain, tag, at) => {
+                if (tag === null) return plain ? this.parseYmlValue(text) : text;
+                if (tag === 'str') return text;
+                const value = this.parseYmlValue(text);
+                const valid = {
+                    int: Number.isInteger(value),
+                    float: typeof value === 'number',
+                    bool: typeof value === 'boolean',
+                    null: value === null,
+                }[tag];
+                if (!valid) throw fail(`Invalid !!${tag} value: ${text}`, at);
+                return value;
+            };
+            const finish = (value, props, at) => {
+                if (props.tag === 'seq' && !Array.isArray(value)) throw fail('Expected a sequence for !!seq', at);
+                if (props.tag === 'map' && (value === null || typeof value !== 'object' || Array.isArray(value))) throw fail('Expected a mapping for !!map', at);
+                if (props.anchor !== null) anchors.set(props.anchor, value);
+                return value;
+            };
+            const parseQuoted = () => {
+                const quote = src[pos];
+                const start = pos;
+                let text = '';
+                pos++;
+                for (;;) {
+                    if (pos >= src.length) throw fail('Unterminated quoted string', start);
+                    const ch = src[pos];
+                    if (ch === quote) {
+                        if (quote === "'" && src[pos + 1] === "'") {
+                            text += "'";
+                            pos += 2;
+                            continue;
+                        }
+                        pos++;
+                        return text;
+                    }
+                    if (ch === '\\' && quote === '"') {
+                        const next = src[pos + 1];
+                        if (next === '\n') {
+                            for (pos += 2; src[pos] === ' ' || src[pos] === '\t'; pos++);
+                            continue;
+                        }
+                        const length = { x: 2, u: 4, U: 8 }[next];
+                        if (length) {
+                            const digits = src.substr(pos + 2, length);
+                            if (digits.length !== length || !/^[0-9a-fA-F]+$/.test(digits)) throw fail('Invalid escape sequence');
+                            text += String.fromCodePoint(parseInt(digits, 16));
+                            pos += 2 + length;
+                            continue;
+                        }
+                        if (!Object.prototype.hasOwnProperty.call(escapes, next)) throw fail('Invalid escape sequence');
+                        text += escapes[next];
+                        pos += 2;
+                        continue;
+                    }
+                    if (ch === '\n') {
+                        text = text.replace(/[ \t]+$/, '');
+                        let breaks = 0;
+                        for (; src[pos] === '\n' || src[pos] === ' ' || src[pos] === '\t'; pos++) {
+                            if (src[pos] === '\n') breaks++;
+                        }
+                        text += breaks > 1 ? '\n'.repeat(breaks - 1) : ' ';
+                        continue;
+                    }
+                    text += ch;
+                    pos++;
+                }
+            };
+            // Plain scalars can continue on following lines indented by at least
+            // minIndent; single line breaks fold into spaces.
+            const parsePlain = (minIndent, inFlow) => {
+                if (src[pos] === '@' || src[pos] === '`') throw fail(`Unexpected character: ${src[pos]}`);
+                let text = '';
+                for (;;) {
+                    const start = pos;
+                    while (pos < src.length && src[pos] !== '\n') {
+                        const ch = src[pos];
+                        if (ch === ':' && (isBlank(pos + 1) || (inFlow && flowIndicators.includes(src[pos + 1])))) break;
+                        if (ch === '#' && isBlank(pos - 1)) break;
+                        if (inFlow && flowIndicators.includes(ch)) break;
+                        pos++;
+                    }
+                    text += src.slice(start, pos).trim();
+                    if (!atLineEnd()) return text;
+                    let next = pos;
+                    let breaks = 0;
+                    for (; src[next] === '\n' || src[next] === ' ' || src[next] === '\t'; next++) {
+                        if (src[next] === '\n') breaks++;
+                    }
+                    if (next >= src.length || column(next) < minIndent || src[next] === '#' || isMarker(next)) return text;
+                    if (inFlow && (flowIndicators.includes(src[next]) || src[next] === ':')) return text;
+                    text += breaks > 1 ? '\n'.repeat(breaks - 1) : ' ';
+                    pos = next;
+                }
+            };
+            const parseBlockScalar = (indent) => {
+                const folded = src[pos] === '>';
+                let chomp = 'clip';
+                let contentIndent = null;
+                pos++;
+                for (let i = 0; i < 2; i++) {
+                    if (src[pos] === '-' || src[pos] === '+') {
+                        chomp = src[pos] === '-' ? 'strip' : 'keep';
+                        pos++;
+                    } else if (/[1-9]/.test(src[pos])) {
+                        contentIndent = Math.max(indent, 0) + Number(src[pos]);
+                        pos++;
+                    }
+                }
+                skipInline();
+                if (!atLineEnd()) throw fail('Unexpected content after block scalar header');
+                pos = Math.min(pos + 1, src.length);
+                const lines = [];
+                while (pos < src.length) {
+                    const newline = src.indexOf('\n', pos);
+                    const end = newline === -1 ? src.length : newline;
+                    const line = src.slice(pos, end);
+                    const spaces = /^ */.exec(line)[0].length;
+                    if (!line.trim()) {
+                        lines.push(contentIndent !== null && spaces > contentIndent ? line.slice(contentIndent) : '');
+                    } else {
+                        if (contentIndent === null) {
+                            if (spaces <= indent) break;
+                            contentIndent = spaces;
+                        }
+                        if (spaces < contentIndent || isMarker(pos)) break;
+                        lines.push(line.slice(contentIndent));
+                    }
+                    pos = Math.min(end + 1, src.length);
+                }
+                let trailing = 0;
+                while (lines.length && lines[lines.length - 1] === '') {
+                    lines.pop();
+                    trailing++;
+                }
+                if (!lines.length) return chomp === 'keep' ? '\n'.repeat(trailing) : '';
+                let text;
+                if (folded) {
+                    text = '';
+                    let empty = 0;
+                    let previousMore = null;
+                    lines.forEach(line => {
+                        if (line === '') {
+                            empty++;
+                            return;
+                        }
+                        const more = line[0] === ' ' || line[0] === '\t';
+                        if (previousMore === null) {
+                            text = '\n'.repeat(empty) + line;
+                        } else if (!more && !previousMore) {
+                            text += (empty ? '\n'.repeat(empty) : ' ') + line;
+                        } else {
+                            text += '\n'.repeat(empty + 1) + line;
+                        }
+                        previousMore = more;
+                        empty = 0;
+                    });
+                } else {
+                    text = lines.join('\n');
+                }
+                if (chomp === 'clip') return `${text}\n`;
+                if (chomp === 'keep') return text + '\n'.repeat(trailing + 1);
+                return text;
+            };
+            const skipFlow = () => {
+                for (;;) {
+                    skipInline();
+                    if (src[pos] !== '\n') return;
+                    pos++;
+                }
+            };
+            const parseFlowNode = (asKey) => {
+                const start = pos;
+                const props = readProperties();
+                if (src[pos] === '*') return readAlias(props);
+                if (src[pos] === '[' || src[pos] === '{') {
+                    if (asKey) throw fail('A collection cannot be used as a key');
+                    return finish(parseFlow(), props, start);
+                }
+                const plain = src[pos] !== '"' && src[pos] !== "'";
+                const text = plain ? parsePlain(0, true) : parseQuoted();
+                return finish(asKey && props.tag === null ? text : resolveScalar(text, plain, props.tag, start), props, start);
+            };
+            const parseFlow = () => {
+                const start = pos;
+                const isList = src[pos] === '[';
+                const close = isList ? ']' : '}';
+                const result = isList ? [] : {};
+                pos++;
+                for (;;) {
+                    skipFlow();
+                    if (pos >= src.length) throw fail(`Unterminated flow collection, expected ${close}`, start);
+                    if (src[pos] === close) {
+                        pos++;
+                        return result;
+                    }
+                    const keyStart = pos;
+                    let key = parseFlowNode(!isList);
+                    let value = null;
+                    skipFlow();
+                    if (src[pos] === ':') {
+                        pos++;
+                        skipFlow();
+                        if (src[pos] !== ',' && src[pos] !== close) value = parseFlowNode(false);
+                        skipFlow();
+                        if (isList) {
+                            const pair = {};
+                            setOwn(pair, String(key), value);
+                            key = pair;
+                        }
+                    }
+                    if (isList) {
+                        result.push(key);
+                    } else {
+                        key = String(key);
+                        if (Object.prototype.hasOwnProperty.call(result, key)) throw fail(`Duplicate key: ${key}`, keyStart);
+                        setOwn(result, key, value);
+                    }
+                    if (src[pos] === ',') {
+                        pos++;
+                    } else if (src[pos] !== close) {
+                        throw fail(`Expected , or ${close}`);
+                    }
+                }
+            };
+            // Parses the node at pos. indent is the indentation of the parent
+            // collection; block is false for values on the same line as a key.
+            const parseNode = (indent, block) => {
+                const start = pos;
+                const props = readProperties();
+                if ((props.anchor !== null || props.tag !== null) && atLineEnd()) {
+                    skipLines();
+                    const nested = pos < src.length && !isMarker() && column() > indent;
+                    return finish(nested ? parseNode(indent, true) : resolveScalar('', true, props.tag, start), props, start);
+                }
+                if (src[pos] === '*') return readAlias(props);
+                let value;
+                if (block && isEntry()) {
+                    value = parseSequence(column());
+                } else if (src[pos] === '[' || src[pos] === '{') {
+                    value = parseFlow();
+                } else if (src[pos] === '|' || src[pos] === '>') {
+                    value = resolveScalar(parseBlockScalar(indent), false, props.tag, start);
+                } else if (src[pos] === '?' && isBlank(pos + 1)) {
+                    throw fail('Complex mapping keys are not supported');
+                } else if (block && isKeyAhead()) {
+                    value = parseMapping(column());
+                } else {
+                    const plain = src[pos] !== '"' && src[pos] !== "'";
+                    const text = plain ? parsePlain(indent + 1, false) : parseQuoted();
+                    value = resolveScalar(text, plain, props.tag, start);
+                }
+                return finish(value, props, start);
+            };
+            const parseSequence = (indent) => {
+                const list = [];
+                for (;;) {
+                    pos++;
+                    skipInline();
+                    if (atLineEnd()) {
+                        skipLines();
+                        list.push(pos < src.length && !isMarker() && column() > indent ? parseNode(indent, true) : null);
+                    } else {
+                        list.push(parseNode(indent, true));
+                        endLine();
+                    }
+                    skipLines();
+                    if (pos >= src.length || isMarker() || column() < indent) return list;
+                    if (column() > indent) throw fail('Bad indentation');
+                    if (!isEntry()) return list;
+                }
+            };
+            const parseMapping = (indent) => {
+                const map = {};
+                const keys = new Set();
+                const merges = [];
+                for (;;) {
+                    const keyStart = pos;
+                    const quoted = src[pos] === '"' || src[pos] === "'";
+                    let key;
+                    if (quoted) {
+                        key = parseQuoted();
+                        skipInline();
+                    } else {
+                        while (!(src[pos] === ':' && isBlank(pos + 1))) pos++;
+                        key = src.slice(keyStart, pos).trim();
+                    }
+                    pos++;
+                    skipInline();
+                    let value;
+                    if (atLineEnd()) {
+                        skipLines();
+                        const nested = pos < src.length && !isMarker() && (column() > indent || (column() === indent && isEntry()));
+                        value = nested ? parseNode(indent, true) : null;
+                    } else {
+                        value = parseNode(indent, false);
+                        endLine();
+                    }
+                    if (key === '<<' && !quoted) {
+                        merges.push([value, keyStart]);
+                    } else {
+                        if (keys.has(key)) throw fail(`Duplicate key: ${key}`, keyStart);
+                        keys.add(key);
+                        setOwn(map, key, value);
+                    }
+                    skipLines();
+                    if (pos >= src.length || isMarker() || column() < indent) break;
+                    if (column() > indent) throw fail('Bad indentation');
+                    if (src[pos] === '?' && isBlank(pos + 1)) throw fail('Complex mapping keys are not supported');
+                    if (!isKeyAhead()) throw fail('Expected a mapping key');
+                }
+                merges.forEach(([value, at]) => {
+                    (Array.isArray(value) ? value : [value]).forEach(source => {
+                        if (source === null || typeof source !== 'object' || Array.isArray(source)) {
+                            throw fail('A merge key needs a mapping or a list of mappings', at);
+                        }
+                        Object.keys(source).forEach(key => {
+                            if (keys.has(key)) return;
+                            keys.add(key);
+                            setOwn(map, key, source[key]);
+                        });
+                    });
+                });
+                return map;
+            };
+            const documents = [];
+            const starts = [];
+            for (;;) {
+                skipLines();
+                while (pos < src.length && column() === 0 && src[pos] === '%') {
+                    while (!atLineEnd()) pos++;
+                    skipLines();
+                }
+                if (pos >= src.length) break;
+                anchors.clear();
+                starts.push(pos);
+                if (isMarker() && src[pos] === '.') {
+                    pos += 3;
+                    endLine();
+                    starts.pop();
+                    continue;
+                }
+                let value;
+                if (isMarker()) {
+                    pos += 3;
+                    skipInline();
+                    if (atLineEnd()) {
+                        skipLines();
+                        value = pos < src.length && !isMarker() ? parseNode(-1, true) : null;
+                    } else {
+                        value = parseNode(-1, false);
+                    }
+                } else {
+                    value = parseNode(-1, true);
+                }
+                endLine();
+                documents.push(value);
+                skipLines();
+                if (pos >= src.length) break;
+                if (!isMarker()) throw fail(column() > 0 ? 'Bad indentation' : 'Unexpected content');
+                if (src[pos] === '.') {
+                    pos += 3;
+                    endLine();
+                }
+            }
+            if (multi) return documents;
+            if (documents.length > 1) throw fail('Expected a single YAML document (add multi to read all of them)', starts[1]);
+            return documents.length ? documents[0] : null;
+        }
+
+        // Resolves a plain scalar with the YAML 1.2 core schema.
+        parseYmlValue(text) {
+            if (/^(?:~|null|Null|NULL|)$/.test(text)) return null;
+            if (/^(?:true|True|TRUE)$/.test(text)) return true;
+            if (/^(?:false|False|FALSE)$/.test(text)) return false;
+            if (/^0o[0-7]+$/.test(text)) return parseInt(text.slice(2), 8);
+            if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text.slice(2), 16);
+            if (/^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/.test(text)) return Number(text);
+            if (/^[-+]?\.(?:inf|Inf|INF)$/.test(text)) return text[0] === '-' ? -Infinity : Infinity;
+            if (/^\.(?:nan|NaN|NAN)$/.test(text)) return NaN;
+            return text;
+        }
+
+        stringifyYml(data, { multi = false } = {}) {
+            if (multi) {
+                if (!Array.isArray(data)) throw new Error('YAML multi stringify requires an array of documents');
+                return data.map(doc => `---\n${this.stringifyYml(doc)}`).join('');
+            }
+            const ancestors = new Set();
+            const isCollection = (value) => value !== null && typeof value === 'object' && !(value instanceof Date);
+            const isPlain = (text) => text !== '' && this.parseYmlValue(text) === text && !text.startsWith('...')
+                && !/^[\s\-?:,[\]{}#&*!|>'"%@`]/.test(text) && !/[\x00-\x1f\x7f]|\s$|: | #|:$/.test(text);
+            const scalar = (value) => {
+                if (value === null || value === undefined || typeof value === 'function') return 'null';
+                if (typeof value === 'number') {
+                    if (Number.isNaN(value)) return '.nan';
+                    if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+                    return String(value);
+                }
+                if (typeof value === 'boolean' || typeof value === 'bigint') return String(value);
+                const text = value instanceof Date ? value.toISOString() : String(value);
+                return isPlain(text) ? text : JSON.stringify(text);
+            };
+            // Multi-line strings become | block scalars when they can be read back unchanged.
+            const isLiteral = (text) => typeof text === 'string' && text.includes('\n') && /[^\n]/.test(text)
+                && !/[\x00-\x08\x0b-\x1f\x7f]/.test(text) && !/^\n*[ \t]/.test(text) && !/(^|\n)[ \t]+(\n|$)/.test(text);
+            const literal = (text, indent) => {
+                const body = text.replace(/\n+$/, '');
+                const trailing = text.length - body.length;
+                const space = ' '.repeat(indent);
+                const lines = body.split('\n').map(line => (line ? space + line : '')).join('\n');
+                return `${trailing === 0 ? '|-' : trailing === 1 ? '|' : '|+'}\n${lines}\n${'\n'.repeat(Math.max(trailing - 1, 0))}`;
+            };
+            const block = (value, indent) => {
+                if (ancestors.has(value)) throw new Error('Cannot stringify a circular structure to YAML');
+                ancestors.add(value);
+                const space = ' '.repeat(indent);
+                let out = '';
+                const list = value instanceof Set ? Array.from(value) : value;
+                if (Array.isArray(list)) {
+                    list.forEach(item => {
+                        out += `${space}-${child(item, indent + 2, true)}`;
+                    });
+                } else {
+                    const entries = value instanceof Map ? Array.from(value, ([key, item]) => [String(key), item]) : Object.entries(value);
+                    entries.forEach(([key, item]) => {
+                        if (item === undefined || typeof item === 'function') return;
+                        out += `${space}${scalar(key)}:${child(item, indent + 2, false)}`;
+                    });
+                }
+                ancestors.delete(value);
+                return out;
+            };
+            // Renders the value that follows "key:" or "-".
+            const child = (value, indent, inList) => {
+                if (isCollection(value)) {
+                    const nested = block(value, indent);
+                    if (!nested) return Array.isArray(value) || value instanceof Set ? ' []\n' : ' {}\n';
+                    return inList ? ` ${nested.slice(indent)}` : `\n${nested}`;
+                }
+                if (isLiteral(value)) return ` ${literal(value, indent)}`;
+                return ` ${scalar(value)}\n`;
+            };
+            if (isCollection(data)) {
+                const out = block(data, 0);
+                if (out) return out;
+                return Array.isArray(data) || data instanceof Set ? '[]\n' : '{}\n';
+            }
+            if (isLiteral(data)) return literal(data, 2);
+            return `${scalar(data)}\n`;
+        }
+
+        init() {
+            const start = () => {
+                this.startListener = null;
+                this.processAll().catch(() => {});
+            };
+            if (this.document.readyState === 'loading') {
+                this.startListener = start;
+                this.document.addEventListener('DOMContentLoaded', start, { once: true });
+            } else {
+                start();
+            }
+        }
+    }
+
+    HtmlScript.tags = new Map();
+
+    Object.entries({
+        store: 'processStore',
+        man: 'processMan',
+        calc: 'processCalc',
+        if: 'processIf',
+        for: 'processFor',
+        while: 'processWhile',
+        each: 'processEach',
+        func: 'processFunc',
+        call: 'processCall',
+        component: 'processComponent',
+        return: 'processReturn',
+        scope: 'processScope',
+        wait: 'processWait',
+        timeout: 'processTimeout',
+        interval: 'processInterval',
+        parallel: 'processParallel',
+        race: 'processRace',
+        output: 'processOutput',
+        try: 'processTry',
+        import: 'processImport',
+        export: 'processExport',
+        on: 'processOn',
+        off: 'processOff',
+        debug: 'processDebug',
+        http: 'processHttp',
+        json: 'processJson',
+        csv: 'processCsv',
+        ini: 'processIni',
+        xml: 'processXml',
+        yml: 'processYml',
+        yaml: 'processYml',
+    }).forEach(([tag, method]) => {
+        HtmlScript.registerTag(tag, { process: (node, ctx) => ctx.htmlScript[method](node) });
+    });
+
+    ['else', 'catch', 'empty'].forEach(tag => HtmlScript.registerTag(tag, { children: 'after' }));
+
+    HtmlScript.registerTag('break', () => {
+        throw new CustomBreakError();
+    });
+
+    HtmlScript.registerTag('continue', () => {
+        throw new CustomContinueError();
+    });
+
+    const unaryOperators = {
+        '!': (a) => !a,
+        '-': (a) => -a,
+        '+': (a) => +a,
+    };
+
+    const binaryOperators = {
+        '+': (a, b) => a + b,
+        '-': (a, b) => a - b,
+        '*': (a, b) => a * b,
+        '/': (a, b) => a / b,
+        '%': (a, b) => a % b,
+        '^': (a, b) => Math.pow(a, b),
+        '==': (a, b) => a == b,
+        '!=': (a, b) => a != b,
+        '===': (a, b) => a === b,
+        '!==': (a, b) => a !== b,
+        '<': (a, b) => a < b,
+        '<=': (a, b) => a <= b,
+        '>': (a, b) => a > b,
+        '>=': (a, b) => a >= b,
+    };
+
+    // Number of compiled expressions and parsed templates kept per instance
+    // before the least recently used one is dropped.
+    const cacheSize = 1000;
+
+    // Returns the entry for key and moves it to the end, the most recently used place.
+    const cacheGet = (cache, key) => {
+        const value = cache.get(key);
+        if (value !== undefined) {
+            cache.delete(key);
+            cache.set(key, value);
+        }
+        return value;
+    };
+
+    const cacheSet = (cache, key, value) => {
+        if (cache.size >= cacheSize) cache.delete(cache.keys().next().value);
+        cache.set(key, value);
+    };
+
+    // Properties that each fork() keeps for itself instead of sharing.
+    const taskState = ['scopes', 'callStack', 'tracking', 'signal', 'deadline', 'tryDepth'];
+
+    const toDate = (value) => {
+        const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+        if (isNaN(date.getTime())) throw new Error(`Invalid date: ${value}`);
+        return date;
+    };
+
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+    const moduleTypes = ['script', 'html', 'module', 'plugin'];
+
+    // userName <-> user-name, for props given as attributes.
+    const kebabCase = (name) => name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    const camelCase = (name) => name.replace(/-([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+
+    // Limits that safe mode turns on unless they are given.
+    const safeLimits = { maxIterations: 10000, timeLimit: 10000 };
+
+    const policyError = (what) => new HtmlScriptError(`${what} is not allowed in safe mode`, { type: 'policy' });
+
+    // What an allowlist entry permits: its origin, or for a URL without one,
+    // such as a file: URL, the directory it is in. Other entries permit nothing.
+    const allowedScope = (value) => {
+        try {
+            const url = new URL(value);
+            if (url.origin !== 'null') return url.origin;
+            return url.pathname.startsWith('/') ? new URL('.', url).href : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    // The name of a called function: fn, or ns.fn for a function imported into a namespace.
+    const calleeName = (expr) => {
+        if (expr.type === 'identifier') return expr.name;
+        if (expr.type !== 'member' || expr.property.type !== 'literal') return null;
+        const object = calleeName(expr.object);
+        return object === null ? null : `${object}.${expr.property.value}`;
+    };
+
+    // Modifiers of <on event="name.modifier">. Any other modifier is a key filter.
+    const eventModifiers = ['once', 'prevent', 'stop', 'passive', 'capture', 'self'];
+
+    const nonBubblingEvents = ['focus', 'blur', 'mouseenter', 'mouseleave', 'pointerenter', 'pointerleave', 'load', 'unload', 'error', 'scroll', 'invalid', 'toggle', 'play', 'pause', 'ended'];
+
+    const keyAliases = {
+        enter: 'enter',
+        esc: 'escape',
+        space: ' ',
+        up: 'arrowup',
+        down: 'arrowdown',
+        left: 'arrowleft',
+        right: 'arrowright',
+        del: 'delete',
+    };
+
+    // ctrl, alt, shift and meta require the modifier key; other names are
+    // compared with event.key, ignoring case (enter, escape, a, f1, ...).
+    const matchesKeys = (event, keys) => keys.every(key => {
+        const name = key.toLowerCase();
+        if (['ctrl', 'alt', 'shift', 'meta'].includes(name)) return Boolean(event[`${name}Key`]);
+        return typeof event.key === 'string' && event.key.toLowerCase() === (keyAliases[name] || name);
+    });
+
+    // Validity flags and the attribute named in their <rule>-message attribute.
+    const validityRules = {
+        valueMissing: 'required',
+        typeMismatch: 'type',
+        badInput: 'type',
+        patternMismatch: 'pattern',
+        tooShort: 'minlength',
+        tooLong: 'maxlength',
+        rangeUnderflow: 'min',
+        rangeOverflow: 'max',
+        stepMismatch: 'step',
+        customError: 'validate',
+    };
+
+    // Reads a form control as a typed value. current is the bound value, used
+    // by checkbox groups (arrays) and unchecked radio buttons.
+    const readControl = (control, current) => {
+        if (control.tagName === 'SELECT' && control.multiple) return Array.from(control.options).filter(option => option.selected).map(option => option.value);
+        switch ((control.type || '').toLowerCase()) {
+            case 'checkbox': {
+                if (!Array.isArray(current)) return control.checked;
+                const rest = current.filter(item => String(item) !== control.value);
+                return control.checked ? [...rest, control.value] : rest;
+            }
+            case 'radio':
+                return control.checked ? control.value : current;
+            case 'number':
+            case 'range':
+                return control.value === '' || isNaN(control.value) ? null : Number(control.value);
+            case 'date': {
+                const match = /^(\d{4,})-(\d{2})-(\d{2})$/.exec(control.value);
+                return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+            }
+            case 'datetime-local':
+                return control.value ? new Date(control.value) : null;
+            case 'file':
+                return Array.from(control.files || []);
+            default:
+                return control.value;
+        }
+    };
+
+    const writeControl = (control, value) => {
+        if (control.tagName === 'SELECT' && control.multiple) {
+            const selected = Array.isArray(value) ? value.map(String) : [];
+            Array.from(control.options).forEach(option => {
+                option.selected = selected.includes(option.value);
+            });
+            return;
+        }
+        const empty = value === null || value === undefined;
+        let text;
+        switch ((control.type || '').toLowerCase()) {
+            case 'checkbox':
+                control.checked = Array.isArray(value) ? value.map(String).includes(control.value) : Boolean(value);
+                return;
+            case 'radio':
+                control.checked = !empty && String(value) === control.value;
+                return;
+            case 'file':
+                return;
+            case 'number':
+            case 'range':
+                text = empty || Number.isNaN(value) ? '' : String(value);
+                break;
+            case 'date':
+                text = value instanceof Date ? `${pad(value.getFullYear(), 4)}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}` : empty ? '' : String(value);
+                break;
+            case 'datetime-local':
+                text = value instanceof Date
+                    ? `${pad(value.getFullYear(), 4)}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}T${pad(value.getHours())}:${pad(value.getMinutes())}`
+                    : empty ? '' : String(value);
+                break;
+            default:
+                text = empty ? '' : String(value);
+        }
+        if (control.value !== text) control.value = text;
+    };
+
+    const isBindable = (node) => {
+        const tagName = node.tagName.toLowerCase();
+        return (node.hasAttribute('bind') && /^(?:input|select|textarea)$/.test(tagName)) || (tagName === 'form' && node.hasAttribute('submit'));
+    };
+
+    const sameValue = (a, b) => {
+        if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((item, i) => item === b[i]);
+        if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+        return Object.is(a, b);
+    };
+
+    // Sets obj[key] as an own property, so a __proto__ key from parsed data cannot change the prototype.
+    const setOwn = (obj, key, value) => {
+        if (key === '__proto__') {
+            Object.defineProperty(obj, key, { value, enumerable: true, writable: true, configurable: true });
+        } else {
+            obj[key] = value;
+        }
+    };
+
+    // Removes blank leading and trailing lines and the indentation shared by all lines.
+    const dedent = (text) => {
+        const lines = text.replace(/\r\n?/g, '\n').replace(/^(?:[ \t]*\n)+/, '').replace(/\s+$/, '').split('\n');
+        const indent = Math.min(...lines.filter(line => line.trim()).map(line => /^ */.exec(line)[0].length));
+        return Number.isFinite(indent) ? lines.map(line => line.slice(indent)).join('\n') : '';
+    };
+
+    const typeIniValue = (text) => {
+        if (/^(?:true|yes|on)$/i.test(text)) return true;
+        if (/^(?:false|no|off)$/i.test(text)) return false;
+        if (/^-?(?:0|[1-9][0-9]*)(?:\.[0-9]+)?(?:[eE][+-]?[0-9]+)?$/.test(text)) return Number(text);
+        return text;
+    };
+
+    const typeCsvValue = (text) => {
+        if (/^(?:true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+        if (/^-?(?:0|[1-9][0-9]*)(?:\.[0-9]+)?(?:[eE][+-]?[0-9]+)?$/.test(text)) return Number(text);
+        if (/^[0-9]{4}-[0-9]{2}-[0-9]{2}(?:[T ][0-9]{2}:[0-9]{2}(?::[0-9]{2}(?:\.[0-9]+)?)?(?:Z|[+-][0-9]{2}:?[0-9]{2})?)?$/.test(text)) {
+            const date = new Date(text);
+            if (!isNaN(date.getTime())) return date;
+        }
+        return text;
+    };
+
+    // Flattens an object, Map or URLSearchParams into [key, value] pairs. Array
+    // values repeat the key and null or undefined values are left out.
+    const toEntries = (value) => {
+        if (value === null || value === undefined) return [];
+        if (typeof value !== 'object') throw new Error('Expected an object of names and values');
+        const entries = value instanceof Map || value instanceof URLSearchParams ? Array.from(value) : Object.entries(value);
+        return entries.flatMap(([key, item]) => (Array.isArray(item) ? item : [item])
+            .filter(part => part !== null && part !== undefined)
+            .map(part => [key, part instanceof Date ? part.toISOString() : part]));
+    };
+
+    const appendQuery = (url, params) => {
+        const query = typeof params === 'string' ? params.replace(/^\?/, '') : new URLSearchParams(toEntries(params).map(([key, value]) => [key, String(value)])).toString();
+        if (!query) return url;
+        const hash = url.indexOf('#');
+        const base = hash === -1 ? url : url.slice(0, hash);
+        const separator = !base.includes('?') ? '?' : /[?&]$/.test(base) ? '' : '&';
+        return `${base}${separator}${query}${hash === -1 ? '' : url.slice(hash)}`;
+    };
+
+    const encodeBody = (value, type, headers) => {
+        const hasContentType = Object.keys(headers).some(name => name.toLowerCase() === 'content-type');
+        if (value instanceof FormData || value instanceof URLSearchParams || value instanceof Blob || value instanceof ArrayBuffer) return value;
+        switch (type) {
+            case 'json':
+                if (!hasContentType) headers['Content-Type'] = 'application/json';
+                return JSON.stringify(value);
+            case 'form': {
+                const form = new FormData();
+                toEntries(value).forEach(([key, item]) => form.append(key, item instanceof Blob ? item : String(item)));
+                return form;
+            }
+            case 'urlencoded':
+                return new URLSearchParams(toEntries(value).map(([key, item]) => [key, String(item)]));
+            case 'text':
+                if (!hasContentType) headers['Content-Type'] = 'text/plain;charset=UTF-8';
+                return value === null || value === undefined ? '' : String(value);
+            default:
+                throw new Error(`Invalid body-type: ${type}`);
+        }
+    };
+
+    const readResponse = async (response, type, contentType) => {
+        if (type === 'blob') return response.blob();
+        if (type === 'arraybuffer') return response.arrayBuffer();
+        const text = await response.text();
+        if (type === 'json' || (type === 'auto' && /[/+]json\b/i.test(contentType))) return text.trim() ? JSON.parse(text) : null;
+        return text;
+    };
+
+    // Resolves after ms milliseconds, or rejects with an AbortError when signal aborts first.
+    const delay = (ms, signal) => new Promise((resolve, reject) => {
+        const abort = () => {
+            clearTimeout(timer);
+            const error = new Error('The operation was aborted');
+            error.name = 'AbortError';
+            reject(error);
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', abort);
+            resolve();
+        }, ms);
+        if (signal && signal.aborted) abort();
+        else if (signal) signal.addEventListener('abort', abort, { once: true });
+    });
+
+    // Compiles a mock route pattern into a function that returns the route
+    // parameters for a matching URL, or null. Patterns are paths (/users/:id,
+    // /files/*) or absolute URLs; the query string only counts when the
+    // pattern has one. RegExp patterns are tested against the whole URL.
+    const compileRoute = (pattern) => {
+        if (pattern instanceof RegExp) {
+            return (url) => {
+                const match = pattern.exec(url.href);
+                return match && { ...match.groups };
+            };
+        }
+        const absolute = /^[a-z][a-z\d+.-]*:\/\//i.test(pattern);
+        // Relative URLs are matched as paths from the root, like the request URLs.
+        const path = absolute || /^[/*]/.test(pattern) ? String(pattern) : `/${pattern}`;
+        const names = [];
+        const source = path.replace(/:([A-Za-z_]\w*)|\*|[.+?^${}()|[\]\\]/g, (token, name) => {
+            if (name) {
+                names.push(name);
+                return '([^/?#]+)';
+            }
+            return token === '*' ? '.*' : `\\${token}`;
+        });
+        const regex = new RegExp(`^${source}$`);
+        const query = path.includes('?');
+        return (url) => {
+            const match = regex.exec(`${absolute ? url.origin : ''}${url.pathname}${query ? url.search : ''}`);
+            return match && Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+        };
+    };
+
+    // Splits a route key such as "GET /users/:id" into its method and pattern.
+    const parseRouteKey = (key) => {
+        const match = /^([A-Za-z]+)\s+(\S.*)$/.exec(key.trim());
+        return match ? [match[1].toUpperCase(), match[2]] : ['*', key.trim()];
+    };
+
+    // Builds an object with the parts of the fetch Response interface that HtmlScript uses.
+    const mockResponse = ({ status = 200, statusText = '', headers = {}, body = '', url = '' }) => {
+        const names = new Map(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)]));
+        const text = async () => (typeof body === 'string' ? body : body instanceof Blob ? body.text() : new TextDecoder().decode(body));
+        return {
+            status,
+            statusText,
+            ok: status >= 200 && status < 300,
+            url,
+            headers: {
+                get: (name) => (names.has(name.toLowerCase()) ? names.get(name.toLowerCase()) : null),
+                has: (name) => names.has(name.toLowerCase()),
+                forEach: (callback) => names.forEach((value, name) => callback(value, name)),
+            },
+            text,
+            json: async () => JSON.parse(await text()),
+            blob: async () => (body instanceof Blob ? body : new Blob([body])),
+            arrayBuffer: async () => (body instanceof Blob ? body.arrayBuffer() : new TextEncoder().encode(body).buffer),
+            clone: () => mockResponse({ status, statusText, headers, body, url }),
+        };
+    };
+
+    const describeValue = (value, max = 80) => {
+        let text;
+        if (typeof value === 'function') {
+            text = `function ${value.name}`.trim();
+        } else {
+            try {
+                text = JSON.stringify(value, (key, val) => {
+                    if (val instanceof Map) return Object.fromEntries(val);
+                    if (val instanceof Set) return Array.from(val);
+                    return val;
+                });
+            } catch (e) {
+                text = undefined;
+            }
+        }
+        if (text === undefined) text = String(value);
+        return text.length > max ? `${text.slice(0, max - 1)}\u2026` : text;
+    };
+
+    const describeTraceEntry = (entry) => {
+        switch (entry.type) {
+            case 'tag': return `<${entry.tag}> ${entry.path}`;
+            case 'expression': return `${entry.expression} => ${describeValue(entry.value)}`;
+            case 'write': return `${entry.name} = ${describeValue(entry.value)} (was ${describeValue(entry.oldValue)}, scope ${entry.depth})`;
+            case 'call': return `${entry.name}(${entry.args.map(arg => describeValue(arg, 20)).join(', ')})`;
+            case 'request': return `${entry.method} ${entry.url}`;
+            case 'retry': return `retry ${entry.attempt} ${entry.url} in ${entry.wait}ms (${entry.error})`;
+            default: return entry.type;
+        }
+    };
+
+    // range(), repeat() and the pad functions build their result in one go, so
+    // they check its size against maxIterations first. join(), concat(),
+    // replace() and <man> check theirs after, since doubling a string or an
+    // array each time would otherwise outgrow memory in a few dozen steps.
+    const checkSize = (htmlScript, what, size) => {
+        const limit = htmlScript instanceof HtmlScript ? htmlScript.options.maxIterations : Infinity;
+        if (size > limit) throw new HtmlScriptError(`${what} result of length ${size} exceeds maxIterations (${limit})`, { type: 'limit' });
+    };
+
+    const builtinFunctions = {
+        abs: Math.abs,
+        ceil: Math.ceil,
+        floor: Math.floor,
+        trunc: Math.trunc,
+        sign: Math.sign,
+        sqrt: Math.sqrt,
+        cbrt: Math.cbrt,
+        exp: Math.exp,
+        pow: Math.pow,
+        sin: Math.sin,
+        cos: Math.cos,
+        tan: Math.tan,
+        asin: Math.asin,
+        acos: Math.acos,
+        atan: Math.atan,
+        atan2: Math.atan2,
+        hypot: Math.hypot,
+        log: (x, base) => (base === undefined ? Math.log(x) : Math.log(x) / Math.log(base)),
+        log10: Math.log10,
+        log2: Math.log2,
+        round: (x, digits = 0) => {
+            const factor = Math.pow(10, digits);
+            return Math.round(x * factor) / factor;
+        },
+        min: (...values) => Math.min(...(values.length === 1 && Array.isArray(values[0]) ? values[0] : values)),
+        max: (...values) => Math.max(...(values.length === 1 && Array.isArray(values[0]) ? values[0] : values)),
+        clamp: (x, min, max) => Math.min(Math.max(x, min), max),
+        random: (min, max) => {
+            if (min === undefined) return Math.random();
+            if (max === undefined) [min, max] = [0, min];
+            return Math.floor(Math.random() * (max - min)) + min;
+        },
+        sum: (arr) => arr.reduce((total, x) => total + x, 0),
+        avg: (arr) => (arr.length ? arr.reduce((total, x) => total + x, 0) / arr.length : NaN),
+        num: (x) => Number(x),
+        int: (x) => parseInt(x, 10),
+        str: (x) => (x === null || x === undefined ? '' : typeof x === 'object' ? JSON.stringify(x) : String(x)),
+        bool: (x) => Boolean(x),
+
+        len: (x) => {
+            if (x === null || x === undefined) return 0;
+            if (typeof x === 'string' || Array.isArray(x)) return x.length;
+            if (x instanceof Map || x instanceof Set) return x.size;
+            if (typeof x === 'object') return Object.keys(x).length;
+            throw new Error(`len() not supported for ${typeof x}`);
+        },
+        upper: (s) => String(s).toUpperCase(),
+        lower: (s) => String(s).toLowerCase(),
+        capitalize: (s) => String(s).charAt(0).toUpperCase() + String(s).slice(1),
+        trim: (s) => String(s).trim(),
+        trimStart: (s) => String(s).trimStart(),
+        trimEnd: (s) => String(s).trimEnd(),
+        padStart(s, length, fill = ' ') {
+            checkSize(this, 'padStart()', length);
+            return String(s).padStart(length, fill);
+        },
+        padEnd(s, length, fill = ' ') {
+            checkSize(this, 'padEnd()', length);
+            return String(s).padEnd(length, fill);
+        },
+        repeat(s, count) {
+            checkSize(this, 'repeat()', String(s).length * count);
+            return String(s).repeat(count);
+        },
+        replace(s, search, replacement) {
+            const result = String(s).split(search).join(replacement);
+            checkSize(this, 'replace()', result.length);
+            return result;
+        },
+        split: (s, separator = ',') => String(s).split(separator),
+        startsWith: (s, prefix) => String(s).startsWith(prefix),
+        endsWith: (s, suffix) => String(s).endsWith(suffix),
+        substring: (s, start, end) => String(s).substring(start, end),
+
+        contains: (x, item) => (typeof x === 'string' ? x.includes(item) : Array.isArray(x) ? x.includes(item) : item in Object(x)),
+        indexOf: (x, item) => x.indexOf(item),
+        slice: (x, start, end) => x.slice(start, end),
+        concat(x, ...rest) {
+            const result = x.concat(...rest);
+            checkSize(this, 'concat()', result.length);
+            return result;
+        },
+        join(arr, separator = ',') {
+            const result = arr.join(separator);
+            checkSize(this, 'join()', result.length);
+            return result;
+        },
+        reverse: (x) => (typeof x === 'string' ? [...x].reverse().join('') : [...x].reverse()),
+        sort: (arr, key) => [...arr].sort((a, b) => {
+            const x = key === undefined ? a : a[key];
+            const y = key === undefined ? b : b[key];
+            return x < y ? -1 : x > y ? 1 : 0;
+        }),
+        unique: (arr) => [...new Set(arr)],
+        first: (arr) => arr[0],
+        last: (arr) => arr[arr.length - 1],
+        pluck: (arr, key) => arr.map(item => item[key]),
+        range(start, end, step = 1) {
+            if (end === undefined) [start, end] = [0, start];
+            if (step === 0) throw new Error('range() step cannot be 0');
+            checkSize(this, 'range()', Math.ceil((end - start) / step));
+            const result = [];
+            for (let i = start; step > 0 ? i < end : i > end; i += step) result.push(i);
+            return result;
+        },
+        keys: (obj) => (obj instanceof Map ? [...obj.keys()] : Object.keys(obj)),
+        values: (obj) => (obj instanceof Map || obj instanceof Set ? [...obj.values()] : Object.values(obj)),
+        entries: (obj) => (obj instanceof Map ? [...obj.entries()] : Object.entries(obj)),
+
+        type: (x) => (x === null ? 'null' : Array.isArray(x) ? 'array' : x instanceof Date ? 'date' : typeof x),
+        isNumber: (x) => typeof x === 'number' && !isNaN(x),
+        isString: (x) => typeof x === 'string',
+        isBoolean: (x) => typeof x === 'boolean',
+        isArray: (x) => Array.isArray(x),
+        isObject: (x) => x !== null && typeof x === 'object' && !Array.isArray(x),
+        isNull: (x) => x === null || x === undefined,
+        isEmpty: (x) => x === null || x === undefined || x === '' || (typeof x === 'object' && builtinFunctions.len(x) === 0),
+
+        now: () => Date.now(),
+        today: () => {
+            const date = new Date();
+            date.setHours(0, 0, 0, 0);
+            return date;
+        },
+        date: (...args) => (args.length > 1 ? new Date(args[0], args[1] - 1, args[2] ?? 1, args[3] ?? 0, args[4] ?? 0, args[5] ?? 0) : toDate(args.length ? args[0] : Date.now())),
+        year: (d) => toDate(d).getFullYear(),
+        month: (d) => toDate(d).getMonth() + 1,
+        day: (d) => toDate(d).getDate(),
+        weekday: (d) => toDate(d).getDay(),
+        hour: (d) => toDate(d).getHours(),
+        minute: (d) => toDate(d).getMinutes(),
+        second: (d) => toDate(d).getSeconds(),
+        timestamp: (d) => toDate(d).getTime(),
+        addDays: (d, days) => {
+            const date = toDate(d);
+            date.setDate(date.getDate() + days);
+            return date;
+        },
+        diffDays: (a, b) => Math.round((toDate(a).getTime() - toDate(b).getTime()) / 86400000),
+        formatDate: (d, format = 'YYYY-MM-DD') => {
+            const date = toDate(d);
+            const parts = {
+                YYYY: date.getFullYear(),
+                MM: pad(date.getMonth() + 1),
+                DD: pad(date.getDate()),
+                HH: pad(date.getHours()),
+                mm: pad(date.getMinutes()),
+                ss: pad(date.getSeconds()),
+                SSS: pad(date.getMilliseconds(), 3),
+            };
+            return String(format).replace(/YYYY|MM|DD|HH|mm|ss|SSS/g, token => parts[token]);
+        },
+        isoDate: (d) => toDate(d).toISOString(),
+
+        toJson: (x, indent) => JSON.stringify(x, null, indent),
+        fromJson: (s) => JSON.parse(s),
+    };
+
+    class CustomBreakError extends Error {
+        constructor() {
+            super('break');
+        }
+    }
+
+    class CustomContinueError extends Error {
+        constructor() {
+            super('continue');
+        }
+    }
+
+    class CustomReturnError extends Error {
+        constructor(value, node) {
+            super('return');
+            this.value = value;
+            this.node = node;
+        }
+    }
+
+    class HtmlScriptError extends Error {
+        constructor(message, details = {}) {
+            super(message);
+            this.name = 'HtmlScriptError';
+            Object.assign(this, details);
+        }
+
+        format() {
+            const lines = [`${this.name}: ${this.message}`];
+            if (this.tag) {
+                const attribute = this.attribute ? ` ${this.attribute}` : '';
+                const location = [this.path, this.line !== undefined && `line ${this.line}`].filter(Boolean).join(', ');
+                lines.push(`    at <${this.tag}${attribute}>${location ? ` (${location})` : ''}`);
+            }
+            if (this.expression !== undefined) {
+                lines.push(`    ${this.expression}`);
+                if (this.column) lines.push(`    ${' '.repeat(this.column - 1)}^`);
+            }
+            if (this.tagStack) lines.push(`    stack: ${this.tagStack}`);
+            return lines.join('\n');
+        }
+    }
+
+    // Thrown by <http>. type is status (non-2xx response, see status and
+    // response), timeout, abort, network or parse (body did not match response-type).
+    class HttpError extends HtmlScriptError {
+        constructor(message, details) {
+            super(message, details);
+            this.name = 'HttpError';
+        }
+    }
+
+    // Transport that answers requests from a route table instead of the network.
+    // See "Requests and testing without a backend" in the README for the route format.
+    class MockTransport {
+        constructor(routes = {}, { latency = 0, passthrough = false, record = false } = {}) {
+            this.routes = [];
+            this.requests = [];
+            this.recorded = [];
+            this.latency = latency;
+            this.passthrough = passthrough || record;
+            this.record = record;
+            Object.entries(routes).forEach(([key, response]) => this.route(...parseRouteKey(key), response));
+        }
+
+        route(method, pattern, response) {
+            this.routes.push({ method: method.toUpperCase(), pattern, match: compileRoute(pattern), response, uses: 0 });
+            return this;
+        }
+
+        // Returns the requests made so far, optionally only those matching a
+        // route key such as "POST /api/users" or a pattern.
+        calls(filter) {
+            if (filter === undefined) return this.requests.slice();
+            const [method, pattern] = filter instanceof RegExp ? ['*', filter] : parseRouteKey(filter);
+            const match = compileRoute(pattern);
+            return this.requests.filter(request => (method === '*' || request.method === method) && match(new URL(request.url, 'http://localhost/')));
+        }
+
+        reset() {
+            this.requests = [];
+            this.recorded = [];
+            this.routes.forEach(route => {
+                route.uses = 0;
+            });
+            return this;
+        }
+
+        async send(request, next) {
+            const method = (request.method || 'GET').toUpperCase();
+            this.requests.push({ method, url: request.url, headers: { ...request.headers }, body: request.body, type: request.type, time: Date.now() });
+            const url = new URL(request.url, 'http://localhost/');
+            let params = null;
+            const route = this.routes.find(candidate => {
+                if (candidate.method !== '*' && candidate.method !== method) return false;
+                if (candidate.response && candidate.response.times !== undefined && candidate.uses >= candidate.response.times) return false;
+                params = candidate.match(url);
+                return params !== null;
+            });
+            if (!route) {
+                if (!this.passthrough) throw new TypeError(`No mock route for ${method} ${request.url}`);
+                const response = await next(request);
+                if (this.record) {
+                    const copy = response.clone();
+                    const headers = {};
+                    copy.headers.forEach((value, name) => {
+                        headers[name] = value;
+                    });
+                    const entry = { method, url: request.url, status: copy.status, headers, body: await copy.text() };
+                    if (/[/+]json\b/i.test(headers['content-type'] || '')) {
+                        try {
+                            entry.json = JSON.parse(entry.body);
+                            delete entry.body;
+                        } catch (e) {
+                            // Keep the body text when it is not valid JSON.
+                        }
+                    }
+                    this.recorded.push(entry);
+                }
+                return response;
+            }
+            route.uses++;
+            const spec = typeof route.response === 'function' ? await route.response({ ...request, method, params }) : route.response;
+            if (spec && typeof spec.text === 'function' && spec.headers) return spec;
+            const { status = 200, statusText = '', headers = {}, json, body, file, error } = spec || {};
+            const wait = spec && spec.delay !== undefined ? spec.delay : this.latency;
+            const ms = Array.isArray(wait) ? wait[0] + Math.random() * (wait[1] - wait[0]) : wait;
+            if (ms > 0) await delay(ms, request.signal);
+            if (request.signal && request.signal.aborted) throw new Error('The operation was aborted');
+            if (error) throw new TypeError(error === true ? 'Network error' : String(error));
+            const responseHeaders = { ...headers };
+            const hasType = Object.keys(headers).some(name => name.toLowerCase() === 'content-type');
+            let content = body === undefined || body === null ? '' : body;
+            if (file) {
+                const response = await next({ url: file, method: 'GET', headers: {}, body: null, signal: request.signal, type: 'fixture' });
+                if (!response.ok) throw new TypeError(`Cannot load fixture ${file}: ${response.status}`);
+                content = await response.text();
+                if (!hasType && response.headers.get('content-type')) responseHeaders['content-type'] = response.headers.get('content-type');
+            } else if (json !== undefined) {
+                content = JSON.stringify(json);
+                if (!hasType) responseHeaders['content-type'] = 'application/json';
+            } else if (!hasType && typeof content === 'string') {
+                responseHeaders['content-type'] = 'text/plain;charset=UTF-8';
+            }
+            return mockResponse({ status, statusText, headers: responseHeaders, body: content, url: request.url });
+        }
+
+        // Returns the recorded responses as a route table, so a recording can be
+        // saved as JSON and replayed with new MockTransport(routes).
+        toJSON() {
+            return Object.fromEntries(this.recorded.map(({ method, url, ...response }) => [`${method} ${url}`, response]));
+        }
+    }
 
+    HtmlScript.HtmlScriptError = HtmlScriptError;
+    HtmlScript.HttpError = HttpError;
+    HtmlScript.MockTransport = MockTransport;
 
+    return HtmlScript;
+});
@@ -7,4 +7,4 @@
  * @license MIT
  */
 
-class HtmlScript{constructor(){this.scopes=[new Map],this.functions=new Map,this.callStack=[],this.init()}getVariable(e){for(let t=this.scopes.length-1;t>=0;t--)if(this.scopes[t].has(e))return this.scopes[t].get(e)}setVariable(e,t,r=!0){r?this.scopes[this.scopes.length-1].set(e,t):this.scopes[0].set(e,t)}evaluate(e){try{return this.safeEvaluate(e)}catch(t){throw console.error("Evaluation error:",e,t),t}}safeEvaluate(e){const t=this.tokenize(e),r=this.toPostfix(t);return this.evaluatePostfix(r)}tokenize(e){const t=[];let r=0;for(;r<e.length;){const s=e[r];if(/\s/.test(s))r++;else if(/[0-9]/.test(s)){let s="";for(;r<e.length&&/[0-9.]/.test(e[r]);)s+=e[r++];t.push({type:"number",value:parseFloat(s)})}else if(/[a-zA-Z_]/.test(s)){let s="";for(;r<e.length&&/[a-zA-Z0-9_]/.test(e[r]);)s+=e[r++];t.push({type:"identifier",value:s})}else{if(!"+-*/()^".includes(s))throw new Error(`Invalid token: ${s}`);t.push({type:"operator",value:s}),r++}}return t}toPostfix(e){const t=[],r=[],s={"^":4,"*":3,"/":3,"+":2,"-":2},i={"^":"right","*":"left","/":"left","+":"left","-":"left"};for(e.forEach((e=>{if("number"===e.type||"identifier"===e.type)t.push(e);else if("operator"===e.type)if("("===e.value)r.push(e);else if(")"===e.value){for(;r.length&&"("!==r[r.length-1].value;)t.push(r.pop());r.pop()}else{for(;r.length&&"("!==r[r.length-1].value&&(s[r[r.length-1].value]>s[e.value]||s[r[r.length-1].value]===s[e.value]&&"left"===i[e.value]);)t.push(r.pop());r.push(e)}}));r.length;)t.push(r.pop());return t}evaluatePostfix(e){const t=[];return e.forEach((e=>{if("number"===e.type)t.push(e.value);else if("identifier"===e.type){const r=this.getVariable(e.value);if(void 0===r)throw new Error(`Undefined variable: ${e.value}`);t.push(r)}else if("operator"===e.type){const r=t.pop(),s=t.pop();switch(e.value){case"+":t.push(s+r);break;case"-":t.push(s-r);break;case"*":t.push(s*r);break;case"/":t.push(s/r);break;case"^":t.push(Math.pow(s,r));break;default:throw new Error(`Invalid operator: ${e.value}`)}}})),t[0]}async processNode(e){if(1!==e.nodeType)return;const t=e.tagName.toLowerCase();if(this.callStack.push(t),this.callStack.length>50)throw new Error("Recursion depth exceeded");let r=!0;try{switch(t){case"store":this.processStore(e);break;case"man":this.processMan(e);break;case"calc":this.processCalc(e);break;case"if":await this.processIf(e);break;case"else":case"catch":default:r=!1;break;case"for":await this.processFor(e);break;case"while":await this.processWhile(e);break;case"func":this.processFunc(e);break;case"call":await this.processCall(e);break;case"scope":await this.processScope(e);break;case"input":this.processInput(e);break;case"output":this.processOutput(e);break;case"try":await this.processTry(e);break;case"import":await this.processImport(e);break;case"on":this.processOn(e);break;case"debug":this.processDebug(e);break;case"http":await this.processHttp(e);break;case"json":this.processJson(e);break;case"csv":this.processCsv(e);break;case"ini":this.processIni(e);break;case"xml":this.processXml(e);break;case"yml":case"yaml":this.processYml(e);break;case"break":throw new CustomBreakError;case"continue":throw new CustomContinueError}r||await this.processChildren(e)}catch(e){throw e instanceof CustomBreakError||e instanceof CustomContinueError||console.error("Error processing node:",t,e,"Stack:",this.callStack.join(" > ")),e}finally{this.callStack.pop()}}async processChildren(e){const t=Array.from(e.childNodes);for(const e of t)await this.processNode(e)}async processAll(){await this.processChildren(document.body)}processStore(e){const t=e.getAttribute("name"),r=e.getAttribute("value"),s=e.getAttribute("type"),i="false"!==e.getAttribute("local"),o=this.evaluate(r);if(s&&typeof o!==s)throw new Error(`Type mismatch for ${t}: expected ${s}, got ${typeof o}`);this.setVariable(t,o,i),e.remove()}processMan(e){const t=e.getAttribute("name"),r=e.getAttribute("operation"),s=e.getAttribute("type");let i,o=this.getVariable(t);if(void 0===o)throw new Error(`Variable ${t} not found`);if(r.startsWith(".")?(console.warn("Using unsafe eval for object manipulation"),i=new Function("val",`val${r}; return val;`)(o)):i=this.safeEvaluate(o+r),s&&typeof i!==s)throw new Error(`Type mismatch after manipulation for ${t}: expected ${s}, got ${typeof i}`);this.setVariable(t,i),e.remove()}processCalc(e){const t=e.getAttribute("expression"),r=e.getAttribute("type"),s=this.evaluate(t);if(r&&typeof s!==r)throw new Error(`Type mismatch in calc: expected ${r}, got ${typeof s}`);e.innerText=s}async processIf(e){const t=e.getAttribute("condition"),r=this.evaluate(t),s=e.nextElementSibling&&"else"===e.nextElementSibling.tagName.toLowerCase()?e.nextElementSibling:null;r?(await this.processChildren(e),e.replaceWith(...e.childNodes),s&&s.remove()):(e.remove(),s&&(await this.processChildren(s),s.replaceWith(...s.childNodes)))}async processFor(e){const t=e.getAttribute("init"),r=e.getAttribute("condition"),s=e.getAttribute("increment");if(t){const e=t.split("=");if(2===e.length){const t=e[0].trim(),r=this.evaluate(e[1].trim());this.setVariable(t,r)}else this.evaluate(t)}const i=e.cloneNode(!0);for(e.innerHTML="";this.evaluate(r);){const t=i.cloneNode(!0);try{await this.processChildren(t)}catch(e){if(e instanceof CustomBreakError)break;if(e instanceof CustomContinueError){this.evaluate(s);continue}throw e}e.appendChild(t),this.evaluate(s)}e.replaceWith(...e.childNodes)}async processWhile(e){const t=e.getAttribute("condition"),r=e.cloneNode(!0);for(e.innerHTML="";this.evaluate(t);){const t=r.cloneNode(!0);try{await this.processChildren(t)}catch(e){if(e instanceof CustomBreakError)break;if(e instanceof CustomContinueError)continue;throw e}e.appendChild(t)}e.replaceWith(...e.childNodes)}processFunc(e){const t=e.getAttribute("name"),r=e.getAttribute("params")?e.getAttribute("params").split(",").map((e=>e.trim())):[],s=e.cloneNode(!0),i=new Map([...this.scopes.flatMap((e=>[...e.entries()]))]);this.functions.set(t,{params:r,body:s,closedScope:i}),e.remove()}async processCall(e){const t=e.getAttribute("func"),r=e.getAttribute("args"),s=e.getAttribute("var"),i=this.functions.get(t);if(!i)throw new Error(`Function ${t} not found`);const o=r?this.evaluate(`[${r}]`):[];if(o.length!==i.params.length)throw new Error("Argument count mismatch");const a=this.scopes;this.scopes=[new Map(i.closedScope)],i.params.forEach(((e,t)=>this.setVariable(e,o[t])));const n=i.body.cloneNode(!0);let c;await this.processChildren(n);const l=n.querySelectorAll("return");Array.from(l).forEach((e=>{const t=e.getAttribute("expression");c=this.evaluate(t),e.remove()})),s?(this.setVariable(s,c),e.remove()):e.replaceWith(...n.childNodes),this.scopes=a}async processScope(e){this.scopes.push(new Map),await this.processChildren(e),e.replaceWith(...e.childNodes),this.scopes.pop()}processInput(e){const t=e.getAttribute("var"),r=e.getAttribute("prompt")||"",s=prompt(r);this.setVariable(t,s),e.remove()}processOutput(e){const t=e.getAttribute("expression"),r=this.evaluate(t);e.innerText=r.toString()}async processTry(e){const t=e.nextElementSibling&&"catch"===e.nextElementSibling.tagName.toLowerCase()?e.nextElementSibling:null,r=t&&t.getAttribute("var")||"e";try{await this.processChildren(e),e.replaceWith(...e.childNodes),t&&t.remove()}catch(s){if(e.remove(),!t)throw s;this.setVariable(r,s),await this.processChildren(t),t.replaceWith(...t.childNodes)}}async processImport(e){const t=e.getAttribute("src"),r=e.getAttribute("type")||"script",s=e.getAttribute("namespace");try{const i=await fetch(t),o=await i.text();if(s&&this.scopes.push(new Map),"module"===r){const e=await import(t);this.setVariable(s||"imported",e)}else if("script"===r)new Function(o)();else if("html"===r){const t=document.createElement("div");t.innerHTML=o,await this.processChildren(t),e.replaceWith(...t.childNodes)}s&&this.scopes.pop()}catch(e){console.error(`Import failed from ${t}:`,e)}e.remove()}processOn(e){const t=e.getAttribute("event"),r=e.getAttribute("selector"),s=e.cloneNode(!0);e.remove();document.querySelectorAll(r).forEach((e=>{e.addEventListener(t,(async e=>{this.scopes.push(new Map),this.setVariable("event",e);const t=s.cloneNode(!0);await this.processChildren(t),this.scopes.pop()}))}))}processDebug(e){const t=e.getAttribute("var");t?console.dir(this.getVariable(t)):console.log("Debug point reached",(new Error).stack),e.remove()}async processHttp(e){const t=e.getAttribute("method")?.toUpperCase()||"GET",r=e.getAttribute("url"),s=e.getAttribute("headers"),i=e.getAttribute("body"),o=e.getAttribute("var");try{const a=s?this.evaluate(s):{},n=i?JSON.stringify(this.evaluate(i)):null,c={method:t,headers:a,body:"GET"!==t&&"HEAD"!==t?n:null},l=await fetch(r,c);let h;h=l.headers.get("content-type")?.includes("application/json")?await l.json():await l.text(),o?(this.setVariable(o,h),e.remove()):e.innerText=JSON.stringify(h)}catch(t){console.error("HTTP request failed:",r,t),o?(this.setVariable(o,{error:t.message}),e.remove()):e.innerText=`Error: ${t.message}`}}processJson(e){const t=e.getAttribute("var"),r=e.getAttribute("action")||"parse",s=e.getAttribute("source")||e.innerText.trim();try{let i;if("parse"===r)i=JSON.parse(s);else{if("stringify"!==r)throw new Error("Invalid JSON action");{const e=this.evaluate(s);i=JSON.stringify(e)}}t?(this.setVariable(t,i),e.remove()):e.innerText=i.toString()}catch(r){console.error("JSON processing error:",r),t?(this.setVariable(t,{error:r.message}),e.remove()):e.innerText=`Error: ${r.message}`}}processCsv(e){const t=e.getAttribute("var"),r=e.getAttribute("action")||"parse",s=e.getAttribute("source")||e.innerText.trim();try{let i;if("parse"===r){i=s.split("\n").map((e=>e.split(",").map((e=>e.trim()))))}else{if("stringify"!==r)throw new Error("Invalid CSV action");{let e=this.evaluate(s);if(!Array.isArray(e))throw new Error("CSV stringify requires an array");if(e.length>0&&"object"==typeof e[0]){const t=Object.keys(e[0]),r=[t.join(",")];e.forEach((e=>{r.push(t.map((t=>e[t]??"")).join(","))})),i=r.join("\n")}else i=e.map((e=>e.join(","))).join("\n")}}t?(this.setVariable(t,i),e.remove()):e.innerText=i.toString()}catch(r){console.error("CSV processing error:",r),t?(this.setVariable(t,{error:r.message}),e.remove()):e.innerText=`Error: ${r.message}`}}processIni(e){const t=e.getAttribute("var"),r=e.getAttribute("action")||"parse",s=e.getAttribute("source")||e.innerText.trim();try{let i;if("parse"===r){const e={};let t=null;s.split("\n").forEach((r=>{if((r=r.trim())&&!r.startsWith(";")&&!r.startsWith("#"))if(r.match(/^\[.*\]$/))t=r.slice(1,-1),e[t]={};else if(r.includes("=")&&t){const[s,i]=r.split("=").map((e=>e.trim()));e[t][s]=i}})),i=e}else{if("stringify"!==r)throw new Error("Invalid INI action");{const e=this.evaluate(s),t=[];for(const[r,s]of Object.entries(e)){t.push(`[${r}]`);for(const[e,r]of Object.entries(s))t.push(`${e}=${r}`)}i=t.join("\n")}}t?(this.setVariable(t,i),e.remove()):e.innerText=i.toString()}catch(r){console.error("INI processing error:",r),t?(this.setVariable(t,{error:r.message}),e.remove()):e.innerText=`Error: ${r.message}`}}processXml(e){const t=e.getAttribute("var"),r=e.getAttribute("action")||"parse",s=e.getAttribute("source")||e.innerText.trim();try{let i;if("parse"===r){const e=(new DOMParser).parseFromString(s,"application/xml");if(e.querySelector("parsererror"))throw new Error("Invalid XML");i=this.xmlToObject(e.documentElement)}else{if("stringify"!==r)throw new Error("Invalid XML action");{const e=this.evaluate(s);i=this.objectToXml(e)}}t?(this.setVariable(t,i),e.remove()):e.innerText=i.toString()}catch(r){console.error("XML processing error:",r),t?(this.setVariable(t,{error:r.message}),e.remove()):e.innerText=`Error: ${r.message}`}}xmlToObject(e){const t={name:e.tagName};if(e.attributes){t.attributes={};for(const r of e.attributes)t.attributes[r.name]=r.value}if(1===e.childNodes.length&&3===e.childNodes[0].nodeType)t.text=e.childNodes[0].textContent.trim();else{t.children=[];for(const r of e.childNodes)1===r.nodeType&&t.children.push(this.xmlToObject(r))}return t}objectToXml(e,t="root"){let r=`<${t=e.name||t}`;if(e.attributes)for(const[t,s]of Object.entries(e.attributes))r+=` ${t}="${s}"`;if(r+=">",e.text)r+=e.text;else if(e.children)for(const t of e.children)r+=this.objectToXml(t);return r+=`</${t}>`,r}processYml(e){const t=e.getAttribute("var"),r=e.getAttribute("action")||"parse",s=e.getAttribute("source")||e.innerText.trim();try{let i;if("parse"===r)i=this.parseYml(s);else{if("stringify"!==r)throw new Error("Invalid YML action");{const e=this.evaluate(s);i=this.stringifyYml(e)}}t?(this.setVariable(t,i),e.remove()):e.innerText=i.toString()}catch(r){console.error("YML processing error:",r),t?(this.setVariable(t,{error:r.message}),e.remove()):e.innerText=`Error: ${r.message}`}}parseYml(e){const t=e.split("\n"),r=[];let s={},i=s,o=0;return t.forEach(((e,t)=>{if(""===e.trim()||e.trim().startsWith("#"))return;const a=e.match(/^\s*/)[0].length,n=e.trim();if(a<o){for(let e=0;e<(o-a)/2;e++)r.pop();i=r[r.length-1]||s}else if(a>o&&a-o!=2)throw new Error("Invalid indentation at line "+(t+1));if(o=a,n.startsWith("-")){const e=n.slice(1).trim();if(Array.isArray(i)){const t=i[i.length-1];if(e.includes(":")){const[r,s]=e.split(":").map((e=>e.trim()));t[r]=this.parseYmlValue(s)}else i.push(this.parseYmlValue(e))}else{const t=[];i=t,r[r.length-1][Object.keys(r[r.length-1])[Object.keys(r[r.length-1]).length-1]]=t,r.push(t),t.push(this.parseYmlValue(e))}}else{if(!n.includes(":"))throw new Error("Invalid YAML syntax at line "+(t+1));{const[e,t]=n.split(":").map((e=>e.trim())),s=this.parseYmlValue(t);if(void 0===s){const t={};i[e]=t,r.push(i),i=t}else i[e]=s}}})),s}parseYmlValue(e){if(""!==e)return isNaN(e)?"true"===e||"false"!==e&&(e.startsWith('"')&&e.endsWith('"')?e.slice(1,-1):e):Number(e)}stringifyYml(e,t=0){let r="";const s=" ".repeat(t);for(const[i,o]of Object.entries(e))Array.isArray(o)?(r+=`${s}${i}:\n`,o.forEach((e=>{r+="object"==typeof e?`${s}  - \n${this.stringifyYml(e,t+4)}`:`${s}  - ${e}\n`}))):r+="object"==typeof o&&null!==o?`${s}${i}:\n${this.stringifyYml(o,t+2)}`:`${s}${i}: ${o}\n`;return r}init(){document.addEventListener("DOMContentLoaded",(async()=>{await this.processAll()}))}}class CustomBreakError extends Error{constructor(){super("break")}}class CustomContinueError extends Error{constructor(){super("continue")}}const htmlScript=new HtmlScript;
+!function(t,e){if("object"==typeof module&&module.exports)module.exports=e();else if("function"==typeof define&&define.amd)define([],e);else{const r=e(),s="undefined"!=typeof document?document.currentScript:null;t.HtmlScript=r,s&&"false"!==s.getAttribute("data-autostart")&&(t.htmlScript=new r({reactive:s.hasAttribute("data-reactive"),strict:s.hasAttribute("data-strict"),safe:s.hasAttribute("data-safe"),overlay:s.hasAttribute("data-overlay"),debug:s.hasAttribute("data-debug"),trace:s.hasAttribute("data-trace"),prefix:s.getAttribute("data-prefix")||""}))}}("undefined"!=typeof globalThis?globalThis:this,function(){class t{constructor(t={}){const{window:e,document:r,fetch:s,transport:n,importModule:i,...a}=t;this.options={autoStart:!0,reactive:!1,prefix:"",hydrate:!1,compile:!0,strict:!1,overlay:!1,locate:null,debug:!1,trace:!1,traceLimit:1e3,baseUrl:"",headers:null,safe:!1,origins:null,maxDepth:50,maxIterations:1/0,timeLimit:1/0,...a.safe?u:{},...a},this.window=e||r&&r.defaultView||("undefined"!=typeof window?window:void 0),this.document=r||(this.window?this.window.document:globalThis.document),this.fetch=s||((t,e)=>fetch(t,e)),this.transport=n||null,this.importModule=i||(t=>import(t)),this.scopes=[new Map],this.functions=new Map,this.callStack=[],this.nativeFunctions=new Map(Object.entries(q)),this.tracking=null,this.subscribers=new WeakMap,this.pendingBindings=new Set,this.updateQueue=Promise.resolve(),this.ready=!1,this.tags=new Map,this.listeners=new Map,this.eventBindings=[],this.expressionCache=new Map,this.templateCache=new Map,this.templateParts=new WeakMap,this.startListener=null,this.overlay=null,this.tracing=this.options.trace,this.traceLog=[],this.paused=null,this.resumePause=null,this.stepDepth=null,this.inspector=null,this.requests=new Set,this.tryDepth=0,this.boundControls=new WeakMap,this.handlers=new Map,this.handlerQueue=Promise.resolve(),this.timers=new Set,this.signal=null,this.deadline=null,this.modules=new Map,this.moduleScopes=new WeakMap,this.options.autoStart&&this.init()}getVariables(){return Object.fromEntries(this.scopes[0])}getVariable(t){for(let e=this.scopes.length-1;e>=0;e--)if(this.scopes[e].has(t))return this.tracking&&this.tracking.push([this.scopes[e],t]),this.scopes[e].get(t);this.tracking&&this.tracking.push([this.scopes[0],t])}setVariable(t,e,r=!0){this.writeVariable(r?this.scopes.length-1:0,t,e)}assignVariable(t,e){for(let r=this.scopes.length-1;r>=0;r--)if(this.scopes[r].has(t))return void this.writeVariable(r,t,e);this.setVariable(t,e)}writeVariable(t,e,r){const s=this.scopes[t];this.tracing&&this.record({type:"write",name:e,oldValue:s.get(e),value:r,depth:t}),s.set(e,r),this.notify(s,e)}async bind(t,e){if(!this.options.reactive)return void await e(t=>this.evaluate(t),this);const r={node:t,render:e,scopes:this.scopes.slice(),deps:[]};await this.runBinding(r)}async runBinding(t,{update:e=!1}={}){const r=[],s=this.fork(this.signal);s.scopes=t.scopes.slice(),s.tracking=null,e&&(s.tryDepth=0);const n=async t=>{const e=s.tracking;s.tracking=r;try{return await s.evaluate(t)}finally{s.tracking=e}};try{await t.render(n,s)}finally{this.unsubscribe(t),t.deps=r,r.forEach(([e,r])=>{this.subscribers.has(e)||this.subscribers.set(e,new Map);const s=this.subscribers.get(e);s.has(r)||s.set(r,new Set),s.get(r).add(t)})}}fork(t){const e=Object.create(this);return Object.keys(this).forEach(t=>{i.includes(t)||Object.defineProperty(e,t,{get:()=>this[t],set:e=>{this[t]=e},enumerable:!0})}),e.scopes=this.scopes.slice(),e.callStack=this.callStack.slice(),e.tracking=this.tracking,e.signal=t,e.deadline=this.deadline,e.tryDepth=this.tryDepth,e}unsubscribe(t){t.deps.forEach(([e,r])=>{const s=this.subscribers.get(e);s&&s.has(r)&&s.get(r).delete(t)}),t.deps=[]}notify(t,e){const r=this.subscribers.get(t);if(!r||!r.has(e))return;const s=0===this.pendingBindings.size;r.get(e).forEach(t=>this.pendingBindings.add(t)),s&&this.pendingBindings.size&&(this.updateQueue=this.updateQueue.then(()=>this.flushBindings()).catch(t=>this.reportError(this.toHtmlScriptError(t))))}async flushBindings(){const t=Array.from(this.pendingBindings);this.pendingBindings.clear();for(const e of t)if(e.node.isConnected)try{await this.runBinding(e,{update:!0})}catch(t){this.reportError(this.toHtmlScriptError(t,e.node),{node:e.node})}else this.ready&&this.unsubscribe(e)}createRange(t){const e=this.document.createComment("hs"),r=this.document.createComment("/hs");return t.replaceWith(e,r),{start:e,end:r}}fillRange(t,e){let r=t.start.nextSibling;for(;r&&r!==t.end;){const t=r.nextSibling;r.remove(),r=t}t.end.before(...e)}async evaluate(t){try{if("string"!=typeof t)throw new W("Missing expression");const e=await this.safeEvaluate(t);return this.tracing&&this.record({type:"expression",expression:t,value:e}),e}catch(e){if(e instanceof U||e instanceof B||e instanceof R)throw e;const r=this.toHtmlScriptError(e);throw r.node||void 0!==r.expression||(r.expression=t),r}}async safeEvaluate(t){if(this.options.compile)return this.compileExpression(t)(this);const e=this.tokenize(t),r=this.parse(e);return this.evaluateAst(r)}tokenize(t){const e=[],r=["===","!==","==","!=","<=",">=","&&","||","+","-","*","/","%","^","(",")","[","]","{","}","<",">","!","?",":",",",".","="],s={n:"\n",t:"\t",r:"\r",b:"\b",f:"\f",v:"\v",0:"\0"};let n=0;for(;n<t.length;){const i=t[n];if(/\s/.test(i)){n++;continue}const a=e.length&&"."===e[e.length-1].value;if(/[0-9]/.test(i)||"."===i&&!a&&/[0-9]/.test(t[n+1])){const r=/^(?:[0-9]*\.?[0-9]+|[0-9]+\.)(?:[eE][+-]?[0-9]+)?/.exec(t.slice(n));e.push({type:"number",value:parseFloat(r[0]),pos:n}),n+=r[0].length;continue}if(/[a-zA-Z_$]/.test(i)){const r=n;let s="";for(;n<t.length&&/[a-zA-Z0-9_$]/.test(t[n]);)s+=t[n++];e.push({type:"identifier",value:s,pos:r});continue}if('"'===i||"'"===i){const r=n;let a="";for(n++;n<t.length&&t[n]!==i;)if("\\"===t[n]){const e=t[n+1];if("u"===e&&/^[0-9a-fA-F]{4}$/.test(t.substr(n+2,4)))a+=String.fromCharCode(parseInt(t.substr(n+2,4),16)),n+=6;else if("x"===e&&/^[0-9a-fA-F]{2}$/.test(t.substr(n+2,2)))a+=String.fromCharCode(parseInt(t.substr(n+2,2),16)),n+=4;else{if(void 0===e)break;a+=e in s?s[e]:e,n+=2}}else a+=t[n++];if(t[n]!==i)throw new W("Unterminated string",{column:r+1});n++,e.push({type:"string",value:a,pos:r});continue}const o=r.find(e=>t.startsWith(e,n));if(!o)throw new W(`Invalid token: ${i}`,{column:n+1});e.push({type:"operator",value:o,pos:n}),n+=o.length}return e.end=t.length,e}parse(t){const e=[["||"],["&&"],["==","!=","===","!=="],["<","<=",">",">="],["+","-"],["*","/","%"]],r={true:!0,false:!1,null:null,undefined:void 0};let s=0;const n=(e,r)=>{const s=r?r.pos:t.end;return new W(e,{column:void 0===s?void 0:s+1})},i=()=>t[s],a=t=>i()&&"operator"===i().type&&i().value===t,o=e=>{if(!a(e)){const t=i();throw n(t?`Unexpected token: ${t.value}, expected ${e}`:`Unexpected end of expression, expected ${e}`,t)}return t[s++]},c=()=>{const t=l(0);if(!a("?"))return t;s++;const e=c();o(":");return{type:"conditional",test:t,consequent:e,alternate:c()}},l=r=>{if(r===e.length)return h();let n=l(r+1);for(;i()&&"operator"===i().type&&e[r].includes(i().value);){const e=t[s++].value;n={type:"&&"===e||"||"===e?"logical":"binary",operator:e,left:n,right:l(r+1)}}return n},h=()=>{if(a("!")||a("-")||a("+")){return{type:"unary",operator:t[s++].value,argument:h()}}return u()},u=()=>{const t=d();return a("^")?(s++,{type:"binary",operator:"^",left:t,right:h()}):t},p=(t,e)=>{const r=[];for(;!a(t)&&(r.push(e()),a(","));)s++;return o(t),r},d=()=>{let e=g();for(;;)if(a(".")){const r=t[s++],i=t[s++];if(!i||"identifier"!==i.type&&"number"!==i.type)throw n("Expected property name after .",i||r);e={type:"member",object:e,property:{type:"literal",value:String(i.value)},pos:i.pos}}else if(a("[")){const r=t[s++],n=c();o("]"),e={type:"member",object:e,property:n,pos:r.pos}}else{if(!a("("))return e;{const t=f(e);if(null===t)throw n("Only named functions can be called",i());let r=e;for(;"member"===r.type;)r=r.object;s++,e={type:"call",name:t,arguments:p(")",c),pos:r.pos}}}},m=()=>{const e=t[s++];if(!e)throw n("Unexpected end of expression");if("operator"===e.type&&"["===e.value){const t=c();return o("]"),o(":"),{key:t,value:c()}}if("identifier"!==e.type&&"string"!==e.type&&"number"!==e.type)throw n(`Unexpected token: ${e.value}`,e);const r={type:"literal",value:String(e.value)};return"identifier"!==e.type||a(":")?(o(":"),{key:r,value:c()}):{key:r,value:{type:"identifier",name:e.value,pos:e.pos}}},g=()=>{const e=t[s++];if(!e)throw n("Unexpected end of expression");if("number"===e.type||"string"===e.type)return{type:"literal",value:e.value};if("identifier"===e.type)return Object.prototype.hasOwnProperty.call(r,e.value)?{type:"literal",value:r[e.value]}:{type:"identifier",name:e.value,pos:e.pos};if("("===e.value){const t=c();return o(")"),t}if("["===e.value)return{type:"array",elements:p("]",c)};if("{"===e.value)return{type:"object",properties:p("}",m)};throw n(`Unexpected token: ${e.value}`,e)},y=c();if(s<t.length)throw n(`Unexpected token: ${t[s].value}`,t[s]);return y}async evaluateAst(t){switch(t.type){case"literal":return t.value;case"identifier":{const e=this.getVariable(t.name);if(void 0===e)throw new W(`Undefined variable: ${t.name}`,{column:t.pos+1});return e}case"unary":return e[t.operator](await this.evaluateAst(t.argument));case"logical":{const e=await this.evaluateAst(t.left);return"&&"===t.operator?e?await this.evaluateAst(t.right):e:e||await this.evaluateAst(t.right)}case"conditional":return await this.evaluateAst(t.test)?await this.evaluateAst(t.consequent):await this.evaluateAst(t.alternate);case"member":return this.getProperty(await this.evaluateAst(t.object),await this.evaluateAst(t.property),t.pos);case"call":{if(!this.findFunction(t.name)&&!this.nativeFunctions.has(t.name))throw new W(`Function ${t.name} not found`,{column:t.pos+1});const e=[];for(const r of t.arguments)e.push(await this.evaluateAst(r));return this.callFunction(t.name,e)}case"array":{const e=[];for(const r of t.elements)e.push(await this.evaluateAst(r));return e}case"object":{const e={};for(const{key:r,value:s}of t.properties)e[this.checkPropertyKey(await this.evaluateAst(r))]=await this.evaluateAst(s);return e}case"binary":{const e=await this.evaluateAst(t.left),s=await this.evaluateAst(t.right);return r[t.operator](e,s)}}throw new Error(`Invalid operator: ${t.operator||t.type}`)}compileExpression(t){let e=s(this.expressionCache,t);return e||(e=this.compileAst(this.parse(this.tokenize(t))),n(this.expressionCache,t,e)),e}containsCall(t){switch(t.type){case"call":return!0;case"unary":return this.containsCall(t.argument);case"binary":case"logical":return this.containsCall(t.left)||this.containsCall(t.right);case"conditional":return this.containsCall(t.test)||this.containsCall(t.consequent)||this.containsCall(t.alternate);case"member":return this.containsCall(t.object)||this.containsCall(t.property);case"array":return t.elements.some(t=>this.containsCall(t));case"object":return t.properties.some(({key:t,value:e})=>this.containsCall(t)||this.containsCall(e));default:return!1}}compileAst(t){const s=this.containsCall(t);switch(t.type){case"literal":{const e=t.value;return()=>e}case"identifier":{const{name:e,pos:r}=t;return t=>{const s=t.getVariable(e);if(void 0===s)throw new W(`Undefined variable: ${e}`,{column:r+1});return s}}case"unary":{const r=e[t.operator],n=this.compileAst(t.argument);return s?async t=>r(await n(t)):t=>r(n(t))}case"binary":{const e=r[t.operator],n=this.compileAst(t.left),i=this.compileAst(t.right);return s?async t=>e(await n(t),await i(t)):t=>e(n(t),i(t))}case"logical":{const e=this.compileAst(t.left),r=this.compileAst(t.right);return s?"&&"===t.operator?async t=>await e(t)&&r(t):async t=>await e(t)||r(t):"&&"===t.operator?t=>e(t)&&r(t):t=>e(t)||r(t)}case"conditional":{const e=this.compileAst(t.test),r=this.compileAst(t.consequent),n=this.compileAst(t.alternate);return s?async t=>await e(t)?r(t):n(t):t=>e(t)?r(t):n(t)}case"member":{const e=this.compileAst(t.object),r=this.compileAst(t.property),n=t.pos;return s?async t=>t.getProperty(await e(t),await r(t),n):t=>t.getProperty(e(t),r(t),n)}case"call":{const{name:e,pos:r}=t,s=t.arguments.map(t=>this.compileAst(t));return async t=>{if(!t.findFunction(e)&&!t.nativeFunctions.has(e))throw new W(`Function ${e} not found`,{column:r+1});const n=[];for(const e of s)n.push(await e(t));return t.callFunction(e,n)}}case"array":{const e=t.elements.map(t=>this.compileAst(t));return s?async t=>{const r=[];for(const s of e)r.push(await s(t));return r}:t=>e.map(e=>e(t))}case"object":{const e=t.properties.map(({key:t,value:e})=>[this.compileAst(t),this.compileAst(e)]);return s?async t=>{const r={};for(const[s,n]of e)r[t.checkPropertyKey(await s(t))]=await n(t);return r}:t=>{const r={};return e.forEach(([e,s])=>{r[t.checkPropertyKey(e(t))]=s(t)}),r}}}throw new Error(`Invalid operator: ${t.operator||t.type}`)}defineFunction(t,e){if(!/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(t))throw new Error(`Invalid function name: ${t}`);if("function"!=typeof e)throw new Error(`Function ${t} must be a function`);this.nativeFunctions.set(t,e)}async callFunction(t,e){const r=this.findFunction(t);if(r){const{value:t}=await this.runFunction(r,e);return t}const s=this.nativeFunctions.get(t);if(!s)throw new Error(`Function ${t} not found`);return this.tracing&&this.record({type:"call",name:t,args:e,native:!0}),s.apply(this,e)}checkPropertyKey(t){if("__proto__"===(t=String(t))||"prototype"===t||"constructor"===t)throw new Error(`Access to property ${t} is not allowed`);return t}getProperty(t,e,r){if(null==t)throw new W(`Cannot read property ${e} of ${t}`,{column:void 0===r?void 0:r+1});return t instanceof Map?t.get(e):t[this.checkPropertyKey(e)]}isPathAssignment(t){try{return this.tokenize(t).some(t=>"operator"===t.type&&"="===t.value)}catch(t){return!1}}async setPath(t,e){const r=this.tokenize(e),s=r.findIndex(t=>"operator"===t.type&&"="===t.value);if(s<1)throw new Error(`Invalid property assignment: ${e}`);const n=this.parse([{type:"identifier",value:t,pos:0},...r.slice(0,s)]);if("member"!==n.type)throw new Error(`Invalid property assignment: ${e}`);const i=await this.evaluateAst(n.object),a=this.checkPropertyKey(await this.evaluateAst(n.property)),o=await this.evaluateAst(this.parse(r.slice(s+1)));if(null===i||"object"!=typeof i)throw new Error(`Cannot set property ${a} of ${i}`);this.checkPathTarget(i,`${t}${e.slice(0,e.indexOf("=")).trim()}`),i instanceof Map?i.set(a,o):i[a]=o}checkPathTarget(t,e){if(!this.options.safe||Array.isArray(t))return;const r=Object.getPrototypeOf(t);if(r===Object.prototype||null===r)return;const s=r.constructor&&r.constructor.name?r.constructor.name:"this object";throw p(`Writing ${e} on ${s}`)}parseTemplate(t){const e=this.options.compile&&s(this.templateCache,t);if(e)return e;const r=[],i=/\{\{\{([\s\S]+?)\}\}\}|\{\{([\s\S]+?)\}\}/g;let a,o=0;for(;a=i.exec(t);){a.index>o&&r.push({type:"text",value:t.slice(o,a.index)});const e=void 0!==a[1];r.push({type:"expression",expression:(e?a[1]:a[2]).trim(),raw:e}),o=i.lastIndex}return o<t.length&&r.push({type:"text",value:t.slice(o)}),this.options.compile&&n(this.templateCache,t,r),r}async renderTemplate(t,e){const r=[];for(const s of t)if("text"===s.type)r.push({value:s.value,raw:!1});else{const t=await e(s.expression);r.push({value:q.str(t),raw:s.raw})}return r}async processText(t){const e=t.textContent;if(!e.includes("{{"))return;const r=this.parseTemplate(e);if(!r.some(t=>t.raw))return void await this.bind(t,async e=>{const s=await this.renderTemplate(r,e);t.textContent=s.map(t=>t.value).join("")});if(this.options.safe)throw p("Raw HTML output ({{{ }}})");const s=this.options.reactive?this.createRange(t):null;await this.bind(s?s.start:t,async e=>{const n=(await this.renderTemplate(r,e)).map(t=>{if(!t.raw)return this.document.createTextNode(t.value);const e=this.document.createElement("template");return e.innerHTML=t.value,e.content});s?this.fillRange(s,n):t.replaceWith(...n)})}async interpolateAttributes(t){for(const e of Array.from(t.attributes)){if(!e.value.includes("{{"))continue;const r=e.name,s=this.parseTemplate(e.value);await this.bind(t,async e=>{const n=await this.renderTemplate(s,e);t.setAttribute(r,n.map(t=>t.value).join(""))})}}async interpolate(t){return(await this.renderTemplate(this.parseTemplate(t),t=>this.evaluate(t))).map(t=>t.value).join("")}static registerTag(e,r){t.tags.set(t.normalizeTagName(e),t.normalizeTagHandler(e,r))}static normalizeTagName(t){if("string"!=typeof t||!/^[a-zA-Z][a-zA-Z0-9-]*$/.test(t))throw new Error(`Invalid tag name: ${t}`);return t.toLowerCase()}static normalizeTagHandler(t,e){if("function"==typeof e&&(e={process:e}),!e||"object"!=typeof e)throw new Error(`Invalid handler for tag ${t}`);const r=e.children||"skip";if(!["skip","before","after"].includes(r))throw new Error(`Invalid children option for tag ${t}: ${r}`);if(void 0!==e.process&&"function"!=typeof e.process)throw new Error(`process for tag ${t} must be a function`);return{...e,children:r}}registerTag(e,r){this.tags.set(t.normalizeTagName(e),t.normalizeTagHandler(e,r))}resolveTag(t){const e=this.options.prefix;return e?t.startsWith(e)?t.slice(e.length):null:t}nextTag(t,e){const r=t.nextElementSibling;return r&&this.resolveTag(r.tagName.toLowerCase())===e?r:null}getTagHandler(e){return this.tags.get(e)||t.tags.get(e)}createContext(t,e){return{htmlScript:this,tag:e,node:t,evaluate:t=>this.evaluate(t),interpolate:t=>this.interpolate(t),getVariable:t=>this.getVariable(t),setVariable:(t,e,r)=>this.setVariable(t,e,r),pushScope:(t={})=>{this.scopes.push(t instanceof Map?t:new Map(Object.entries(t)))},popScope:()=>this.scopes.pop(),processChildren:(e=t)=>this.processChildren(e),processNode:t=>this.processNode(t),error:t=>{throw new Error(`<${e}>: ${t}`)}}}compileTemplate(t){if(!this.options.compile)return null;let e=this.templateParts.get(t);return e||(e=[],this.compileParts(t,[],[],e),this.templateParts.set(t,e)),e}compileParts(t,e,r,s){Array.from(t.childNodes).forEach((t,n)=>{const i=[...e,n];if(3===t.nodeType)return void(t.textContent.includes("{{")&&s.push({path:i,stack:r,element:!1}));if(1!==t.nodeType)return;const a=t.tagName.toLowerCase(),o=this.resolveTag(a);o&&this.getTagHandler(o)?s.push({path:i,stack:r,element:!1}):"script"!==a&&"style"!==a&&((Array.from(t.attributes).some(t=>t.value.includes("{{"))||$(t))&&s.push({path:i,stack:r,element:!0}),this.compileParts(t,i,[...r,a],s))})}async processClone(t,e){const r=this.compileTemplate(e);if(!r)return void await this.processChildren(t);const s=r.map(({path:e})=>e.reduce((t,e)=>t.childNodes[e],t)),n=s.map(t=>t.parentNode);for(let t=0;t<r.length;t++){if(s[t].parentNode!==n[t])continue;const{stack:e,element:i}=r[t];this.callStack.push(...e);try{await this.processNode(s[t],i)}finally{this.callStack.length-=e.length}}}async processNode(t,e=!1){if(this.signal&&this.signal.aborted)throw new W("Cancelled",{type:"cancelled"});if(this.checkTimeLimit(),3===t.nodeType)return void await this.processText(t);if(1!==t.nodeType)return;const r=t.tagName.toLowerCase(),s=this.resolveTag(r),n=s&&this.getTagHandler(s);this.callStack.push(r);try{if(this.callStack.length>this.options.maxDepth)throw new W(`Recursion depth exceeded (maxDepth is ${this.options.maxDepth})`,{type:"limit"});n?(this.tracing&&this.record({type:"tag",tag:r,path:this.describeNode(t).path}),null!==this.stepDepth&&this.callStack.length<=this.stepDepth&&await this.pause(t),"before"===n.children&&await this.processChildren(t),n.process&&await n.process(t,this.createContext(t,s)),"after"===n.children&&await this.processChildren(t)):"script"!==r&&"style"!==r&&(await this.interpolateAttributes(t),$(t)&&("form"===r?this.bindForm(t):await this.bindControl(t,t.getAttribute("bind"))),e||await this.processChildren(t))}catch(e){if(e instanceof U||e instanceof B||e instanceof R)throw e;throw this.toHtmlScriptError(e,t)}finally{this.callStack.pop()}}toHtmlScriptError(t,e){const r=t instanceof W?t:new W(t&&void 0!==t.message?t.message:String(t),{cause:t});if(e&&1!==e.nodeType&&(e=e.parentElement),!e||r.node)return r;const{path:s,root:n}=this.describeNode(e);if(r.node=e,r.tag=e.tagName.toLowerCase(),r.path=s,r.pathRoot=n,r.tagStack=this.callStack.join(" > "),void 0!==r.expression&&void 0===r.attribute){const t=Array.from(e.attributes).find(({value:t})=>t===r.expression)||Array.from(e.attributes).find(({value:t})=>t.includes("{{")&&t.includes(r.expression));t&&(r.attribute=t.name)}return r.line=this.locateNode(e),r}describeNode(t){const e=[];let r=t;for(;;){const t=r.tagName.toLowerCase(),s=r.parentNode;if(r.id)return e.unshift(`${t}#${r.id}`),{path:e.join(" > "),root:null};const n=s?Array.from(s.children).filter(t=>t.tagName===r.tagName):[];if(e.unshift(n.length>1?`${t}:nth-of-type(${n.indexOf(r)+1})`:t),"body"===t||!s||1!==s.nodeType)return{path:e.join(" > "),root:"body"===t?null:r};r=s}}locateNode(t){if(this.options.locate)for(let e=t;e;e=e.parentNode){const t=this.options.locate(e);if(t)return t.line}}relocateError(t,e,r){if(!(t instanceof W&&t.pathRoot&&t.pathRoot===e))return t;const s=t.path.split(" > ").slice(1);return t.path=[r.path,...s].join(" > "),t.pathRoot=r.root,void 0===t.line&&(t.line=r.line),t}reportError(t,e){console.error(t instanceof W?t.format():t),this.emit("error",{error:t,...e}),this.options.overlay&&this.showErrorOverlay(t)}showErrorOverlay(t){const e=this.document;if(!e||!e.body)return;if(!this.overlay||!this.overlay.isConnected){this.overlay=e.createElement("div"),this.overlay.setAttribute("data-htmlscript-overlay",""),this.overlay.style.cssText="position:fixed;left:0;right:0;bottom:0;max-height:50%;overflow:auto;z-index:2147483647;margin:0;padding:12px 16px;background:#1e1e1e;color:#f8f8f2;border-top:3px solid #e5484d;font:13px/1.5 monospace;";const t=e.createElement("button");t.textContent="×",t.setAttribute("aria-label","Dismiss"),t.style.cssText="float:right;background:none;border:0;color:inherit;font-size:18px;cursor:pointer;",t.addEventListener("click",()=>this.overlay.remove()),this.overlay.appendChild(t),e.body.appendChild(this.overlay)}const r=e.createElement("pre");r.style.cssText="margin:0 0 8px;white-space:pre-wrap;",r.textContent=t instanceof W?t.format():String(t&&t.stack||t),this.overlay.appendChild(r)}async processChildren(t){const e=[];for(let r=t.firstChild;r;r=r.nextSibling)e.push(r);for(const r of e)r.parentNode===t&&await this.processNode(r)}async processAll(){await this.run(this.document.body)}async run(t=this.document.body,{variables:e}={}){if(e){(e instanceof Map?Array.from(e):Object.entries(e)).forEach(([t,e])=>this.setVariable(t,e,!1))}this.emit("beforeProcess",{root:t});try{await this.withTimeLimit(()=>this.processChildren(t))}catch(e){const r=e instanceof U||e instanceof B||e instanceof R?e:this.toHtmlScriptError(e);throw this.reportError(r,{root:t}),r}this.ready=!0,this.inspector&&this.renderInspector("Finished");const r=this.getVariables();return this.emit("afterProcess",{root:t,variables:r}),r}on(t,e){return this.listeners.has(t)||this.listeners.set(t,new Set),this.listeners.get(t).add(e),this}off(t,e){const r=this.listeners.get(t);return r&&r.delete(e),this}emit(t,e){const r=this.listeners.get(t);r&&r.forEach(r=>{try{r(e)}catch(e){console.error(`Error in ${t} listener:`,e)}})}destroy(){this.startListener&&(this.document.removeEventListener("DOMContentLoaded",this.startListener),this.startListener=null),this.eventBindings.forEach(({target:t,event:e,listener:r,options:s})=>t.removeEventListener(e,r,s)),this.eventBindings=[],this.handlers.clear(),this.timers.forEach(t=>t()),this.timers.clear(),this.requests.forEach(t=>t.abort()),this.requests.clear(),this.pendingBindings.clear(),this.subscribers=new WeakMap,this.listeners.clear(),this.stepDepth=null,this.resume(),this.inspector&&this.inspector.remove(),this.inspector=null}async processStore(t){const e=t.getAttribute("name"),r=t.getAttribute("value"),s=t.getAttribute("type"),n="false"!==t.getAttribute("local"),i=await this.evaluate(r);if(s&&typeof i!==s)throw new Error(`Type mismatch for ${e}: expected ${s}, got ${typeof i}`);this.setVariable(e,i,n),t.remove()}async processMan(t){const e=t.getAttribute("name"),r=t.getAttribute("operation"),s=t.getAttribute("type");let n,i=this.getVariable(e);if(void 0===i)throw new Error(`Variable ${e} not found`);if((r.startsWith(".")||r.startsWith("["))&&this.isPathAssignment(r))await this.setPath(e,r),n=i;else if(r.startsWith(".")){if(this.options.safe)throw p(`<man operation="${r}"> runs JavaScript`);console.warn("Using unsafe eval for object manipulation"),n=new Function("val",`val${r}; return val;`)(i)}else n=await this.evaluateAst(this.parse(this.tokenize(i+r)));if(s&&typeof n!==s)throw new Error(`Type mismatch after manipulation for ${e}: expected ${s}, got ${typeof n}`);("string"==typeof n||Array.isArray(n))&&V(this,`<man name="${e}">`,n.length),this.assignVariable(e,n),t.remove()}async processCalc(t){const e=t.getAttribute("expression"),r=t.getAttribute("type");await this.bind(t,async s=>{const n=await s(e);if(r&&typeof n!==r)throw new Error(`Type mismatch in calc: expected ${r}, got ${typeof n}`);t.textContent=n})}async processIf(t){const e=t.getAttribute("condition"),r=this.nextTag(t,"else");if(this.options.reactive)return void await this.processReactiveIf(t,e,r);await this.evaluate(e)?(await this.processChildren(t),t.replaceWith(...t.childNodes),r&&r.remove()):(t.remove(),r&&(await this.processChildren(r),r.replaceWith(...r.childNodes)))}async processReactiveIf(t,e,r){const s={then:t.cloneNode(!0),else:r?r.cloneNode(!0):null},n=this.createRange(t);let i;r&&r.remove(),await this.bind(n.start,async(t,r)=>{const a=Boolean(await t(e));if(a===i)return;i=a;const o=a?s.then:s.else,c=o?o.cloneNode(!0):null;c&&await r.processChildren(c),this.fillRange(n,c?Array.from(c.childNodes):[])})}async processFor(t){const e=t.getAttribute("init"),r=t.getAttribute("condition"),s=t.getAttribute("increment");e&&await this.evaluateStatement(e,!0),await this.processLoop(t,{condition:()=>this.evaluate(r),step:s?()=>this.evaluateStatement(s,!1):null})}async evaluateStatement(t,e){const s=/^\s*([a-zA-Z_$][a-zA-Z0-9_$]*)\s*(\+\+|--|[-+*\/%^]?=(?!=))([\s\S]*)$/.exec(t);if(!s)return this.evaluate(t);const[,n,i,a]=s;let o;if("++"===i||"--"===i){if(a.trim())throw new Error(`Invalid statement: ${t}`);o=r[i[0]](this.getVariable(n),1)}else o="="===i?await this.evaluate(a):r[i[0]](this.getVariable(n),await this.evaluate(a));return e?this.setVariable(n,o):this.assignVariable(n,o),o}async processWhile(t){const e=t.getAttribute("condition");await this.processLoop(t,{condition:()=>this.evaluate(e)})}async processEach(t){const e=t.getAttribute("source"),r=t.getAttribute("item")||"item",s=t.getAttribute("index"),n=t.getAttribute("key"),i=this.nextTag(t,"empty"),a=this.toEntries(await this.evaluate(e));if(!a.length)return t.remove(),void(i&&(await this.processChildren(i),i.replaceWith(...i.childNodes)));i&&i.remove();let o=0;await this.processLoop(t,{condition:()=>o<a.length,step:()=>o++,scope:()=>{const[t,e]=a[o],i=new Map([[r,e]]);return s&&i.set(s,o),n&&i.set(n,t),i}})}toEntries(t){if(null==t)return[];if(Array.isArray(t)||"string"==typeof t)return Array.from(t).map((t,e)=>[e,t]);if(t instanceof Map)return Array.from(t.entries());if(t instanceof Set)return Array.from(t).map((t,e)=>[e,t]);if("function"==typeof t[Symbol.iterator])return Array.from(t).map((t,e)=>[e,t]);if("object"==typeof t)return Object.entries(t);throw new Error("Cannot iterate over "+typeof t)}async processLoop(t,{condition:e,step:r,scope:s}){const n=t.cloneNode(!0),i=this.document.createDocumentFragment();t.innerHTML="";let a=0;for(;await e();){if(++a>this.options.maxIterations)throw new W(`Loop exceeded ${this.options.maxIterations} iterations (maxIterations)`,{type:"limit"});this.checkTimeLimit();const e=n.cloneNode(!0);s&&this.scopes.push(s());try{await this.processClone(e,n),i.append(...e.childNodes)}catch(r){if(r instanceof U)break;if(r instanceof R){this.truncateAfter(e,r.node);const s=this.document.createTextNode("");throw i.append(...e.childNodes,s),t.replaceWith(i),r.node=s,r}if(!(r instanceof B))throw this.relocateError(r,e,{...this.describeNode(t),line:this.locateNode(t)})}finally{s&&this.scopes.pop()}r&&await r()}t.replaceWith(i)}async processReturn(t){const e=t.getAttribute("expression");throw new R(e?await this.evaluate(e):void 0,t)}processFunc(t){const e=t.getAttribute("name"),r=this.parseParams(t.getAttribute("params")),s=t.cloneNode(!0),n=this.scopes.slice(),i={...this.describeNode(t),line:this.locateNode(t)};(this.currentModule()||this).functions.set(e,{name:e,params:r,body:s,closure:n,location:i}),this.options.hydrate?t.setAttribute("hidden",""):t.remove()}parseParams(t){if(!t||!t.trim())return[];const e=[];let r=0,s=0;return this.tokenize(t).forEach(n=>{"operator"===n.type&&("([{".includes(n.value)?r++:")]}".includes(n.value)?r--:","===n.value&&0===r&&(e.push(t.slice(s,n.pos)),s=n.pos+1))}),e.push(t.slice(s)),e.map((t,r)=>{const s=/^\s*(\.\.\.)?\s*([a-zA-Z_$][a-zA-Z0-9_$]*)\s*(?:=([\s\S]+))?$/.exec(t);if(!s)throw new Error(`Invalid parameter: ${t.trim()}`);const n={name:s[2],rest:Boolean(s[1]),defaultValue:s[3]?s[3].trim():null};if(n.rest&&(r!==e.length-1||n.defaultValue))throw new Error(`Rest parameter ${n.name} must be last and cannot have a default`);return n})}async processCall(t){const e=t.getAttribute("func"),r=t.getAttribute("args"),s=t.getAttribute("var"),n=this.findFunction(e);if(!n)throw new Error(`Function ${e} not found`);const i=r?await this.evaluate(`[${r}]`):[],{value:a,body:o}=await this.runFunction(n,i);s?(this.setVariable(s,a),t.remove()):t.replaceWith(...o.childNodes)}async runFunction(t,e){if(t.native)return this.tracing&&this.record({type:"call",name:t.name,args:e,native:!0}),{value:await t.native(...e),body:this.document.createDocumentFragment()};if(!(t.params.length&&t.params[t.params.length-1].rest)&&e.length>t.params.length)throw new Error("Argument count mismatch");const r=this.scopes;this.scopes=[...t.closure,new Map],this.tracing&&this.record({type:"call",name:t.name,args:e}),this.callStack.push(`${t.name}()`);try{for(let r=0;r<t.params.length;r++){const s=t.params[r];let n=s.rest?e.slice(r):e[r];if(void 0===n&&null!==s.defaultValue)n=await this.evaluate(s.defaultValue);else if(void 0===n)throw new Error(`Missing argument ${s.name} for function ${t.name}`);this.setVariable(s.name,n)}const r=t.body.cloneNode(!0);let s;try{await this.processClone(r,t.body)}catch(e){if(!(e instanceof R))throw this.relocateError(e,r,t.location);s=e.value,this.truncateAfter(r,e.node)}return{value:s,body:r}}finally{this.callStack.pop(),this.scopes=r}}truncateAfter(t,e){if(!e||!t.contains(e))return;const r=["if","else","for","while","each","empty","scope","try","catch"];let s=e;for(;s!==t;){const t=s.parentNode;for(;s.nextSibling;)s.nextSibling.remove();s===e?s.remove():r.includes(this.resolveTag(s.tagName.toLowerCase()))&&s.replaceWith(...s.childNodes),s=t}}processComponent(t){const e=(t.getAttribute("name")||"").toLowerCase();if(!/^[a-z][a-z0-9]*(?:-[a-z0-9]+)+$/.test(e))throw new Error(`Invalid component name: ${e||"(missing)"} (use a name with a hyphen, such as user-card)`);const r={name:e,params:this.parseParams(t.getAttribute("props")),body:t.cloneNode(!0),closure:this.scopes.slice(),shadow:t.hasAttribute("shadow"),location:{...this.describeNode(t),line:this.locateNode(t)}};this.registerTag(e,{process:t=>this.renderComponent(r,t)}),this.options.hydrate?t.setAttribute("hidden",""):t.remove()}async renderComponent(t,e){const r=new Map(Array.from(e.attributes,t=>[t.name,t.value])),s=new Map;for(const e of t.params){const t=l(e.name);!e.rest&&r.has(t)&&(s.set(e.name,await this.readProp(r.get(t))),r.delete(t))}const n=t.params.find(t=>t.rest),i={};for(const[t,e]of r)i[n?h(t):t]=n?await this.readProp(e):await this.interpolate(e);n&&s.set(n.name,i);const a=new Map;if(t.shadow)await this.processChildren(e);else{Array.from(e.childNodes).forEach(t=>{const e=1===t.nodeType&&t.getAttribute("slot")||"";a.has(e)||a.set(e,this.document.createDocumentFragment()),e&&t.removeAttribute("slot"),a.get(e).append(t)});for(const t of a.values())await this.processChildren(t)}const o=t.body.cloneNode(!0),c=this.scopes;this.scopes=[...t.closure,new Map];try{for(const e of t.params){let r=s.get(e.name);if(void 0===r&&null!==e.defaultValue)r=await this.evaluate(e.defaultValue);else if(void 0===r)throw new Error(`Missing prop ${e.name} for <${t.name}>`);this.setVariable(e.name,r)}await this.processClone(o,t.body)}catch(e){throw this.relocateError(e,o,t.location)}finally{this.scopes=c}if(t.shadow){const t=e.shadowRoot||e.attachShadow({mode:"open"});for(;t.firstChild;)t.firstChild.remove();return void t.append(...o.childNodes)}Array.from(o.querySelectorAll("slot")).forEach(t=>{const e=a.get(t.getAttribute("name")||""),r=e&&Array.from(e.childNodes).some(t=>1===t.nodeType||t.textContent.trim());t.replaceWith(...r?e.childNodes:t.childNodes)});const u=Array.from(o.childNodes).filter(t=>1===t.nodeType||3===t.nodeType&&t.textContent.trim());n||1!==u.length||1!==u[0].nodeType||Object.entries(i).forEach(([t,e])=>{"class"===t?u[0].classList.add(...e.split(/\s+/).filter(Boolean)):u[0].hasAttribute(t)||u[0].setAttribute(t,e)}),e.replaceWith(...o.childNodes)}async readProp(t){const e=this.parseTemplate(t);return 1!==e.length||"expression"!==e[0].type||e[0].raw?this.interpolate(t):this.evaluate(e[0].expression)}linkedController(){const t=new AbortController;return this.signal&&this.signal.aborted?t.abort():this.signal&&this.signal.addEventListener("abort",()=>t.abort(),{once:!0}),t}async readMs(t,e="ms"){if(!t.hasAttribute(e))throw new Error(`Missing ${e}`);const r=await this.evaluate(t.getAttribute(e));if("number"!=typeof r||!Number.isFinite(r)||r<0)throw new Error(`Invalid ${e}: ${P(r)}`);return r}async processWait(t){await I(await this.readMs(t),this.signal),await this.processChildren(t),t.replaceWith(...t.childNodes)}async processTimeout(t){const e=await this.readMs(t),r=this.linkedController();let s=null;const n=new Promise((t,n)=>{s=setTimeout(()=>{r.abort(),n(new W(`Timed out after ${e}ms`,{type:"timeout"}))},e)}),i=this.fork(r.signal).processChildren(t);try{await Promise.race([i,n])}catch(e){throw i.catch(()=>{}),t.remove(),e}finally{clearTimeout(s)}t.replaceWith(...t.childNodes)}async processParallel(t){const e=this.linkedController();let r=null;if(await Promise.all(Array.from(t.childNodes).map(t=>this.fork(e.signal).processNode(t).catch(t=>{r||(r=t),e.abort()}))),r)throw r;t.replaceWith(...t.childNodes)}async processRace(t){const e=t.getAttribute("var"),r=Array.from(t.children).map(t=>{const e=this.document.createComment("race"),r=this.document.createComment("/race");return t.before(e),t.after(r),{child:t,start:e,end:r}}),s=this.linkedController();let n=-1;try{await new Promise((t,e)=>{r.length||t(),r.forEach(({child:r},i)=>{this.fork(s.signal).processNode(r).then(()=>{-1===n&&(n=i),t()},t=>{-1===n&&(n=i),e(t)})})})}finally{s.abort(),r.forEach(({start:t,end:e},r)=>{if(r!==n)for(;t.nextSibling&&t.nextSibling!==e;)t.nextSibling.remove();t.remove(),e.remove()})}e&&this.setVariable(e,n),t.replaceWith(...t.childNodes)}async processInterval(t){const e=await this.readMs(t),r=t.hasAttribute("times")?Number(t.getAttribute("times")):1/0;if(!(r>=1))throw new Error(`Invalid times: ${t.getAttribute("times")}`);const s=t.getAttribute("until"),n=t.getAttribute("name"),i=t.getAttribute("index"),a=t.cloneNode(!0),o=this.scopes.slice(),c=this.linkedController(),l={...this.describeNode(t),line:this.locateNode(t)},h=this.createRange(t);let u=0,p=null;const d=()=>{clearTimeout(p),c.abort(),this.timers.delete(d),n&&this.handlers.get(n)===d&&this.handlers.delete(n)},f=async()=>{const t=this.fork(c.signal);t.scopes=[...o,new Map(i?[[i,u]]:[])];const e=a.cloneNode(!0);try{await t.withTimeLimit(()=>t.processChildren(e)),this.fillRange(h,Array.from(e.childNodes))}catch(t){throw this.relocateError(t,e,l)}return u++,u>=r||Boolean(s&&await t.evaluate(s))},m=()=>{p=setTimeout(async()=>{let t;try{t=await f()}catch(t){if(c.signal.aborted)return;this.reportError(this.toHtmlScriptError(t),{node:h.start.parentNode})}t?d():c.signal.aborted||m()},e)};this.timers.add(d),n&&(this.handlers.has(n)&&this.handlers.get(n)(),this.handlers.set(n,d));try{if(await f())return void d()}catch(t){throw d(),t}m()}async processScope(t){this.scopes.push(new Map),await this.processChildren(t),t.replaceWith(...t.childNodes),this.scopes.pop()}async bindControl(t,e){if(!/^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*$/.test(e))throw new Error(`Invalid bind path: ${e}`);const[r,...s]=e.split(".");if(s.some(t=>"__proto__"===t||"constructor"===t||"prototype"===t))throw new Error(`Invalid bind path: ${e}`);const n=this.scopes.slice(),i=()=>{const t=this.fork(null);return t.scopes=n.slice(),t.tracking=null,t},a=()=>s.reduce((t,e)=>null==t?void 0:t[e],i().getVariable(r)),o=t=>{const n=i();if(!s.length)return void n.assignVariable(r,t);let a=n.getVariable(r);null==a&&(a={});let o=a;s.forEach((n,i)=>{const a=[r,...s.slice(0,i)].join(".");if(null===o||"object"!=typeof o)throw new Error(`Cannot bind ${e}: ${a} is not an object`);this.checkPathTarget(o,`${a}.${n}`),i===s.length-1?E(o,n,t):(void 0!==o[n]&&null!==o[n]||E(o,n,{}),o=o[n])}),n.assignVariable(r,a)},c={node:t,path:e,scopes:n,read:a,validate:()=>this.validateControl(t,c)};if(this.boundControls.set(t,c),void 0===a()){const e=v(t,void 0);void 0!==e&&o(e)}const l=t.getAttribute("error");l&&void 0===i().getVariable(l)&&this.setVariable(l,"");let h=!1,u=0;const p=()=>{u++,this.enqueue(async()=>{try{const e=v(t,a());x(e,a())||o(e),h=!0,await c.validate()}catch(e){this.reportError(this.toHtmlScriptError(e,t),{node:t})}finally{u--}})};(t.hasAttribute("lazy")?["change"]:["input","change"]).forEach(e=>{t.addEventListener(e,p),this.eventBindings.push({target:t,event:e,listener:p})});const d={node:t,scopes:n,deps:[],render:async r=>{const s=await r(e);u||A(t,s),h&&await c.validate()}};await this.runBinding(d)}async validateControl(t,e){if(t.hasAttribute("validate")){const r=this.fork(null);r.scopes=[...e.scopes,new Map([["value",e.read()]])];const s=await r.evaluate(t.getAttribute("validate"));t.setCustomValidity(s?"":t.getAttribute("validate-message")||"Invalid value")}let r="";if(t.validity&&!t.validity.valid){const e=Object.keys(b).find(e=>t.validity[e]);r=e&&t.getAttribute(`${b[e]}-message`)||t.validationMessage||"Invalid value"}if(t.setAttribute("aria-invalid",r?"true":"false"),t.hasAttribute("error")){const s=this.fork(null);s.scopes=e.scopes.slice(),s.assignVariable(t.getAttribute("error"),r)}return r}bindForm(t){const e=t.getAttribute("submit"),r=this.scopes.slice(),s=s=>{s.preventDefault(),this.enqueue(n=>n.submitForm(t,e,r,s))};t.addEventListener("submit",s),this.eventBindings.push({target:t,event:"submit",listener:s})}async submitForm(t,e,r,s){try{const n={},i={};let a=null;for(const e of Array.from(t.elements)){const t=this.boundControls.get(e);if(!t)continue;const r=await t.validate();r&&!(t.path in i)&&(i[t.path]=r),r&&!a&&(a=e);const s=t.path.split("."),o=s.slice(0,-1).reduce((t,e)=>(Object.prototype.hasOwnProperty.call(t,e)||E(t,e,{}),t[e]),n);E(o,s[s.length-1],t.read())}if(a)return"function"==typeof a.focus&&a.focus(),void this.emit("invalid",{form:t,errors:i});this.scopes=[...r,new Map([["values",n],["event",s],["form",t]])],e&&await this.evaluate(e)}catch(e){this.reportError(this.toHtmlScriptError(e,t),{node:t})}}async processOutput(t){const e=t.getAttribute("expression");await this.bind(t,async r=>{const s=await r(e);t.textContent=s.toString()})}async processTry(t){const e=this.nextTag(t,"catch"),r=e&&e.getAttribute("var")||"e";try{this.tryDepth++;try{await this.processChildren(t)}finally{this.tryDepth--}t.replaceWith(...t.childNodes),e&&e.remove()}catch(s){if(t.remove(),!e)throw s;this.setVariable(r,s),await this.processChildren(e),e.replaceWith(...e.childNodes)}}async processImport(t){const e=t.getAttribute("src"),r=t.getAttribute("type")||"script",s=t.getAttribute("namespace")||("module"===r?"imported":null);try{if(!e)throw new Error("Missing src");if(!c.includes(r))throw new Error(`Invalid import type: ${r}`);if(this.options.safe&&"html"!==r)throw p(`<import type="${r}"> runs JavaScript`);if(s&&!/^[A-Za-z_$][\w$]*$/.test(s))throw new Error(`Invalid namespace: ${s}`);const n=await this.loadModule(this.resolveImport(e),r),i=(this.currentModule()||this).functions;if(s?(this.setVariable(s,{...n.variables}),n.functions.forEach((t,e)=>i.set(`${s}.${e}`,t))):(Object.entries(n.variables).forEach(([t,e])=>this.setVariable(t,e)),n.functions.forEach((t,e)=>i.set(e,t))),n.content)return void t.replaceWith(n.content.cloneNode(!0))}catch(e){const r=this.toHtmlScriptError(e,t);if(this.throwsErrors(t))throw r;this.reportError(r,{node:t})}t.remove()}resolveImport(t){const e=this.currentModule();try{return new URL(e?t:this.withBaseUrl(t),e?e.url:this.document.baseURI).href}catch(e){return t}}currentModule(){for(let t=this.scopes.length-1;t>=0;t--){const e=this.moduleScopes.get(this.scopes[t]);if(e)return e}return null}findFunction(t){const e=this.currentModule();return e&&e.functions.get(t)||this.functions.get(t)}async loadModule(t,e){const r=this.currentModule(),s=r?r.chain:[];if(s.includes(t))throw new W(`Circular import: ${[...s.slice(s.indexOf(t)),t].join(" -> ")}`,{type:"cycle"});const n=`${e} ${t}`;if(!this.modules.has(n)){const r=this.runModule(t,e,[...s,t]);this.modules.set(n,r),r.catch(()=>this.modules.delete(n))}return this.modules.get(n)}async runModule(t,e,r){const s={url:t,chain:r,variables:{},functions:new Map,content:null};if("module"===e||"plugin"===e){const r=await this.importModule(t);return"plugin"===e?(await this.usePlugin(r.default||r),s):(Object.keys(r).forEach(t=>{"function"==typeof r[t]?s.functions.set(t,{name:t,native:r[t]}):s.variables[t]=r[t]}),s)}const n=await this.send({url:t,type:"import"});if(!n.ok)throw new z(`HTTP ${n.status}${n.statusText?` ${n.statusText}`:""}: GET ${t}`,{type:"status",method:"GET",url:t,status:n.status});const i=await n.text();if("script"===e)return new(this.window?this.window.Function:Function)(i)(),s;const a=new Map,o={url:t,chain:r,functions:new Map,exports:new Map};this.moduleScopes.set(a,o);const c=this.document.createElement("div");c.innerHTML=i;const l=this.scopes;this.scopes=[this.scopes[0],a];try{await this.processChildren(c)}finally{this.scopes=l}return o.exports.forEach((e,r)=>{if(e)s.variables[r]=e.value;else if(o.functions.has(r))s.functions.set(r,o.functions.get(r));else{if(!a.has(r))throw new W(`Export ${r} is not defined in ${t}`);s.variables[r]=a.get(r),o.functions.forEach((t,e)=>{e.startsWith(`${r}.`)&&s.functions.set(e,t)})}}),s.content=this.document.createDocumentFragment(),s.content.append(...c.childNodes),s}async processExport(t){const e=this.currentModule();if(!e||!e.exports)throw new Error('<export> can only be used in a module loaded with <import type="html">');const r=(t.getAttribute("name")||"").split(",").map(t=>t.trim()).filter(Boolean);if(!r.length)throw new Error("Missing name");const s=r.find(t=>!/^[A-Za-z_$][\w$]*$/.test(t));if(s)throw new Error(`Invalid export name: ${s}`);if(t.hasAttribute("value")){if(r.length>1)throw new Error("value can only be used with a single name");e.exports.set(r[0],{value:await this.evaluate(t.getAttribute("value"))})}else r.forEach(t=>e.exports.set(t,null));t.remove()}async usePlugin(e){if("function"==typeof e)await e(this,t);else{if(!e||!e.tags)throw new Error("Plugin must be a function or an object with tags");Object.entries(e.tags).forEach(([t,e])=>this.registerTag(t,e))}}processOn(t){if(this.options.hydrate)return void t.setAttribute("hidden","");const e=t.getAttribute("event");if(!e)throw new Error("Missing event");const[r,...s]=e.split("."),n=t.getAttribute("selector"),i=t.getAttribute("name"),a=e=>{if(!t.hasAttribute(e))return 0;const r=Number(t.getAttribute(e));if(!Number.isFinite(r)||r<0)throw new Error(`Invalid ${e}: ${t.getAttribute(e)}`);return r},o=a("debounce"),c=a("throttle"),l=t.getAttribute("target"),h=l&&"document"!==l?"window"===l?[this.window]:Array.from(this.document.querySelectorAll(l)):[this.document],u=t=>s.includes(t),p=s.filter(t=>!m.includes(t)),d=!g.includes(r),f={capture:u("capture")||Boolean(n&&!d),passive:u("passive")},y=t.cloneNode(!0),b=this.scopes.slice();t.remove();const v=(t,e)=>this.enqueue(async r=>{r.scopes=[...b,new Map([["event",t],["target",e]])];try{await r.processChildren(y.cloneNode(!0))}catch(t){this.reportError(this.toHtmlScriptError(t),{node:e})}});let A=null,$=-1/0;const x=t=>{let e=t.currentTarget;if(n){let r=t.target;if(r&&1!==r.nodeType&&(r=r.parentElement),!r||"function"!=typeof r.closest)return;if(e=d?r.closest(n):r.matches(n)?r:null,!e||"function"==typeof t.currentTarget.contains&&!t.currentTarget.contains(e))return}if((!u("self")||t.target===e)&&(!p.length||w(t,p))){if(u("prevent")&&t.preventDefault(),u("stop")&&t.stopPropagation(),u("once")&&S(),o)return clearTimeout(A),void(A=setTimeout(()=>{(u("once")||this.eventBindings.includes(E[0]))&&v(t,e)},o));if(c){const t=Date.now();if(t-$<c)return;$=t}v(t,e)}},E=h.map(t=>({target:t,event:r,listener:x,options:f})),S=()=>{clearTimeout(A),E.forEach(t=>t.target.removeEventListener(r,x,f)),this.eventBindings=this.eventBindings.filter(t=>!E.includes(t)),i&&this.handlers.get(i)===S&&this.handlers.delete(i)};E.forEach(t=>t.target.addEventListener(r,x,f)),this.eventBindings.push(...E),i&&(this.handlers.has(i)&&this.handlers.get(i)(),this.handlers.set(i,S))}enqueue(t){const e=this.handlerQueue.then(()=>{const e=this.fork(null);return e.tryDepth=0,e.withTimeLimit(()=>t(e))});return this.handlerQueue=e.catch(()=>{}),e}processOff(t){const e=t.getAttribute("name");if(!e)throw new Error("Missing name");const r=this.handlers.get(e);r&&r(),t.remove()}async processDebug(t){const e=t.getAttribute("var");t.hasAttribute("trace")&&(this.tracing="off"!==t.getAttribute("trace")),t.hasAttribute("break")&&(this.options.debug?await this.pause(t):console.log("Breakpoint skipped, debug mode is off:",this.describeNode(t).path)),e?console.dir(this.getVariable(e)):t.hasAttribute("trace")||t.hasAttribute("break")||console.log("Debug point reached",(new Error).stack),t.remove()}record(t){t.stack=this.callStack.join(" > "),this.traceLog.push(t),this.traceLog.length>this.options.traceLimit&&this.traceLog.shift(),this.emit("trace",t)}async pause(t){this.stepDepth=null;const e=this.callStack.slice();this.paused={node:t,tag:t.tagName.toLowerCase(),path:this.describeNode(t).path,callStack:e},this.options.debug&&this.renderInspector(),this.emit("pause",this.paused);const r=await new Promise(t=>{this.resumePause=t});this.paused=null,this.resumePause=null,"step"===r&&(this.stepDepth=e.length),this.inspector&&this.renderInspector("Running"),this.emit("resume",{action:r})}resume(){this.resumePause&&this.resumePause("continue")}step(){this.resumePause&&this.resumePause("step")}renderInspector(t){const e=this.document;if(!e||!e.body)return;this.inspector&&this.inspector.isConnected||(this.inspector=e.createElement("div"),this.inspector.setAttribute("data-htmlscript-inspector",""),this.inspector.style.cssText="position:fixed;top:12px;right:12px;width:360px;max-height:80%;overflow:auto;z-index:2147483646;padding:10px 12px;background:#1e1e1e;color:#f8f8f2;border:1px solid #555;border-radius:6px;font:12px/1.5 monospace;",e.body.appendChild(this.inspector));const r=this.inspector;r.textContent="";const s=(t,s,n)=>{const i=e.createElement(t);return void 0!==s&&(i.textContent=s),n&&(i.style.cssText=n),r.appendChild(i),i},n=(t,e)=>{s("div",t,"margin-top:8px;font-weight:bold;color:#8be9fd;"),s("pre",e.length?e.join("\n"):"(empty)","margin:0;white-space:pre-wrap;")},i=this.paused;s("div",i?`Paused at <${i.tag}> (${i.path})`:t||"Running","font-weight:bold;");const a=(t,e,r)=>{const n=s("button",t,"margin:6px 6px 0 0;");n.disabled=!e,n.addEventListener("click",r)};a("Step over",i,()=>this.step()),a("Continue",i,()=>this.resume()),a("Close",!0,()=>{r.remove(),this.inspector=null}),n("Call stack",(i?i.callStack:this.callStack).slice().reverse());const o=[];for(let t=this.scopes.length-1;t>=0;t--)o.push(0===t?"global":`scope ${t}`),this.scopes[t].forEach((t,e)=>o.push(`  ${e} = ${P(t)}`));n("Scopes",o),n("Functions",Array.from(this.functions,([t,e])=>`${t}(${e.native?"...":e.params.map(t=>(t.rest?"...":"")+t.name).join(", ")})`)),(this.tracing||this.traceLog.length)&&n("Trace",this.traceLog.slice(-20).map(F))}async send({url:t,method:e="GET",headers:r={},body:s=null,signal:n,credentials:i,type:a="http"}){const o={url:this.withBaseUrl(t),method:e,headers:{...r},body:s,signal:n,credentials:i,type:a},c=this.options.headers,l="function"==typeof c?await c({...o}):c,h=Object.keys(o.headers).map(t=>t.toLowerCase());Object.entries(l||{}).forEach(([t,e])=>{h.includes(t.toLowerCase())||(o.headers[t]=e)}),this.checkOrigin(o.url),this.tracing&&this.record({type:"request",method:o.method,url:o.url});const u=({url:t,type:e,credentials:r,...s})=>this.fetch(t,r?{...s,credentials:r}:s),p=await(this.transport?"function"==typeof this.transport?this.transport(o,u):this.transport.send(o,u):u(o));return p&&p.url&&this.checkOrigin(p.url),p}checkOrigin(t){const{safe:e,origins:r}=this.options;if(!e&&!r)return;const s=this.document?this.document.baseURI:void 0;let n;try{n=new URL(t,s)}catch(e){throw new W(`Invalid request URL: ${t}`,{type:"policy",url:t})}const i=(r||[s]).map(d).filter(Boolean);if(!("null"!==n.origin?i.includes(n.origin):i.some(t=>t.endsWith("/")&&n.href.startsWith(t)))){const e="null"!==n.origin?n.origin:n.href;throw new W(`Requests to ${e} are not allowed (allowed origins: ${i.join(", ")||"none"})`,{type:"policy",url:t})}}async withTimeLimit(t){if(!(this.options.timeLimit<1/0))return t();const e=this.deadline;this.deadline=Date.now()+this.options.timeLimit;try{return await t()}finally{this.deadline=e}}checkTimeLimit(){if(null!==this.deadline&&Date.now()>this.deadline)throw new W(`Time limit of ${this.options.timeLimit}ms exceeded (timeLimit)`,{type:"limit"})}withBaseUrl(t){const{baseUrl:e}=this.options;return!e||/^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(t)?t:`${e.replace(/\/+$/,"")}/${t.replace(/^\/+/,"")}`}async processHttp(t){const e=t.getAttribute("var"),r=this.linkedController();this.requests.add(r);let s=null;try{s=this.bindAbort(t.getAttribute("abort-on"),r);const n=await this.httpRequest(t),i=await this.sendHttp(n,r.signal);e?(this.setVariable(e,i),t.remove()):t.textContent="string"==typeof i.data?i.data:JSON.stringify(i.data)}catch(r){this.failFormat(t,e,r,r instanceof z&&r.response?r.response:{})}finally{this.requests.delete(r),s&&s()}}async httpRequest(t){const e=(t.getAttribute("method")||"GET").toUpperCase();let r=await this.interpolate(t.getAttribute("url")||"");if(!r)throw new Error("Missing url");t.hasAttribute("params")&&(r=T(r,await this.evaluate(t.getAttribute("params"))));const s=t.hasAttribute("headers")?await this.evaluate(t.getAttribute("headers")):null,n=s instanceof Map?Object.fromEntries(s):{...s};let i=null;t.hasAttribute("body")&&"GET"!==e&&"HEAD"!==e&&(i=M(await this.evaluate(t.getAttribute("body")),t.getAttribute("body-type")||"json",n));const a=(e,r)=>{if(!t.hasAttribute(e))return r;const s=Number(t.getAttribute(e));if(!Number.isFinite(s)||s<0)throw new Error(`Invalid ${e}: ${t.getAttribute(e)}`);return s},o=t.getAttribute("response-type")||"auto";if(!["auto","json","text","blob","arraybuffer"].includes(o))throw new Error(`Invalid response-type: ${o}`);const c={url:r,method:e,headers:n,body:i,responseType:o,timeout:a("timeout",0),retry:Math.floor(a("retry",0)),retryDelay:a("retry-delay",500)};return t.hasAttribute("credentials")&&(c.credentials=t.getAttribute("credentials")),c}async sendHttp({retry:t,retryDelay:e,...r},s){for(let n=0;;n++)try{return await this.fetchHttp(r,s)}catch(i){if(!("network"===i.type||"timeout"===i.type||"status"===i.type&&(408===i.status||429===i.status||i.status>=500))||n>=t)throw i;const a=i.response&&Number(i.response.headers["retry-after"]),o=a>=0?1e3*a:e*2**n;this.tracing&&this.record({type:"retry",url:r.url,attempt:n+1,wait:o,error:i.message});try{await I(o,s)}catch(t){throw new z("Request aborted",{type:"abort",method:r.method,url:r.url,status:0,cause:t})}}}async fetchHttp({url:t,method:e,headers:r,body:s,responseType:n,timeout:i,credentials:a},o){const c=new AbortController,l=()=>c.abort();let h=!1;const u=i>0?setTimeout(()=>{h=!0,c.abort()},i):null;o.aborted?l():o.addEventListener("abort",l,{once:!0});const p=(r,s)=>h?new z(`Request timed out after ${i}ms`,{type:"timeout",method:e,url:t,status:0,cause:r}):o.aborted?new z("Request aborted",{type:"abort",method:e,url:t,status:0,cause:r}):new z(`${"network"===s?"Request failed":"Invalid response body"}: ${r.message}`,{type:s,method:e,url:t,status:0,cause:r});try{let i;try{i=await this.send({url:t,method:e,headers:r,body:s,credentials:a,signal:c.signal})}catch(t){throw t instanceof W&&"policy"===t.type?t:p(t,"network")}const o={};let l;i.headers.forEach((t,e)=>{o[e]=t});try{l=await j(i,n,o["content-type"]||"")}catch(t){throw p(t,"parse")}const h={status:i.status,ok:i.ok,headers:o,data:l};if(!i.ok)throw new z(`HTTP ${i.status}${i.statusText?` ${i.statusText}`:""}: ${e} ${t}`,{type:"status",method:e,url:t,status:i.status,response:h});return h}finally{clearTimeout(u),o.removeEventListener("abort",l)}}bindAbort(t,e){if(!t||!t.trim())return null;const[r,...s]=t.trim().split(/\s+/),n=s.join(" "),i=n&&"document"!==n?"window"===n?[this.window]:Array.from(this.document.querySelectorAll(n)):[this.document],a=()=>e.abort();return i.forEach(t=>t.addEventListener(r,a)),()=>i.forEach(t=>t.removeEventListener(r,a))}async processJson(t){const e=t.getAttribute("var"),r=t.getAttribute("action")||"parse",s=t.getAttribute("source")||t.textContent.trim();try{let n;if("parse"===r)n=JSON.parse(s);else{if("stringify"!==r)throw new Error("Invalid JSON action");{const t=await this.evaluate(s);n=JSON.stringify(t)}}e?(this.setVariable(e,n),t.remove()):t.textContent=n.toString()}catch(r){this.failFormat(t,e,r)}}async processCsv(t){const e=t.getAttribute("var"),r=t.getAttribute("action")||"parse",s=t.getAttribute("source")||t.textContent.trim();try{const n=this.csvOptions(t);let i;if("parse"===r)i=this.parseCsv(s,n);else{if("stringify"!==r)throw new Error("Invalid CSV action");i=this.stringifyCsv(await this.evaluate(s),n)}e?(this.setVariable(e,i),t.remove()):t.textContent="string"==typeof i?i:JSON.stringify(i)}catch(r){this.failFormat(t,e,r)}}csvOptions(t){const e=t.getAttribute("delimiter")||",",r=t.getAttribute("quote")||'"',s={delimiter:{tab:"\t","\\t":"\t",comma:",",semicolon:";",pipe:"|"}[e]||e,quote:r,header:t.hasAttribute("header")?"false"!==t.getAttribute("header"):void 0,skipEmpty:t.hasAttribute("skip-empty")&&"false"!==t.getAttribute("skip-empty"),comment:t.getAttribute("comment")||null,typed:t.hasAttribute("typed")&&"false"!==t.getAttribute("typed"),trim:"false"!==t.getAttribute("trim"),columns:t.hasAttribute("columns")?t.getAttribute("columns").split(",").map(t=>t.trim()):null,newline:"crlf"===t.getAttribute("newline")?"\r\n":"\n"};if(1!==s.delimiter.length||/[\r\n]/.test(s.delimiter))throw new Error(`Invalid CSV delimiter: ${e}`);if(1!==r.length||/[\r\n]/.test(r)||r===s.delimiter)throw new Error(`Invalid CSV quote: ${r}`);return s}parseCsv(t,{delimiter:e=",",quote:r='"',header:s=!1,skipEmpty:n=!1,comment:i=null,typed:a=!1,trim:o=!0}={}){const c=[];let l=[],h="",u=!1,p=1,d=0,f=0;const m=()=>{if(u)l.push(h);else{const t=o?h.trim():h;l.push(!a||!c.length&&s?t:C(t))}h="",u=!1},g=()=>{m(),n&&!l.some(t=>""!==t)||c.push(l),l=[]};for(;f<t.length;){const s=t[f];if(i&&!l.length&&!h&&!u&&t.startsWith(i,f)){const e=t.indexOf("\n",f);f=-1===e?t.length:e+1,p++;continue}if(s!==r||u||h.trim())if(s===e)m(),f++;else if("\r"===s||"\n"===s)g(),f+="\r"===s&&"\n"===t[f+1]?2:1,p++;else if(u){if(!/\s/.test(s))throw new Error(`Unexpected character after quoted field at line ${p}`);f++}else h+=s,f++;else{for(h="",u=!0,d=p,f++;;f++){if(f>=t.length)throw new Error(`Unterminated quoted field starting at line ${d}`);if(t[f]===r){if(t[f+1]!==r)break;f++}else"\n"===t[f]&&p++;h+=t[f]}f++}}if((h||u||l.length)&&g(),!s)return c;const y=c.shift()||[];return c.map(t=>{const e={};return y.forEach((r,s)=>{e[r]=s<t.length?t[s]:""}),e})}stringifyCsv(t,{delimiter:e=",",quote:r='"',header:s,columns:n=null,newline:i="\n"}={}){if(!Array.isArray(t))throw new Error("CSV stringify requires an array");const a=t=>{if(null==t)return"";let s;return s=t instanceof Date?t.toISOString():"object"==typeof t?JSON.stringify(t):String(t),s.includes(e)||s.includes(r)||/[\r\n]/.test(s)||/^\s|\s$/.test(s)?r+s.split(r).join(r+r)+r:s};let o;if(t.length&&t.every(t=>t&&"object"==typeof t&&!Array.isArray(t))){const e=t.map(t=>t instanceof Map?Object.fromEntries(t):t),r=n||Array.from(new Set(e.flatMap(t=>Object.keys(t))));o=e.map(t=>r.map(e=>t[e])),!1!==s&&o.unshift(r)}else o=t.map(t=>{if(!Array.isArray(t))throw new Error("CSV stringify requires an array of arrays or of objects");return n?n.map(e=>t[e]):t});return o.map(t=>t.map(a).join(e)).join(i)}async processIni(t){const e=t.getAttribute("var"),r=t.getAttribute("action")||"parse",s=t.getAttribute("source")||t.textContent.trim();try{const n=t.hasAttribute("typed")&&"false"!==t.getAttribute("typed");let i;if("parse"===r)i=this.parseIni(s,{typed:n});else{if("stringify"!==r)throw new Error("Invalid INI action");i=this.stringifyIni(await this.evaluate(s))}e?(this.setVariable(e,i),t.remove()):t.textContent="string"==typeof i?i:JSON.stringify(i)}catch(r){this.failFormat(t,e,r)}}parseIni(t,{typed:e=!1}={}){const r={n:"\n",t:"\t",r:"\r",0:"\0"},s={};let n=s;const i=t.replace(/\r\n?/g,"\n").split("\n"),a=(t,e)=>{let r=s;return t.split(".").map(t=>t.trim()).forEach(s=>{if(!s)throw new Error(`Invalid section name [${t}] at line ${e}`);if(Object.prototype.hasOwnProperty.call(r,s)||E(r,s,{}),r=r[s],null===r||"object"!=typeof r||Array.isArray(r))throw new Error(`Section [${t}] conflicts with key ${s} at line ${e}`)}),r},o=(t,s)=>{if('"'!==t[0]&&"'"!==t[0]){const r=/(?:^|\s)[;#]/.exec(t),s=r?t.slice(0,r.index).trim():t;return e?k(s):s}const n=t[0];let i="",a=1;for(;a<t.length&&t[a]!==n;a++)if("\\"===t[a]&&'"'===n&&a+1<t.length){const e=t[++a];"u"===e&&/^[0-9a-fA-F]{4}$/.test(t.substr(a+1,4))?(i+=String.fromCharCode(parseInt(t.substr(a+1,4),16)),a+=4):i+=e in r?r[e]:e}else i+=t[a];if(a>=t.length)throw new Error(`Unterminated quoted value at line ${s}`);const o=t.slice(a+1).trim();if(o&&";"!==o[0]&&"#"!==o[0])throw new Error(`Unexpected text after quoted value at line ${s}`);return i};for(let t=0;t<i.length;t++){const e=t+1;let r=i[t].trim();for(;r.endsWith("\\")&&t+1<i.length;)r=r.slice(0,-1)+i[++t].trim();if(!r||";"===r[0]||"#"===r[0])continue;if("["===r[0]){const t=/^\[([^\]]*)\]\s*(?:[;#].*)?$/.exec(r);if(!t)throw new Error(`Invalid section header at line ${e}`);n=a(t[1].trim(),e);continue}const s=/^([^=:]*?)\s*[=:]\s*(.*)$/.exec(r);if(!s&&/\s/.test(r))throw new Error(`Invalid line ${e}: ${r}`);const c=s?s[1]:r;if(!c)throw new Error(`Missing key at line ${e}`);const l=!s||o(s[2],e);if(c.endsWith("[]")){const t=c.slice(0,-2).trim();if(Object.prototype.hasOwnProperty.call(n,t)||E(n,t,[]),!Array.isArray(n[t]))throw new Error(`Key ${t} is not an array at line ${e}`);n[t].push(l)}else E(n,c,l)}return s}stringifyIni(t){if(null===t||"object"!=typeof t||Array.isArray(t))throw new Error("INI stringify requires an object");const e=t=>{if(null==t)return"";const e=t instanceof Date?t.toISOString():String(t);return/^\s|\s$|^["']|(?:^|\s)[;#]|\\$|[\x00-\x1f\x7f]/.test(e)?`"${e.replace(/[\\"]/g,"\\$&").replace(/\n/g,"\\n").replace(/\r/g,"\\r").replace(/\t/g,"\\t").replace(/[\x00-\x1f\x7f]/g,t=>`\\u${t.charCodeAt(0).toString(16).padStart(4,"0")}`)}"`:e},r=t=>{if(!t||/[=:\[\]\r\n]/.test(t)||/^[;#\s]|\s$/.test(t))throw new Error(`Invalid INI key: ${t}`);return t},s=[],n=(t,i)=>{const a=[],o=[];(t=>t instanceof Map?Array.from(t,([t,e])=>[String(t),e]):Object.entries(t))(t).forEach(([t,s])=>{void 0!==s&&"function"!=typeof s&&((t=>!(null===t||"object"!=typeof t||Array.isArray(t)||t instanceof Date||t instanceof Set))(s)?((t=>{if(t.includes("."))throw new Error(`Invalid INI section name: ${t} (dots separate nested sections)`);r(t)})(t),o.push([i?`${i}.${t}`:t,s])):Array.isArray(s)||s instanceof Set?Array.from(s).forEach(s=>{if(null!==s&&"object"==typeof s&&!(s instanceof Date))throw new Error(`INI cannot store nested values in ${t}[]`);a.push(`${r(t)}[]=${e(s)}`)}):a.push(`${r(t)}=${e(s)}`))}),null===i?a.length&&s.push(a.join("\n")):!a.length&&o.length||s.push([`[${i}]`,...a].join("\n")),o.forEach(([t,e])=>n(e,t))};return n(t,null),s.join("\n\n")}async processXml(t){const e=t.getAttribute("var"),r=t.getAttribute("action")||"parse",s=t.getAttribute("source")||(t.children.length?t.innerHTML:t.textContent).trim();try{const n="preserve"===t.getAttribute("whitespace");let i;if("parse"===r)i=this.parseXml(s,{whitespace:n});else if("stringify"===r){const e=t.hasAttribute("indent")?parseInt(t.getAttribute("indent"),10)||0:t.hasAttribute("pretty")?2:0,r=t.hasAttribute("declaration")&&"false"!==t.getAttribute("declaration");i=this.objectToXml(await this.evaluate(s),{indent:e,declaration:r})}else{if("query"!==r)throw new Error("Invalid XML action");{const e=t.getAttribute("xpath");if(!e)throw new Error("XML query requires an xpath attribute");let r=t.hasAttribute("source")?await this.evaluate(s):s;null!==r&&"object"==typeof r&&(r=this.objectToXml(r));const a=t.hasAttribute("namespaces")?await this.evaluate(t.getAttribute("namespaces")):null;i=this.queryXml(String(r),e,{namespaces:a,whitespace:n,first:t.hasAttribute("first")})}}e?(this.setVariable(e,i),t.remove()):t.textContent="string"==typeof i?i:JSON.stringify(i)}catch(r){this.failFormat(t,e,r)}}throwsErrors(t){return!(!this.signal||!this.signal.aborted)||Boolean(this.options.strict||t.hasAttribute("strict")||this.tryDepth>0)}failFormat(t,e,r,s={}){const n=this.toHtmlScriptError(r,t);if(this.throwsErrors(t))throw n;this.reportError(n,{node:t}),e?(this.setVariable(e,{...s,error:n.message}),t.remove()):t.textContent=`Error: ${n.message}`}parseXmlDocument(t){const e=(new this.window.DOMParser).parseFromString(t,"application/xml"),r=e.querySelector("parsererror");if(r){const t=r.textContent.trim().split("\n")[0];throw new Error(t?`Invalid XML: ${t}`:"Invalid XML")}return e}parseXml(t,e={}){const r=this.parseXmlDocument(t),s=this.xmlToObject(r.documentElement,e),n=/^\uFEFF?\s*<\?xml\s([^?]*)\?>/.exec(t);n&&(s.declaration={},n[1].replace(/([\w-]+)\s*=\s*(["'])(.*?)\2/g,(t,e,r,n)=>{s.declaration[e]=n}));const i=[],a=[];let o=i;for(const t of r.childNodes)if(t===r.documentElement)o=a;else{const r=this.xmlToObject(t,e);r&&o.push(r)}return i.length&&(s.prolog=i),a.length&&(s.epilog=a),s}xmlToObject(t,{whitespace:e=!1}={}){switch(t.nodeType){case 1:{const r={type:"element",name:t.tagName,namespace:t.namespaceURI||null,attributes:{},children:[]};for(const e of t.attributes)E(r.attributes,e.name,e.value);for(const s of t.childNodes){const t=this.xmlToObject(s,{whitespace:e});t&&r.children.push(t)}return r.text=r.children.map(t=>"element"===t.type?t.text:"text"===t.type||"cdata"===t.type?t.value:"").join(""),r}case 2:return t.value;case 3:return e||t.data.trim()?{type:"text",value:t.data}:null;case 4:return{type:"cdata",value:t.data};case 7:return{type:"pi",target:t.target,value:t.data};case 8:return{type:"comment",value:t.data};case 9:return this.xmlToObject(t.documentElement,{whitespace:e});case 10:return{type:"doctype",name:t.name,publicId:t.publicId||null,systemId:t.systemId||null};default:return null}}objectToXml(t,{indent:e=0,declaration:r=!1}={}){if(null===t||"object"!=typeof t)throw new Error("XML stringify requires an element object");const s=" ".repeat(Math.max(0,e)),n=t=>{if(!/^[\p{L}_][\p{L}\p{N}_.-]*(?::[\p{L}_][\p{L}\p{N}_.-]*)?$/u.test(t))throw new Error(`Invalid XML name: ${t}`);return t},i=t=>{if(/[\x00-\x08\x0b\x0c\x0e-\x1f\uFFFE\uFFFF]/.test(t))throw new Error("Text contains characters that are not allowed in XML");return t},a=t=>i(String(t)).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;"),o=t=>a(t).replace(/"/g,"&quot;").replace(/\t/g,"&#9;").replace(/\n/g,"&#10;").replace(/\r/g,"&#13;"),c=t=>null===t||"object"!=typeof t||"text"===t.type||"cdata"===t.type,l=(t,e,r,h)=>{if(null==t)return"";if("object"!=typeof t)return a(t);const u=t.type||"element",p=null===t.value||void 0===t.value?"":String(t.value);switch(u){case"text":return a(p);case"cdata":return`<![CDATA[${i(p).split("]]>").join("]]]]><![CDATA[>")}]]>`;case"comment":if(/--|-$/.test(p))throw new Error('XML comments cannot contain "--" or end with "-"');return`\x3c!--${i(p)}--\x3e`;case"pi":if(/^xml$/i.test(n(String(t.target))))throw new Error("Use the declaration option for the XML declaration");if(p.includes("?>"))throw new Error('XML processing instructions cannot contain "?>"');return`<?${t.target}${p?` ${i(p)}`:""}?>`;case"doctype":{const e=t.publicId?` PUBLIC "${t.publicId}" "${t.systemId||""}"`:t.systemId?` SYSTEM "${t.systemId}"`:"";return`<!DOCTYPE ${n(String(t.name))}${e}>`}case"element":break;default:throw new Error(`Unknown XML node type: ${u}`)}const d=n(String(t.name||"root")),f=new Map(r);let m="";for(const[e,r]of Object.entries(t.attributes||{}))n(e),"xmlns"===e?f.set("",String(r)):e.startsWith("xmlns:")&&f.set(e.slice(6),String(r)),m+=` ${e}="${o(r)}"`;if("namespace"in t){const e=d.includes(":")?d.slice(0,d.indexOf(":")):"",r=t.namespace||"";if((f.get(e)||"")!==r){if(e&&!r)throw new Error(`Prefix ${e} requires a namespace`);m+=` ${e?`xmlns:${e}`:"xmlns"}="${o(r)}"`,f.set(e,r)}}let g=Array.isArray(t.children)?t.children:[];if(g.length||void 0===t.text||null===t.text||""===t.text||(g=[{type:"text",value:t.text}]),!g.length)return`<${d}${m}/>`;const y=h||!s||g.some(c);return`<${d}${m}>${g.map(t=>{const r=l(t,e+1,f,y);return y?r:`\n${s.repeat(e+1)}${r}`}).join("")}${y?"":`\n${s.repeat(e)}`}</${d}>`},h=[],u=t.declaration||(r?{version:"1.0",encoding:"UTF-8"}:null);u&&h.push(`<?xml version="${o(u.version||"1.0")}"${u.encoding?` encoding="${o(u.encoding)}"`:""}${u.standalone?` standalone="${o(u.standalone)}"`:""}?>`);const p=new Map([["xml","http://www.w3.org/XML/1998/namespace"]]);return(t.prolog||[]).forEach(t=>h.push(l(t,0,p,!1))),h.push(l(t,0,p,!1)),(t.epilog||[]).forEach(t=>h.push(l(t,0,p,!1))),h.join("\n")}queryXml(t,e,{namespaces:r=null,whitespace:s=!1,first:n=!1}={}){const i=this.parseXmlDocument(t),{XPathResult:a}=this.window,o=r?t=>Object.prototype.hasOwnProperty.call(r,t)?r[t]:i.documentElement.lookupNamespaceURI(t):t=>i.documentElement.lookupNamespaceURI(t);let c;try{c=i.evaluate(e,i,o,a.ANY_TYPE,null)}catch(t){throw new Error(`Invalid XPath ${e}: ${t.message}`)}switch(c.resultType){case a.NUMBER_TYPE:return c.numberValue;case a.STRING_TYPE:return c.stringValue;case a.BOOLEAN_TYPE:return c.booleanValue;default:{const t=[];for(let e=c.iterateNext();e;e=c.iterateNext()){const r=3===e.nodeType?e.data:this.xmlToObject(e,{whitespace:!0});if(null!==r&&t.push(r),n)break}return n?t.length?t[0]:null:t}}}async processYml(t){const e=t.getAttribute("var"),r=t.getAttribute("action")||"parse",s=t.getAttribute("source")||S(t.textContent);try{const n={multi:t.hasAttribute("multi")&&"false"!==t.getAttribute("multi")};let i;if("parse"===r)i=this.parseYml(s,n);else{if("stringify"!==r)throw new Error("Invalid YML action");{const t=await this.evaluate(s);i=this.stringifyYml(t,n)}}e?(this.setVariable(e,i),t.remove()):t.textContent="string"==typeof i?i:JSON.stringify(i)}catch(r){this.failFormat(t,e,r)}}parseYml(t,{multi:e=!1}={}){const r=t.replace(/\r\n?/g,"\n"),s=new Map,n=",[]{}",i={0:"\0",a:"",b:"\b",t:"\t","\t":"\t",n:"\n",v:"\v",f:"\f",r:"\r",e:""," ":" ",'"':'"',"/":"/","\\":"\\",N:"",_:" ",L:"\u2028",P:"\u2029"},a=["str","int","float","bool","null","seq","map"];let o=0;const c=(t,e=o)=>{const s=r.slice(0,e);return new Error(`${t} at line ${s.split("\n").length}, column ${e-s.lastIndexOf("\n")}`)},l=(t=o)=>r.lastIndexOf("\n",t-1)+1,h=(t=o)=>t-l(t),u=t=>t>=r.length||" "===r[t]||"\t"===r[t]||"\n"===r[t],p=()=>o>=r.length||"\n"===r[o],d=(t=o)=>0===h(t)&&(r.startsWith("---",t)||r.startsWith("...",t))&&u(t+3),f=(t=o)=>"-"===r[t]&&u(t+1),m=()=>{for(;" "===r[o]||"\t"===r[o];)o++;if("#"===r[o]&&(0===o||u(o-1)))for(;!p();)o++},g=()=>{for(;m(),"\n"===r[o];)o++;const t=r.slice(l(),o);if(o<r.length&&!t.trim()&&t.includes("\t"))throw c("Tabs are not allowed in indentation")},y=()=>{if(m(),!p()&&r.slice(l(),o).trim())throw c(":"===r[o]?"Unexpected mapping value (check the indentation)":"Unexpected content")},w=()=>{let t=o;if('"'===r[t]||"'"===r[t]){const e=r[t];for(t++;t<r.length&&"\n"!==r[t];t++)if("\\"===r[t]&&'"'===e)t++;else if(r[t]===e){if("'"===e&&"'"===r[t+1]){t++;continue}break}if(r[t]!==e)return!1;for(t++;" "===r[t]||"\t"===r[t];t++);return":"===r[t]&&u(t+1)}if("["===r[t]||"{"===r[t])return!1;for(;t<r.length&&"\n"!==r[t];t++){if(":"===r[t]&&u(t+1))return!0;if("#"===r[t]&&u(t-1))return!1}return!1},b=()=>{const t=o;for(;!u(o)&&!n.includes(r[o]);)o++;return r.slice(t,o)},v=()=>{const t={anchor:null,tag:null};for(;"&"===r[o]||"!"===r[o];){const e=o,r=b();if("&"===r[0]){if(r.length<2)throw c("Missing anchor name",e);t.anchor=r.slice(1)}else if("!"===r)t.tag="str";else{if(!r.startsWith("!!")||!a.includes(r.slice(2)))throw c(`Unsupported tag: ${r}`,e);t.tag=r.slice(2)}m()}return t},A=t=>{const e=o;if(null!==t.anchor||null!==t.tag)throw c("An alias cannot have an anchor or a tag");o++;const r=b();if(!s.has(r))throw c(`Unknown alias: ${r}`,e);return s.get(r)},$=(t,e,r,s)=>{if(null===r)return e?this.parseYmlValue(t):t;if("str"===r)return t;const n=this.parseYmlValue(t);if(!{int:Number.isInteger(n),float:"number"==typeof n,bool:"boolean"==typeof n,null:null===n}[r])throw c(`Invalid !!${r} value: ${t}`,s);return n},x=(t,e,r)=>{if("seq"===e.tag&&!Array.isArray(t))throw c("Expected a sequence for !!seq",r);if("map"===e.tag&&(null===t||"object"!=typeof t||Array.isArray(t)))throw c("Expected a mapping for !!map",r);return null!==e.anchor&&s.set(e.anchor,t),t},S=()=>{const t=r[o],e=o;let s="";for(o++;;){if(o>=r.length)throw c("Unterminated quoted string",e);const n=r[o];if(n===t){if("'"===t&&"'"===r[o+1]){s+="'",o+=2;continue}return o++,s}if("\\"===n&&'"'===t){const t=r[o+1];if("\n"===t){for(o+=2;" "===r[o]||"\t"===r[o];o++);continue}const e={x:2,u:4,U:8}[t];if(e){const t=r.substr(o+2,e);if(t.length!==e||!/^[0-9a-fA-F]+$/.test(t))throw c("Invalid escape sequence");s+=String.fromCodePoint(parseInt(t,16)),o+=2+e;continue}if(!Object.prototype.hasOwnProperty.call(i,t))throw c("Invalid escape sequence");s+=i[t],o+=2;continue}if("\n"===n){s=s.replace(/[ \t]+$/,"");let t=0;for(;"\n"===r[o]||" "===r[o]||"\t"===r[o];o++)"\n"===r[o]&&t++;s+=t>1?"\n".repeat(t-1):" ";continue}s+=n,o++}},k=(t,e)=>{if("@"===r[o]||"`"===r[o])throw c(`Unexpected character: ${r[o]}`);let s="";for(;;){const i=o;for(;o<r.length&&"\n"!==r[o];){const t=r[o];if(":"===t&&(u(o+1)||e&&n.includes(r[o+1])))break;if("#"===t&&u(o-1))break;if(e&&n.includes(t))break;o++}if(s+=r.slice(i,o).trim(),!p())return s;let a=o,c=0;for(;"\n"===r[a]||" "===r[a]||"\t"===r[a];a++)"\n"===r[a]&&c++;if(a>=r.length||h(a)<t||"#"===r[a]||d(a))return s;if(e&&(n.includes(r[a])||":"===r[a]))return s;s+=c>1?"\n".repeat(c-1):" ",o=a}},C=()=>{for(;;){if(m(),"\n"!==r[o])return;o++}},N=t=>{const e=o,s=v();if("*"===r[o])return A(s);if("["===r[o]||"{"===r[o]){if(t)throw c("A collection cannot be used as a key");return x(T(),s,e)}const n='"'!==r[o]&&"'"!==r[o],i=n?k(0,!0):S();return x(t&&null===s.tag?i:$(i,n,s.tag,e),s,e)},T=()=>{const t=o,e="["===r[o],s=e?"]":"}",n=e?[]:{};for(o++;;){if(C(),o>=r.length)throw c(`Unterminated flow collection, expected ${s}`,t);if(r[o]===s)return o++,n;const i=o;let a=N(!e),l=null;if(C(),":"===r[o]&&(o++,C(),","!==r[o]&&r[o]!==s&&(l=N(!1)),C(),e)){const t={};E(t,String(a),l),a=t}if(e)n.push(a);else{if(a=String(a),Object.prototype.hasOwnProperty.call(n,a))throw c(`Duplicate key: ${a}`,i);E(n,a,l)}if(","===r[o])o++;else if(r[o]!==s)throw c(`Expected , or ${s}`)}},M=(t,e)=>{const s=o,n=v();if((null!==n.anchor||null!==n.tag)&&p()){g();const e=o<r.length&&!d()&&h()>t;return x(e?M(t,!0):$("",!0,n.tag,s),n,s)}if("*"===r[o])return A(n);let i;if(e&&f())i=j(h());else if("["===r[o]||"{"===r[o])i=T();else if("|"===r[o]||">"===r[o])i=$((t=>{const e=">"===r[o];let s="clip",n=null;o++;for(let e=0;e<2;e++)"-"===r[o]||"+"===r[o]?(s="-"===r[o]?"strip":"keep",o++):/[1-9]/.test(r[o])&&(n=Math.max(t,0)+Number(r[o]),o++);if(m(),!p())throw c("Unexpected content after block scalar header");o=Math.min(o+1,r.length);const i=[];for(;o<r.length;){const e=r.indexOf("\n",o),s=-1===e?r.length:e,a=r.slice(o,s),c=/^ */.exec(a)[0].length;if(a.trim()){if(null===n){if(c<=t)break;n=c}if(c<n||d(o))break;i.push(a.slice(n))}else i.push(null!==n&&c>n?a.slice(n):"");o=Math.min(s+1,r.length)}let a,l=0;for(;i.length&&""===i[i.length-1];)i.pop(),l++;if(!i.length)return"keep"===s?"\n".repeat(l):"";if(e){a="";let t=0,e=null;i.forEach(r=>{if(""===r)return void t++;const s=" "===r[0]||"\t"===r[0];null===e?a="\n".repeat(t)+r:a+=s||e?"\n".repeat(t+1)+r:(t?"\n".repeat(t):" ")+r,e=s,t=0})}else a=i.join("\n");return"clip"===s?`${a}\n`:"keep"===s?a+"\n".repeat(l+1):a})(t),!1,n.tag,s);else{if("?"===r[o]&&u(o+1))throw c("Complex mapping keys are not supported");if(e&&w())i=I(h());else{const e='"'!==r[o]&&"'"!==r[o],a=e?k(t+1,!1):S();i=$(a,e,n.tag,s)}}return x(i,n,s)},j=t=>{const e=[];for(;;){if(o++,m(),p()?(g(),e.push(o<r.length&&!d()&&h()>t?M(t,!0):null)):(e.push(M(t,!0)),y()),g(),o>=r.length||d()||h()<t)return e;if(h()>t)throw c("Bad indentation");if(!f())return e}},I=t=>{const e={},s=new Set,n=[];for(;;){const i=o,a='"'===r[o]||"'"===r[o];let l,b;if(a)l=S(),m();else{for(;":"!==r[o]||!u(o+1);)o++;l=r.slice(i,o).trim()}if(o++,m(),p()){g();b=o<r.length&&!d()&&(h()>t||h()===t&&f())?M(t,!0):null}else b=M(t,!1),y();if("<<"!==l||a){if(s.has(l))throw c(`Duplicate key: ${l}`,i);s.add(l),E(e,l,b)}else n.push([b,i]);if(g(),o>=r.length||d()||h()<t)break;if(h()>t)throw c("Bad indentation");if("?"===r[o]&&u(o+1))throw c("Complex mapping keys are not supported");if(!w())throw c("Expected a mapping key")}return n.forEach(([t,r])=>{(Array.isArray(t)?t:[t]).forEach(t=>{if(null===t||"object"!=typeof t||Array.isArray(t))throw c("A merge key needs a mapping or a list of mappings",r);Object.keys(t).forEach(r=>{s.has(r)||(s.add(r),E(e,r,t[r]))})})}),e},L=[],O=[];for(;;){for(g();o<r.length&&0===h()&&"%"===r[o];){for(;!p();)o++;g()}if(o>=r.length)break;if(s.clear(),O.push(o),d()&&"."===r[o]){o+=3,y(),O.pop();continue}let t;if(d()?(o+=3,m(),p()?(g(),t=o<r.length&&!d()?M(-1,!0):null):t=M(-1,!1)):t=M(-1,!0),y(),L.push(t),g(),o>=r.length)break;if(!d())throw c(h()>0?"Bad indentation":"Unexpected content");"."===r[o]&&(o+=3,y())}if(e)return L;if(L.length>1)throw c("Expected a single YAML document (add multi to read all of them)",O[1]);return L.length?L[0]:null}parseYmlValue(t){return/^(?:~|null|Null|NULL|)$/.test(t)?null:!!/^(?:true|True|TRUE)$/.test(t)||!/^(?:false|False|FALSE)$/.test(t)&&(/^0o[0-7]+$/.test(t)?parseInt(t.slice(2),8):/^0x[0-9a-fA-F]+$/.test(t)?parseInt(t.slice(2),16):/^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/.test(t)?Number(t):/^[-+]?\.(?:inf|Inf|INF)$/.test(t)?"-"===t[0]?-1/0:1/0:/^\.(?:nan|NaN|NAN)$/.test(t)?NaN:t)}stringifyYml(t,{multi:e=!1}={}){if(e){if(!Array.isArray(t))throw new Error("YAML multi stringify requires an array of documents");return t.map(t=>`---\n${this.stringifyYml(t)}`).join("")}const r=new Set,s=t=>null!==t&&"object"==typeof t&&!(t instanceof Date),n=t=>""!==t&&this.parseYmlValue(t)===t&&!t.startsWith("...")&&!/^[\s\-?:,[\]{}#&*!|>'"%@`]/.test(t)&&!/[\x00-\x1f\x7f]|\s$|: | #|:$/.test(t),i=t=>{if(null==t||"function"==typeof t)return"null";if("number"==typeof t)return Number.isNaN(t)?".nan":Number.isFinite(t)?String(t):t>0?".inf":"-.inf";if("boolean"==typeof t||"bigint"==typeof t)return String(t);const e=t instanceof Date?t.toISOString():String(t);return n(e)?e:JSON.stringify(e)},a=t=>"string"==typeof t&&t.includes("\n")&&/[^\n]/.test(t)&&!/[\x00-\x08\x0b-\x1f\x7f]/.test(t)&&!/^\n*[ \t]/.test(t)&&!/(^|\n)[ \t]+(\n|$)/.test(t),o=(t,e)=>{const r=t.replace(/\n+$/,""),s=t.length-r.length,n=" ".repeat(e);return`${0===s?"|-":1===s?"|":"|+"}\n${r.split("\n").map(t=>t?n+t:"").join("\n")}\n${"\n".repeat(Math.max(s-1,0))}`},c=(t,e)=>{if(r.has(t))throw new Error("Cannot stringify a circular structure to YAML");r.add(t);const s=" ".repeat(e);let n="";const a=t instanceof Set?Array.from(t):t;if(Array.isArray(a))a.forEach(t=>{n+=`${s}-${l(t,e+2,!0)}`});else{(t instanceof Map?Array.from(t,([t,e])=>[String(t),e]):Object.entries(t)).forEach(([t,r])=>{void 0!==r&&"function"!=typeof r&&(n+=`${s}${i(t)}:${l(r,e+2,!1)}`)})}return r.delete(t),n},l=(t,e,r)=>{if(s(t)){const s=c(t,e);return s?r?` ${s.slice(e)}`:`\n${s}`:Array.isArray(t)||t instanceof Set?" []\n":" {}\n"}return a(t)?` ${o(t,e)}`:` ${i(t)}\n`};if(s(t)){const e=c(t,0);return e||(Array.isArray(t)||t instanceof Set?"[]\n":"{}\n")}return a(t)?o(t,2):`${i(t)}\n`}init(){const t=()=>{this.startListener=null,this.processAll().catch(()=>{})};"loading"===this.document.readyState?(this.startListener=t,this.document.addEventListener("DOMContentLoaded",t,{once:!0})):t()}}t.tags=new Map,Object.entries({store:"processStore",man:"processMan",calc:"processCalc",if:"processIf",for:"processFor",while:"processWhile",each:"processEach",func:"processFunc",call:"processCall",component:"processComponent",return:"processReturn",scope:"processScope",wait:"processWait",timeout:"processTimeout",interval:"processInterval",parallel:"processParallel",race:"processRace",output:"processOutput",try:"processTry",import:"processImport",export:"processExport",on:"processOn",off:"processOff",debug:"processDebug",http:"processHttp",json:"processJson",csv:"processCsv",ini:"processIni",xml:"processXml",yml:"processYml",yaml:"processYml"}).forEach(([e,r])=>{t.registerTag(e,{process:(t,e)=>e.htmlScript[r](t)})}),["else","catch","empty"].forEach(e=>t.registerTag(e,{children:"after"})),t.registerTag("break",()=>{throw new U}),t.registerTag("continue",()=>{throw new B});const e={"!":t=>!t,"-":t=>-t,"+":t=>+t},r={"+":(t,e)=>t+e,"-":(t,e)=>t-e,"*":(t,e)=>t*e,"/":(t,e)=>t/e,"%":(t,e)=>t%e,"^":(t,e)=>Math.pow(t,e),"==":(t,e)=>t==e,"!=":(t,e)=>t!=e,"===":(t,e)=>t===e,"!==":(t,e)=>t!==e,"<":(t,e)=>t<e,"<=":(t,e)=>t<=e,">":(t,e)=>t>e,">=":(t,e)=>t>=e},s=(t,e)=>{const r=t.get(e);return void 0!==r&&(t.delete(e),t.set(e,r)),r},n=(t,e,r)=>{t.size>=1e3&&t.delete(t.keys().next().value),t.set(e,r)},i=["scopes","callStack","tracking","signal","deadline","tryDepth"],a=t=>{const e=t instanceof Date?new Date(t.getTime()):new Date(t);if(isNaN(e.getTime()))throw new Error(`Invalid date: ${t}`);return e},o=(t,e=2)=>String(t).padStart(e,"0"),c=["script","html","module","plugin"],l=t=>t.replace(/[A-Z]/g,t=>`-${t.toLowerCase()}`),h=t=>t.replace(/-([a-z0-9])/g,(t,e)=>e.toUpperCase()),u={maxIterations:1e4,timeLimit:1e4},p=t=>new W(`${t} is not allowed in safe mode`,{type:"policy"}),d=t=>{try{const e=new URL(t);return"null"!==e.origin?e.origin:e.pathname.startsWith("/")?new URL(".",e).href:null}catch(t){return null}},f=t=>{if("identifier"===t.type)return t.name;if("member"!==t.type||"literal"!==t.property.type)return null;const e=f(t.object);return null===e?null:`${e}.${t.property.value}`},m=["once","prevent","stop","passive","capture","self"],g=["focus","blur","mouseenter","mouseleave","pointerenter","pointerleave","load","unload","error","scroll","invalid","toggle","play","pause","ended"],y={enter:"enter",esc:"escape",space:" ",up:"arrowup",down:"arrowdown",left:"arrowleft",right:"arrowright",del:"delete"},w=(t,e)=>e.every(e=>{const r=e.toLowerCase();return["ctrl","alt","shift","meta"].includes(r)?Boolean(t[`${r}Key`]):"string"==typeof t.key&&t.key.toLowerCase()===(y[r]||r)}),b={valueMissing:"required",typeMismatch:"type",badInput:"type",patternMismatch:"pattern",tooShort:"minlength",tooLong:"maxlength",rangeUnderflow:"min",rangeOverflow:"max",stepMismatch:"step",customError:"validate"},v=(t,e)=>{if("SELECT"===t.tagName&&t.multiple)return Array.from(t.options).filter(t=>t.selected).map(t=>t.value);switch((t.type||"").toLowerCase()){case"checkbox":{if(!Array.isArray(e))return t.checked;const r=e.filter(e=>String(e)!==t.value);return t.checked?[...r,t.value]:r}case"radio":return t.checked?t.value:e;case"number":case"range":return""===t.value||isNaN(t.value)?null:Number(t.value);case"date":{const e=/^(\d{4,})-(\d{2})-(\d{2})$/.exec(t.value);return e?new Date(Number(e[1]),Number(e[2])-1,Number(e[3])):null}case"datetime-local":return t.value?new Date(t.value):null;case"file":return Array.from(t.files||[]);default:return t.value}},A=(t,e)=>{if("SELECT"===t.tagName&&t.multiple){const r=Array.isArray(e)?e.map(String):[];return void Array.from(t.options).forEach(t=>{t.selected=r.includes(t.value)})}const r=null==e;let s;switch((t.type||"").toLowerCase()){case"checkbox":return void(t.checked=Array.isArray(e)?e.map(String).includes(t.value):Boolean(e));case"radio":return void(t.checked=!r&&String(e)===t.value);case"file":return;case"number":case"range":s=r||Number.isNaN(e)?"":String(e);break;case"date":s=e instanceof Date?`${o(e.getFullYear(),4)}-${o(e.getMonth()+1)}-${o(e.getDate())}`:r?"":String(e);break;case"datetime-local":s=e instanceof Date?`${o(e.getFullYear(),4)}-${o(e.getMonth()+1)}-${o(e.getDate())}T${o(e.getHours())}:${o(e.getMinutes())}`:r?"":String(e);break;default:s=r?"":String(e)}t.value!==s&&(t.value=s)},$=t=>{const e=t.tagName.toLowerCase();return t.hasAttribute("bind")&&/^(?:input|select|textarea)$/.test(e)||"form"===e&&t.hasAttribute("submit")},x=(t,e)=>Array.isArray(t)&&Array.isArray(e)?t.length===e.length&&t.every((t,r)=>t===e[r]):t instanceof Date&&e instanceof Date?t.getTime()===e.getTime():Object.is(t,e),E=(t,e,r)=>{"__proto__"===e?Object.defineProperty(t,e,{value:r,enumerable:!0,writable:!0,configurable:!0}):t[e]=r},S=t=>{const e=t.replace(/\r\n?/g,"\n").replace(/^(?:[ \t]*\n)+/,"").replace(/\s+$/,"").split("\n"),r=Math.min(...e.filter(t=>t.trim()).map(t=>/^ */.exec(t)[0].length));return Number.isFinite(r)?e.map(t=>t.slice(r)).join("\n"):""},k=t=>!!/^(?:true|yes|on)$/i.test(t)||!/^(?:false|no|off)$/i.test(t)&&(/^-?(?:0|[1-9][0-9]*)(?:\.[0-9]+)?(?:[eE][+-]?[0-9]+)?$/.test(t)?Number(t):t),C=t=>{if(/^(?:true|false)$/i.test(t))return"true"===t.toLowerCase();if(/^-?(?:0|[1-9][0-9]*)(?:\.[0-9]+)?(?:[eE][+-]?[0-9]+)?$/.test(t))return Number(t);if(/^[0-9]{4}-[0-9]{2}-[0-9]{2}(?:[T ][0-9]{2}:[0-9]{2}(?::[0-9]{2}(?:\.[0-9]+)?)?(?:Z|[+-][0-9]{2}:?[0-9]{2})?)?$/.test(t)){const e=new Date(t);if(!isNaN(e.getTime()))return e}return t},N=t=>{if(null==t)return[];if("object"!=typeof t)throw new Error("Expected an object of names and values");return(t instanceof Map||t instanceof URLSearchParams?Array.from(t):Object.entries(t)).flatMap(([t,e])=>(Array.isArray(e)?e:[e]).filter(t=>null!=t).map(e=>[t,e instanceof Date?e.toISOString():e]))},T=(t,e)=>{const r="string"==typeof e?e.replace(/^\?/,""):new URLSearchParams(N(e).map(([t,e])=>[t,String(e)])).toString();if(!r)return t;const s=t.indexOf("#"),n=-1===s?t:t.slice(0,s),i=n.includes("?")?/[?&]$/.test(n)?"":"&":"?";return`${n}${i}${r}${-1===s?"":t.slice(s)}`},M=(t,e,r)=>{const s=Object.keys(r).some(t=>"content-type"===t.toLowerCase());if(t instanceof FormData||t instanceof URLSearchParams||t instanceof Blob||t instanceof ArrayBuffer)return t;switch(e){case"json":return s||(r["Content-Type"]="application/json"),JSON.stringify(t);case"form":{const e=new FormData;return N(t).forEach(([t,r])=>e.append(t,r instanceof Blob?r:String(r))),e}case"urlencoded":return new URLSearchParams(N(t).map(([t,e])=>[t,String(e)]));case"text":return s||(r["Content-Type"]="text/plain;charset=UTF-8"),null==t?"":String(t);default:throw new Error(`Invalid body-type: ${e}`)}},j=async(t,e,r)=>{if("blob"===e)return t.blob();if("arraybuffer"===e)return t.arrayBuffer();const s=await t.text();return"json"===e||"auto"===e&&/[/+]json\b/i.test(r)?s.trim()?JSON.parse(s):null:s},I=(t,e)=>new Promise((r,s)=>{const n=()=>{clearTimeout(i);const t=new Error("The operation was aborted");t.name="AbortError",s(t)},i=setTimeout(()=>{e&&e.removeEventListener("abort",n),r()},t);e&&e.aborted?n():e&&e.addEventListener("abort",n,{once:!0})}),L=t=>{if(t instanceof RegExp)return e=>{const r=t.exec(e.href);return r&&{...r.groups}};const e=/^[a-z][a-z\d+.-]*:\/\//i.test(t),r=e||/^[/*]/.test(t)?String(t):`/${t}`,s=[],n=r.replace(/:([A-Za-z_]\w*)|\*|[.+?^${}()|[\]\\]/g,(t,e)=>e?(s.push(e),"([^/?#]+)"):"*"===t?".*":`\\${t}`),i=new RegExp(`^${n}$`),a=r.includes("?");return t=>{const r=i.exec(`${e?t.origin:""}${t.pathname}${a?t.search:""}`);return r&&Object.fromEntries(s.map((t,e)=>[t,decodeURIComponent(r[e+1])]))}},O=t=>{const e=/^([A-Za-z]+)\s+(\S.*)$/.exec(t.trim());return e?[e[1].toUpperCase(),e[2]]:["*",t.trim()]},D=({status:t=200,statusText:e="",headers:r={},body:s="",url:n=""})=>{const i=new Map(Object.entries(r).map(([t,e])=>[t.toLowerCase(),String(e)])),a=async()=>"string"==typeof s?s:s instanceof Blob?s.text():(new TextDecoder).decode(s);return{status:t,statusText:e,ok:t>=200&&t<300,url:n,headers:{get:t=>i.has(t.toLowerCase())?i.get(t.toLowerCase()):null,has:t=>i.has(t.toLowerCase()),forEach:t=>i.forEach((e,r)=>t(e,r))},text:a,json:async()=>JSON.parse(await a()),blob:async()=>s instanceof Blob?s:new Blob([s]),arrayBuffer:async()=>s instanceof Blob?s.arrayBuffer():(new TextEncoder).encode(s).buffer,clone:()=>D({status:t,statusText:e,headers:r,body:s,url:n})}},P=(t,e=80)=>{let r;if("function"==typeof t)r=`function ${t.name}`.trim();else try{r=JSON.stringify(t,(t,e)=>e instanceof Map?Object.fromEntries(e):e instanceof Set?Array.from(e):e)}catch(t){r=void 0}return void 0===r&&(r=String(t)),r.length>e?`${r.slice(0,e-1)}…`:r},F=t=>{switch(t.type){case"tag":return`<${t.tag}> ${t.path}`;case"expression":return`${t.expression} => ${P(t.value)}`;case"write":return`${t.name} = ${P(t.value)} (was ${P(t.oldValue)}, scope ${t.depth})`;case"call":return`${t.name}(${t.args.map(t=>P(t,20)).join(", ")})`;case"request":return`${t.method} ${t.url}`;case"retry":return`retry ${t.attempt} ${t.url} in ${t.wait}ms (${t.error})`;default:return t.type}},V=(e,r,s)=>{const n=e instanceof t?e.options.maxIterations:1/0;if(s>n)throw new W(`${r} result of length ${s} exceeds maxIterations (${n})`,{type:"limit"})},q={abs:Math.abs,ceil:Math.ceil,floor:Math.floor,trunc:Math.trunc,sign:Math.sign,sqrt:Math.sqrt,cbrt:Math.cbrt,exp:Math.exp,pow:Math.pow,sin:Math.sin,cos:Math.cos,tan:Math.tan,asin:Math.asin,acos:Math.acos,atan:Math.atan,atan2:Math.atan2,hypot:Math.hypot,log:(t,e)=>void 0===e?Math.log(t):Math.log(t)/Math.log(e),log10:Math.log10,log2:Math.log2,round:(t,e=0)=>{const r=Math.pow(10,e);return Math.round(t*r)/r},min:(...t)=>Math.min(...1===t.length&&Array.isArray(t[0])?t[0]:t),max:(...t)=>Math.max(...1===t.length&&Array.isArray(t[0])?t[0]:t),clamp:(t,e,r)=>Math.min(Math.max(t,e),r),random:(t,e)=>void 0===t?Math.random():(void 0===e&&([t,e]=[0,t]),Math.floor(Math.random()*(e-t))+t),sum:t=>t.reduce((t,e)=>t+e,0),avg:t=>t.length?t.reduce((t,e)=>t+e,0)/t.length:NaN,num:t=>Number(t),int:t=>parseInt(t,10),str:t=>null==t?"":"object"==typeof t?JSON.stringify(t):String(t),bool:t=>Boolean(t),len:t=>{if(null==t)return 0;if("string"==typeof t||Array.isArray(t))return t.length;if(t instanceof Map||t instanceof Set)return t.size;if("object"==typeof t)return Object.keys(t).length;throw new Error("len() not supported for "+typeof t)},upper:t=>String(t).toUpperCase(),lower:t=>String(t).toLowerCase(),capitalize:t=>String(t).charAt(0).toUpperCase()+String(t).slice(1),trim:t=>String(t).trim(),trimStart:t=>String(t).trimStart(),trimEnd:t=>String(t).trimEnd(),padStart(t,e,r=" "){return V(this,"padStart()",e),String(t).padStart(e,r)},padEnd(t,e,r=" "){return V(this,"padEnd()",e),String(t).padEnd(e,r)},repeat(t,e){return V(this,"repeat()",String(t).length*e),String(t).repeat(e)},replace(t,e,r){const s=String(t).split(e).join(r);return V(this,"replace()",s.length),s},split:(t,e=",")=>String(t).split(e),startsWith:(t,e)=>String(t).startsWith(e),endsWith:(t,e)=>String(t).endsWith(e),substring:(t,e,r)=>String(t).substring(e,r),contains:(t,e)=>"string"==typeof t||Array.isArray(t)?t.includes(e):e in Object(t),indexOf:(t,e)=>t.indexOf(e),slice:(t,e,r)=>t.slice(e,r),concat(t,...e){const r=t.concat(...e);return V(this,"concat()",r.length),r},join(t,e=","){const r=t.join(e);return V(this,"join()",r.length),r},reverse:t=>"string"==typeof t?[...t].reverse().join(""):[...t].reverse(),sort:(t,e)=>[...t].sort((t,r)=>{const s=void 0===e?t:t[e],n=void 0===e?r:r[e];return s<n?-1:s>n?1:0}),unique:t=>[...new Set(t)],first:t=>t[0],last:t=>t[t.length-1],pluck:(t,e)=>t.map(t=>t[e]),range(t,e,r=1){if(void 0===e&&([t,e]=[0,t]),0===r)throw new Error("range() step cannot be 0");V(this,"range()",Math.ceil((e-t)/r));const s=[];for(let n=t;r>0?n<e:n>e;n+=r)s.push(n);return s},keys:t=>t instanceof Map?[...t.keys()]:Object.keys(t),values:t=>t instanceof Map||t instanceof Set?[...t.values()]:Object.values(t),entries:t=>t instanceof Map?[...t.entries()]:Object.entries(t),type:t=>null===t?"null":Array.isArray(t)?"array":t instanceof Date?"date":typeof t,isNumber:t=>"number"==typeof t&&!isNaN(t),isString:t=>"string"==typeof t,isBoolean:t=>"boolean"==typeof t,isArray:t=>Array.isArray(t),isObject:t=>null!==t&&"object"==typeof t&&!Array.isArray(t),isNull:t=>null==t,isEmpty:t=>null==t||""===t||"object"==typeof t&&0===q.len(t),now:()=>Date.now(),today:()=>{const t=new Date;return t.setHours(0,0,0,0),t},date:(...t)=>t.length>1?new Date(t[0],t[1]-1,t[2]??1,t[3]??0,t[4]??0,t[5]??0):a(t.length?t[0]:Date.now()),year:t=>a(t).getFullYear(),month:t=>a(t).getMonth()+1,day:t=>a(t).getDate(),weekday:t=>a(t).getDay(),hour:t=>a(t).getHours(),minute:t=>a(t).getMinutes(),second:t=>a(t).getSeconds(),timestamp:t=>a(t).getTime(),addDays:(t,e)=>{const r=a(t);return r.setDate(r.getDate()+e),r},diffDays:(t,e)=>Math.round((a(t).getTime()-a(e).getTime())/864e5),formatDate:(t,e="YYYY-MM-DD")=>{const r=a(t),s={YYYY:r.getFullYear(),MM:o(r.getMonth()+1),DD:o(r.getDate()),HH:o(r.getHours()),mm:o(r.getMinutes()),ss:o(r.getSeconds()),SSS:o(r.getMilliseconds(),3)};return String(e).replace(/YYYY|MM|DD|HH|mm|ss|SSS/g,t=>s[t])},isoDate:t=>a(t).toISOString(),toJson:(t,e)=>JSON.stringify(t,null,e),fromJson:t=>JSON.parse(t)};class U extends Error{constructor(){super("break")}}class B extends Error{constructor(){super("continue")}}class R extends Error{constructor(t,e){super("return"),this.value=t,this.node=e}}class W extends Error{constructor(t,e={}){super(t),this.name="HtmlScriptError",Object.assign(this,e)}format(){const t=[`${this.name}: ${this.message}`];if(this.tag){const e=this.attribute?` ${this.attribute}`:"",r=[this.path,void 0!==this.line&&`line ${this.line}`].filter(Boolean).join(", ");t.push(`    at <${this.tag}${e}>${r?` (${r})`:""}`)}return void 0!==this.expression&&(t.push(`    ${this.expression}`),this.column&&t.push(`    ${" ".repeat(this.column-1)}^`)),this.tagStack&&t.push(`    stack: ${this.tagStack}`),t.join("\n")}}class z extends W{constructor(t,e){super(t,e),this.name="HttpError"}}return t.HtmlScriptError=W,t.HttpError=z,t.MockTransport=class{constructor(t={},{latency:e=0,passthrough:r=!1,record:s=!1}={}){this.routes=[],this.requests=[],this.recorded=[],this.latency=e,this.passthrough=r||s,this.record=s,Object.entries(t).forEach(([t,e])=>this.route(...O(t),e))}route(t,e,r){return this.routes.push({method:t.toUpperCase(),pattern:e,match:L(e),response:r,uses:0}),this}calls(t){if(void 0===t)return this.requests.slice();const[e,r]=t instanceof RegExp?["*",t]:O(t),s=L(r);return this.requests.filter(t=>("*"===e||t.method===e)&&s(new URL(t.url,"http://localhost/")))}reset(){return this.requests=[],this.recorded=[],this.routes.forEach(t=>{t.uses=0}),this}async send(t,e){const r=(t.method||"GET").toUpperCase();this.requests.push({method:r,url:t.url,headers:{...t.headers},body:t.body,type:t.type,time:Date.now()});const s=new URL(t.url,"http://localhost/");let n=null;const i=this.routes.find(t=>("*"===t.method||t.method===r)&&(!(t.response&&void 0!==t.response.times&&t.uses>=t.response.times)&&(n=t.match(s),null!==n)));if(!i){if(!this.passthrough)throw new TypeError(`No mock route for ${r} ${t.url}`);const s=await e(t);if(this.record){const e=s.clone(),n={};e.headers.forEach((t,e)=>{n[e]=t});const i={method:r,url:t.url,status:e.status,headers:n,body:await e.text()};if(/[/+]json\b/i.test(n["content-type"]||""))try{i.json=JSON.parse(i.body),delete i.body}catch(t){}this.recorded.push(i)}return s}i.uses++;const a="function"==typeof i.response?await i.response({...t,method:r,params:n}):i.response;if(a&&"function"==typeof a.text&&a.headers)return a;const{status:o=200,statusText:c="",headers:l={},json:h,body:u,file:p,error:d}=a||{},f=a&&void 0!==a.delay?a.delay:this.latency,m=Array.isArray(f)?f[0]+Math.random()*(f[1]-f[0]):f;if(m>0&&await I(m,t.signal),t.signal&&t.signal.aborted)throw new Error("The operation was aborted");if(d)throw new TypeError(!0===d?"Network error":String(d));const g={...l},y=Object.keys(l).some(t=>"content-type"===t.toLowerCase());let w=null==u?"":u;if(p){const r=await e({url:p,method:"GET",headers:{},body:null,signal:t.signal,type:"fixture"});if(!r.ok)throw new TypeError(`Cannot load fixture ${p}: ${r.status}`);w=await r.text(),!y&&r.headers.get("content-type")&&(g["content-type"]=r.headers.get("content-type"))}else void 0!==h?(w=JSON.stringify(h),y||(g["content-type"]="application/json")):y||"string"!=typeof w||(g["content-type"]="text/plain;charset=UTF-8");return D({status:o,statusText:c,headers:g,body:w,url:t.url})}toJSON(){return Object.fromEntries(this.recorded.map(({method:t,url:e,...r})=>[`${t} ${e}`,r]))}},t});
\ No newline at end of file
@@ -0,0 +1,17 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * ES module entry point. Loads htmlscript.js without starting the page interpreter.
+ * Node and bundlers load that file as CommonJS and hand over module.exports as
+ * its default export; browsers run it as a module, which defines the global.
+ *
+ * @license MIT
+ */
+
+import * as umd from './htmlscript.js';
+
+const HtmlScript = umd.default || globalThis.HtmlScript;
+const { HtmlScriptError, HttpError, MockTransport } = HtmlScript;
+
+export { HtmlScript, HtmlScriptError, HttpError, MockTransport };
+export default HtmlScript;
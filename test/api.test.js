@@ -0,0 +1,60 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * The programmatic API: entry points, run(), lifecycle events and destroy().
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { render, sleep } = require('./helpers.js');
+
+test('require() and the ES module give the same class', async () => {
+    const HtmlScript = require('../htmlscript.js');
+    const esm = await import('../htmlscript.mjs');
+    assert.equal(typeof HtmlScript, 'function');
+    assert.equal(esm.default, HtmlScript);
+    assert.equal(esm.HtmlScript, HtmlScript);
+});
+
+test('run() processes a container with the given variables and returns the globals', async () => {
+    const { document, htmlScript } = await render('');
+    const events = [];
+    htmlScript.on('beforeProcess', ({ root }) => events.push(`before ${root.id}`));
+    htmlScript.on('afterProcess', ({ root, variables }) => events.push(`after ${root.id} ${variables.total}`));
+    document.body.innerHTML = '<div id="app"><store name="total" value="price * 2"></store><p>{{ user.name }}</p></div><p id="outside">{{ price }}</p>';
+    const variables = await htmlScript.run(document.querySelector('#app'), { variables: { price: 21, user: { name: 'Alice' } } });
+    assert.equal(variables.total, 42);
+    assert.equal(htmlScript.getVariable('total'), 42);
+    assert.equal(document.body.innerHTML, '<div id="app"><p>Alice</p></div><p id="outside">{{ price }}</p>');
+    assert.deepEqual(events, ['before app', 'after app 42']);
+});
+
+test('errors are emitted and reject run()', async () => {
+    const { document, htmlScript } = await render('');
+    const errors = [];
+    htmlScript.on('error', ({ error }) => errors.push(error.message));
+    document.body.innerHTML = '<p>{{ missing }}</p>';
+    await assert.rejects(htmlScript.run(), { message: 'Undefined variable: missing' });
+    assert.deepEqual(errors, ['Undefined variable: missing']);
+});
+
+test('destroy() removes the listeners added by <on>', async () => {
+    const { document, htmlScript } = await render('<store name="count" value="0"></store><button id="b">b</button><on event="click" selector="#b"><man name="count" operation="+1"></man></on>');
+    document.querySelector('#b').click();
+    await sleep(10);
+    htmlScript.destroy();
+    document.querySelector('#b').click();
+    await sleep(10);
+    assert.equal(htmlScript.getVariable('count'), 1);
+});
+
+test('instances do not share variables', async () => {
+    const first = await render('<store name="x" value="1"></store>');
+    const second = await render('<store name="x" value="2"></store>');
+    assert.equal(first.htmlScript.getVariable('x'), 1);
+    assert.equal(second.htmlScript.getVariable('x'), 2);
+});
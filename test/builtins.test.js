@@ -0,0 +1,43 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * The built-in function library, functions registered from JavaScript and
+ * <func> definitions called from expressions.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { render } = require('./helpers.js');
+
+test('math, string and array functions', async () => {
+    const { htmlScript } = await render('');
+    htmlScript.setVariable('rows', [{ price: 1.234 }, { price: 2 }]);
+    const evaluate = (expression) => htmlScript.evaluate(expression);
+    assert.equal(await evaluate("round(avg(pluck(rows, 'price')), 2)"), 1.62);
+    assert.equal(await evaluate('clamp(15, 0, 10) + min(3, 1)'), 11);
+    assert.equal(await evaluate("upper('ab') + len([1, 2])"), 'AB2');
+    assert.equal(await evaluate("padStart('7', 3, '0') + replace('a-b', '-', '+')"), '007a+b');
+    assert.equal(await evaluate("join(sort([3, 1, 2]), '-')"), '1-2-3');
+    assert.equal(await evaluate('join(range(1, 10, 4), ",")'), '1,5,9');
+    assert.equal(await evaluate("type([]) + ' ' + type(null) + ' ' + isEmpty({})"), 'array null true');
+    assert.equal(await evaluate("int('42px') + fromJson('{\"a\":1}').a"), 43);
+});
+
+test('date functions', async () => {
+    const { htmlScript } = await render('');
+    assert.equal(await htmlScript.evaluate("formatDate(addDays(date(2024, 1, 31), 1), 'YYYY-MM-DD')"), '2024-02-01');
+    assert.equal(await htmlScript.evaluate('diffDays(date(2024, 3, 1), date(2024, 2, 1))'), 29);
+});
+
+test('registered functions and <func> definitions', async () => {
+    const { htmlScript } = await render('<func name="double" params="x"><return expression="x * 2"></return></func>');
+    htmlScript.defineFunction('fmt', function (n) {
+        return `${n.toFixed(2)} ${this === htmlScript ? 'on the interpreter' : 'elsewhere'}`;
+    });
+    assert.equal(await htmlScript.evaluate('fmt(double(2))'), '4.00 on the interpreter');
+    await assert.rejects(async () => htmlScript.evaluate('nope(1)'), { message: 'Function nope not found' });
+});
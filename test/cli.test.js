@@ -0,0 +1,68 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * The command line prerenderer in bin/htmlscript.js.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const bin = path.join(__dirname, '..', 'bin', 'htmlscript.js');
+
+// Writes files (name => content) to a new temporary directory.
+function project(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'htmlscript-'));
+    Object.entries(files).forEach(([name, content]) => {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), content);
+    });
+    return dir;
+}
+
+const renderFile = (dir, ...args) => execFileSync(process.execPath, [bin, 'render', path.join(dir, 'page.html'), ...args], { encoding: 'utf8' });
+
+test('renders a page with local files and fixtures', (t) => {
+    const dir = project({
+        'page.html': `<!DOCTYPE html><html><body>
+<http url="users.json" var="users"></http>
+<http url="https://api.example.com/stats" var="stats"></http>
+<ul><each source="users.data" item="user"><li>{{ user.name }}</li></each></ul>
+<p>{{ stats.data.visits }}</p>
+</body></html>`,
+        'users.json': '[{"name": "Ann"}, {"name": "Bob"}]',
+        'fixtures/api.example.com/stats.json': '{"visits": 42}',
+    });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const html = renderFile(dir, '--fixtures', path.join(dir, 'fixtures'), '--no-state');
+    assert.match(html, /<ul><li>Ann<\/li><li>Bob<\/li><\/ul>/);
+    assert.match(html, /<p>42<\/p>/);
+    assert.doesNotMatch(html, /<http/);
+});
+
+test('keeps handlers for the browser and embeds the final state', (t) => {
+    const dir = project({
+        'page.html': '<!DOCTYPE html><html><body><store name="count" value="2"></store><button id="b">+</button><on event="click" selector="#b"><man name="count" operation="+1"></man></on><p>{{ count }}</p></body></html>',
+    });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const out = path.join(dir, 'out.html');
+    renderFile(dir, '-o', out);
+    const html = fs.readFileSync(out, 'utf8');
+    assert.match(html, /<body><store name="count" value="2" local="false" hidden=""><\/store>/);
+    assert.match(html, /<on event="click" selector="#b" hidden="">/);
+    assert.match(html, /<p>2<\/p>/);
+    assert.doesNotMatch(renderFile(dir, '--no-hydrate', '--no-state'), /<on|<store/);
+});
+
+test('absolute URLs without a fixture are an error', (t) => {
+    const dir = project({ 'page.html': '<!DOCTYPE html><html><body><http url="https://api.example.com/missing" var="x" strict></http></body></html>' });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    assert.throws(() => execFileSync(process.execPath, [bin, 'render', path.join(dir, 'page.html')], { stdio: 'pipe' }), /api\.example\.com\/missing/);
+});
@@ -0,0 +1,59 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * The compile option: cached expressions and templates, compiled loop and
+ * function bodies, and <for> statements.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { render, sleep } = require('./helpers.js');
+
+const page = `
+    <func name="label" params="n"><if condition="n % 2 == 0"><return expression="'even'"></return></if><return expression="'odd'"></return></func>
+    <ul><for init="i = 0" condition="i < 4" increment="i += 2"><li class="row {{ label(i) }}"><span>static <b>text</b></span>{{ i }}</li></for></ul>
+    <each source="['a', 'b', 'c']" item="x" index="n">
+        <div><p><if condition="n == 1"><b>{{ x }}</b></if><else><i>{{ upper(x) }}</i></else></p><hr></div>
+    </each>
+    <store name="k" value="3"></store>
+    <while condition="k > 0"><em title="{{ k }}">{{ label(k) }}</em><man name="k" operation="-1"></man></while>`;
+
+test('compiled and interpreted pages render the same', async () => {
+    const compiled = await render(page, { compile: true });
+    const interpreted = await render(page, { compile: false });
+    assert.equal(compiled.body(), interpreted.body());
+    assert.match(compiled.body(), /<li class="row even"><span>static <b>text<\/b><\/span>0<\/li><li class="row even"><span>static <b>text<\/b><\/span>2<\/li>/);
+    assert.match(compiled.body(), /<i>A<\/i>.*<b>b<\/b>.*<i>C<\/i>/s);
+    assert.match(compiled.body(), /<em title="3">odd<\/em><em title="2">even<\/em><em title="1">odd<\/em>/);
+});
+
+test('<for> statements', async () => {
+    const { document } = await render('<for init="i = 10" condition="i >= 1" increment="i = i / 2"><b>{{ i }}</b></for><for init="j = 3" condition="j > 0" increment="j--"><i>{{ j }}</i></for>');
+    assert.deepEqual(Array.from(document.querySelectorAll('b, i'), el => el.textContent), ['10', '5', '2.5', '1.25', '3', '2', '1']);
+});
+
+test('the caches keep the 1000 most recently used entries', async () => {
+    const { htmlScript } = await render('');
+    for (let i = 0; i < 1100; i++) {
+        await htmlScript.evaluate(`${i} + 1`);
+        htmlScript.parseTemplate(`{{ ${i} }}`);
+    }
+    await htmlScript.evaluate('0 + 1');
+    assert.equal(htmlScript.expressionCache.size, 1000);
+    assert.equal(htmlScript.templateCache.size, 1000);
+    assert.ok(htmlScript.expressionCache.has('1099 + 1'));
+    assert.ok(htmlScript.expressionCache.has('0 + 1'));
+    assert.ok(!htmlScript.expressionCache.has('100 + 1'));
+});
+
+test('event handlers share the expression cache', async () => {
+    const { document, htmlScript } = await render('<store name="count" value="0"></store><button id="b">b</button><on event="click" selector="#b"><store name="count" value="count + 1" local="false"></store></on>');
+    document.querySelector('#b').click();
+    await sleep(10);
+    assert.equal(htmlScript.getVariable('count'), 1);
+    assert.ok(htmlScript.expressionCache.has('count + 1'));
+});
@@ -0,0 +1,44 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * <component>: props, slots, attribute forwarding and shadow roots.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { render } = require('./helpers.js');
+
+test.beforeEach((t) => t.mock.method(console, 'error', () => {}));
+
+const card = `<component name="user-card" props="user, avatarUrl = '/img/default.png', compact = false">
+    <div class="card"><img src="{{ avatarUrl }}"><h3>{{ user.name }}</h3><if condition="!compact"><p>{{ user.email }}</p></if><slot name="actions"></slot><slot><i>No notes.</i></slot></div>
+</component>`;
+
+test('props keep their type, defaults apply and attributes are forwarded', async () => {
+    const { body } = await render(`${card}<store name="users" value="[{ id: 1, name: 'Ann', email: 'a@x' }, { id: 2, name: 'Bob', email: 'b@x' }]"></store>
+        <each source="users"><user-card user="{{ item }}" avatar-url="/img/{{ item.id }}.png" compact="{{ item.id == 2 }}" class="wide"><button slot="actions">Edit {{ item.name }}</button></user-card></each>`);
+    assert.equal(body().replace(/>\s+</g, '><'), '<div class="card wide"><img src="/img/1.png"><h3>Ann</h3><p>a@x</p><button>Edit Ann</button><i>No notes.</i></div>'
+        + '<div class="card wide"><img src="/img/2.png"><h3>Bob</h3><button>Edit Bob</button><i>No notes.</i></div>');
+});
+
+test('the body sees its own scope, slot content the caller\'s', async () => {
+    const { body } = await render(`<store name="label" value="'outer'"></store>
+        <component name="x-box" props="title"><store name="label" value="'inner'"></store><section><h2>{{ title }} {{ label }}</h2><slot></slot></section></component>
+        <x-box title="Hi"><p>{{ label }}</p></x-box><p>{{ label }}</p>`);
+    assert.equal(body().replace(/\s+/g, ' '), '<section><h2>Hi inner</h2><p>outer</p></section><p>outer</p>');
+});
+
+test('a missing prop is an error', async () => {
+    await assert.rejects(render(`${card}<user-card></user-card>`), { message: 'Missing prop user for <user-card>' });
+});
+
+test('shadow renders into a shadow root', async () => {
+    const { document } = await render('<component name="warning-note" props="text" shadow><style>p { color: darkred; }</style><p>{{ text }}</p><slot></slot></component><warning-note text="Disk full"><a href="/storage">Manage</a></warning-note>');
+    const note = document.querySelector('warning-note');
+    assert.equal(note.shadowRoot.querySelector('p').textContent, 'Disk full');
+    assert.equal(note.querySelector('a').textContent, 'Manage');
+});
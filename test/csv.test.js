@@ -0,0 +1,43 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * The CSV reader and writer behind <csv>.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HtmlScript = require('../htmlscript.js');
+const { render } = require('./helpers.js');
+
+const htmlScript = new HtmlScript({ autoStart: false });
+
+test('quoted fields, doubled quotes and CRLF', () => {
+    assert.deepEqual(htmlScript.parseCsv('a,"b, c","say ""hi"""\r\n"two\nlines", x ,\r\n'), [['a', 'b, c', 'say "hi"'], ['two\nlines', 'x', '']]);
+    assert.throws(() => htmlScript.parseCsv('a,"b'), /Unterminated quoted field starting at line 1/);
+});
+
+test('headers, comments, delimiters and typed columns', () => {
+    const rows = htmlScript.parseCsv('# comment\nname;age;member;since;id\n"Doe; Jane";41;true;2024-01-05;007\n\nBob;25;false;;1', { delimiter: ';', header: true, comment: '#', typed: true, skipEmpty: true });
+    assert.deepEqual(rows, [
+        { name: 'Doe; Jane', age: 41, member: true, since: new Date('2024-01-05'), id: '007' },
+        { name: 'Bob', age: 25, member: false, since: '', id: 1 },
+    ]);
+});
+
+test('stringify quotes what it has to and round-trips', () => {
+    const data = [{ name: 'Doe, Jane', note: 'said "hi"' }, { name: ' Bob', age: 25, note: null }];
+    const csv = htmlScript.stringifyCsv(data);
+    assert.equal(csv, 'name,note,age\n"Doe, Jane","said ""hi""",\n" Bob",,25');
+    assert.deepEqual(htmlScript.parseCsv(csv, { header: true, trim: false }), [{ name: 'Doe, Jane', note: 'said "hi"', age: '' }, { name: ' Bob', note: '', age: '25' }]);
+    assert.equal(htmlScript.stringifyCsv(data, { columns: ['age', 'name'], delimiter: '\t', newline: '\r\n' }), 'age\tname\r\n\tDoe, Jane\r\n25\t" Bob"');
+});
+
+test('<csv> reads its attributes', async () => {
+    const { htmlScript: page } = await render('<csv action="parse" var="rows" header="true" typed delimiter="pipe">a|b\n1|x</csv><csv action="stringify" source="rows" columns="b,a" delimiter="semicolon" var="out"></csv>');
+    assert.deepEqual(page.getVariable('rows'), [{ a: 1, b: 'x' }]);
+    assert.equal(page.getVariable('out'), 'b;a\nx;1');
+});
@@ -0,0 +1,49 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * Trace mode and <debug break> breakpoints.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { render } = require('./helpers.js');
+
+test('trace mode records tags, expressions, writes and calls', async () => {
+    const { htmlScript } = await render('<func name="f" params="n"><return expression="n * 2"></return></func><store name="x" value="f(2)"></store>', { trace: true });
+    assert.deepEqual(htmlScript.traceLog.map(({ type, stack, ...entry }) => [type, stack, entry]), [
+        ['tag', 'func', { tag: 'func', path: 'body > func' }],
+        ['tag', 'store', { tag: 'store', path: 'body > store' }],
+        ['call', 'store', { name: 'f', args: [2] }],
+        ['write', 'store > f()', { name: 'n', oldValue: undefined, value: 2, depth: 1 }],
+        ['tag', 'store > f() > return', { tag: 'return', path: 'func > return' }],
+        ['expression', 'store > f() > return', { expression: 'n * 2', value: 4 }],
+        ['expression', 'store', { expression: 'f(2)', value: 4 }],
+        ['write', 'store', { name: 'x', oldValue: undefined, value: 4, depth: 0 }],
+    ]);
+});
+
+test('<debug trace> turns tracing on and off, and traceLimit keeps the last entries', async () => {
+    const { htmlScript } = await render('<store name="a" value="1"></store><debug trace></debug><store name="b" value="2"></store><store name="c" value="3"></store><debug trace="off"></debug><store name="d" value="4"></store>', { traceLimit: 2 });
+    assert.deepEqual(htmlScript.traceLog.map(entry => entry.name), ['c', undefined]);
+    assert.equal(htmlScript.traceLog[1].tag, 'debug');
+});
+
+test('breakpoints pause until resume() and are skipped without debug', async () => {
+    const page = '<store name="a" value="1"></store><debug break></debug><store name="b" value="2"></store>';
+    const events = [];
+    const { document } = await render(page, { debug: true }, (htmlScript) => {
+        htmlScript.on('pause', ({ tag, path }) => {
+            events.push(`pause ${tag} ${path} ${Boolean(htmlScript.paused)} ${htmlScript.getVariable('b')}`);
+            setTimeout(() => htmlScript.resume(), 5);
+        });
+        htmlScript.on('resume', () => events.push(`resume ${Boolean(htmlScript.paused)}`));
+    });
+    assert.deepEqual(events, ['pause debug body > debug true undefined', 'resume false']);
+    assert.match(document.querySelector('[data-htmlscript-inspector]').textContent, /a = 1\s+b = 2/);
+    const skipped = await render(page, {}, (htmlScript) => htmlScript.on('pause', () => assert.fail('paused')));
+    assert.equal(skipped.htmlScript.getVariable('b'), 2);
+});
@@ -0,0 +1,42 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * <each> over arrays, objects and other collections.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { render } = require('./helpers.js');
+
+const items = (document) => Array.from(document.querySelectorAll('li'), li => li.textContent);
+
+test('arrays give the item and its index', async () => {
+    const { document } = await render(`<store name="names" value="['Ann', 'Bob']"></store><ul><each source="names" item="name" index="i"><li>{{ i }}: {{ name }}</li></each></ul>`);
+    assert.deepEqual(items(document), ['0: Ann', '1: Bob']);
+});
+
+test('objects give keys and values, strings their characters', async () => {
+    const { document } = await render(`<store name="config" value="{host: 'example.com', port: 80}"></store>
+        <each source="config" key="name" item="value"><li>{{ name }} = {{ value }}</li></each><each source="'ab'"><li>{{ item }}</li></each>`);
+    assert.deepEqual(items(document), ['host = example.com', 'port = 80', 'a', 'b']);
+});
+
+test('<break>, <continue> and <empty>', async () => {
+    const { document } = await render(`<each source="[1, 2, 3, 4]" item="n"><if condition="n == 2"><continue></continue></if><if condition="n == 4"><break></break></if><li>{{ n }}</li></each>
+        <each source="[]"><li>never</li></each><empty><li>nothing</li></empty>`);
+    assert.deepEqual(items(document), ['1', '3', 'nothing']);
+});
+
+test('loop variables stay inside the loop', async () => {
+    const { htmlScript } = await render('<each source="[1, 2]" item="n"></each>');
+    assert.equal(htmlScript.getVariable('n'), undefined);
+});
+
+test('a reactive update does not disturb the iteration that is running', async () => {
+    const { body } = await render('<store name="x" value="1"></store><p>{{ x }}</p><each source="[1, 2]" item="n"><man name="x" operation="+1"></man><i>{{ n }}</i></each>', { reactive: true });
+    assert.equal(body(), '<p>3</p><i>1</i><i>2</i>');
+});
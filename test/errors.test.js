@@ -0,0 +1,60 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * HtmlScriptError, the error overlay and strict mode.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HtmlScript, render, sleep } = require('./helpers.js');
+
+test.beforeEach((t) => t.mock.method(console, 'error', () => {}));
+
+test('errors carry the tag, attribute, column and path', async () => {
+    const error = await render('<div id="app"><p>a</p><p><calc expression="1 + nope * 2"></calc></p></div>').catch(e => e);
+    assert.ok(error instanceof HtmlScript.HtmlScriptError);
+    assert.equal(error.tag, 'calc');
+    assert.equal(error.attribute, 'expression');
+    assert.equal(error.column, 5);
+    assert.equal(error.path, 'div#app > p:nth-of-type(2) > calc');
+    assert.equal(error.format(), [
+        'HtmlScriptError: Undefined variable: nope',
+        '    at <calc expression> (div#app > p:nth-of-type(2) > calc)',
+        '    1 + nope * 2',
+        '        ^',
+        '    stack: div > p > calc',
+    ].join('\n'));
+});
+
+test('<catch> receives the error and nothing is logged', async () => {
+    const { body, errors } = await render('<try><calc expression="nope"></calc></try><catch var="e"><p>{{ e.message }} in {{ e.tag }}</p></catch>');
+    assert.equal(body(), '<p>Undefined variable: nope in calc</p>');
+    assert.equal(errors.length, 0);
+    assert.equal(console.error.mock.callCount(), 0);
+});
+
+test('the overlay lists reported errors', async () => {
+    const { document } = await render('<json action="parse" var="d">{bad</json>', { overlay: true });
+    assert.match(document.querySelector('[data-htmlscript-overlay]').textContent, /at <json> \(body > json\)/);
+});
+
+test('reactive updates report errors on the element and keep running', async () => {
+    const { body, errors, htmlScript } = await render('<store name="u" value="{name: \'a\'}"></store><store name="k" value="1"></store><p>{{ u.name }}</p><p id="k">{{ k }}</p>', { reactive: true });
+    htmlScript.setVariable('u', null);
+    await sleep(10);
+    htmlScript.setVariable('k', 2);
+    await sleep(10);
+    assert.equal(body(), '<p>a</p><p id="k">2</p>');
+    assert.deepEqual(errors.map(e => [e.message, e.tag]), [['Cannot read property name of null', 'p']]);
+});
+
+test('invalid data is stored as an error unless strict', async () => {
+    const { htmlScript, errors } = await render('<json action="parse" var="d">{bad</json>');
+    assert.equal(htmlScript.getVariable('d').error, errors[0].message);
+    await assert.rejects(render('<json action="parse" var="d" strict>{bad</json>'), HtmlScript.HtmlScriptError);
+    await assert.rejects(render('<json action="parse" var="d">{bad</json>', { strict: true }), HtmlScript.HtmlScriptError);
+});
@@ -0,0 +1,76 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * <on> and <off>: delegation, modifiers, debounce and handlers that run
+ * while the page is still being processed.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { HtmlScript, render, sleep } = require('./helpers.js');
+
+test('delegated handlers match elements added later', async () => {
+    const { document, htmlScript } = await render(`<store name="removed" value="''"></store><ul id="list"></ul>
+        <on event="click" selector="#list button"><store name="removed" value="removed + target.dataset.id" local="false"></store></on>`);
+    document.querySelector('#list').innerHTML = '<li><button data-id="a"><b>x</b></button></li><li><button data-id="b">x</button></li>';
+    document.querySelector('[data-id="b"]').click();
+    document.querySelector('[data-id="a"] b').click();
+    document.querySelector('#list').click();
+    await sleep(10);
+    assert.equal(htmlScript.getVariable('removed'), 'ba');
+});
+
+test('modifiers and key filters', async () => {
+    const { window, document, htmlScript } = await render(`<store name="log" value="''"></store><a id="a" href="#x">a</a>
+        <on event="click.once.prevent" selector="#a"><store name="log" value="log + 'click '" local="false"></store></on>
+        <on event="keydown.ctrl.s" target="window"><store name="log" value="log + 'save '" local="false"></store></on>
+        <on event="keydown.esc" target="window"><store name="log" value="log + 'close '" local="false"></store></on>`);
+    const click = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+    document.querySelector('#a').dispatchEvent(click);
+    document.querySelector('#a').click();
+    window.dispatchEvent(new window.KeyboardEvent('keydown', { key: 's' }));
+    window.dispatchEvent(new window.KeyboardEvent('keydown', { key: 's', ctrlKey: true }));
+    window.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape' }));
+    await sleep(10);
+    assert.equal(click.defaultPrevented, true);
+    assert.equal(htmlScript.getVariable('log'), 'click save close ');
+});
+
+test('debounce runs once after the last event, and <off> removes a named handler', async () => {
+    const { document, htmlScript } = await render(`<store name="runs" value="0"></store><store name="clicks" value="0"></store><input id="q"><button id="b">b</button>
+        <on event="input" selector="#q" debounce="30"><man name="runs" operation="+1"></man><store name="last" value="event.target.value" local="false"></store></on>
+        <on event="click" selector="#b" name="counter"><man name="clicks" operation="+1"></man></on>`);
+    const input = document.querySelector('#q');
+    for (const value of ['a', 'ab', 'abc']) {
+        input.value = value;
+        input.dispatchEvent(new document.defaultView.Event('input', { bubbles: true }));
+        await sleep(5);
+    }
+    document.querySelector('#b').click();
+    await sleep(60);
+    await htmlScript.run(document.body.appendChild(Object.assign(document.createElement('div'), { innerHTML: '<off name="counter"></off>' })));
+    document.querySelector('#b').click();
+    await sleep(10);
+    assert.equal(htmlScript.getVariable('runs'), 1);
+    assert.equal(htmlScript.getVariable('last'), 'abc');
+    assert.equal(htmlScript.getVariable('clicks'), 1);
+});
+
+test('a handler that fires while the page is processed does not touch its scopes', async () => {
+    const dom = new JSDOM('<!DOCTYPE html><body><button id="b">b</button><on event="click" selector="#b"><store name="h" value="1"></store><pause></pause><store name="done" value="event.type" local="false"></store></on><scope><store name="y" value="1"></store><pause></pause><p>{{ y }}</p></scope></body>');
+    const htmlScript = new HtmlScript({ window: dom.window, autoStart: false });
+    htmlScript.registerTag('pause', () => sleep(30));
+    const running = htmlScript.run();
+    await sleep(10);
+    dom.window.document.querySelector('#b').click();
+    await running;
+    await sleep(50);
+    assert.equal(dom.window.document.querySelector('p').textContent, '1');
+    assert.equal(htmlScript.getVariable('done'), 'click');
+    assert.equal(htmlScript.getVariable('h'), undefined);
+});
@@ -0,0 +1,83 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * The expression language: operators, literals, member access and errors.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { render } = require('./helpers.js');
+
+// Evaluates each expression on a blank page with the given variables.
+async function evaluator(variables = {}) {
+    const { htmlScript } = await render('');
+    Object.entries(variables).forEach(([name, value]) => htmlScript.setVariable(name, value));
+    return (expression) => htmlScript.evaluate(expression);
+}
+
+test('arithmetic follows precedence, with ^ as right-associative power', async () => {
+    const evaluate = await evaluator();
+    assert.equal(await evaluate('1 + 2 * 3'), 7);
+    assert.equal(await evaluate('(1 + 2) * 3'), 9);
+    assert.equal(await evaluate('2 ^ 3 ^ 2'), 512);
+    assert.equal(await evaluate('10 / 4 - 7 % 3'), 1.5);
+    assert.equal(await evaluate('1e3 + 2.5'), 1002.5);
+    assert.equal(await evaluate("+'3' + 1"), 4);
+});
+
+test('comparison, equality and logical operators', async () => {
+    const evaluate = await evaluator({ age: 20, count: 7, done: false });
+    assert.equal(await evaluate("'a' < 'b'"), true);
+    assert.equal(await evaluate("1 == '1'"), true);
+    assert.equal(await evaluate("1 === '1'"), false);
+    assert.equal(await evaluate('null == undefined'), true);
+    assert.equal(await evaluate('count > 5 && !done'), true);
+    assert.equal(await evaluate("0 || 'x'"), 'x');
+    assert.equal(await evaluate('false && missing'), false);
+    assert.equal(await evaluate('true || missing'), true);
+    assert.equal(await evaluate("age >= 18 ? 'adult' : 'minor'"), 'adult');
+});
+
+test('string literals and concatenation', async () => {
+    const evaluate = await evaluator();
+    assert.equal(await evaluate("'it\\'s' + \"\\t\\u00e9\""), "it's\té");
+    assert.equal(await evaluate("'a' + 1 + 2"), 'a12');
+});
+
+test('member access, indexing, and array and object literals', async () => {
+    const evaluate = await evaluator({ user: { name: 'Ann', tags: ['a', 'b'] }, rows: [10, 20], config: { 'my key': { items: ['x', 'y'] } }, i: 1, key: 'dyn' });
+    assert.equal(await evaluate('user.name'), 'Ann');
+    assert.equal(await evaluate('rows[1] + rows[0]'), 30);
+    assert.equal(await evaluate("config['my key'].items[i]"), 'y');
+    assert.equal(await evaluate('user.tags.length'), 2);
+    assert.equal(await evaluate('user.missing'), undefined);
+    // Compared as JSON, since the values may come from the page's realm.
+    assert.equal(JSON.stringify(await evaluate("{a: 1, 'b c': [1, 2], [key]: 3, i}")), '{"a":1,"b c":[1,2],"dyn":3,"i":1}');
+    assert.equal(JSON.stringify(await evaluate("[1, 'x', [true], {}]")), '[1,"x",[true],{}]');
+});
+
+test('reading through null and reaching the prototype are errors', async () => {
+    const evaluate = await evaluator({ user: { name: 'Ann' }, nothing: null });
+    await assert.rejects(async () => evaluate('nothing.name'), { message: 'Cannot read property name of null' });
+    await assert.rejects(async () => evaluate('user.__proto__'), { message: 'Access to property __proto__ is not allowed' });
+    await assert.rejects(async () => evaluate("user['constructor']"), { message: 'Access to property constructor is not allowed' });
+});
+
+test('invalid expressions are errors', async () => {
+    const evaluate = await evaluator();
+    const fails = (expression, message) => assert.rejects(async () => evaluate(expression), { message });
+    await fails('1 +', 'Unexpected end of expression');
+    await fails('(1', 'Unexpected end of expression, expected )');
+    await fails('1 2', 'Unexpected token: 2');
+    await fails("'abc", /^Unterminated string/);
+    await fails('missing', 'Undefined variable: missing');
+});
+
+test('<if> uses the operators too', async () => {
+    const { body } = await render('<store name="count" value="7"></store><if condition="count > 5 && count % 2 == 1"><p>odd</p></if>');
+    assert.equal(body(), '<p>odd</p>');
+});
@@ -0,0 +1,85 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * Two-way binding, validation and <form submit>.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { HtmlScript, render, sleep } = require('./helpers.js');
+
+const type = (control, value) => {
+    control.value = value;
+    control.dispatchEvent(new control.ownerDocument.defaultView.Event('input', { bubbles: true }));
+};
+
+test('a bound input and its variable stay in sync', async () => {
+    const { document, htmlScript } = await render('<store name="name" value="\'Ann\'"></store><input id="i" bind="name"><p>{{ name }}</p>', { reactive: true });
+    const input = document.querySelector('#i');
+    assert.equal(input.value, 'Ann');
+    type(input, 'Bob');
+    await sleep(10);
+    assert.equal(htmlScript.getVariable('name'), 'Bob');
+    assert.equal(document.querySelector('p').textContent, 'Bob');
+    htmlScript.setVariable('name', 'Cy');
+    await sleep(10);
+    assert.equal(input.value, 'Cy');
+});
+
+test('a property path creates the objects it needs', async () => {
+    const { document, htmlScript, errors } = await render('<input id="i" bind="user.address.city" value="Oslo">');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(htmlScript.getVariable('user'), { address: { city: 'Oslo' } });
+    type(document.querySelector('#i'), 'Rome');
+    await sleep(10);
+    assert.deepEqual(htmlScript.getVariable('user'), { address: { city: 'Rome' } });
+});
+
+test('the README form example renders, validates and submits', async () => {
+    const readme = fs.readFileSync(path.join(__dirname, '..', 'README'), 'utf8');
+    const start = readme.indexOf('<store name="user" value="{topics: []}"></store>');
+    const html = readme.slice(start, readme.indexOf('</form>', start) + '</form>'.length);
+    const mock = new HtmlScript.MockTransport({ 'POST /api/users': { status: 201, json: { created: true } } });
+    const { document, errors } = await render(html, { reactive: true, transport: mock });
+    assert.deepEqual(errors, []);
+    const form = document.querySelector('form');
+    const submit = () => form.dispatchEvent(new document.defaultView.Event('submit', { cancelable: true }));
+
+    submit();
+    await sleep(20);
+    assert.equal(document.querySelector('span').textContent, 'Enter your email');
+    assert.equal(mock.calls('POST /api/users').length, 0);
+
+    type(document.querySelector('[type=email]'), 'ann@example.com');
+    type(document.querySelector('[type=number]'), '30');
+    type(document.querySelector('[type=password]'), 'secret-password');
+    const news = document.querySelector('[value=news]');
+    news.checked = true;
+    news.dispatchEvent(new document.defaultView.Event('change', { bubbles: true }));
+    await sleep(20);
+    assert.equal(document.querySelector('span').textContent, '');
+    submit();
+    await sleep(50);
+    const [call] = mock.calls('POST /api/users');
+    assert.deepEqual(JSON.parse(call.body), { user: { email: 'ann@example.com', age: 30, password: 'secret-password', topics: ['news'] } });
+    assert.equal(mock.calls('POST /api/users').length, 1);
+});
+
+test('listeners do not disturb the scopes of a running page', async () => {
+    const { JSDOM } = require('jsdom');
+    const dom = new JSDOM('<!DOCTYPE html><body><input id="i" bind="v" validate="len(value) > 1" error="err"><scope><store name="y" value="1"></store><wait ms="30"></wait><p>{{ y }}</p></scope></body>');
+    const htmlScript = new HtmlScript({ window: dom.window, autoStart: false });
+    const running = htmlScript.run();
+    await sleep(5);
+    type(dom.window.document.querySelector('#i'), 'abc');
+    await running;
+    assert.equal(dom.window.document.querySelector('p').textContent, '1');
+    assert.equal(htmlScript.getVariable('v'), 'abc');
+    assert.equal(htmlScript.getVariable('err'), '');
+});
@@ -0,0 +1,47 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * <func>, <call> and <return>: values, recursion, defaults and early exits.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { render } = require('./helpers.js');
+
+test('<return> gives the value of a call, also recursively', async () => {
+    const { htmlScript } = await render(`<func name="fact" params="n"><if condition="n <= 1"><return expression="1"></return></if><return expression="n * fact(n - 1)"></return></func>
+        <call func="fact" args="5" var="result"></call>`);
+    assert.equal(htmlScript.getVariable('result'), 120);
+    assert.equal(await htmlScript.evaluate('fact(6)'), 720);
+});
+
+test('defaults and rest parameters', async () => {
+    const { body } = await render(`<func name="greet" params="name, greeting = 'Hello', ...rest"><p>{{ greeting }}, {{ name }}! {{ len(rest) }}</p></func>
+        <call func="greet" args="'Alice'"></call><call func="greet" args="'Bob', 'Hi', 1, 2"></call>`);
+    assert.equal(body(), '<p>Hello, Alice! 0</p><p>Hi, Bob! 2</p>');
+});
+
+test('content after <return> is not rendered', async () => {
+    const { body } = await render('<func name="f"><p>before</p><if condition="true"><return expression="1"></return><p>skipped</p></if><p>after</p></func><call func="f"></call>');
+    assert.equal(body(), '<p>before</p>');
+});
+
+test('<return> inside a loop ends the loop and the function', async () => {
+    const pages = {
+        each: '<each source="[1, 2, 3]" item="n"><b>{{ n }}</b><if condition="n == 2"><return expression="n"></return></if></each>',
+        for: '<for init="i = 1" condition="i < 5" increment="i++"><b>{{ i }}</b><if condition="i == 2"><return expression="i"></return><u>no</u></if></for>',
+        while: '<store name="k" value="1"></store><while condition="k < 5"><b>{{ k }}</b><each source="[2]" item="m"><return expression="k * m"></return></each><man name="k" operation="+1"></man></while>',
+    };
+    for (const [loop, html] of Object.entries(pages)) {
+        const { body } = await render(`<func name="f"><i>start</i>${html}<p>after</p></func><call func="f"></call><p>{{ f() }}</p>`);
+        assert.equal(body(), loop === 'while' ? '<i>start</i><b>1</b><p>2</p>' : '<i>start</i><b>1</b><b>2</b><p>2</p>', loop);
+    }
+});
+
+test('runaway recursion stops at the depth limit', async () => {
+    await assert.rejects(render('<func name="f" params="n"><return expression="f(n + 1)"></return></func><call func="f" args="0"></call>'), /depth/i);
+});
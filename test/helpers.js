@@ -0,0 +1,31 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * Shared helpers for the tests: runs a page in a fresh jsdom window.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const { JSDOM } = require('jsdom');
+const HtmlScript = require('../htmlscript.js');
+
+// Renders html in a new page and resolves once run() has finished, after
+// setup(htmlScript) if given. errors collects the errors reported through
+// the error event.
+async function render(html, options = {}, setup) {
+    const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body>${html}</body></html>`, { url: 'http://localhost/' });
+    const htmlScript = new HtmlScript({ window: dom.window, autoStart: false, ...options });
+    const errors = [];
+    htmlScript.on('error', ({ error }) => errors.push(error));
+    if (setup) await setup(htmlScript);
+    await htmlScript.run();
+    const { document } = dom.window;
+    return { window: dom.window, document, htmlScript, errors, body: () => document.body.innerHTML.trim(), text: (selector) => document.querySelector(selector).textContent };
+}
+
+// Resolves after ms milliseconds.
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = { HtmlScript, render, sleep };
@@ -0,0 +1,56 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * <http>: responses, params, bodies, retries, timeouts and errors.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HtmlScript, render } = require('./helpers.js');
+
+test.beforeEach((t) => t.mock.method(console, 'error', () => {}));
+
+const json = (data, init = {}) => new Response(JSON.stringify(data), { ...init, headers: { 'content-type': 'application/json', ...init.headers } });
+
+test('the response keeps status, headers and data, and params are encoded', async () => {
+    const calls = [];
+    const fetch = async (url, init) => {
+        calls.push(`${init.method} ${url} ${init.body}`);
+        return json({ id: 1 }, { headers: { 'X-Total': '3' } });
+    };
+    const { htmlScript } = await render(`<http url="/users/{{ 1 + 1 }}" params="{ tag: ['a', 'b'], q: 'x y', skip: null }" var="user"></http>
+        <http method="POST" url="/save" body="{ a: 1, b: 'c' }" body-type="urlencoded"></http>`, { fetch });
+    assert.deepEqual(htmlScript.getVariable('user'), { status: 200, ok: true, headers: { 'content-type': 'application/json', 'x-total': '3' }, data: { id: 1 } });
+    assert.deepEqual(calls, ['GET /users/2?tag=a&tag=b&q=x+y null', 'POST /save a=1&b=c']);
+});
+
+test('failed requests are retried, time out, and fail as HttpError', async () => {
+    let attempts = 0;
+    const fetch = async (url, { signal }) => {
+        if (url === '/slow') return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+        if (url === '/flaky' && attempts++ === 0) return new Response('busy', { status: 503 });
+        return url === '/missing' ? json({ reason: 'gone' }, { status: 404 }) : json('ok');
+    };
+    const { htmlScript, body } = await render(`<http url="/flaky" retry="1" retry-delay="1" var="flaky"></http>
+        <http url="/missing" var="missing"></http>
+        <try><http url="/slow" timeout="20"></http></try><catch var="e"><p>{{ e.type }} {{ e.status }}</p></catch>
+        <try><http url="/missing"></http></try><catch var="e"><p>{{ e.type }} {{ e.status }} {{ e.response.data.reason }}</p></catch>`, { fetch });
+    assert.equal(attempts, 2);
+    assert.equal(htmlScript.getVariable('flaky').data, 'ok');
+    assert.equal(htmlScript.getVariable('missing').error, 'HTTP 404: GET /missing');
+    assert.equal(body().replace(/\s+/g, ' '), '<p>timeout 0</p> <p>status 404 gone</p>');
+    await assert.rejects(render('<http url="/missing"></http>', { fetch, strict: true }), (e) => e instanceof HtmlScript.HttpError && e.status === 404);
+});
+
+test('errors inside loops and functions in a <try> are thrown to its <catch>', async () => {
+    const loop = await render('<try><each source="[1]" item="n"><json action="parse" var="d">{bad</json></each><p>not reached</p></try><catch var="e"><p>caught</p></catch>');
+    assert.equal(loop.body(), '<p>caught</p>');
+    const call = await render('<func name="f"><json action="parse" var="d">{bad</json></func><try><call func="f"></call><p>not reached</p></try><catch var="e"><p>caught</p></catch>');
+    assert.equal(call.body(), '<p>caught</p>');
+    const outside = await render('<func name="f"><json action="parse" var="d">{bad</json><p>{{ d.error ? \'stored\' : \'\' }}</p></func><call func="f"></call>');
+    assert.equal(outside.body(), '<p>stored</p>');
+});
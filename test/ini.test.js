@@ -0,0 +1,38 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * Round-trip tests for the INI reader and writer behind <ini>.
+ *
+ * Usage: npm test
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HtmlScript = require('../htmlscript.js');
+
+const htmlScript = new HtmlScript({ autoStart: false });
+const roundTrip = (value) => htmlScript.parseIni(htmlScript.stringifyIni(value));
+
+test('sections, nested sections and arrays', () => {
+    const data = {
+        name: 'My App',
+        server: { port: '8080', url: 'http://localhost:8080/?a=b', allow: ['10.0.0.1', '10.0.0.2'], tls: { cert: 'a.pem' } },
+        'key.with.dots': 'plain keys may contain dots',
+    };
+    assert.deepEqual(roundTrip(data), data);
+    assert.equal(htmlScript.stringifyIni({ a: { b: { c: '1' } } }), '[a.b]\nc=1');
+});
+
+test('values that need quoting', () => {
+    const data = { s: { lead: ' x', trail: 'x ', quote: '"q"', comment: 'a ; b', hash: '#x', slash: 'ends\\', lines: 'a\nb\tc', empty: '' } };
+    assert.deepEqual(roundTrip(data), data);
+});
+
+test('section names containing a dot are rejected', () => {
+    assert.throws(() => htmlScript.stringifyIni({ 'sec.x': { a: 1 } }), /Invalid INI section name: sec\.x/);
+    assert.throws(() => htmlScript.stringifyIni({ sec: { 'x.y': { a: 1 } } }), /Invalid INI section name: x\.y/);
+});
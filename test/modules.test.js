@@ -0,0 +1,45 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * HTML modules: <import> and <export>, namespaces, caching and cycles.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HtmlScript, render } = require('./helpers.js');
+
+test.beforeEach((t) => t.mock.method(console, 'error', () => {}));
+
+const files = {
+    '/lib/format.html': '<import type="html" src="currency.html"></import><func name="money" params="n"><return expression="round(n, 2) + \' \' + currency"></return></func><store name="secret" value="1"></store><export name="money, currency"></export><b>format</b>',
+    '/lib/currency.html': '<store name="currency" value="\'EUR\'"></store><export name="currency"></export>',
+    '/a.html': '<import type="html" src="/b.html"></import>',
+    '/b.html': '<import type="html" src="/a.html"></import>',
+};
+
+const transport = () => new HtmlScript.MockTransport(Object.fromEntries(Object.entries(files).map(([url, body]) => [url, { body }])));
+
+test('exports reach the importer, private variables do not', async () => {
+    const { body, htmlScript } = await render('<import type="html" src="/lib/format.html"></import><p>{{ money(2.5) }}</p>', { transport: transport() });
+    assert.equal(body(), '<b>format</b><p>2.5 EUR</p>');
+    assert.equal(htmlScript.getVariable('currency'), 'EUR');
+    assert.equal(htmlScript.getVariable('secret'), undefined);
+});
+
+test('namespaces, and every module is loaded once', async () => {
+    const mock = transport();
+    const { body } = await render('<import type="html" src="/lib/format.html" namespace="fmt"></import><import type="html" src="lib/format.html" namespace="again"></import><p>{{ fmt.money(1) }} {{ again.currency }}</p><call func="fmt.money" args="3" var="x"></call><p>{{ x }}</p>', { transport: mock });
+    assert.equal(body(), '<b>format</b><b>format</b><p>1 EUR EUR</p><p>3 EUR</p>');
+    assert.deepEqual(mock.calls().map(call => call.url), ['http://localhost/lib/format.html', 'http://localhost/lib/currency.html']);
+});
+
+test('circular imports fail with the chain', async () => {
+    const { errors } = await render('<import type="html" src="/a.html"></import>', { transport: transport() });
+    assert.equal(errors[0].type, 'cycle');
+    assert.match(errors[0].message, /^Circular import: .*\/a\.html -> .*\/b\.html -> .*\/a\.html$/);
+    await assert.rejects(render('<import type="html" src="/a.html"></import>', { transport: transport(), strict: true }), { type: 'cycle' });
+});
@@ -0,0 +1,41 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * Reactive mode: outputs that read a variable follow it.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { render, sleep } = require('./helpers.js');
+
+test('interpolations and <if> follow the variables they read', async () => {
+    const { htmlScript, body } = await render('<store name="count" value="1"></store><p>{{ count }}</p><a title="{{ count * 10 }}"></a><if condition="count > 1"><b>many</b></if>', { reactive: true });
+    assert.equal(body(), '<p>1</p><a title="10"></a><!--hs--><!--/hs-->');
+    htmlScript.setVariable('count', 2);
+    await sleep(10);
+    assert.equal(body(), '<p>2</p><a title="20"></a><!--hs--><b>many</b><!--/hs-->');
+});
+
+test('without reactive mode the page is rendered once', async () => {
+    const { htmlScript, body } = await render('<store name="count" value="1"></store><p>{{ count }}</p>');
+    htmlScript.setVariable('count', 2);
+    await sleep(10);
+    assert.equal(body(), '<p>1</p>');
+});
+
+test('an update does not disturb the scope that is running', async () => {
+    const { body } = await render('<store name="x" value="1"></store><p>{{ x }}</p><scope><store name="y" value="5"></store><man name="x" operation="+1"></man><i>{{ y }}</i></scope>', { reactive: true });
+    assert.equal(body(), '<p>2</p><i>5</i>');
+});
+
+test('an update does not disturb a running event handler', async () => {
+    const { document, htmlScript, body } = await render('<store name="count" value="0"></store><button id="b">b</button><p>{{ count }}</p><on event="click" selector="#b"><man name="count" operation="+1"></man><store name="type" value="event.type" local="false"></store></on>', { reactive: true });
+    document.querySelector('#b').click();
+    await sleep(20);
+    assert.equal(htmlScript.getVariable('type'), 'click');
+    assert.match(body(), /<p>1<\/p>/);
+});
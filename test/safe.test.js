@@ -0,0 +1,84 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * Safe mode: the features it turns off, where requests may go, and the limits.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { HtmlScript, render, sleep } = require('./helpers.js');
+
+// Runs html in safe mode and checks the first error, whether run() threw it or reported it.
+const fails = async (html, options, expected) => {
+    let error;
+    try {
+        ({ errors: [error] } = await render(html, { safe: true, ...options }));
+    } catch (e) {
+        error = e;
+    }
+    assert.ok(error, 'expected an error');
+    assert.equal(error.type, expected.type);
+    if (expected.message) assert.match(error.message, expected.message);
+};
+
+test('features that run JavaScript or insert raw HTML are refused', async () => {
+    await fails('<store name="o" value="{}"></store><man name="o" operation=".x.y()"></man>', {}, { type: 'policy', message: /<man operation=".x.y\(\)"> runs JavaScript/ });
+    await fails('<import type="script" src="/a.js"></import>', {}, { type: 'policy' });
+    await fails('<store name="h" value="\'<b>x</b>\'"></store><p>{{{ h }}}</p>', {}, { type: 'policy' });
+});
+
+test('properties can only be written on plain objects and arrays', async () => {
+    const { body, document, errors } = await render(`
+        <store name="o" value="{a: {}, list: [1]}"></store>
+        <man name="o" operation=".a.b = 2"></man><man name="o" operation=".list[0] = 3"></man>
+        <p>{{ o.a.b }} {{ o.list[0] }}</p>
+        <button id="b">b</button>
+        <on event="click" selector="#b"><man name="target" operation=".innerHTML = '&lt;img src=x onerror=alert(1)&gt;'"></man></on>`, { safe: true });
+    assert.match(body(), /<p>2 3<\/p>/);
+    document.querySelector('#b').click();
+    await sleep(20);
+    assert.equal(document.querySelector('#b').innerHTML, 'b');
+    assert.deepEqual(errors.map(e => [e.type, e.message]), [['policy', 'Writing target.innerHTML on HTMLButtonElement is not allowed in safe mode']]);
+});
+
+test('bind cannot write into a DOM element', async () => {
+    const dom = new JSDOM('<!DOCTYPE html><body><div id="box">box</div><input bind="box.innerHTML"></body>');
+    const { document } = dom.window;
+    const htmlScript = new HtmlScript({ window: dom.window, autoStart: false, safe: true });
+    const errors = [];
+    htmlScript.on('error', ({ error }) => errors.push(error));
+    htmlScript.setVariable('box', document.querySelector('#box'));
+    await htmlScript.run();
+    const input = document.querySelector('input');
+    input.value = '<img src=x onerror=alert(1)>';
+    input.dispatchEvent(new dom.window.Event('input', { bubbles: true }));
+    await sleep(20);
+    assert.equal(document.querySelector('#box').innerHTML, 'box');
+    assert.deepEqual(errors.map(e => [e.type, e.message]), [['policy', 'Writing box.innerHTML on HTMLDivElement is not allowed in safe mode']]);
+});
+
+test('requests may only go to allowed origins', async () => {
+    const mock = new HtmlScript.MockTransport({ '/api/ok': { json: { v: 'ok' } }, 'https://api.example.com/v': { json: { v: 'api' } } });
+    const { text } = await render('<http url="/api/ok" var="a"></http><http url="https://api.example.com/v" var="b"></http><p>{{ a.data.v }} {{ b.data.v }}</p>', { safe: true, transport: mock, origins: ['http://localhost', 'https://api.example.com'] });
+    assert.equal(text('p'), 'ok api');
+    await fails('<http url="https://evil.example/steal" var="x"></http>', { transport: mock }, { type: 'policy', message: /Requests to https:\/\/evil\.example are not allowed/ });
+});
+
+test('limits stop loops and growing values', async () => {
+    await fails('<while condition="true"></while>', { maxIterations: 50 }, { type: 'limit', message: /Loop exceeded 50 iterations \(maxIterations\)/ });
+    await fails('<store name="s" value="repeat(\'x\', 500)"></store>', { maxIterations: 100 }, { type: 'limit' });
+    const doubling = (value) => `<store name="a" value="${value}"></store><store name="i" value="0"></store>
+        <while condition="i < 30"><store name="a" value="concat(a, a)"></store><store name="j" value="join(a, '')"></store><man name="i" operation="+1"></man></while>`;
+    await fails(doubling('[1]'), { maxIterations: 1000 }, { type: 'limit', message: /concat\(\) result of length 1024/ });
+    await fails(doubling("['xx']"), { maxIterations: 1000 }, { type: 'limit', message: /join\(\) result of length 1024/ });
+    await fails('<store name="s" value="\'1\'"></store><while condition="true"><man name="s" operation="+s"></man></while>', { maxIterations: 10 }, { type: 'limit', message: /<man name="s"> result of length 16 exceeds maxIterations \(10\)/ });
+});
+
+test('timeLimit stops a page that runs too long', async () => {
+    await fails('<while condition="true"><wait ms="5"></wait></while>', { timeLimit: 50, maxIterations: Infinity }, { type: 'limit' });
+});
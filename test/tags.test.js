@@ -0,0 +1,50 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * The tag registry: custom tags, their children modes and the tag prefix.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { render } = require('./helpers.js');
+
+test('custom tags get a context and choose how their children are processed', async () => {
+    const { body } = await render('<store name="name" value="\'Ann\'"></store><shout>hi {{ name }}</shout><wrap><b>{{ name }}</b></wrap><raw>{{ name }}</raw>', {}, (htmlScript) => {
+        htmlScript.registerTag('shout', {
+            children: 'before',
+            process(node) {
+                node.replaceWith(node.textContent.toUpperCase());
+            },
+        });
+        htmlScript.registerTag('wrap', {
+            children: 'after',
+            async process(node, ctx) {
+                node.setAttribute('data-name', await ctx.evaluate('name'));
+            },
+        });
+        htmlScript.registerTag('raw', (node, ctx) => {
+            node.setAttribute('data-tag', ctx.tag);
+        });
+    });
+    assert.equal(body(), 'HI ANN<wrap data-name="Ann"><b>Ann</b></wrap><raw data-tag="raw">{{ name }}</raw>');
+});
+
+test('an instance tag replaces a built-in one', async () => {
+    const { body } = await render('<calc expression="1 + 1"></calc>', {}, (htmlScript) => {
+        htmlScript.registerTag('calc', (node, ctx) => {
+            node.replaceWith(`calc: ${node.getAttribute('expression')} in <${ctx.tag}>`);
+        });
+    });
+    assert.equal(body(), 'calc: 1 + 1 in &lt;calc&gt;');
+});
+
+test('with a prefix, only prefixed tags are processed', async () => {
+    const { body } = await render(`<hs-store name="items" value="[]"></hs-store><store name="x"></store>
+        <hs-if condition="len(items)"><p>some</p></hs-if><hs-else><p>none</p></hs-else>
+        <hs-each source="items"><i>{{ item }}</i></hs-each><hs-empty><p>empty</p></hs-empty>`, { prefix: 'hs-' });
+    assert.equal(body().replace(/\s+/g, ' '), '<store name="x"></store> <p>none</p> <p>empty</p>');
+});
@@ -0,0 +1,35 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * {{ }} and {{{ }}} interpolation in text and attributes.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { render } = require('./helpers.js');
+
+test('text and attributes are interpolated', async () => {
+    const { body } = await render(`<store name="user" value="{id: 7, name: 'Ann & Bob'}"></store><store name="active" value="true"></store>
+        <a href="/user/{{ user.id }}" class="{{ active ? 'on' : 'off' }}">{{ user.name }} ({{ user.id * 2 }})</a>`);
+    assert.equal(body(), '<a href="/user/7" class="on">Ann &amp; Bob (14)</a>');
+});
+
+test('{{ }} escapes HTML and {{{ }}} inserts it', async () => {
+    const { body } = await render(`<store name="html" value="'<b>bold</b>'"></store><p>{{ html }}</p><div>{{{ html }}}</div>`);
+    assert.equal(body(), '<p>&lt;b&gt;bold&lt;/b&gt;</p><div><b>bold</b></div>');
+});
+
+test('null, undefined and objects', async () => {
+    const { body } = await render(`<store name="o" value="{a: [1, 2]}"></store><store name="n" value="null"></store><p>[{{ n }}][{{ undefined }}]{{ o }}</p>`);
+    assert.equal(body(), '<p>[][]{"a":[1,2]}</p>');
+});
+
+test('every loop iteration renders its own values, and scripts are left alone', async () => {
+    const { document } = await render('<store name="i" value="1"></store><while condition="i <= 3"><i>{{ i }}</i><man name="i" operation="+1"></man></while><script>var x = "{{ i }}";</script>');
+    assert.deepEqual(Array.from(document.querySelectorAll('i'), i => i.textContent), ['1', '2', '3']);
+    assert.equal(document.querySelector('script').textContent, 'var x = "{{ i }}";');
+});
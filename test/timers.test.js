@@ -0,0 +1,43 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * <wait>, <interval>, <timeout>, <parallel> and <race>.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { render, sleep } = require('./helpers.js');
+
+test('<wait> delays its content', async () => {
+    const start = Date.now();
+    const { body } = await render('<wait ms="20"><p>{{ 1 + 1 }}</p></wait>');
+    assert.ok(Date.now() - start >= 15);
+    assert.equal(body(), '<p>2</p>');
+});
+
+test('<parallel> runs its children at the same time', async () => {
+    const { htmlScript } = await render(`<store name="log" value="''"></store>
+        <parallel><wait ms="40"><store name="log" value="log + 'a'" local="false"></store></wait><wait ms="5"><store name="log" value="log + 'b'" local="false"></store></wait></parallel>`);
+    assert.equal(htmlScript.getVariable('log'), 'ba');
+});
+
+test('<race> keeps the first child, and <timeout> gives up', async () => {
+    const { body, htmlScript } = await render(`<race var="winner"><wait ms="60"><p>slow</p></wait><wait ms="5"><p>fast</p></wait></race>
+        <try><timeout ms="10"><wait ms="60"><store name="late" value="1"></store></wait></timeout></try><catch var="e"><p>{{ e.type }}: {{ e.message }}</p></catch>`);
+    await sleep(80);
+    assert.equal(htmlScript.getVariable('winner'), 1);
+    assert.equal(htmlScript.getVariable('late'), undefined);
+    assert.equal(body().replace(/\s+/g, ' '), '<p>fast</p> <p>timeout: Timed out after 10ms</p>');
+});
+
+test('<interval> renders again until it stops', async () => {
+    const { document } = await render('<div id="clock"><interval ms="10" times="3" index="n"><b>{{ n }}</b></interval></div>');
+    const clock = () => document.querySelector('#clock').textContent;
+    assert.equal(clock(), '0');
+    await sleep(60);
+    assert.equal(clock(), '2');
+});
@@ -0,0 +1,67 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * send(), baseUrl, headers, custom transports and MockTransport.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HtmlScript, render } = require('./helpers.js');
+
+test.beforeEach((t) => t.mock.method(console, 'error', () => {}));
+
+test('MockTransport answers from its routes and records the calls', async () => {
+    const mock = new HtmlScript.MockTransport({
+        'GET /api/users/:id': (request) => ({ json: { id: Number(request.params.id), name: 'Ann' } }),
+        'POST /api/users': { status: 201, json: { created: true } },
+        'GET /api/flaky': { status: 503, times: 1 },
+        '/api/flaky': { body: 'ok' },
+        '/api/offline': { error: 'Connection refused' },
+    });
+    const { htmlScript } = await render(`<http url="/api/users/7" var="user"></http>
+        <http method="POST" url="/api/users" body="{ name: 'Bob' }" var="created"></http>
+        <http url="/api/flaky" retry="1" retry-delay="1" var="flaky"></http>
+        <http url="/api/offline" var="offline"></http>
+        <http url="/api/none" var="none"></http>`, { transport: mock });
+    assert.deepEqual(htmlScript.getVariable('user').data, { id: 7, name: 'Ann' });
+    assert.equal(htmlScript.getVariable('created').status, 201);
+    assert.equal(htmlScript.getVariable('flaky').data, 'ok');
+    assert.match(htmlScript.getVariable('offline').error, /Connection refused/);
+    assert.ok(htmlScript.getVariable('none').error);
+    assert.deepEqual(mock.calls('POST /api/users').map(call => JSON.parse(call.body)), [{ name: 'Bob' }]);
+    assert.equal(mock.calls('/api/flaky').length, 2);
+});
+
+test('baseUrl and headers apply to <http> and <import>, and a transport sees every request', async () => {
+    const seen = [];
+    const mock = new HtmlScript.MockTransport({
+        'https://cdn.example.com/lib/util.html': { body: '<p>imported {{ 1 + 1 }}</p>' },
+        'https://cdn.example.com/lib/users': { json: ['Ann'] },
+    });
+    const transport = (request, next) => {
+        seen.push(`${request.type} ${request.url}`);
+        return mock.send(request, next);
+    };
+    const { htmlScript, body } = await render('<import type="html" src="/util.html"></import><http url="users" headers="{ Accept: \'application/json\' }" var="users"></http>', {
+        transport,
+        baseUrl: 'https://cdn.example.com/lib',
+        headers: async () => ({ Authorization: 'Bearer t' }),
+    });
+    assert.equal(body(), '<p>imported 2</p>');
+    assert.deepEqual(htmlScript.getVariable('users').data, ['Ann']);
+    assert.deepEqual(seen, ['import https://cdn.example.com/lib/util.html', 'http https://cdn.example.com/lib/users']);
+    assert.deepEqual(mock.calls().map(call => call.headers), [{ Authorization: 'Bearer t' }, { Authorization: 'Bearer t', Accept: 'application/json' }]);
+});
+
+test('recorded responses replay', async () => {
+    const recorder = new HtmlScript.MockTransport({}, { record: true });
+    const fetch = async () => new Response('{"n": 1}', { headers: { 'content-type': 'application/json' } });
+    await render('<http url="/api/n" var="n"></http>', { transport: recorder, fetch });
+    const replay = new HtmlScript.MockTransport(JSON.parse(JSON.stringify(recorder)));
+    const { htmlScript } = await render('<http url="/api/n" var="n"></http>', { transport: replay });
+    assert.deepEqual(htmlScript.getVariable('n').data, { n: 1 });
+});
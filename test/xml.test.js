@@ -0,0 +1,43 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * The XML mapping behind <xml>: parse, stringify and XPath queries.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { render } = require('./helpers.js');
+
+test('a parsed document stringifies back to the same text', async () => {
+    const { htmlScript } = await render('');
+    const xml = '<?xml version="1.0"?>\n<!-- c -->\n<m:feed xmlns:m="urn:media" id="1">Hi <b>there</b><![CDATA[<raw>]]><?php echo 1?></m:feed>';
+    const obj = htmlScript.parseXml(xml);
+    assert.equal(obj.name, 'm:feed');
+    assert.equal(obj.namespace, 'urn:media');
+    assert.equal(obj.text, 'Hi there<raw>');
+    assert.deepEqual(obj.declaration, { version: '1.0' });
+    assert.deepEqual(obj.children.map(child => child.type), ['text', 'element', 'cdata', 'pi']);
+    assert.equal(htmlScript.objectToXml(obj), xml);
+});
+
+test('stringify escapes, indents and validates names', async () => {
+    const { htmlScript } = await render('');
+    assert.equal(htmlScript.objectToXml({ name: 'item', attributes: { a: 'x"y' }, text: 'a < b' }, { declaration: true }), '<?xml version="1.0" encoding="UTF-8"?>\n<item a="x&quot;y">a &lt; b</item>');
+    assert.equal(htmlScript.objectToXml({ name: 'r', children: [{ name: 'a', children: ['t'] }, { name: 'b' }] }, { indent: 2 }), '<r>\n  <a>t</a>\n  <b/>\n</r>');
+    assert.equal(htmlScript.objectToXml({ name: 'x', children: [{ type: 'cdata', value: 'a]]>b' }] }), '<x><![CDATA[a]]]]><![CDATA[>b]]></x>');
+    assert.throws(() => htmlScript.objectToXml({ name: 'a b' }), /Invalid XML name: a b/);
+});
+
+test('<xml> queries with XPath', async () => {
+    const { htmlScript } = await render(`<store name="doc" value="'<r><e id=&quot;1&quot;>a</e><e id=&quot;2&quot;>b</e></r>'"></store>
+        <xml action="query" source="doc" xpath="count(//e)" var="total"></xml>
+        <xml action="query" source="doc" xpath="//e/@id" var="ids"></xml>
+        <xml action="query" source="doc" xpath="//e[@id='2']" first var="second"></xml>`);
+    assert.equal(htmlScript.getVariable('total'), 2);
+    assert.deepEqual(htmlScript.getVariable('ids'), ['1', '2']);
+    assert.equal(htmlScript.getVariable('second').text, 'b');
+});
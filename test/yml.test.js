@@ -0,0 +1,90 @@
+/**
+ * [HtmlScript]{@link https://github.com/anarxyfr/htmlscript}
+ *
+ * Round-trip tests for the YAML reader and writer behind <yml>: every value is
+ * stringified, parsed back and compared with the original.
+ *
+ * Usage: npm test
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HtmlScript = require('../htmlscript.js');
+
+const htmlScript = new HtmlScript({ autoStart: false });
+const roundTrip = (value, options) => htmlScript.parseYml(htmlScript.stringifyYml(value, options), options);
+
+test('nested maps and lists', () => {
+    const data = {
+        server: { host: 'example.com', port: 8080, tls: { enabled: true, ciphers: ['a', 'b'] } },
+        users: [
+            { name: 'Ann', roles: ['admin', 'dev'] },
+            { name: 'Bob', roles: [] },
+        ],
+        matrix: [[1, 2], [3, [4, 5]]],
+        empty: {},
+    };
+    assert.deepEqual(roundTrip(data), data);
+    assert.equal(htmlScript.stringifyYml({ a: { b: [1, { c: 2 }] } }), 'a:\n  b:\n    - 1\n    - c: 2\n');
+});
+
+test('scalars keep their types', () => {
+    const data = { int: 42, negative: -7, float: 3.25, exp: 1e21, yes: true, no: false, nothing: null, zero: 0, text: 'hello world' };
+    assert.deepEqual(roundTrip(data), data);
+    assert.deepEqual(roundTrip([Infinity, -Infinity]), [Infinity, -Infinity]);
+    assert.ok(Number.isNaN(roundTrip(NaN)));
+    assert.equal(roundTrip('plain'), 'plain');
+    assert.equal(roundTrip(12), 12);
+});
+
+test('strings that look like other values are quoted', () => {
+    const strings = ['true', 'null', '~', '', '42', '0x1F', '.inf', '- item', 'key: value', 'a #comment', '#hash', '[1]', '{a}', '*alias', '&anchor', '!tag', '|', '>', "'single'", '"double"', '...', '---', 'trailing ', ' leading', 'tab\there', 'x:'];
+    for (const text of strings) {
+        assert.equal(roundTrip(text), text, JSON.stringify(text));
+        assert.deepEqual(roundTrip({ [text || 'k']: text }), { [text || 'k']: text }, JSON.stringify(text));
+    }
+    assert.equal(htmlScript.stringifyYml({ v: 'true' }), 'v: "true"\n');
+});
+
+test('multi-line strings', () => {
+    const strings = ['line one\nline two', 'ends with newline\n', 'two trailing\n\n', 'blank\n\nline', '  indented first\nsecond', 'trailing space \nnext', 'unicode é\n✓'];
+    for (const text of strings) {
+        assert.equal(roundTrip(text), text, JSON.stringify(text));
+        assert.deepEqual(roundTrip({ doc: { body: text, list: [text] } }), { doc: { body: text, list: [text] } }, JSON.stringify(text));
+    }
+    assert.equal(htmlScript.stringifyYml({ body: 'a\nb' }), 'body: |-\n  a\n  b\n');
+});
+
+test('multiple documents', () => {
+    const docs = [{ a: 1 }, ['x', 'y'], 'text'];
+    assert.deepEqual(roundTrip(docs, { multi: true }), docs);
+});
+
+test('quoted and block scalars written by hand', () => {
+    const source = [
+        'single: \'it\'\'s\'',
+        'double: "tab\\there \\u00e9"',
+        'literal: |',
+        '  keep',
+        '    indent',
+        'folded: >-',
+        '  one',
+        '  two',
+        '',
+        '  three',
+        'list: [a, "b, c", {d: 1}]',
+    ].join('\n');
+    const data = htmlScript.parseYml(source);
+    assert.deepEqual(data, {
+        single: "it's",
+        double: 'tab\there é',
+        literal: 'keep\n  indent\n',
+        folded: 'one two\nthree',
+        list: ['a', 'b, c', { d: 1 }],
+    });
+    assert.deepEqual(roundTrip(data), data);
+});